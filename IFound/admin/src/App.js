@@ -3,12 +3,20 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import Sidebar from './components/Sidebar';
 import LoginPage from './pages/LoginPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import DashboardPage from './pages/DashboardPage';
 import UsersPage from './pages/UsersPage';
 import CasesPage from './pages/CasesPage';
 import SubmissionsPage from './pages/SubmissionsPage';
 import TransactionsPage from './pages/TransactionsPage';
+import WithdrawalsPage from './pages/WithdrawalsPage';
+import DisputesPage from './pages/DisputesPage';
+import RiskPage from './pages/RiskPage';
+import ModelConfigsPage from './pages/ModelConfigsPage';
+import ModelRolloutPage from './pages/ModelRolloutPage';
 import MatchesPage from './pages/MatchesPage';
+import ReportsPage from './pages/ReportsPage';
 import UserDashboard from './pages/UserDashboard';
 
 function ProtectedRoute({ children, adminOnly = false }) {
@@ -60,6 +68,8 @@ function AppRoutes() {
         path="/login"
         element={user ? <Navigate to={getHomeRedirect()} replace /> : <LoginPage />}
       />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
 
       {/* User Dashboard - for regular users */}
       <Route
@@ -122,6 +132,56 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/withdrawals"
+        element={
+          <ProtectedRoute adminOnly>
+            <Layout>
+              <WithdrawalsPage />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/disputes"
+        element={
+          <ProtectedRoute adminOnly>
+            <Layout>
+              <DisputesPage />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/risk"
+        element={
+          <ProtectedRoute adminOnly>
+            <Layout>
+              <RiskPage />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/model-configs"
+        element={
+          <ProtectedRoute adminOnly>
+            <Layout>
+              <ModelConfigsPage />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/model-rollout"
+        element={
+          <ProtectedRoute adminOnly>
+            <Layout>
+              <ModelRolloutPage />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/matches"
         element={
@@ -132,6 +192,16 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/reports"
+        element={
+          <ProtectedRoute adminOnly>
+            <Layout>
+              <ReportsPage />
+            </Layout>
+          </ProtectedRoute>
+        }
+      />
 
       {/* Default redirect based on user type */}
       <Route path="/" element={<Navigate to={user ? getHomeRedirect() : '/login'} replace />} />
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { login as apiLogin } from '../services/api';
+import { login as apiLogin, logout as apiLogout } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -35,6 +35,9 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    // End the session server-side; sign out locally regardless
+    const token = localStorage.getItem('adminToken');
+    if (token) apiLogout(token).catch(() => {});
     localStorage.removeItem('adminToken');
     localStorage.removeItem('adminUser');
     setUser(null);
@@ -92,15 +92,27 @@ export default function DashboardPage() {
             <div className="flex justify-between items-center">
               <span className="text-gray-600">Total Bounties</span>
               <span className="text-xl font-bold text-green-600">
-                ${parseFloat(analytics?.financial?.totalBounties || 0).toLocaleString()}
+                ${parseFloat(analytics?.financial?.totalBounties || 0).toLocaleString()} {analytics?.financial?.currency}
               </span>
             </div>
             <div className="flex justify-between items-center">
               <span className="text-gray-600">Platform Commission</span>
               <span className="text-xl font-bold text-gray-800">
-                ${parseFloat(analytics?.financial?.totalCommission || 0).toLocaleString()}
+                ${parseFloat(analytics?.financial?.totalCommission || 0).toLocaleString()} {analytics?.financial?.currency}
               </span>
             </div>
+            {Object.keys(analytics?.financial?.byCurrency || {}).length > 1 && (
+              <div className="pt-3 border-t border-gray-100 space-y-1">
+                {Object.entries(analytics.financial.byCurrency).map(([currency, totals]) => (
+                  <div key={currency} className="flex justify-between text-sm text-gray-500">
+                    <span>{currency}</span>
+                    <span>
+                      {totals.totalBounties.toLocaleString()} bounties / {totals.totalCommission.toLocaleString()} commission
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
 
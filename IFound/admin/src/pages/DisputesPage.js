@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import { getDisputes, reviewDispute, resolveDispute } from '../services/api';
+import { format } from 'date-fns';
+
+const API_ORIGIN = (process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1').replace(/\/api\/v1$/, '');
+
+export default function DisputesPage() {
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [status, setStatus] = useState('active');
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    loadDisputes();
+  }, [pagination.page, status]);
+
+  const loadDisputes = async () => {
+    setLoading(true);
+    try {
+      const response = await getDisputes({
+        page: pagination.page,
+        limit: 20,
+        status,
+      });
+      setDisputes(response.data.data.disputes);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Failed to load disputes:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      await action();
+      loadDisputes();
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const partyOf = (row) => (row.raised_by === row.claim?.claimant_id ? 'claimant' : 'finder');
+
+  const handleReview = (row) => {
+    runAction(() => reviewDispute(row.id), 'Failed to start review');
+  };
+
+  const handleResolve = (row, ruling) => {
+    const payment = row.transaction
+      ? (ruling === 'claimant' ? ' The finder\'s fee will be refunded.' : ' The finder\'s fee will be released to the finder.')
+      : '';
+    const notes = prompt(`Rule for the ${ruling}.${payment} Both parties will see these notes:`);
+    if (!notes) return;
+    runAction(() => resolveDispute(row.id, ruling, notes), 'Failed to resolve dispute');
+  };
+
+  const columns = [
+    {
+      key: 'claim',
+      label: 'Claim',
+      render: (val) => (
+        <div>
+          <p>{val?.foundCase?.title || 'N/A'}</p>
+          <p className="text-xs text-gray-500">
+            {val ? `$${parseFloat(val.bounty_offered).toFixed(2)} ${val.currency}` : ''}
+          </p>
+        </div>
+      ),
+    },
+    {
+      key: 'raisedBy',
+      label: 'Raised By',
+      render: (val, row) => val ? (
+        <div>
+          <p>{val.first_name} {val.last_name}</p>
+          <p className="text-xs text-gray-500 capitalize">{partyOf(row)}</p>
+        </div>
+      ) : 'N/A',
+    },
+    {
+      key: 'reason',
+      label: 'Reason',
+      render: (val, row) => (
+        <div className="max-w-xs">
+          <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs capitalize">
+            {val?.replace(/_/g, ' ')}
+          </span>
+          <p className="text-xs text-gray-500 mt-1 truncate">{row.description}</p>
+          <button
+            onClick={() => setExpanded(expanded === row.id ? null : row.id)}
+            className="text-xs text-blue-600 mt-1 hover:underline"
+          >
+            {expanded === row.id ? 'Hide' : 'Show'} timeline ({row.timeline?.length || 0}) and evidence ({row.evidence?.length || 0})
+          </button>
+          {expanded === row.id && (
+            <div className="mt-2 space-y-2 text-xs text-gray-600">
+              {row.timeline?.map((entry, index) => (
+                <div key={index}>
+                  <span className="font-medium">{format(new Date(entry.at), 'MMM d, HH:mm')}</span>
+                  {' '}{entry.event.replace(/_/g, ' ')}
+                  {entry.note && <p className="text-gray-500 whitespace-normal">{entry.note}</p>}
+                </div>
+              ))}
+              {row.evidence?.map((file) => (
+                <a
+                  key={file.url}
+                  href={`${API_ORIGIN}${file.url}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="block text-blue-600 hover:underline truncate"
+                >
+                  {file.filename}
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'transaction',
+      label: 'Bounty',
+      render: (val) => val ? (
+        <div>
+          <p>${parseFloat(val.amount).toFixed(2)} {val.currency}</p>
+          <p className="text-xs text-gray-500">{val.frozen_at ? 'Frozen' : val.status}</p>
+        </div>
+      ) : <span className="text-gray-400">None</span>,
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      render: (val, row) => (
+        <div>
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            val === 'open' ? 'bg-yellow-100 text-yellow-700' :
+            val === 'under_review' ? 'bg-blue-100 text-blue-700' :
+            'bg-green-100 text-green-700'
+          }`}>
+            {val.replace('_', ' ')}
+          </span>
+          {row.ruling && (
+            <p className="text-xs text-gray-500 mt-1">For {row.ruling} ({row.payment_action})</p>
+          )}
+          {row.assignee && (
+            <p className="text-xs text-gray-500 mt-1">{row.assignee.first_name} {row.assignee.last_name}</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'created_at',
+      label: 'Opened',
+      render: (val) => val ? format(new Date(val), 'MMM d, yyyy') : 'N/A',
+    },
+  ];
+
+  const actions = (row) => {
+    if (row.status === 'resolved') return null;
+
+    return (
+      <div className="flex flex-wrap justify-end gap-2">
+        {row.status === 'open' && (
+          <button
+            onClick={() => handleReview(row)}
+            className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium hover:bg-blue-200"
+          >
+            Review
+          </button>
+        )}
+        <button
+          onClick={() => handleResolve(row, 'claimant')}
+          className="px-3 py-1 bg-yellow-100 text-yellow-700 rounded-full text-xs font-medium hover:bg-yellow-200"
+        >
+          Rule for Claimant
+        </button>
+        <button
+          onClick={() => handleResolve(row, 'finder')}
+          className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200"
+        >
+          Rule for Finder
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="bg-gradient-to-r from-gray-900 to-gray-800 rounded-3xl shadow-lg p-6 text-white">
+        <div className="flex items-center gap-4">
+          <div className="bg-white/20 backdrop-blur-sm rounded-full p-3">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 6l3 1m0 0l-3 9a5.002 5.002 0 006.001 0M6 7l3 9M6 7l6-2m6 2l3-1m-3 1l-3 9a5.002 5.002 0 006.001 0M18 7l3 9m-3-9l-6-2m0-2v2m0 16V5m0 16H9m3 0h3" />
+            </svg>
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Disputes</h1>
+            <p className="text-gray-400 text-sm">Review contested claims and release or refund frozen bounties</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPagination({ ...pagination, page: 1 });
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="active">Open &amp; Under Review</option>
+            <option value="open">Open</option>
+            <option value="under_review">Under Review</option>
+            <option value="resolved">Resolved</option>
+            <option value="all">All Status</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Data Table */}
+      <DataTable columns={columns} data={disputes} actions={actions} loading={loading} emptyMessage="No disputes found" />
+
+      {/* Pagination */}
+      <Pagination
+        currentPage={pagination.page}
+        totalPages={pagination.pages}
+        onPageChange={(page) => setPagination({ ...pagination, page })}
+      />
+    </div>
+  );
+}
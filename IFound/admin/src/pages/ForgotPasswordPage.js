@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../services/api';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send reset email');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-100 to-gray-200 flex items-center justify-center p-4">
+      <div className="bg-white rounded-3xl shadow-xl border border-gray-200 w-full max-w-md overflow-hidden">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-gray-900 to-gray-800 px-8 py-6 text-center">
+          <h1 className="text-2xl font-bold text-white">IFound</h1>
+          <p className="text-gray-400 text-sm mt-1">Reset your password</p>
+        </div>
+
+        {sent ? (
+          <div className="p-8">
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-2xl text-green-700 text-sm">
+              If an account exists for <strong>{email}</strong>, we've sent a link to reset your password.
+              The link can only be used once.
+            </div>
+            <Link
+              to="/login"
+              className="block w-full text-center bg-gradient-to-r from-gray-900 to-gray-800 text-white rounded-full px-6 py-3 shadow-md hover:shadow-lg font-medium transition-all"
+            >
+              Back to Sign In
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-8">
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-2xl text-red-600 text-sm">
+                {error}
+              </div>
+            )}
+
+            <p className="text-gray-600 text-sm mb-6">
+              Enter your email and we'll send you a link to reset your password.
+            </p>
+
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Email</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800 focus:border-gray-800 outline-none transition-all"
+                placeholder="admin@ifound.com"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-gradient-to-r from-gray-900 to-gray-800 text-white rounded-full px-6 py-3 shadow-md hover:shadow-lg font-medium transition-all disabled:opacity-50"
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+
+            <Link to="/login" className="block text-center text-sm text-gray-500 hover:text-gray-800 mt-6">
+              Back to Sign In
+            </Link>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 export default function LoginPage() {
@@ -93,6 +93,10 @@ export default function LoginPage() {
           >
             {loading ? 'Signing in...' : 'Sign In'}
           </button>
+
+          <Link to="/forgot-password" className="block text-center text-sm text-gray-500 hover:text-gray-800 mt-6">
+            Forgot password?
+          </Link>
         </form>
       </div>
     </div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { getMatches, getMatchStats } from '../services/api';
+import { getMatches, getMatchStats, getMatchExplanation, getRematchRuns, startRematch, cancelRematch } from '../services/api';
 import { format } from 'date-fns';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
@@ -52,6 +52,310 @@ function ConfidenceBar({ value }) {
   );
 }
 
+const SCORE_FORMULAS = {
+  image_dna: 'Strong Image DNA match',
+  identifier: 'Exact identifier match',
+  dna_blend: 'Image DNA + category weights',
+  category_weights: 'Category weights',
+};
+
+const getImageUrl = (imageUrl) => {
+  if (!imageUrl) return '/placeholder.png';
+  if (imageUrl.startsWith('http')) return imageUrl;
+  return `${API_URL}${imageUrl}`;
+};
+
+function HighlightedText({ ocr }) {
+  if (!ocr?.text) return <p className="text-sm text-gray-400">No text detected</p>;
+
+  return (
+    <p className="text-sm text-gray-700 font-mono whitespace-pre-wrap break-words">
+      {ocr.segments.map((segment, i) => (
+        segment.match
+          ? <mark key={i} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+          : <span key={i}>{segment.text}</span>
+      ))}
+    </p>
+  );
+}
+
+function Swatches({ colors }) {
+  if (!colors?.length) return <p className="text-sm text-gray-400">No colors</p>;
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {colors.map((color, i) => (
+        <div key={i} className="flex items-center gap-1" title={color.value}>
+          <span
+            className={`w-6 h-6 rounded-lg border ${color.shared ? 'border-gray-800 border-2' : 'border-gray-300'}`}
+            style={{ backgroundColor: color.hex }}
+          />
+          <span className="text-xs text-gray-500">{color.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MatchExplanationModal({ matchId, onClose }) {
+  const [explanation, setExplanation] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getMatchExplanation(matchId)
+      .then(response => setExplanation(response.data.data.explanation))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load explanation'));
+  }, [matchId]);
+
+  const maxPoints = Math.max(1, ...(explanation?.signals || []).map(s => s.points));
+  const identifiers = explanation
+    ? [...explanation.identifiers.license_plates, ...explanation.identifiers.serial_numbers]
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-3xl max-w-4xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white px-6 py-4 rounded-t-3xl flex justify-between items-center">
+          <div>
+            <h3 className="text-xl font-bold">Why this match?</h3>
+            {explanation && (
+              <p className="text-purple-200 text-sm">
+                {explanation.overall_score}% overall - {SCORE_FORMULAS[explanation.formula] || explanation.formula}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-white/80 hover:text-white text-2xl leading-none">&times;</button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && <div className="p-3 bg-red-50 border border-red-200 rounded-2xl text-red-600 text-sm">{error}</div>}
+
+          {!explanation && !error && (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin w-8 h-8 border-4 border-gray-800 border-t-transparent rounded-full"></div>
+            </div>
+          )}
+
+          {explanation && (
+            <>
+              {/* Side by side */}
+              {explanation.comparison_image_url ? (
+                <img
+                  src={getImageUrl(explanation.comparison_image_url)}
+                  alt="Side-by-side comparison"
+                  className="w-full rounded-2xl border border-gray-200"
+                />
+              ) : (
+                <div className="grid grid-cols-2 gap-4">
+                  {[explanation.source, explanation.target].map(side => (
+                    <img
+                      key={side.photo_id}
+                      src={getImageUrl(side.image_url)}
+                      alt={side.case_title}
+                      className="w-full h-48 object-contain bg-gray-50 rounded-2xl border border-gray-200"
+                      onError={(e) => { e.target.src = '/placeholder.png'; }}
+                    />
+                  ))}
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                {[explanation.source, explanation.target].map(side => (
+                  <div key={side.photo_id}>
+                    <p className="font-medium text-gray-900">{side.case_title}</p>
+                    <p className="text-gray-500">{side.case_type?.replace('_', ' ')}</p>
+                  </div>
+                ))}
+              </div>
+
+              {/* Signal contributions */}
+              <div>
+                <h4 className="font-semibold text-gray-800 mb-3">Score Breakdown</h4>
+                {explanation.approximate && (
+                  <p className="text-xs text-yellow-700 bg-yellow-50 rounded-xl px-3 py-2 mb-3">
+                    Scored before applied weights were recorded: contributions are estimated from the category weights.
+                  </p>
+                )}
+                <div className="space-y-2">
+                  {explanation.signals.map(signal => (
+                    <div key={signal.signal} className="flex items-center gap-3 text-sm">
+                      <span className="w-36 text-gray-600">{signal.label}</span>
+                      <div className="flex-1 bg-gray-200 rounded-full h-2">
+                        <div
+                          className="h-2 rounded-full bg-purple-500"
+                          style={{ width: `${(signal.points / maxPoints) * 100}%` }}
+                        />
+                      </div>
+                      <span className="w-16 text-right font-medium">+{signal.points}</span>
+                      <span className="w-28 text-right text-xs text-gray-400">
+                        {signal.score ?? '-'}%{signal.weight !== null ? ` x ${Math.round(signal.weight * 100)}%` : ' boost'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {explanation.location && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {explanation.location.distance_text} (search radius {explanation.location.search_radius} mi): +{explanation.location.boost} pts
+                  </p>
+                )}
+              </div>
+
+              {/* Identifiers */}
+              {identifiers.length > 0 && (
+                <div>
+                  <h4 className="font-semibold text-gray-800 mb-2">Matched Identifiers</h4>
+                  <div className="flex flex-wrap gap-2">
+                    {identifiers.map((identifier, i) => (
+                      <span key={i} className="px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm font-mono">
+                        {identifier.source} = {identifier.target}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Text and colors per side */}
+              <div className="grid grid-cols-2 gap-4">
+                {['source', 'target'].map(side => (
+                  <div key={side} className="space-y-3">
+                    <div>
+                      <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Text</h4>
+                      <HighlightedText ocr={explanation.ocr[side]} />
+                    </div>
+                    <div>
+                      <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Colors</h4>
+                      <Swatches colors={explanation.colors[side]} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const REMATCH_REASONS = {
+  config_change: 'Weights changed',
+  case_update: 'Case edited',
+  visual_dna: 'Visual DNA updated',
+  manual: 'Admin request',
+};
+
+function RematchPanel() {
+  const [runs, setRuns] = useState([]);
+
+  const unfinished = runs.some(run => ['pending', 'running'].includes(run.status));
+
+  useEffect(() => {
+    loadRuns();
+  }, []);
+
+  // Poll while something is in progress
+  useEffect(() => {
+    if (!unfinished) return undefined;
+    const timer = setInterval(loadRuns, 5000);
+    return () => clearInterval(timer);
+  }, [unfinished]);
+
+  const loadRuns = async () => {
+    try {
+      const response = await getRematchRuns({ limit: 5 });
+      setRuns(response.data.data.runs);
+    } catch (err) {
+      console.error('Failed to load re-matching runs:', err);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      const response = await action();
+      if (response.data.message) alert(response.data.message);
+      loadRuns();
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const handleCatalogue = () => {
+    if (!window.confirm('Re-score every active lost-item case against the catalogue?')) return;
+    runAction(() => startRematch(), 'Failed to start re-matching');
+  };
+
+  const handleCases = () => {
+    const ids = prompt('Case IDs to re-match (comma separated):');
+    if (!ids) return;
+    const caseIds = ids.split(',').map(id => id.trim()).filter(Boolean);
+    runAction(() => startRematch(caseIds), 'Failed to start re-matching');
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Re-matching</h2>
+          <p className="text-xs text-gray-500">Existing cases are re-scored after weight changes, case edits and Visual DNA updates</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleCases}
+            className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium hover:bg-gray-200"
+          >
+            Re-match Cases
+          </button>
+          <button
+            onClick={handleCatalogue}
+            className="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-xs font-medium hover:bg-purple-200"
+          >
+            Re-match Catalogue
+          </button>
+        </div>
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="text-sm text-gray-400">No re-matching runs yet</p>
+      ) : (
+        <div className="space-y-3">
+          {runs.map((run) => (
+            <div key={run.id} className="flex items-center gap-4 text-sm">
+              <div className="w-48">
+                <p className="font-medium">
+                  {run.scope === 'catalogue' ? 'Whole catalogue' : `${run.case_ids.length} case${run.case_ids.length === 1 ? '' : 's'}`}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {REMATCH_REASONS[run.reason]} · {format(new Date(run.created_at), 'MMM d, HH:mm')}
+                </p>
+              </div>
+              <div className="flex-1">
+                <div className="bg-gray-200 rounded-full h-2">
+                  <div
+                    className={`h-2 rounded-full ${run.status === 'failed' ? 'bg-red-500' : run.status === 'cancelled' ? 'bg-gray-400' : 'bg-purple-500'}`}
+                    style={{ width: `${run.progress}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {run.processed_photos}/{run.total_photos} photos · {run.matches_created} new, {run.matches_updated} re-scored
+                  {run.failed_photos > 0 && <span className="text-red-600"> · {run.failed_photos} failed</span>}
+                </p>
+              </div>
+              <span className="w-20 text-xs text-gray-600">{run.status}</span>
+              {['pending', 'running'].includes(run.status) ? (
+                <button
+                  onClick={() => runAction(() => cancelRematch(run.id), 'Failed to cancel run')}
+                  className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-xs font-medium hover:bg-red-200"
+                >
+                  Cancel
+                </button>
+              ) : <span className="w-16" />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function MatchesPage() {
   const [stats, setStats] = useState(null);
   const [matches, setMatches] = useState([]);
@@ -67,6 +371,7 @@ export default function MatchesPage() {
     status: '',
     min_score: '',
   });
+  const [explainedMatchId, setExplainedMatchId] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -93,12 +398,6 @@ export default function MatchesPage() {
     }
   };
 
-  const getImageUrl = (imageUrl) => {
-    if (!imageUrl) return '/placeholder.png';
-    if (imageUrl.startsWith('http')) return imageUrl;
-    return `${API_URL}${imageUrl}`;
-  };
-
   const getStatusBadge = (status) => {
     const styles = {
       pending: 'bg-yellow-100 text-yellow-800',
@@ -174,6 +473,9 @@ export default function MatchesPage() {
         />
       </div>
 
+      {/* Re-matching */}
+      <RematchPanel />
+
       {/* Visual DNA Stats */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
@@ -346,6 +648,12 @@ export default function MatchesPage() {
                         {match.created_at ? format(new Date(match.created_at), 'MMM d, yyyy') : ''}
                       </span>
                     </div>
+                    <button
+                      onClick={() => setExplainedMatchId(match.id)}
+                      className="mt-2 text-xs font-medium text-purple-600 hover:text-purple-800"
+                    >
+                      Why this match?
+                    </button>
                   </div>
                 </div>
               </div>
@@ -376,6 +684,10 @@ export default function MatchesPage() {
           </div>
         )}
       </div>
+
+      {explainedMatchId && (
+        <MatchExplanationModal matchId={explainedMatchId} onClose={() => setExplainedMatchId(null)} />
+      )}
     </div>
   );
 }
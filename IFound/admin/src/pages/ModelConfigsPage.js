@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from 'react';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import {
+  getModelConfigs,
+  getModelConfig,
+  diffModelConfigs,
+  updateModelConfig,
+  cloneModelConfig,
+  activateModelConfig,
+  rollbackModelConfig,
+} from '../services/api';
+import { format } from 'date-fns';
+
+const formatMetric = (value) => (value === null || value === undefined ? '—' : value.toFixed(3));
+
+const METRIC_LABELS = {
+  training_accuracy: 'Training accuracy',
+  validation_accuracy: 'Validation accuracy',
+  test_accuracy: 'Test accuracy',
+  precision: 'Precision',
+  recall: 'Recall',
+  f1_score: 'F1',
+  training_samples: 'Training samples',
+};
+
+export default function ModelConfigsPage() {
+  const [configs, setConfigs] = useState([]);
+  const [configNames, setConfigNames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [configName, setConfigName] = useState('all_category_weights');
+  const [status, setStatus] = useState('all');
+  const [editor, setEditor] = useState(null);
+  const [compareBase, setCompareBase] = useState(null);
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    loadConfigs();
+  }, [pagination.page, configName, status]);
+
+  const loadConfigs = async () => {
+    setLoading(true);
+    try {
+      const response = await getModelConfigs({
+        page: pagination.page,
+        limit: 20,
+        config_name: configName || undefined,
+        status,
+      });
+      setConfigs(response.data.data.configs);
+      setConfigNames(response.data.data.config_names);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Failed to load model configs:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      const response = await action();
+      if (response.data.message) alert(response.data.message);
+      loadConfigs();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+      return false;
+    }
+  };
+
+  const openEditor = async (row) => {
+    try {
+      const response = await getModelConfig(row.id);
+      const config = response.data.data.config;
+      setEditor({
+        config,
+        text: JSON.stringify(config.config_data, null, 2),
+        notes: config.notes || '',
+        editable: !config.is_active && !config.approved_at && !config.rollout_mode,
+      });
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load config');
+    }
+  };
+
+  const saveEditor = async (asCopy) => {
+    let configData;
+    try {
+      configData = JSON.parse(editor.text);
+    } catch (err) {
+      alert(`Config data is not valid JSON: ${err.message}`);
+      return;
+    }
+
+    const saved = await runAction(
+      () => asCopy
+        ? cloneModelConfig(editor.config.id, configData, editor.notes || undefined)
+        : updateModelConfig(editor.config.id, configData, editor.notes),
+      'Failed to save config'
+    );
+    if (saved) setEditor(null);
+  };
+
+  const handleActivate = (row) => {
+    if (!window.confirm(`Make version ${row.version} the active ${row.config_name} config?`)) return;
+    runAction(() => activateModelConfig(row.id), 'Failed to activate config');
+  };
+
+  const handleRollback = () => {
+    const name = configName || 'all_category_weights';
+    if (!window.confirm(`Put the previously active ${name} config back?`)) return;
+    runAction(() => rollbackModelConfig(name), 'Failed to roll back');
+  };
+
+  const handleCompare = async (row) => {
+    if (!compareBase) {
+      setCompareBase(row);
+      return;
+    }
+    try {
+      const response = await diffModelConfigs(compareBase.id, row.id);
+      setDiff(response.data.data.diff);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to compare configs');
+    } finally {
+      setCompareBase(null);
+    }
+  };
+
+  const columns = [
+    {
+      key: 'version',
+      label: 'Version',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">{row.config_name} v{val}</p>
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            row.is_active ? 'bg-green-100 text-green-700' :
+            row.rollout_mode ? 'bg-blue-100 text-blue-700' :
+            'bg-gray-100 text-gray-700'
+          }`}>
+            {row.is_active ? 'Active' : row.rollout_mode ? `Rollout: ${row.rollout_mode}` : 'Inactive'}
+          </span>
+        </div>
+      ),
+    },
+    {
+      key: 'f1_score',
+      label: 'Metrics',
+      render: (val, row) => (
+        <div className="text-xs text-gray-600 space-y-1">
+          <p>P {formatMetric(row.precision)} · R {formatMetric(row.recall)} · F1 {formatMetric(val)}</p>
+          <p>
+            Acc train {formatMetric(row.training_accuracy)} · val {formatMetric(row.validation_accuracy)} · test {formatMetric(row.test_accuracy)}
+          </p>
+          <p>{row.training_samples ? `${row.training_samples} samples` : 'Not trained'}{row.training_batch_id ? ` · ${row.training_batch_id}` : ''}</p>
+        </div>
+      ),
+    },
+    {
+      key: 'notes',
+      label: 'Notes',
+      render: (val) => <p className="text-xs text-gray-600 max-w-xs whitespace-normal">{val || '—'}</p>,
+    },
+    {
+      key: 'approved_at',
+      label: 'Approved',
+      render: (val, row) => val ? (
+        <div className="text-xs">
+          <p>{format(new Date(val), 'MMM d, yyyy HH:mm')}</p>
+          {row.approver && <p className="text-gray-500">{row.approver.first_name} {row.approver.last_name}</p>}
+        </div>
+      ) : <span className="text-gray-400">—</span>,
+    },
+    {
+      key: 'created_at',
+      label: 'Created',
+      render: (val, row) => (
+        <div className="text-xs">
+          <p>{val ? format(new Date(val), 'MMM d, yyyy') : 'N/A'}</p>
+          {row.trained_at && <p className="text-gray-500">Trained {format(new Date(row.trained_at), 'MMM d, yyyy')}</p>}
+        </div>
+      ),
+    },
+  ];
+
+  const actions = (row) => (
+    <div className="flex flex-wrap justify-end gap-2">
+      <button
+        onClick={() => openEditor(row)}
+        className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium hover:bg-gray-200"
+      >
+        View / Edit
+      </button>
+      {compareBase?.id !== row.id && (
+        <button
+          onClick={() => handleCompare(row)}
+          className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium hover:bg-blue-200"
+        >
+          {compareBase ? `Diff vs v${compareBase.version}` : 'Compare'}
+        </button>
+      )}
+      {!row.is_active && (
+        <button
+          onClick={() => handleActivate(row)}
+          className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200"
+        >
+          Activate
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="bg-gradient-to-r from-gray-900 to-gray-800 rounded-3xl shadow-lg p-6 text-white">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <div className="bg-white/20 backdrop-blur-sm rounded-full p-3">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
+              </svg>
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold">Model Configs</h1>
+              <p className="text-gray-400 text-sm">Matching weights and thresholds, with the metrics stored on each version</p>
+            </div>
+          </div>
+          <button
+            onClick={handleRollback}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-2xl text-sm font-medium"
+          >
+            Roll Back
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select
+            value={configName}
+            onChange={(e) => {
+              setConfigName(e.target.value);
+              setCompareBase(null);
+              setPagination({ ...pagination, page: 1 });
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            {configNames.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+            <option value="">All Configs</option>
+          </select>
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPagination({ ...pagination, page: 1 });
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="all">All Versions</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+          {compareBase && (
+            <button
+              onClick={() => setCompareBase(null)}
+              className="px-4 py-2 bg-blue-50 text-blue-700 rounded-2xl text-sm"
+            >
+              Comparing from v{compareBase.version} · cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Diff */}
+      {diff && (
+        <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-800">
+              {diff.config_name}: v{diff.from.version} → v{diff.to.version}
+            </h3>
+            <button onClick={() => setDiff(null)} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2">Value</th>
+                  <th className="py-2">v{diff.from.version}</th>
+                  <th className="py-2">v{diff.to.version}</th>
+                  <th className="py-2">Change</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {diff.changes.length === 0 && (
+                  <tr><td colSpan={4} className="py-2 text-gray-400">Identical values</td></tr>
+                )}
+                {diff.changes.map((change) => (
+                  <tr key={change.path}>
+                    <td className="py-2 font-mono text-xs">{change.path}</td>
+                    <td className="py-2">{JSON.stringify(change.from)}</td>
+                    <td className="py-2">{JSON.stringify(change.to)}</td>
+                    <td className={`py-2 ${change.delta > 0 ? 'text-green-600' : change.delta < 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                      {change.delta === null ? '—' : `${change.delta > 0 ? '+' : ''}${change.delta}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2">Metric</th>
+                  <th className="py-2">v{diff.from.version}</th>
+                  <th className="py-2">v{diff.to.version}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {Object.entries(diff.metrics).map(([key, { from, to }]) => (
+                  <tr key={key}>
+                    <td className="py-2 text-gray-600">{METRIC_LABELS[key]}</td>
+                    <td className="py-2">{key === 'training_samples' ? (from ?? '—') : formatMetric(from)}</td>
+                    <td className="py-2">{key === 'training_samples' ? (to ?? '—') : formatMetric(to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Data Table */}
+      <DataTable columns={columns} data={configs} actions={actions} loading={loading} emptyMessage="No configs found" />
+
+      {/* Pagination */}
+      <Pagination
+        currentPage={pagination.page}
+        totalPages={pagination.pages}
+        onPageChange={(page) => setPagination({ ...pagination, page })}
+      />
+
+      {/* Editor */}
+      {editor && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-3xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="bg-gradient-to-r from-gray-900 to-gray-800 text-white px-6 py-4 rounded-t-3xl">
+              <h3 className="text-xl font-bold">{editor.config.config_name} v{editor.config.version}</h3>
+              <p className="text-gray-400 text-sm">
+                {editor.editable
+                  ? 'Unused candidate: save changes in place or as a new version'
+                  : 'Used for matching: changes are saved as a new inactive version'}
+              </p>
+            </div>
+            <div className="p-6 space-y-4">
+              <p className="text-xs text-gray-500">
+                Each category's signal weights must be above 0 and add up to 1. Thresholds are scores from 0 to 100.
+              </p>
+              <textarea
+                value={editor.text}
+                onChange={(e) => setEditor({ ...editor, text: e.target.value })}
+                rows={18}
+                className="w-full px-4 py-3 border border-gray-300 rounded-2xl font-mono text-xs focus:ring-2 focus:ring-gray-800"
+              />
+              <input
+                type="text"
+                value={editor.notes}
+                onChange={(e) => setEditor({ ...editor, notes: e.target.value })}
+                placeholder="Notes"
+                className="w-full px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+              />
+              <div className="flex gap-3 justify-end">
+                <button
+                  onClick={() => setEditor(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-full text-sm font-medium hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                {editor.editable && (
+                  <button
+                    onClick={() => saveEditor(false)}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-full text-sm font-medium hover:bg-gray-200"
+                  >
+                    Save
+                  </button>
+                )}
+                <button
+                  onClick={() => saveEditor(true)}
+                  className="px-4 py-2 bg-gray-900 text-white rounded-full text-sm font-medium hover:bg-gray-800"
+                >
+                  Save as New Version
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import DataTable from '../components/DataTable';
+import {
+  getModelRollout,
+  startModelRollout,
+  stopModelRollout,
+  promoteModelConfig,
+  rollbackModelConfig,
+} from '../services/api';
+import { format } from 'date-fns';
+
+const formatMetric = (value) => (value === null || value === undefined ? '—' : value.toFixed(3));
+
+export default function ModelRolloutPage() {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    setLoading(true);
+    try {
+      const response = await getModelRollout();
+      setStatus(response.data.data);
+    } catch (err) {
+      console.error('Failed to load rollout status:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      const response = await action();
+      if (response.data.message) alert(response.data.message);
+      loadStatus();
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const handleShadow = (row) => {
+    runAction(() => startModelRollout(row.id, 'shadow'), 'Failed to start shadow evaluation');
+  };
+
+  const handleSplit = (row) => {
+    const percent = prompt('Serve this candidate to what percentage of users? (1-50)', row.rollout_percent || 10);
+    if (!percent) return;
+    runAction(() => startModelRollout(row.id, 'split', parseInt(percent)), 'Failed to start rollout');
+  };
+
+  const handleStop = (row) => {
+    runAction(() => stopModelRollout(row.id), 'Failed to stop rollout');
+  };
+
+  const handlePromote = (row) => {
+    if (!window.confirm(`Make version ${row.version} the active weights for every user?`)) return;
+    runAction(() => promoteModelConfig(row.id), 'Failed to promote config');
+  };
+
+  const handleRollback = () => {
+    if (!window.confirm('Put the previously active weights back?')) return;
+    runAction(() => rollbackModelConfig(), 'Failed to roll back');
+  };
+
+  const active = status?.active;
+  const report = status?.report;
+
+  const columns = [
+    {
+      key: 'version',
+      label: 'Version',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">v{val}</p>
+          <p className="text-xs text-gray-500">{row.training_batch_id || 'Manual'}</p>
+        </div>
+      ),
+    },
+    {
+      key: 'f1_score',
+      label: 'Held-out F1',
+      render: (val, row) => (
+        <div>
+          <p>{formatMetric(val)}</p>
+          <p className="text-xs text-gray-500">P {formatMetric(row.precision)} · R {formatMetric(row.recall)}</p>
+        </div>
+      ),
+    },
+    {
+      key: 'notes',
+      label: 'Notes',
+      render: (val) => <p className="text-xs text-gray-600 max-w-md whitespace-normal">{val || '—'}</p>,
+    },
+    {
+      key: 'rollout_mode',
+      label: 'Rollout',
+      render: (val, row) => val ? (
+        <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs">
+          {val === 'shadow' ? 'Shadow' : `${row.rollout_percent}% of users`}
+        </span>
+      ) : <span className="text-gray-400">—</span>,
+    },
+    {
+      key: 'created_at',
+      label: 'Created',
+      render: (val) => val ? format(new Date(val), 'MMM d, yyyy') : 'N/A',
+    },
+  ];
+
+  const actions = (row) => (
+    <div className="flex flex-wrap justify-end gap-2">
+      {row.rollout_mode !== 'shadow' && (
+        <button
+          onClick={() => handleShadow(row)}
+          className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium hover:bg-gray-200"
+        >
+          Shadow
+        </button>
+      )}
+      <button
+        onClick={() => handleSplit(row)}
+        className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium hover:bg-blue-200"
+      >
+        Split
+      </button>
+      {row.rollout_mode && (
+        <button
+          onClick={() => handleStop(row)}
+          className="px-3 py-1 bg-yellow-100 text-yellow-700 rounded-full text-xs font-medium hover:bg-yellow-200"
+        >
+          Stop
+        </button>
+      )}
+      <button
+        onClick={() => handlePromote(row)}
+        className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200"
+      >
+        Promote
+      </button>
+    </div>
+  );
+
+  const comparisonRows = report ? [
+    { label: 'Precision', key: 'precision' },
+    { label: 'Recall', key: 'recall' },
+    { label: 'F1', key: 'f1' },
+    { label: 'Mean score (confirmed)', key: 'mean_score_confirmed', raw: true },
+    { label: 'Mean score (rejected)', key: 'mean_score_rejected', raw: true },
+  ] : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="bg-gradient-to-r from-gray-900 to-gray-800 rounded-3xl shadow-lg p-6 text-white">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <div className="bg-white/20 backdrop-blur-sm rounded-full p-3">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+              </svg>
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold">Weight Rollout</h1>
+              <p className="text-gray-400 text-sm">Try candidate matching weights in shadow or on a slice of users before promoting them</p>
+            </div>
+          </div>
+          <button
+            onClick={handleRollback}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-2xl text-sm font-medium"
+          >
+            Roll Back
+          </button>
+        </div>
+      </div>
+
+      {/* Active + running candidate */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+          <h3 className="text-gray-500 text-sm font-medium">Active weights</h3>
+          {active ? (
+            <>
+              <p className="text-2xl font-bold text-gray-800 mt-1">v{active.version}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {active.approved_at ? `Approved ${format(new Date(active.approved_at), 'MMM d, yyyy')}` : 'Not approved through the admin'}
+              </p>
+            </>
+          ) : (
+            <p className="text-2xl font-bold text-gray-800 mt-1">Built-in defaults</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+          <h3 className="text-gray-500 text-sm font-medium">Running candidate</h3>
+          {status?.candidate ? (
+            <>
+              <p className="text-2xl font-bold text-gray-800 mt-1">
+                v{status.candidate.version} · {status.candidate.rollout_mode === 'shadow' ? 'shadow' : `${status.candidate.rollout_percent}% of users`}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Since {format(new Date(status.candidate.rollout_started_at), 'MMM d, yyyy HH:mm')} · {report?.matches || 0} matches, {report?.with_feedback || 0} with feedback
+              </p>
+            </>
+          ) : (
+            <p className="text-2xl font-bold text-gray-800 mt-1">None</p>
+          )}
+        </div>
+      </div>
+
+      {/* Evaluation */}
+      {report && (
+        <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+          <h3 className="text-lg font-semibold text-gray-800 mb-1">Against owner feedback</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            A match counts as predicted when its score reaches {report.threshold}. Both configs are scored on the same matches.
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2">Metric</th>
+                <th className="py-2">Active</th>
+                <th className="py-2">Candidate</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {comparisonRows.map(({ label, key, raw }) => (
+                <tr key={key}>
+                  <td className="py-2 text-gray-600">{label}</td>
+                  <td className="py-2">{raw ? (report.active[key] ?? '—') : formatMetric(report.active[key])}</td>
+                  <td className="py-2">{raw ? (report.candidate[key] ?? '—') : formatMetric(report.candidate[key])}</td>
+                </tr>
+              ))}
+              {report.rollout_mode === 'split' && (
+                <tr>
+                  <td className="py-2 text-gray-600">Confirmation rate (served)</td>
+                  <td className="py-2">{formatMetric(report.active.served.confirmation_rate)}</td>
+                  <td className="py-2">{formatMetric(report.candidate.served.confirmation_rate)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Candidates */}
+      <DataTable
+        columns={columns}
+        data={status?.candidates || []}
+        actions={actions}
+        loading={loading}
+        emptyMessage="No candidate weights. Run a training pass to create one."
+      />
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import { getReports, assignReport, resolveReport, dismissReport } from '../services/api';
+import { format } from 'date-fns';
+
+const REASON_LABELS = {
+  selling: 'Selling',
+  spam: 'Spam',
+  inappropriate: 'Inappropriate',
+  fraud: 'Fraud',
+  harassment: 'Harassment',
+  personal_info: 'Personal Info',
+  other: 'Other',
+};
+
+const ACTION_LABELS = {
+  warning_issued: 'Warn author',
+  content_removed: 'Remove content',
+  user_suspended: 'Remove content and suspend the author',
+};
+
+export default function ReportsPage() {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [filters, setFilters] = useState({ status: 'pending', content_type: '', source: '' });
+
+  useEffect(() => {
+    loadReports();
+  }, [pagination.page, filters]);
+
+  const loadReports = async () => {
+    setLoading(true);
+    try {
+      const response = await getReports({
+        page: pagination.page,
+        limit: 20,
+        ...filters,
+      });
+      setReports(response.data.data.reports);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Failed to load reports:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAssign = async (reportId) => {
+    try {
+      await assignReport(reportId);
+      loadReports();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to assign report');
+    }
+  };
+
+  const handleResolve = async (reportId, action) => {
+    const notes = prompt(`${ACTION_LABELS[action]}. Enter resolution notes:`);
+    if (notes === null) return;
+
+    try {
+      await resolveReport(reportId, action, notes);
+      loadReports();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to resolve report');
+    }
+  };
+
+  const handleDismiss = async (reportId) => {
+    const notes = prompt('Dismiss report. Enter notes (optional):');
+    if (notes === null) return;
+
+    try {
+      await dismissReport(reportId, notes);
+      loadReports();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to dismiss report');
+    }
+  };
+
+  const columns = [
+    {
+      key: 'content_type',
+      label: 'Content',
+      render: (val, row) => (
+        <div>
+          <span className="px-2 py-1 rounded-full text-xs capitalize bg-purple-100 text-purple-700">{val}</span>
+          <p className="text-xs text-gray-500 mt-1">{row.content_id?.substring(0, 8)}...</p>
+        </div>
+      ),
+    },
+    {
+      key: 'content_snapshot',
+      label: 'Reported Text',
+      render: (val) => (
+        <p className="max-w-xs truncate" title={val ? Object.values(val).join('\n') : ''}>
+          {val ? Object.values(val).filter(Boolean).join(' — ') : 'N/A'}
+        </p>
+      ),
+    },
+    {
+      key: 'reason',
+      label: 'Reason',
+      render: (val, row) => (
+        <div>
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            val === 'fraud' || val === 'selling' ? 'bg-red-100 text-red-700' :
+            val === 'harassment' ? 'bg-orange-100 text-orange-700' :
+            'bg-gray-100 text-gray-700'
+          }`}>
+            {REASON_LABELS[val] || val}
+          </span>
+          {row.details && <p className="text-xs text-gray-500 mt-1 max-w-xs truncate">{row.details}</p>}
+        </div>
+      ),
+    },
+    {
+      key: 'source',
+      label: 'Reported By',
+      render: (val, row) => val === 'automatic'
+        ? `Auto (score ${row.moderation_score})`
+        : row.reporter ? `${row.reporter.first_name} ${row.reporter.last_name}` : 'N/A',
+    },
+    {
+      key: 'contentAuthor',
+      label: 'Author',
+      render: (val) => val ? (
+        <span className={val.is_suspended ? 'text-red-600' : ''}>
+          {val.first_name} {val.last_name}{val.is_suspended ? ' (suspended)' : ''}
+        </span>
+      ) : 'N/A',
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      render: (val, row) => (
+        <div>
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            val === 'pending' ? 'bg-yellow-100 text-yellow-700' :
+            val === 'assigned' ? 'bg-blue-100 text-blue-700' :
+            val === 'resolved' ? 'bg-green-100 text-green-700' :
+            'bg-gray-100 text-gray-700'
+          }`}>
+            {val}
+          </span>
+          {row.assignee && val === 'assigned' && (
+            <p className="text-xs text-gray-500 mt-1">{row.assignee.first_name} {row.assignee.last_name}</p>
+          )}
+          {row.action_taken && row.action_taken !== 'none' && (
+            <p className="text-xs text-gray-500 mt-1">{row.action_taken.replace('_', ' ')}</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'created_at',
+      label: 'Reported',
+      render: (val) => val ? format(new Date(val), 'MMM d, yyyy') : 'N/A',
+    },
+  ];
+
+  const actions = (row) => {
+    if (row.status === 'resolved' || row.status === 'dismissed') return null;
+
+    return (
+      <div className="flex flex-wrap justify-end gap-2">
+        {row.status === 'pending' && (
+          <button
+            onClick={() => handleAssign(row.id)}
+            className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium hover:bg-blue-200"
+          >
+            Assign to me
+          </button>
+        )}
+        <button
+          onClick={() => handleResolve(row.id, 'warning_issued')}
+          className="px-3 py-1 bg-yellow-100 text-yellow-700 rounded-full text-xs font-medium hover:bg-yellow-200"
+        >
+          Warn
+        </button>
+        <button
+          onClick={() => handleResolve(row.id, 'content_removed')}
+          className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-xs font-medium hover:bg-red-200"
+        >
+          Remove
+        </button>
+        <button
+          onClick={() => handleResolve(row.id, 'user_suspended')}
+          className="px-3 py-1 bg-red-600 text-white rounded-full text-xs font-medium hover:bg-red-700"
+        >
+          Suspend Author
+        </button>
+        <button
+          onClick={() => handleDismiss(row.id)}
+          className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium hover:bg-gray-200"
+        >
+          Dismiss
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="bg-gradient-to-r from-gray-900 to-gray-800 rounded-3xl shadow-lg p-6 text-white">
+        <div className="flex items-center gap-4">
+          <div className="bg-white/20 backdrop-blur-sm rounded-full p-3">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9" />
+            </svg>
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Content Reports</h1>
+            <p className="text-gray-400 text-sm">Review reported and auto-flagged content</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="">All Status</option>
+            <option value="pending">Pending</option>
+            <option value="assigned">Assigned</option>
+            <option value="resolved">Resolved</option>
+            <option value="dismissed">Dismissed</option>
+          </select>
+          <select
+            value={filters.content_type}
+            onChange={(e) => setFilters({ ...filters, content_type: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="">All Content</option>
+            <option value="case">Cases</option>
+            <option value="claim">Claims</option>
+            <option value="message">Messages</option>
+          </select>
+          <select
+            value={filters.source}
+            onChange={(e) => setFilters({ ...filters, source: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="">All Sources</option>
+            <option value="user">User Reports</option>
+            <option value="automatic">Auto-Flagged</option>
+          </select>
+          <button
+            onClick={() => setFilters({ status: '', content_type: '', source: '' })}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-full hover:bg-gray-100"
+          >
+            Clear Filters
+          </button>
+        </div>
+      </div>
+
+      {/* Data Table */}
+      <DataTable columns={columns} data={reports} actions={actions} loading={loading} emptyMessage="No reports found" />
+
+      {/* Pagination */}
+      <Pagination
+        currentPage={pagination.page}
+        totalPages={pagination.pages}
+        onPageChange={(page) => setPagination({ ...pagination, page })}
+      />
+    </div>
+  );
+}
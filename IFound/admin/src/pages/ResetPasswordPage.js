@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPassword } from '../services/api';
+
+export default function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await resetPassword(token, password);
+      setSuccess(response.data.message);
+      setTimeout(() => navigate('/login'), 2000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Password reset failed');
+    }
+    setLoading(false);
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800 focus:border-gray-800 outline-none transition-all';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-100 to-gray-200 flex items-center justify-center p-4">
+      <div className="bg-white rounded-3xl shadow-xl border border-gray-200 w-full max-w-md overflow-hidden">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-gray-900 to-gray-800 px-8 py-6 text-center">
+          <h1 className="text-2xl font-bold text-white">IFound</h1>
+          <p className="text-gray-400 text-sm mt-1">Choose a new password</p>
+        </div>
+
+        {!token ? (
+          <div className="p-8">
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-2xl text-red-600 text-sm">
+              This reset link is incomplete. Open the link from the email again, or request a new one.
+            </div>
+            <Link to="/forgot-password" className="block text-center text-sm text-gray-500 hover:text-gray-800">
+              Request a new link
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-8">
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-2xl text-red-600 text-sm">
+                {error}
+              </div>
+            )}
+            {success && (
+              <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-2xl text-green-700 text-sm">
+                {success}
+              </div>
+            )}
+
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">New Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClass}
+                placeholder="At least 8 characters"
+                required
+              />
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Confirm New Password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className={inputClass}
+                placeholder="Repeat your new password"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || !!success}
+              className="w-full bg-gradient-to-r from-gray-900 to-gray-800 text-white rounded-full px-6 py-3 shadow-md hover:shadow-lg font-medium transition-all disabled:opacity-50"
+            >
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </button>
+
+            <Link to="/forgot-password" className="block text-center text-sm text-gray-500 hover:text-gray-800 mt-6">
+              Link expired? Request a new one
+            </Link>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import { getRiskQueue, getRiskAssessment, releaseRiskClaim, rejectRiskClaim } from '../services/api';
+import { format } from 'date-fns';
+
+const API_ORIGIN = (process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1').replace(/\/api\/v1$/, '');
+
+export default function RiskPage() {
+  const [assessments, setAssessments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [decision, setDecision] = useState('held');
+  const [threshold, setThreshold] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [claimant, setClaimant] = useState(null);
+
+  useEffect(() => {
+    loadQueue();
+  }, [pagination.page, decision]);
+
+  const loadQueue = async () => {
+    setLoading(true);
+    try {
+      const response = await getRiskQueue({
+        page: pagination.page,
+        limit: 20,
+        decision,
+      });
+      setAssessments(response.data.data.assessments);
+      setThreshold(response.data.data.threshold);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Failed to load risk queue:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDetails = async (row) => {
+    if (expanded === row.id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(row.id);
+    setClaimant(null);
+    try {
+      const response = await getRiskAssessment(row.id);
+      setClaimant(response.data.data.claimant);
+    } catch (err) {
+      console.error('Failed to load claimant history:', err);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      await action();
+      loadQueue();
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const handleRelease = (row) => {
+    const notes = prompt('Release this claim to the finder? Optional notes (internal):');
+    if (notes === null) return;
+    runAction(() => releaseRiskClaim(row.id, notes), 'Failed to release claim');
+  };
+
+  const handleReject = (row) => {
+    const notes = prompt('Reject this claim as fraudulent. Why? (internal, at least 10 characters):');
+    if (!notes) return;
+    runAction(() => rejectRiskClaim(row.id, notes), 'Failed to reject claim');
+  };
+
+  const columns = [
+    {
+      key: 'claim',
+      label: 'Claim',
+      render: (val) => (
+        <div className="max-w-xs">
+          <p>{val?.foundCase?.title || 'N/A'}</p>
+          <p className="text-xs text-gray-500 truncate">{val?.verification_description}</p>
+          {val?.proof_photo_url && (
+            <a
+              href={`${API_ORIGIN}${val.proof_photo_url}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-xs text-blue-600 hover:underline"
+            >
+              Proof photo
+            </a>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'user',
+      label: 'Claimant',
+      render: (val) => val ? (
+        <div>
+          <p>{val.first_name} {val.last_name}</p>
+          <p className="text-xs text-gray-500">{val.email}</p>
+          <p className="text-xs text-gray-500">
+            Joined {format(new Date(val.created_at), 'MMM d, yyyy')} · {val.verification_status.replace(/_/g, ' ')}
+          </p>
+        </div>
+      ) : 'N/A',
+    },
+    {
+      key: 'score',
+      label: 'Risk',
+      render: (val, row) => (
+        <div className="max-w-xs">
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            row.level === 'high' ? 'bg-red-100 text-red-700' :
+            row.level === 'medium' ? 'bg-yellow-100 text-yellow-700' :
+            'bg-green-100 text-green-700'
+          }`}>
+            {val} · {row.level}
+          </span>
+          <div className="mt-1 space-y-1 text-xs text-gray-600">
+            {row.signals?.map((entry) => (
+              <p key={entry.signal} className="whitespace-normal">
+                <span className="font-medium">+{entry.points}</span> {entry.detail}
+              </p>
+            ))}
+          </div>
+          <button
+            onClick={() => toggleDetails(row)}
+            className="text-xs text-blue-600 mt-1 hover:underline"
+          >
+            {expanded === row.id ? 'Hide' : 'Show'} claimant history
+          </button>
+          {expanded === row.id && (
+            claimant ? (
+              <div className="mt-2 space-y-1 text-xs text-gray-600">
+                <p>
+                  Claims: {Object.entries(claimant.claims).map(([status, count]) => `${count} ${status.replace(/_/g, ' ')}`).join(', ') || 'none'}
+                </p>
+                {claimant.user?.is_suspended && <p className="text-red-600">Account suspended</p>}
+                {claimant.assessments.map((previous) => (
+                  <p key={previous.id}>
+                    <span className="font-medium">{format(new Date(previous.created_at), 'MMM d, HH:mm')}</span>
+                    {' '}score {previous.score}, {previous.decision}
+                  </p>
+                ))}
+              </div>
+            ) : <p className="mt-2 text-xs text-gray-400">Loading...</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'decision',
+      label: 'Decision',
+      render: (val, row) => (
+        <div>
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            val === 'held' ? 'bg-yellow-100 text-yellow-700' :
+            val === 'rejected' ? 'bg-red-100 text-red-700' :
+            'bg-green-100 text-green-700'
+          }`}>
+            {val}
+          </span>
+          {row.reviewer && (
+            <p className="text-xs text-gray-500 mt-1">{row.reviewer.first_name} {row.reviewer.last_name}</p>
+          )}
+          {row.review_notes && (
+            <p className="text-xs text-gray-500 mt-1 max-w-xs whitespace-normal">{row.review_notes}</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'created_at',
+      label: 'Claimed',
+      render: (val) => val ? format(new Date(val), 'MMM d, yyyy HH:mm') : 'N/A',
+    },
+  ];
+
+  const actions = (row) => {
+    if (row.decision !== 'held') return null;
+
+    return (
+      <div className="flex flex-wrap justify-end gap-2">
+        <button
+          onClick={() => handleRelease(row)}
+          className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200"
+        >
+          Release
+        </button>
+        <button
+          onClick={() => handleReject(row)}
+          className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-xs font-medium hover:bg-red-200"
+        >
+          Reject
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="bg-gradient-to-r from-gray-900 to-gray-800 rounded-3xl shadow-lg p-6 text-white">
+        <div className="flex items-center gap-4">
+          <div className="bg-white/20 backdrop-blur-sm rounded-full p-3">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+            </svg>
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Fraud Review</h1>
+            <p className="text-gray-400 text-sm">
+              Claims scoring {threshold ?? '...'} or more are held here before the finder sees them
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select
+            value={decision}
+            onChange={(e) => {
+              setDecision(e.target.value);
+              setExpanded(null);
+              setPagination({ ...pagination, page: 1 });
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="held">Held</option>
+            <option value="released">Released</option>
+            <option value="rejected">Rejected</option>
+            <option value="allowed">Allowed</option>
+            <option value="all">All Decisions</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Data Table */}
+      <DataTable columns={columns} data={assessments} actions={actions} loading={loading} emptyMessage="No claims in this queue" />
+
+      {/* Pagination */}
+      <Pagination
+        currentPage={pagination.page}
+        totalPages={pagination.pages}
+        onPageChange={(page) => setPagination({ ...pagination, page })}
+      />
+    </div>
+  );
+}
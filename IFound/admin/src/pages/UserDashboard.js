@@ -207,6 +207,8 @@ export default function UserDashboard() {
     description: '',
     category: '',
     foundDateTime: '',
+    secretDetails: '',
+    serialFragment: '',
   });
   const [findingForm, setFindingForm] = useState({
     title: '',
@@ -715,6 +717,10 @@ export default function UserDashboard() {
             longitude: selectedLocation?.lng,
           },
           found_date_time: foundForm.foundDateTime,
+          secret_details: {
+            details: foundForm.secretDetails,
+            serial_fragments: foundForm.serialFragment,
+          },
         }),
       });
 
@@ -759,7 +765,7 @@ export default function UserDashboard() {
         setFoundItems(prev => [newItem, ...prev.filter(i => i.id !== createdCase.id)]);
 
         // Reset form
-        setFoundForm({ title: '', description: '', category: '', foundDateTime: '' });
+        setFoundForm({ title: '', description: '', category: '', foundDateTime: '', secretDetails: '', serialFragment: '' });
         setLocationAddress('');
         setSelectedLocation(null);
         setShowMap(false);
@@ -1378,24 +1384,41 @@ export default function UserDashboard() {
     }
   };
 
-  // Confirm handover (mark transaction complete)
+  // Confirm handover (mark transaction complete): the owner opens a one-time
+  // code and the finder enters it
   const confirmHandover = async () => {
     if (!chatModal || isConfirmingHandover) return;
 
     const token = localStorage.getItem('adminToken');
+    const isClaimant = chatModal.claim.claimant_id === user?.id;
+
+    let code;
+    if (!isClaimant) {
+      code = prompt('Enter the 6-digit handover code shown in the owner\'s app:');
+      if (!code) return;
+    }
+
     setIsConfirmingHandover(true);
 
     try {
-      const response = await fetch(`${API_URL}/claims/${chatModal.claim.id}/confirm-handover`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      });
+      const response = await fetch(
+        isClaimant
+          ? `${API_URL}/claims/${chatModal.claim.id}/handover/code`
+          : `${API_URL}/claims/${chatModal.claim.id}/handover/verify`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: isClaimant ? undefined : JSON.stringify({ code }),
+        }
+      );
 
       const result = await response.json();
-      if (result.success) {
+      if (result.success && isClaimant) {
+        alert(`Show this code to the finder: ${result.data.code}`);
+      } else if (result.success) {
         // Add system message about confirmation
         const systemMsg = {
           id: 'system-' + Date.now(),
@@ -2522,6 +2545,26 @@ export default function UserDashboard() {
                   <p className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>When did you find this item?</p>
                 </div>
 
+                {/* Secret details - never shown to claimants */}
+                <div>
+                  <label className={`block font-medium mb-2 ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>Secret Details (only you see these)</label>
+                  <textarea
+                    value={foundForm.secretDetails}
+                    onChange={(e) => setFoundForm(prev => ({ ...prev, secretDetails: e.target.value }))}
+                    className={`w-full px-4 py-3 border rounded-2xl focus:ring-2 focus:ring-green-500 outline-none transition-colors ${darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900'}`}
+                    rows="3"
+                    placeholder={'One per line, e.g.\nLibrary card in the front pocket\nScratch on the back cover'}
+                  ></textarea>
+                  <input
+                    type="text"
+                    value={foundForm.serialFragment}
+                    onChange={(e) => setFoundForm(prev => ({ ...prev, serialFragment: e.target.value }))}
+                    className={`w-full mt-2 px-4 py-3 border rounded-2xl focus:ring-2 focus:ring-green-500 outline-none transition-colors ${darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900'}`}
+                    placeholder="Part of a serial number (optional, e.g. last 4 characters)"
+                  />
+                  <p className={`text-xs mt-1 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>Leave these out of the description. Claims are scored on how well they match.</p>
+                </div>
+
                 <PhotoUploadSection accentColor="green" />
 
                 {uploadError && (
@@ -3346,6 +3389,31 @@ export default function UserDashboard() {
                             <span className="font-medium">Verification:</span> {claim.verification_description}
                           </p>
 
+                          {claim.verification_score !== null && claim.verification_score !== undefined && (
+                            <div className="flex items-center gap-2 text-xs mb-2">
+                              <span className={`px-2 py-0.5 rounded-full font-medium ${
+                                claim.verification_breakdown?.level === 'high' ? 'bg-green-100 text-green-700' :
+                                claim.verification_breakdown?.level === 'medium' ? 'bg-yellow-100 text-yellow-700' :
+                                'bg-red-100 text-red-700'
+                              }`}>
+                                Match score {claim.verification_score}/100
+                              </span>
+                              {claim.verification_breakdown?.signals?.details && (
+                                <span className="text-gray-500">
+                                  {claim.verification_breakdown.signals.details.matched}/{claim.verification_breakdown.signals.details.total} secret details
+                                </span>
+                              )}
+                              {claim.verification_breakdown?.signals?.serials && (
+                                <span className="text-gray-500">
+                                  {claim.verification_breakdown.signals.serials.matched}/{claim.verification_breakdown.signals.serials.total} serial fragments
+                                </span>
+                              )}
+                              {claim.verification_breakdown?.photo_analysis?.status === 'pending' && (
+                                <span className="text-gray-400">Checking proof photo...</span>
+                              )}
+                            </div>
+                          )}
+
                           {claim.bounty_offered > 0 && (
                             <div className="flex items-center gap-1 text-sm text-green-600 mb-2">
                               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -4628,7 +4696,7 @@ export default function UserDashboard() {
                           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                           </svg>
-                          Mark Transaction Complete
+                          {chatModal.claim.claimant_id === user?.id ? 'Show Handover Code' : 'Mark Transaction Complete'}
                         </>
                       )}
                     </button>
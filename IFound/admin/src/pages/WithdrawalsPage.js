@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import DataTable from '../components/DataTable';
+import Pagination from '../components/Pagination';
+import {
+  getWithdrawals,
+  approveWithdrawal,
+  markWithdrawalPaid,
+  rejectWithdrawal,
+  failWithdrawal,
+} from '../services/api';
+import { format } from 'date-fns';
+
+export default function WithdrawalsPage() {
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [status, setStatus] = useState('pending');
+
+  useEffect(() => {
+    loadWithdrawals();
+  }, [pagination.page, status]);
+
+  const loadWithdrawals = async () => {
+    setLoading(true);
+    try {
+      const response = await getWithdrawals({
+        page: pagination.page,
+        limit: 20,
+        status,
+      });
+      setWithdrawals(response.data.data.withdrawals);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Failed to load withdrawals:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      await action();
+      loadWithdrawals();
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const amountOf = (row) => `$${parseFloat(row.amount).toFixed(2)} ${row.currency}`;
+
+  const handlePayout = (row) => {
+    if (!window.confirm(`Send a Stripe payout of ${amountOf(row)} to ${row.finder?.first_name}?`)) return;
+    runAction(() => approveWithdrawal(row.id, 'payout'), 'Failed to create payout');
+  };
+
+  const handleManual = (row) => {
+    const reference = prompt(`Paid ${amountOf(row)} outside Stripe. Enter the payment reference (e.g. e-transfer ID):`);
+    if (!reference) return;
+    runAction(() => approveWithdrawal(row.id, 'manual', reference), 'Failed to approve withdrawal');
+  };
+
+  const handleMarkPaid = (row) => {
+    const reference = prompt('Enter the payment reference confirming this payout:');
+    if (!reference) return;
+    runAction(() => markWithdrawalPaid(row.id, reference), 'Failed to mark withdrawal paid');
+  };
+
+  const handleReject = (row) => {
+    const reason = prompt('Reject withdrawal. The finder will see this reason:');
+    if (!reason) return;
+    runAction(() => rejectWithdrawal(row.id, reason), 'Failed to reject withdrawal');
+  };
+
+  const handleFail = (row) => {
+    const reason = prompt('Mark the payout as failed. Enter the reason:');
+    if (!reason) return;
+    runAction(() => failWithdrawal(row.id, reason), 'Failed to update withdrawal');
+  };
+
+  const columns = [
+    { key: 'id', label: 'ID', render: (val) => val?.substring(0, 8) + '...' },
+    {
+      key: 'finder',
+      label: 'Finder',
+      render: (val) => val ? (
+        <div>
+          <p>{val.first_name} {val.last_name}</p>
+          <p className="text-xs text-gray-500">{val.email}</p>
+        </div>
+      ) : 'N/A',
+    },
+    {
+      key: 'amount',
+      label: 'Amount',
+      render: (val, row) => amountOf(row),
+    },
+    {
+      key: 'payment_method',
+      label: 'Method',
+      render: (val, row) => (
+        <div>
+          <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs capitalize">
+            {val?.replace('_', ' ')}
+          </span>
+          {!row.finder?.stripe_account_id && (
+            <p className="text-xs text-gray-500 mt-1">No Stripe account</p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      render: (val, row) => (
+        <div>
+          <span className={`px-2 py-1 rounded-full text-xs ${
+            val === 'completed' ? 'bg-green-100 text-green-700' :
+            val === 'pending' ? 'bg-yellow-100 text-yellow-700' :
+            val === 'processing' ? 'bg-blue-100 text-blue-700' :
+            val === 'cancelled' ? 'bg-gray-100 text-gray-700' :
+            'bg-red-100 text-red-700'
+          }`}>
+            {val === 'cancelled' ? 'rejected' : val}
+          </span>
+          {row.metadata?.payout_reference && (
+            <p className="text-xs text-gray-500 mt-1">Ref: {row.metadata.payout_reference}</p>
+          )}
+          {row.stripe_payout_id && (
+            <p className="text-xs text-gray-500 mt-1">{row.stripe_payout_id}</p>
+          )}
+          {(row.metadata?.rejection_reason || row.failure_reason) && (
+            <p className="text-xs text-gray-500 mt-1 max-w-xs truncate">
+              {row.metadata?.rejection_reason || row.failure_reason}
+            </p>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'created_at',
+      label: 'Requested',
+      render: (val) => val ? format(new Date(val), 'MMM d, yyyy') : 'N/A',
+    },
+  ];
+
+  const actions = (row) => {
+    if (row.status === 'pending') {
+      return (
+        <div className="flex flex-wrap justify-end gap-2">
+          <button
+            onClick={() => handlePayout(row)}
+            disabled={!row.finder?.stripe_account_id}
+            className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200 disabled:opacity-50"
+          >
+            Pay Out
+          </button>
+          <button
+            onClick={() => handleManual(row)}
+            className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium hover:bg-blue-200"
+          >
+            Paid Manually
+          </button>
+          <button
+            onClick={() => handleReject(row)}
+            className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-xs font-medium hover:bg-red-200"
+          >
+            Reject
+          </button>
+        </div>
+      );
+    }
+
+    if (row.status === 'processing') {
+      return (
+        <div className="flex flex-wrap justify-end gap-2">
+          <button
+            onClick={() => handleMarkPaid(row)}
+            className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200"
+          >
+            Mark Paid
+          </button>
+          <button
+            onClick={() => handleFail(row)}
+            className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-xs font-medium hover:bg-red-200"
+          >
+            Mark Failed
+          </button>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="bg-gradient-to-r from-gray-900 to-gray-800 rounded-3xl shadow-lg p-6 text-white">
+        <div className="flex items-center gap-4">
+          <div className="bg-white/20 backdrop-blur-sm rounded-full p-3">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Withdrawals</h1>
+            <p className="text-gray-400 text-sm">Approve, pay out and reject finder withdrawal requests</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-3xl p-6 border border-gray-200 shadow-md">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPagination({ ...pagination, page: 1 });
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-2xl focus:ring-2 focus:ring-gray-800"
+          >
+            <option value="pending">Pending</option>
+            <option value="processing">Processing</option>
+            <option value="completed">Completed</option>
+            <option value="failed">Failed</option>
+            <option value="cancelled">Rejected</option>
+            <option value="all">All Status</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Data Table */}
+      <DataTable columns={columns} data={withdrawals} actions={actions} loading={loading} emptyMessage="No withdrawals found" />
+
+      {/* Pagination */}
+      <Pagination
+        currentPage={pagination.page}
+        totalPages={pagination.pages}
+        onPageChange={(page) => setPagination({ ...pagination, page })}
+      />
+    </div>
+  );
+}
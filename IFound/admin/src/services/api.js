@@ -32,7 +32,11 @@ api.interceptors.response.use(
 );
 
 // Auth
-export const login = (email, password) => api.post('/auth/login', { email, password });
+export const login = (email, password) => api.post('/auth/login', { email, password, device_name: 'Web dashboard' });
+// Token passed explicitly: it's cleared from storage before the request goes out
+export const logout = (token) => api.post('/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } });
+export const forgotPassword = (email) => api.post('/auth/forgot-password', { email });
+export const resetPassword = (token, newPassword) => api.post('/auth/reset-password', { token, newPassword });
 
 // Analytics
 export const getAnalytics = (params) => api.get('/admin/analytics', { params });
@@ -52,9 +56,57 @@ export const getSubmissions = (params) => api.get('/admin/submissions', { params
 // Transactions
 export const getTransactions = (params) => api.get('/admin/transactions', { params });
 
+// Withdrawals
+export const getWithdrawals = (params) => api.get('/admin/withdrawals', { params });
+export const approveWithdrawal = (id, method, reference, notes) => api.post(`/admin/withdrawals/${id}/approve`, { method, reference, notes });
+export const markWithdrawalPaid = (id, reference) => api.post(`/admin/withdrawals/${id}/mark-paid`, { reference });
+export const rejectWithdrawal = (id, reason) => api.post(`/admin/withdrawals/${id}/reject`, { reason });
+export const failWithdrawal = (id, reason) => api.post(`/admin/withdrawals/${id}/fail`, { reason });
+
+// Disputes
+export const getDisputes = (params) => api.get('/admin/disputes', { params });
+export const getDispute = (id) => api.get(`/admin/disputes/${id}`);
+export const reviewDispute = (id) => api.put(`/admin/disputes/${id}/review`);
+export const resolveDispute = (id, ruling, notes, paymentAction) => api.put(`/admin/disputes/${id}/resolve`, { ruling, notes, payment_action: paymentAction });
+
+// Claim fraud risk
+export const getRiskQueue = (params) => api.get('/admin/risk/claims', { params });
+export const getRiskAssessment = (id) => api.get(`/admin/risk/claims/${id}`);
+export const releaseRiskClaim = (id, notes) => api.put(`/admin/risk/claims/${id}/release`, { notes });
+export const rejectRiskClaim = (id, notes) => api.put(`/admin/risk/claims/${id}/reject`, { notes });
+
+// Matching model configs
+export const getModelConfigs = (params) => api.get('/admin/model-configs', { params });
+export const getModelConfig = (id) => api.get(`/admin/model-configs/${id}`);
+export const diffModelConfigs = (from, to) => api.get('/admin/model-configs/diff', { params: { from, to } });
+export const updateModelConfig = (id, configData, notes) => api.put(`/admin/model-configs/${id}`, { config_data: configData, notes });
+export const cloneModelConfig = (id, configData, notes) => api.post(`/admin/model-configs/${id}/clone`, { config_data: configData, notes });
+export const activateModelConfig = (id) => api.post(`/admin/model-configs/${id}/activate`);
+
+// Matching weight rollout
+export const getModelRollout = () => api.get('/admin/model-configs/rollout');
+export const getModelRolloutReport = (id) => api.get(`/admin/model-configs/${id}/rollout`);
+export const startModelRollout = (id, mode, percent) => api.put(`/admin/model-configs/${id}/rollout`, { mode, percent });
+export const stopModelRollout = (id) => api.delete(`/admin/model-configs/${id}/rollout`);
+export const promoteModelConfig = (id) => api.post(`/admin/model-configs/${id}/promote`);
+export const rollbackModelConfig = (configName) => api.post('/admin/model-configs/rollback', { config_name: configName });
+
 // Matches
 export const getMatches = (params) => api.get('/admin/matches', { params });
 export const getMatchStats = () => api.get('/admin/matches/stats');
 export const getUserMatches = (userId, params) => api.get(`/admin/users/${userId}/matches`, { params });
+export const getMatchExplanation = (id) => api.get(`/matches/${id}/explanation`);
+
+// Background re-matching
+export const getRematchRuns = (params) => api.get('/admin/rematch', { params });
+export const getRematchRun = (id) => api.get(`/admin/rematch/${id}`);
+export const startRematch = (caseIds) => api.post('/admin/rematch', { case_ids: caseIds });
+export const cancelRematch = (id) => api.post(`/admin/rematch/${id}/cancel`);
+
+// Content Reports
+export const getReports = (params) => api.get('/admin/reports', { params });
+export const assignReport = (id, assigneeId) => api.put(`/admin/reports/${id}/assign`, { assignee_id: assigneeId });
+export const resolveReport = (id, action, notes) => api.put(`/admin/reports/${id}/resolve`, { action, notes });
+export const dismissReport = (id, notes) => api.put(`/admin/reports/${id}/dismiss`, { notes });
 
 export default api;
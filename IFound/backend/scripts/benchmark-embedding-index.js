@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark the HNSW embedding index against the brute-force scan
+ *
+ * Reports build time, query latency (mean / p95) and recall@k, using the
+ * brute-force results as ground truth.
+ *
+ * Usage:
+ *   node scripts/benchmark-embedding-index.js [options]
+ *
+ *   --size 5000        synthetic vectors to index
+ *   --dims 768         embedding dimensions (ViT-base produces 768)
+ *   --queries 200      number of queries
+ *   --k 10             neighbours per query
+ *   --ef 64            HNSW efSearch (repeat as --ef 32,64,128 to compare)
+ *   --db               index real VisualDNA embeddings instead (needs DATABASE_URL);
+ *                      queries are those embeddings with a little noise added
+ */
+
+require('dotenv').config();
+
+const HnswIndex = require('../src/services/embeddingIndex/hnswIndex');
+const BruteForceIndex = require('../src/services/embeddingIndex/bruteForceIndex');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+};
+
+const SIZE = parseInt(getArg('size', '5000'));
+const DIMS = parseInt(getArg('dims', '768'));
+const QUERIES = parseInt(getArg('queries', '200'));
+const K = parseInt(getArg('k', '10'));
+const EF_VALUES = getArg('ef', '64').split(',').map(Number);
+const USE_DB = args.includes('--db');
+
+// Seeded RNG so runs are comparable
+let seed = 42;
+const random = () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+
+const jitter = (vector, amount) => vector.map(v => v + gaussian() * amount);
+
+/**
+ * Clustered vectors: several photos of the same object land close together
+ */
+const syntheticVectors = () => {
+  const clusters = Math.max(1, Math.round(SIZE / 20));
+  const centers = Array.from({ length: clusters }, () => Array.from({ length: DIMS }, gaussian));
+
+  const vectors = Array.from({ length: SIZE }, (_, i) => ({
+    id: `vec-${i}`,
+    vector: jitter(centers[i % clusters], 0.6),
+  }));
+  const queries = Array.from({ length: QUERIES }, () => jitter(centers[Math.floor(random() * clusters)], 0.6));
+
+  return { vectors, queries };
+};
+
+const databaseVectors = async () => {
+  const { Op } = require('sequelize');
+  const { VisualDNA, sequelize } = require('../src/models');
+
+  const rows = await VisualDNA.findAll({
+    where: { neural_embedding: { [Op.ne]: null } },
+    attributes: ['id', 'neural_embedding'],
+    raw: true,
+  });
+  await sequelize.close();
+
+  if (rows.length === 0) {
+    throw new Error('No VisualDNA rows with neural embeddings');
+  }
+
+  const vectors = rows.map(row => ({ id: row.id, vector: row.neural_embedding }));
+  const queries = Array.from({ length: QUERIES }, () =>
+    jitter(vectors[Math.floor(random() * vectors.length)].vector, 0.01));
+
+  return { vectors, queries };
+};
+
+const timeQueries = (index, queries) => {
+  const latencies = [];
+  const results = [];
+
+  for (const query of queries) {
+    const start = process.hrtime.bigint();
+    results.push(index.search(query, K, -1));
+    latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  latencies.sort((a, b) => a - b);
+  return {
+    results,
+    mean: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+    p95: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))],
+  };
+};
+
+const recallAtK = (truth, results) => {
+  let found = 0;
+  let total = 0;
+
+  truth.forEach((expected, i) => {
+    const ids = new Set(results[i].map(r => r.id));
+    found += expected.filter(r => ids.has(r.id)).length;
+    total += expected.length;
+  });
+
+  return total ? found / total : 1;
+};
+
+const run = async () => {
+  const { vectors, queries } = USE_DB ? await databaseVectors() : syntheticVectors();
+  const dims = vectors[0].vector.length;
+
+  console.log(`\n📊 Embedding index benchmark: ${vectors.length} vectors x ${dims} dims, ${queries.length} queries, k=${K}\n`);
+
+  const brute = new BruteForceIndex();
+  vectors.forEach(({ id, vector }) => brute.add(id, vector));
+  const exact = timeQueries(brute, queries);
+
+  let start = Date.now();
+  const hnsw = new HnswIndex({ random });
+  vectors.forEach(({ id, vector }) => hnsw.add(id, vector));
+  const buildMs = Date.now() - start;
+
+  start = Date.now();
+  const serialized = JSON.stringify(hnsw.toJSON());
+  HnswIndex.fromJSON(JSON.parse(serialized));
+  const persistMs = Date.now() - start;
+
+  const rows = [{
+    method: 'brute force',
+    mean_ms: exact.mean.toFixed(2),
+    p95_ms: exact.p95.toFixed(2),
+    recall: '1.000',
+    speedup: '1.0x',
+  }];
+
+  for (const ef of EF_VALUES) {
+    hnsw.efSearch = ef;
+    const approx = timeQueries(hnsw, queries);
+    rows.push({
+      method: `hnsw ef=${ef}`,
+      mean_ms: approx.mean.toFixed(2),
+      p95_ms: approx.p95.toFixed(2),
+      recall: recallAtK(exact.results, approx.results).toFixed(3),
+      speedup: `${(exact.mean / approx.mean).toFixed(1)}x`,
+    });
+  }
+
+  console.table(rows);
+  console.log(`HNSW build: ${buildMs}ms, save+load round trip: ${persistMs}ms (${(serialized.length / 1024 / 1024).toFixed(1)} MB)\n`);
+};
+
+run().catch((error) => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
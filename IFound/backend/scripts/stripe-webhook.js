@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Send a signed Stripe webhook event to a local server
+ *
+ * Builds the event from a fixture in tests/fixtures/stripe, signs it with
+ * STRIPE_WEBHOOK_SECRET the same way Stripe does, and POSTs it, so the
+ * webhook can be exercised without a Stripe account or the Stripe CLI.
+ *
+ * Usage:
+ *   node scripts/stripe-webhook.js <event-type> [options]
+ *
+ *   --payment-intent pi_...   payment intent of a bounty payment
+ *   --payout po_...           Stripe payout ID
+ *   --transaction <uuid>      withdrawal transaction ID (payout metadata)
+ *   --amount 25.00            amount in dollars
+ *   --refunded 10.00          amount refunded (charge.refunded, defaults to --amount)
+ *   --dispute-status lost     final dispute status (charge.dispute.closed)
+ *   --event evt_...           event ID (re-send one to test deduplication)
+ *   --url http://...          webhook URL (default http://localhost:3000/api/v1/payments/webhook)
+ *
+ * Example:
+ *   node scripts/stripe-webhook.js payment_intent.succeeded --payment-intent pi_3Nxyz --amount 50
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'stripe');
+
+const FIXTURE_NAMES = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => file.replace(/\.json$/, ''));
+
+const randomId = (prefix) => `${prefix}_test${crypto.randomBytes(10).toString('hex')}`;
+
+/**
+ * Replace "{{name}}" placeholders, keeping the type of the value
+ * (amounts and timestamps stay numbers)
+ */
+const fill = (node, values) => {
+  if (Array.isArray(node)) return node.map(item => fill(item, values));
+
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fill(value, values)]));
+  }
+
+  const match = typeof node === 'string' && node.match(/^\{\{(\w+)\}\}$/);
+  return match ? values[match[1]] : node;
+};
+
+/**
+ * Build a Stripe event from a fixture
+ *
+ * @param {string} name - Fixture / event type, e.g. 'payment_intent.succeeded'
+ * @param {Object} values - Placeholder values; amounts are in dollars
+ * @returns {Object} - Stripe event
+ */
+const buildEvent = (name, values = {}) => {
+  if (!FIXTURE_NAMES.includes(name)) {
+    throw new Error(`Unknown fixture "${name}". Available: ${FIXTURE_NAMES.join(', ')}`);
+  }
+
+  const template = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+  const amount = Math.round((values.amount ?? 25) * 100);
+
+  return fill(template, {
+    event_id: values.event_id || randomId('evt'),
+    created: Math.floor(Date.now() / 1000),
+    payment_intent: values.payment_intent || randomId('pi'),
+    charge: values.charge || randomId('ch'),
+    dispute: values.dispute || randomId('dp'),
+    payout: values.payout || randomId('po'),
+    account: values.account || randomId('acct'),
+    transaction_id: values.transaction_id || null,
+    dispute_status: values.dispute_status || 'lost',
+    amount,
+    amount_refunded: values.amount_refunded !== undefined ? Math.round(values.amount_refunded * 100) : amount,
+  });
+};
+
+/**
+ * Produce a Stripe-Signature header for a payload
+ *
+ * @param {string} payload - Exact request body
+ * @param {string} secret - Webhook signing secret
+ * @returns {string}
+ */
+const signPayload = (payload, secret) => Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+const run = async () => {
+  const axios = require('axios');
+
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const name = args[0];
+  if (!name || name.startsWith('--')) {
+    console.log(`Usage: node scripts/stripe-webhook.js <event-type> [options]\n\nEvent types:\n  ${FIXTURE_NAMES.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  }
+
+  const event = buildEvent(name, {
+    event_id: getArg('event'),
+    payment_intent: getArg('payment-intent'),
+    payout: getArg('payout'),
+    transaction_id: getArg('transaction'),
+    amount: getArg('amount') !== undefined ? parseFloat(getArg('amount')) : undefined,
+    amount_refunded: getArg('refunded') !== undefined ? parseFloat(getArg('refunded')) : undefined,
+    dispute_status: getArg('dispute-status'),
+  });
+
+  const payload = JSON.stringify(event);
+  const url = getArg('url') || 'http://localhost:3000/api/v1/payments/webhook';
+
+  console.log(`\n📨 Sending ${event.type} (${event.id}) to ${url}`);
+
+  const response = await axios.post(url, payload, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signPayload(payload, secret),
+    },
+    validateStatus: () => true,
+  });
+
+  console.log(`   ${response.status}`, JSON.stringify(response.data, null, 2), '\n');
+  process.exit(response.status === 200 ? 0 : 1);
+};
+
+if (require.main === module) {
+  run().catch((error) => {
+    console.error('❌ Webhook failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildEvent,
+  signPayload,
+  FIXTURE_NAMES,
+};
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Train matching weights from TrainingPair feedback
+ *
+ * Fits per-category weights and thresholds and saves them as inactive
+ * ModelConfig candidates. Nothing changes in matching until an admin
+ * approves the candidate.
+ *
+ * Usage:
+ *   node scripts/train-match-weights.js [options]
+ *
+ *   --holdout 0.2          fraction of pairs held out for evaluation
+ *   --min-confirmed 100    confirmed pairs needed before training
+ *   --min-rejected 100     rejected pairs needed before training
+ *   --min-category 40      pairs a category needs to get its own weights
+ */
+
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+};
+
+const run = async () => {
+  const { sequelize } = require('../src/models');
+  const weightTrainingService = require('../src/services/weightTrainingService');
+
+  try {
+    const result = await weightTrainingService.trainWeights({
+      holdoutFraction: parseFloat(getArg('holdout', '0.2')),
+      minConfirmed: parseInt(getArg('min-confirmed', '100')),
+      minRejected: parseInt(getArg('min-rejected', '100')),
+      minCategoryPairs: parseInt(getArg('min-category', '40')),
+    });
+
+    if (!result.success) {
+      console.log(`⚠️  ${result.message}`);
+      return;
+    }
+
+    const { report } = result;
+    console.log(`\nBatch ${report.batch_id}: ${report.pairs.train} training pairs, ${report.pairs.holdout} held out\n`);
+
+    console.table(Object.entries(report.categories).map(([category, entry]) => ({
+      category,
+      status: entry.status,
+      match: entry.train.match,
+      no_match: entry.train.no_match,
+      threshold: entry.threshold ?? '',
+      holdout_f1: entry.holdout?.f1 ?? '',
+    })));
+
+    console.table({
+      candidate: report.metrics.holdout,
+      active: report.metrics.active_holdout,
+    });
+
+    console.log(`✅ Saved candidates all_category_weights v${result.weightsConfig.version} and thresholds v${result.thresholdsConfig.version} (inactive)\n`);
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Training failed:', error.message);
+  process.exit(1);
+});
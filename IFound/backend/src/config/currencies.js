@@ -0,0 +1,80 @@
+/**
+ * Currency Configuration
+ *
+ * Currencies cases, claims and transactions can be in, with per-currency
+ * limits. Limits can be overridden per deployment, e.g. MAX_BOUNTY_EUR=40
+ * or MIN_WITHDRAWAL_USD=10. SUPPORTED_CURRENCIES (comma-separated) narrows
+ * the list; DEFAULT_CURRENCY is used when a request doesn't name one.
+ *
+ * REPORTING_CURRENCY is what cross-currency totals (admin analytics, total
+ * balances) are normalised to, see services/exchangeRates.
+ */
+
+const CURRENCIES = {
+  CAD: { symbol: '$', max_bounty: 50, min_withdrawal: 5 },
+  USD: { symbol: '$', max_bounty: 40, min_withdrawal: 5 },
+  EUR: { symbol: '€', max_bounty: 35, min_withdrawal: 5 },
+  GBP: { symbol: '£', max_bounty: 30, min_withdrawal: 5 },
+  AUD: { symbol: '$', max_bounty: 55, min_withdrawal: 5 },
+};
+
+const envNumber = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? null : value;
+};
+
+const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || Object.keys(CURRENCIES).join(','))
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(code => CURRENCIES[code]);
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'CAD').toUpperCase();
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+if (!SUPPORTED_CURRENCIES.includes(DEFAULT_CURRENCY)) {
+  throw new Error(`DEFAULT_CURRENCY ${DEFAULT_CURRENCY} is not one of SUPPORTED_CURRENCIES`);
+}
+
+const isSupportedCurrency = (code) => SUPPORTED_CURRENCIES.includes(String(code || '').toUpperCase());
+
+/**
+ * Normalise a requested currency code, falling back to the default
+ * @returns {string|null} - Upper-case code, or null if unsupported
+ */
+const resolveCurrency = (code) => {
+  if (!code) return DEFAULT_CURRENCY;
+  const upper = String(code).toUpperCase();
+  return isSupportedCurrency(upper) ? upper : null;
+};
+
+/**
+ * Limits for a currency, with env overrides applied
+ * MAX_BOUNTY_AMOUNT still sets the default currency's bounty cap.
+ */
+const getLimits = (code) => {
+  const currency = CURRENCIES[code];
+  const legacyMax = code === DEFAULT_CURRENCY ? envNumber('MAX_BOUNTY_AMOUNT') : null;
+
+  return {
+    max_bounty: envNumber(`MAX_BOUNTY_${code}`) ?? legacyMax ?? currency.max_bounty,
+    min_withdrawal: envNumber(`MIN_WITHDRAWAL_${code}`) ?? currency.min_withdrawal,
+  };
+};
+
+/**
+ * "$12.50 CAD", "€8.00 EUR"
+ */
+const formatAmount = (amount, code = DEFAULT_CURRENCY) => {
+  const symbol = CURRENCIES[code]?.symbol || '';
+  return `${symbol}${parseFloat(amount || 0).toFixed(2)} ${code}`;
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  REPORTING_CURRENCY,
+  isSupportedCurrency,
+  resolveCurrency,
+  getLimits,
+  formatAmount,
+};
@@ -1,6 +1,23 @@
-const { User, Case, Submission, Transaction, PhotoMatch, Photo, VisualDNA, sequelize } = require('../models');
+const { User, Case, Submission, Transaction, PhotoMatch, Photo, VisualDNA, ContentReport, Claim, Dispute, RiskAssessment, ModelConfig, RematchRun, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const { applyModerationAction, MODERATION_ACTIONS } = require('../services/contentModerationService');
+const jobQueue = require('../services/jobQueue');
+const { enqueuePhotoProcessing } = require('../services/photoProcessingService');
+const embeddingIndex = require('../services/embeddingIndex');
+const withdrawalService = require('../services/withdrawalService');
+const scheduler = require('../services/scheduler');
+const ledgerService = require('../services/ledgerService');
+const exchangeRates = require('../services/exchangeRates');
+const disputeService = require('../services/disputeService');
+const claimRiskService = require('../services/claimRiskService');
+const trainingDataService = require('../services/trainingDataService');
+const weightConfigService = require('../services/weightConfigService');
+const weightTrainingService = require('../services/weightTrainingService');
+const modelRolloutService = require('../services/modelRolloutService');
+const rematchService = require('../services/rematchService');
+const { REPORTING_CURRENCY } = require('../config/currencies');
 
 // @desc    Get dashboard analytics
 // @route   GET /api/v1/admin/analytics
@@ -18,15 +35,29 @@ const getDashboardAnalytics = asyncHandler(async (req, res) => {
   const activeCases = await Case.count({ where: { status: 'active' } });
   const resolvedCases = await Case.count({ where: { status: 'resolved' } });
 
-  // Financial stats
-  const financialStats = await Transaction.findOne({
+  // Financial stats, per currency and normalised to the reporting currency
+  const financialStats = await Transaction.findAll({
     attributes: [
+      'currency',
       [sequelize.fn('SUM', sequelize.col('amount')), 'total_bounties'],
       [sequelize.fn('SUM', sequelize.col('platform_commission')), 'total_commission'],
     ],
     where: { status: 'completed' },
+    group: ['currency'],
+    raw: true,
   });
 
+  const byCurrency = Object.fromEntries(financialStats.map(row => [row.currency, {
+    totalBounties: parseFloat(row.total_bounties || 0),
+    totalCommission: parseFloat(row.total_commission || 0),
+  }]));
+  const totalBounties = await exchangeRates.normalizeTotals(
+    Object.fromEntries(Object.entries(byCurrency).map(([code, totals]) => [code, totals.totalBounties]))
+  );
+  const totalCommission = await exchangeRates.normalizeTotals(
+    Object.fromEntries(Object.entries(byCurrency).map(([code, totals]) => [code, totals.totalCommission]))
+  );
+
   // Cases by type
   const casesByType = await Case.findAll({
     attributes: [
@@ -66,8 +97,11 @@ const getDashboardAnalytics = asyncHandler(async (req, res) => {
         resolvedCases,
       },
       financial: {
-        totalBounties: financialStats?.dataValues.total_bounties || 0,
-        totalCommission: financialStats?.dataValues.total_commission || 0,
+        totalBounties,
+        totalCommission,
+        currency: REPORTING_CURRENCY,
+        byCurrency,
+        exchangeRates: exchangeRates.getStatus(),
       },
       casesByType,
       recentActivity: {
@@ -104,7 +138,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
     limit: parseInt(limit),
     offset,
     order: [['created_at', 'DESC']],
-    attributes: { exclude: ['password_hash'] },
+    attributes: { exclude: ['password_hash', 'password_reset_token_hash'] },
   });
 
   res.status(200).json({
@@ -331,6 +365,94 @@ const getAllTransactions = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    List withdrawal requests (pending by default, oldest first)
+// @route   GET /api/v1/admin/withdrawals
+// @access  Private (admin only)
+const getWithdrawals = asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+  const where = { transaction_type: 'withdrawal' };
+  if (status !== 'all') where.status = status;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows: withdrawals } = await Transaction.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset,
+    order: [['created_at', status === 'pending' ? 'ASC' : 'DESC']],
+    include: [
+      {
+        model: User,
+        as: 'finder',
+        attributes: ['id', 'first_name', 'last_name', 'email', 'stripe_account_id'],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      withdrawals,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+const sendWithdrawalResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: { withdrawal: result.withdrawal },
+  });
+};
+
+// @desc    Approve a withdrawal (Stripe payout, or manual payment with a reference)
+// @route   POST /api/v1/admin/withdrawals/:id/approve
+// @access  Private (admin only)
+const approveWithdrawal = asyncHandler(async (req, res) => {
+  const { method, reference, notes } = req.body;
+
+  const result = await withdrawalService.approveWithdrawal(req.params.id, req.userId, { method, reference, notes });
+  sendWithdrawalResult(res, result);
+});
+
+// @desc    Mark a processing withdrawal as paid
+// @route   POST /api/v1/admin/withdrawals/:id/mark-paid
+// @access  Private (admin only)
+const markWithdrawalPaid = asyncHandler(async (req, res) => {
+  const result = await withdrawalService.markWithdrawalPaid(req.params.id, req.userId, req.body.reference);
+  sendWithdrawalResult(res, result);
+});
+
+// @desc    Reject a pending withdrawal (funds return to the finder's balance)
+// @route   POST /api/v1/admin/withdrawals/:id/reject
+// @access  Private (admin only)
+const rejectWithdrawal = asyncHandler(async (req, res) => {
+  const result = await withdrawalService.rejectWithdrawal(req.params.id, req.userId, req.body.reason);
+  sendWithdrawalResult(res, result);
+});
+
+// @desc    Mark a processing withdrawal as failed (funds return to the finder's balance)
+// @route   POST /api/v1/admin/withdrawals/:id/fail
+// @access  Private (admin only)
+const failWithdrawal = asyncHandler(async (req, res) => {
+  const result = await withdrawalService.failWithdrawal(req.params.id, req.userId, req.body.reason);
+  sendWithdrawalResult(res, result);
+});
+
 // @desc    Get all matches for admin dashboard
 // @route   GET /api/v1/admin/matches
 // @access  Private (admin only)
@@ -557,6 +679,1070 @@ const getUserMatches = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get content report queue
+// @route   GET /api/v1/admin/reports
+// @access  Private (admin only)
+const getContentReports = asyncHandler(async (req, res) => {
+  const { status, content_type, reason, source, assigned_to, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (content_type) where.content_type = content_type;
+  if (reason) where.reason = reason;
+  if (source) where.source = source;
+  if (assigned_to) where.assigned_to = assigned_to === 'me' ? req.userId : assigned_to;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows: reports } = await ContentReport.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset,
+    order: [['created_at', 'ASC']],
+    include: [
+      {
+        model: User,
+        as: 'reporter',
+        attributes: ['id', 'first_name', 'last_name', 'email'],
+      },
+      {
+        model: User,
+        as: 'contentAuthor',
+        attributes: ['id', 'first_name', 'last_name', 'email', 'is_suspended'],
+      },
+      {
+        model: User,
+        as: 'assignee',
+        attributes: ['id', 'first_name', 'last_name'],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// @desc    Assign a content report to a moderator (defaults to self)
+// @route   PUT /api/v1/admin/reports/:id/assign
+// @access  Private (admin only)
+const assignContentReport = asyncHandler(async (req, res) => {
+  const { assignee_id } = req.body;
+
+  const report = await ContentReport.findByPk(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found',
+    });
+  }
+
+  if (['resolved', 'dismissed'].includes(report.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Report is already ${report.status}`,
+    });
+  }
+
+  const assigneeId = assignee_id || req.userId;
+
+  if (assigneeId !== req.userId) {
+    const assignee = await User.findByPk(assigneeId);
+    if (!assignee || assignee.user_type !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reports can only be assigned to admins',
+      });
+    }
+  }
+
+  report.status = 'assigned';
+  report.assigned_to = assigneeId;
+  report.assigned_at = new Date();
+  await report.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Report assigned successfully',
+    data: { report },
+  });
+});
+
+// @desc    Resolve a content report and apply the moderation action
+// @route   PUT /api/v1/admin/reports/:id/resolve
+// @access  Private (admin only)
+const resolveContentReport = asyncHandler(async (req, res) => {
+  const { action, notes } = req.body;
+
+  if (!action || !MODERATION_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      success: false,
+      message: `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`,
+    });
+  }
+
+  const report = await ContentReport.findByPk(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found',
+    });
+  }
+
+  if (['resolved', 'dismissed'].includes(report.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Report is already ${report.status}`,
+    });
+  }
+
+  report.status = 'resolved';
+  report.action_taken = action;
+  report.resolution_notes = notes || null;
+  report.resolved_by = req.userId;
+  report.resolved_at = new Date();
+  await report.save();
+
+  await applyModerationAction(report, action);
+
+  logger.audit('content_report_resolved', req.userId, {
+    reportId: report.id,
+    contentType: report.content_type,
+    contentId: report.content_id,
+    authorId: report.content_author_id,
+    action,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Report resolved successfully',
+    data: { report },
+  });
+});
+
+// @desc    Dismiss a content report (no violation)
+// @route   PUT /api/v1/admin/reports/:id/dismiss
+// @access  Private (admin only)
+const dismissContentReport = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  const report = await ContentReport.findByPk(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found',
+    });
+  }
+
+  if (['resolved', 'dismissed'].includes(report.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Report is already ${report.status}`,
+    });
+  }
+
+  report.status = 'dismissed';
+  report.action_taken = 'none';
+  report.resolution_notes = notes || null;
+  report.resolved_by = req.userId;
+  report.resolved_at = new Date();
+  await report.save();
+
+  logger.audit('content_report_dismissed', req.userId, {
+    reportId: report.id,
+    contentType: report.content_type,
+    contentId: report.content_id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Report dismissed',
+    data: { report },
+  });
+});
+
+// @desc    List background jobs
+// @route   GET /api/v1/admin/jobs
+// @access  Private (admin only)
+const getJobs = asyncHandler(async (req, res) => {
+  const { status, type, page = 1, limit = 20 } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { total, jobs } = await jobQueue.listJobs({
+    status,
+    type,
+    offset,
+    limit: parseInt(limit),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      jobs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// @desc    Job counts by type and status
+// @route   GET /api/v1/admin/jobs/stats
+// @access  Private (admin only)
+const getJobStats = asyncHandler(async (req, res) => {
+  const stats = await jobQueue.getStats();
+
+  res.status(200).json({
+    success: true,
+    data: { stats },
+  });
+});
+
+// @desc    Get a background job
+// @route   GET /api/v1/admin/jobs/:id
+// @access  Private (admin only)
+const getJobById = asyncHandler(async (req, res) => {
+  const job = await jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { job },
+  });
+});
+
+// @desc    Re-enqueue a dead-lettered (or completed) job
+// @route   POST /api/v1/admin/jobs/:id/retry
+// @access  Private (admin only)
+const retryJob = asyncHandler(async (req, res) => {
+  const { job, error, status } = await jobQueue.requeueJob(req.params.id);
+
+  if (error) {
+    return res.status(status).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  // A dead photo.process job left its photo marked failed
+  if (job.type === 'photo.process' && job.payload?.photoId) {
+    await Photo.update(
+      { upload_status: 'processing', upload_error: null },
+      { where: { id: job.payload.photoId } }
+    );
+  }
+
+  logger.audit('job_requeued', req.userId, { jobId: job.id, type: job.type });
+
+  res.status(200).json({
+    success: true,
+    message: 'Job re-enqueued',
+    data: { job },
+  });
+});
+
+// @desc    Queue AI processing again for a photo (e.g. failed or stuck in processing)
+// @route   POST /api/v1/admin/photos/:id/reprocess
+// @access  Private (admin only)
+const reprocessPhoto = asyncHandler(async (req, res) => {
+  const photo = await Photo.findByPk(req.params.id);
+
+  if (!photo) {
+    return res.status(404).json({
+      success: false,
+      message: 'Photo not found',
+    });
+  }
+
+  photo.upload_status = 'processing';
+  photo.upload_error = null;
+  await photo.save();
+
+  const job = await enqueuePhotoProcessing(photo);
+
+  logger.audit('photo_reprocess_queued', req.userId, { photoId: photo.id, jobId: job.id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Photo queued for processing',
+    data: { job },
+  });
+});
+
+// @desc    Get neural embedding index status
+// @route   GET /api/v1/admin/embedding-index
+// @access  Private (admin only)
+const getEmbeddingIndexStatus = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { index: embeddingIndex.getStatus() },
+  });
+});
+
+// @desc    Rebuild the neural embedding index from the database
+// @route   POST /api/v1/admin/embedding-index/rebuild
+// @access  Private (admin only)
+const rebuildEmbeddingIndex = asyncHandler(async (req, res) => {
+  const index = await embeddingIndex.rebuild();
+
+  logger.audit('embedding_index_rebuilt', req.userId, { size: index.size, backend: index.backend });
+
+  res.status(200).json({
+    success: true,
+    message: 'Embedding index rebuilt',
+    data: { index },
+  });
+});
+
+// @desc    Scheduled maintenance tasks and their last outcome in this process
+// @route   GET /api/v1/admin/scheduler
+// @access  Private (admin only)
+const getScheduledTasks = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { tasks: scheduler.getStatus() },
+  });
+});
+
+// @desc    Run a scheduled task now
+// @route   POST /api/v1/admin/scheduler/:name/run
+// @access  Private (admin only)
+const runScheduledTask = asyncHandler(async (req, res) => {
+  if (!scheduler.hasTask(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scheduled task not found',
+    });
+  }
+
+  const outcome = await scheduler.runTask(req.params.name);
+
+  if (!outcome.ran) {
+    return res.status(409).json({
+      success: false,
+      message: 'Task is already running',
+    });
+  }
+
+  logger.audit('scheduled_task_run', req.userId, { task: req.params.name, error: outcome.error });
+
+  res.status(outcome.error ? 500 : 200).json({
+    success: !outcome.error,
+    message: outcome.error || 'Task completed',
+    data: { result: outcome.result ?? null },
+  });
+});
+
+// @desc    Ledger reconciliation report (trial balance, unbalanced journals,
+//          transactions whose entries don't match their status)
+// @route   GET /api/v1/admin/ledger/reconciliation
+// @access  Private (admin only)
+const getLedgerReconciliation = asyncHandler(async (req, res) => {
+  const report = await ledgerService.getReconciliationReport();
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
+
+// @desc    Post catch-up ledger entries for out-of-step transactions
+// @route   POST /api/v1/admin/ledger/repair
+// @access  Private (admin only)
+const repairLedger = asyncHandler(async (req, res) => {
+  const repaired = await ledgerService.repairUnpostedTransactions(req.userId);
+  const report = await ledgerService.getReconciliationReport();
+
+  res.status(200).json({
+    success: true,
+    message: `Posted entries for ${repaired} transaction${repaired === 1 ? '' : 's'}`,
+    data: { repaired, report },
+  });
+});
+
+const DISPUTE_PARTY_ATTRIBUTES = ['id', 'first_name', 'last_name', 'email'];
+
+// @desc    Get claim disputes (oldest first, so the queue is worked in order)
+// @route   GET /api/v1/admin/disputes?status=open
+// @access  Private (admin only)
+const getDisputes = asyncHandler(async (req, res) => {
+  const { status = 'open', page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (status === 'active') where.status = ['open', 'under_review'];
+  else if (status !== 'all') where.status = status;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows: disputes } = await Dispute.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset,
+    order: [['created_at', status === 'resolved' ? 'DESC' : 'ASC']],
+    include: [
+      { model: User, as: 'raisedBy', attributes: DISPUTE_PARTY_ATTRIBUTES },
+      { model: User, as: 'assignee', attributes: ['id', 'first_name', 'last_name'] },
+      {
+        model: Claim,
+        as: 'claim',
+        attributes: ['id', 'status', 'bounty_offered', 'currency', 'claimant_id'],
+        include: [{ model: Case, as: 'foundCase', attributes: ['id', 'title', 'poster_id'] }],
+      },
+      {
+        model: Transaction,
+        as: 'transaction',
+        attributes: ['id', 'amount', 'net_amount', 'currency', 'status', 'frozen_at'],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      disputes,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// @desc    Get one dispute with both parties, the claim and its evidence
+// @route   GET /api/v1/admin/disputes/:id
+// @access  Private (admin only)
+const getDisputeById = asyncHandler(async (req, res) => {
+  const dispute = await Dispute.findByPk(req.params.id, {
+    include: [
+      { model: User, as: 'raisedBy', attributes: DISPUTE_PARTY_ATTRIBUTES },
+      { model: User, as: 'resolver', attributes: ['id', 'first_name', 'last_name'] },
+      {
+        model: Claim,
+        as: 'claim',
+        include: [
+          { model: User, as: 'claimant', attributes: DISPUTE_PARTY_ATTRIBUTES },
+          {
+            model: Case,
+            as: 'foundCase',
+            attributes: ['id', 'title', 'poster_id'],
+            include: [{ model: User, as: 'poster', attributes: DISPUTE_PARTY_ATTRIBUTES }],
+          },
+        ],
+      },
+      { model: Transaction, as: 'transaction' },
+    ],
+  });
+
+  if (!dispute) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dispute not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { dispute },
+  });
+});
+
+const sendDisputeResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: { dispute: result.dispute },
+  });
+};
+
+// @desc    Take a dispute into review
+// @route   PUT /api/v1/admin/disputes/:id/review
+// @access  Private (admin only)
+const reviewDispute = asyncHandler(async (req, res) => {
+  const result = await disputeService.startReview(req.params.id, req.userId);
+  sendDisputeResult(res, result);
+});
+
+// @desc    Rule on a dispute (refund or release the frozen bounty)
+// @route   PUT /api/v1/admin/disputes/:id/resolve
+// @access  Private (admin only)
+const resolveDispute = asyncHandler(async (req, res) => {
+  const { ruling, payment_action, notes } = req.body;
+
+  const result = await disputeService.resolveDispute(req.params.id, req.userId, { ruling, payment_action, notes });
+  sendDisputeResult(res, result);
+});
+
+// @desc    Get the claim risk queue (held claims, highest risk first)
+// @route   GET /api/v1/admin/risk/claims
+// @access  Private (admin only)
+const getRiskQueue = asyncHandler(async (req, res) => {
+  const { decision = 'held', min_score, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (decision !== 'all') where.decision = decision;
+  if (min_score) where.score = { [Op.gte]: parseInt(min_score) };
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows: assessments } = await RiskAssessment.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset,
+    order: decision === 'held' ? [['score', 'DESC'], ['created_at', 'ASC']] : [['created_at', 'DESC']],
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'first_name', 'last_name', 'email', 'verification_status', 'created_at'] },
+      { model: User, as: 'reviewer', attributes: ['id', 'first_name', 'last_name'] },
+      {
+        model: Claim,
+        as: 'claim',
+        attributes: ['id', 'status', 'verification_description', 'proof_photo_url', 'bounty_offered', 'currency', 'created_at'],
+        // Held claims that were cancelled or closed meanwhile drop out of the queue
+        ...(decision === 'held' && { where: { status: 'on_hold' } }),
+        include: [{ model: Case, as: 'foundCase', attributes: ['id', 'title', 'poster_id'] }],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      assessments,
+      threshold: claimRiskService.HOLD_THRESHOLD,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// @desc    Get one risk assessment with the claimant's risk history
+// @route   GET /api/v1/admin/risk/claims/:id
+// @access  Private (admin only)
+const getRiskAssessmentById = asyncHandler(async (req, res) => {
+  const assessment = await RiskAssessment.findByPk(req.params.id, {
+    include: [
+      { model: User, as: 'reviewer', attributes: ['id', 'first_name', 'last_name'] },
+      {
+        model: Claim,
+        as: 'claim',
+        include: [{ model: Case, as: 'foundCase', attributes: ['id', 'title', 'poster_id'] }],
+      },
+    ],
+  });
+
+  if (!assessment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Risk assessment not found',
+    });
+  }
+
+  const claimant = await claimRiskService.getClaimantProfile(assessment.user_id);
+
+  res.status(200).json({
+    success: true,
+    data: { assessment, claimant },
+  });
+});
+
+const sendRiskResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: { assessment: result.assessment },
+  });
+};
+
+// @desc    Release a held claim to the finder
+// @route   PUT /api/v1/admin/risk/claims/:id/release
+// @access  Private (admin only)
+const releaseHeldClaim = asyncHandler(async (req, res) => {
+  const result = await claimRiskService.releaseClaim(req.params.id, req.userId, req.body.notes);
+  sendRiskResult(res, result);
+});
+
+// @desc    Reject a held claim as fraudulent
+// @route   PUT /api/v1/admin/risk/claims/:id/reject
+// @access  Private (admin only)
+const rejectHeldClaim = asyncHandler(async (req, res) => {
+  const result = await claimRiskService.rejectClaim(req.params.id, req.userId, req.body.notes);
+  sendRiskResult(res, result);
+});
+
+// @desc    Training data readiness and recent training runs
+// @route   GET /api/v1/admin/model-configs/training
+// @access  Private (admin only)
+const getTrainingStatus = asyncHandler(async (req, res) => {
+  const [stats, runs] = await Promise.all([
+    trainingDataService.getTrainingStats(),
+    jobQueue.listJobs({ type: weightTrainingService.JOB_TYPE, limit: 10 }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { stats, runs: runs.jobs },
+  });
+});
+
+// @desc    Queue a weight training run (saves an inactive candidate)
+// @route   POST /api/v1/admin/model-configs/training
+// @access  Private (admin only)
+const startTraining = asyncHandler(async (req, res) => {
+  const { holdout_fraction, min_category_pairs } = req.body;
+
+  const options = {};
+  if (holdout_fraction !== undefined) {
+    const fraction = parseFloat(holdout_fraction);
+    if (!(fraction >= 0.05 && fraction <= 0.5)) {
+      return res.status(400).json({
+        success: false,
+        message: 'holdout_fraction must be between 0.05 and 0.5',
+      });
+    }
+    options.holdoutFraction = fraction;
+  }
+  if (min_category_pairs !== undefined) {
+    options.minCategoryPairs = Math.max(20, parseInt(min_category_pairs) || 0);
+  }
+
+  if (!(await trainingDataService.canStartTraining())) {
+    const stats = await trainingDataService.getTrainingStats();
+    return res.status(409).json({
+      success: false,
+      message: `Not enough feedback yet: ${stats.matchPairs} confirmed and ${stats.noMatchPairs} rejected pairs (need 100 of each)`,
+    });
+  }
+
+  const result = await weightTrainingService.enqueueTraining(req.userId, options);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  logger.audit('model_training_queued', req.userId, { jobId: result.job.id, ...options });
+
+  res.status(202).json({
+    success: true,
+    message: 'Training run queued. The result is saved as an inactive candidate.',
+    data: { job: result.job },
+  });
+});
+
+// @desc    Active weights, the candidate being rolled out and its evaluation
+// @route   GET /api/v1/admin/model-configs/rollout
+// @access  Private (admin only)
+const getRolloutStatus = asyncHandler(async (req, res) => {
+  const status = await modelRolloutService.getRolloutStatus();
+
+  res.status(200).json({
+    success: true,
+    data: status,
+  });
+});
+
+// @desc    Evaluation of a candidate against MatchFeedback
+// @route   GET /api/v1/admin/model-configs/:id/rollout
+// @access  Private (admin only)
+const getRolloutReport = asyncHandler(async (req, res) => {
+  const result = await modelRolloutService.getRolloutReport(req.params.id);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { report: result.report },
+  });
+});
+
+const sendModelConfigResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: { config: result.config },
+  });
+};
+
+// @desc    Start or change a candidate's rollout (shadow or percentage split)
+// @route   PUT /api/v1/admin/model-configs/:id/rollout
+// @access  Private (admin only)
+const startRollout = asyncHandler(async (req, res) => {
+  const { mode, percent } = req.body;
+  const result = await modelRolloutService.startRollout(req.params.id, { mode, percent }, req.userId);
+  sendModelConfigResult(res, result);
+});
+
+// @desc    Stop a candidate's rollout
+// @route   DELETE /api/v1/admin/model-configs/:id/rollout
+// @access  Private (admin only)
+const stopRollout = asyncHandler(async (req, res) => {
+  const result = await modelRolloutService.stopRollout(req.params.id, req.userId);
+  sendModelConfigResult(res, result);
+});
+
+// @desc    Promote a candidate to the active weights
+// @route   POST /api/v1/admin/model-configs/:id/promote
+// @access  Private (admin only)
+const promoteModelConfig = asyncHandler(async (req, res) => {
+  const result = await modelRolloutService.promote(req.params.id, req.userId);
+  sendModelConfigResult(res, result);
+});
+
+// @desc    Reactivate the config the active one replaced (weights unless config_name is given)
+// @route   POST /api/v1/admin/model-configs/rollback
+// @access  Private (admin only)
+const rollbackModelConfig = asyncHandler(async (req, res) => {
+  const result = await modelRolloutService.rollback(req.userId, req.body.config_name);
+  sendModelConfigResult(res, result);
+});
+
+// @desc    List config versions with their stored metrics
+// @route   GET /api/v1/admin/model-configs
+// @access  Private (admin only)
+const getModelConfigs = asyncHandler(async (req, res) => {
+  const { config_name, status = 'all', page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (config_name) where.config_name = config_name;
+  if (status === 'active') where.is_active = true;
+  if (status === 'inactive') where.is_active = false;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const [{ count, rows: configs }, names] = await Promise.all([
+    ModelConfig.findAndCountAll({
+      where,
+      attributes: { exclude: ['config_data'] },
+      include: [
+        {
+          model: User,
+          as: 'approver',
+          attributes: ['id', 'first_name', 'last_name'],
+        },
+      ],
+      order: [['config_name', 'ASC'], ['version', 'DESC']],
+      limit: parseInt(limit),
+      offset,
+    }),
+    ModelConfig.findAll({
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('config_name')), 'config_name']],
+      raw: true,
+    }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      configs,
+      config_names: names.map(row => row.config_name).sort(),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// @desc    Differences between two versions of a config
+// @route   GET /api/v1/admin/model-configs/diff?from=:id&to=:id
+// @access  Private (admin only)
+const diffModelConfigs = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to config IDs are required',
+    });
+  }
+
+  const result = await weightConfigService.diffConfigs(from, to);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { diff: result.diff },
+  });
+});
+
+// @desc    One config version with its data
+// @route   GET /api/v1/admin/model-configs/:id
+// @access  Private (admin only)
+const getModelConfigById = asyncHandler(async (req, res) => {
+  const config = await ModelConfig.findByPk(req.params.id, {
+    include: [
+      {
+        model: User,
+        as: 'approver',
+        attributes: ['id', 'first_name', 'last_name'],
+      },
+      {
+        model: ModelConfig,
+        as: 'parentConfig',
+        attributes: ['id', 'version', 'is_active'],
+      },
+    ],
+  });
+
+  if (!config) {
+    return res.status(404).json({
+      success: false,
+      message: 'Config not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { config },
+  });
+});
+
+// @desc    Edit a candidate that hasn't been used for matching
+// @route   PUT /api/v1/admin/model-configs/:id
+// @access  Private (admin only)
+const updateModelConfig = asyncHandler(async (req, res) => {
+  const { config_data, notes } = req.body;
+  const result = await weightConfigService.updateCandidate(
+    req.params.id,
+    { configData: config_data, notes },
+    req.userId
+  );
+  sendModelConfigResult(res, result);
+});
+
+// @desc    Save a copy of a config (with optional changes) as a new inactive version
+// @route   POST /api/v1/admin/model-configs/:id/clone
+// @access  Private (admin only)
+const cloneModelConfig = asyncHandler(async (req, res) => {
+  const { config_data, notes } = req.body;
+  const result = await weightConfigService.cloneConfig(
+    req.params.id,
+    { configData: config_data, notes },
+    req.userId
+  );
+
+  if (!result.success) return sendModelConfigResult(res, result);
+
+  res.status(201).json({
+    success: true,
+    message: result.message,
+    data: { config: result.config },
+  });
+});
+
+// @desc    Approve a config version and make it the active one for its name
+// @route   POST /api/v1/admin/model-configs/:id/activate
+// @access  Private (admin only)
+const activateModelConfig = asyncHandler(async (req, res) => {
+  const result = await weightConfigService.activateConfig(req.params.id, req.userId);
+
+  if (result.success) {
+    logger.audit('model_config_activated', req.userId, {
+      configId: result.config.id,
+      configName: result.config.config_name,
+      version: result.config.version,
+      previousConfigId: result.previous?.id || null,
+    });
+    result.message = `Version ${result.config.version} of ${result.config.config_name} is now active`;
+  }
+
+  sendModelConfigResult(res, result);
+});
+
+// @desc    Re-matching runs with their progress
+// @route   GET /api/v1/admin/rematch
+// @access  Private (admin only)
+const getRematchRuns = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const [{ count, rows: runs }, queueStats] = await Promise.all([
+    RematchRun.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'requester',
+          attributes: ['id', 'first_name', 'last_name'],
+        },
+      ],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset,
+    }),
+    jobQueue.getStats(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      runs: runs.map(rematchService.withProgress),
+      queue: queueStats[rematchService.JOB_TYPE] || null,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+// @desc    One re-matching run
+// @route   GET /api/v1/admin/rematch/:id
+// @access  Private (admin only)
+const getRematchRunById = asyncHandler(async (req, res) => {
+  const run = await RematchRun.findByPk(req.params.id, {
+    include: [
+      {
+        model: User,
+        as: 'requester',
+        attributes: ['id', 'first_name', 'last_name'],
+      },
+    ],
+  });
+
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      message: 'Run not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { run: rematchService.withProgress(run) },
+  });
+});
+
+// @desc    Re-match selected cases (case_ids) or the whole active catalogue
+// @route   POST /api/v1/admin/rematch
+// @access  Private (admin only)
+const startRematch = asyncHandler(async (req, res) => {
+  const { case_ids } = req.body;
+
+  if (case_ids !== undefined && (!Array.isArray(case_ids) || case_ids.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'case_ids must be a list of case IDs',
+    });
+  }
+
+  const result = await rematchService.startRun({
+    caseIds: case_ids || null,
+    reason: 'manual',
+    requestedBy: req.userId,
+  });
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  logger.audit('rematch_run_started', req.userId, {
+    runId: result.run.id,
+    scope: result.run.scope,
+    cases: result.run.case_ids.length,
+  });
+
+  res.status(202).json({
+    success: true,
+    message: result.existing
+      ? 'These cases are already queued for re-matching'
+      : `Re-matching ${result.run.total_photos} photos in the background`,
+    data: { run: rematchService.withProgress(result.run) },
+  });
+});
+
+// @desc    Stop a re-matching run
+// @route   POST /api/v1/admin/rematch/:id/cancel
+// @access  Private (admin only)
+const cancelRematch = asyncHandler(async (req, res) => {
+  const result = await rematchService.cancelRun(req.params.id, req.userId);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: { run: rematchService.withProgress(result.run) },
+  });
+});
+
 module.exports = {
   getDashboardAnalytics,
   getAllUsers,
@@ -566,7 +1752,53 @@ module.exports = {
   suspendCase,
   getAllSubmissions,
   getAllTransactions,
+  getWithdrawals,
+  approveWithdrawal,
+  markWithdrawalPaid,
+  rejectWithdrawal,
+  failWithdrawal,
   getAllMatches,
   getMatchStats,
   getUserMatches,
+  getContentReports,
+  assignContentReport,
+  resolveContentReport,
+  dismissContentReport,
+  getJobs,
+  getJobStats,
+  getJobById,
+  retryJob,
+  reprocessPhoto,
+  getEmbeddingIndexStatus,
+  rebuildEmbeddingIndex,
+  getScheduledTasks,
+  runScheduledTask,
+  getLedgerReconciliation,
+  repairLedger,
+  getDisputes,
+  getDisputeById,
+  reviewDispute,
+  resolveDispute,
+  getRiskQueue,
+  getRiskAssessmentById,
+  releaseHeldClaim,
+  rejectHeldClaim,
+  getTrainingStatus,
+  startTraining,
+  getRolloutStatus,
+  getRolloutReport,
+  startRollout,
+  stopRollout,
+  promoteModelConfig,
+  rollbackModelConfig,
+  getModelConfigs,
+  diffModelConfigs,
+  getModelConfigById,
+  updateModelConfig,
+  cloneModelConfig,
+  activateModelConfig,
+  getRematchRuns,
+  getRematchRunById,
+  startRematch,
+  cancelRematch,
 };
@@ -1,20 +1,8 @@
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-  });
-};
-
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
-  });
-};
+const emailVerificationService = require('../services/emailVerificationService');
+const passwordResetService = require('../services/passwordResetService');
+const sessionService = require('../services/sessionService');
 
 // @desc    Register new user
 // @route   POST /api/v1/auth/register
@@ -67,13 +55,14 @@ const register = asyncHandler(async (req, res) => {
     user_type: user_type || 'finder',
   });
 
-  // Generate tokens
-  const token = generateToken(user.id);
-  const refreshToken = generateRefreshToken(user.id);
+  await emailVerificationService.sendVerificationEmail(user);
+
+  // Start a session for this device
+  const { token, refreshToken } = await sessionService.createSession(user, req);
 
   res.status(201).json({
     success: true,
-    message: 'User registered successfully',
+    message: 'User registered successfully. Check your email to verify your address.',
     data: {
       user: user.toPublicJSON(),
       token,
@@ -130,9 +119,8 @@ const login = asyncHandler(async (req, res) => {
   user.last_login_at = new Date();
   await user.save();
 
-  // Generate tokens
-  const token = generateToken(user.id);
-  const refreshToken = generateRefreshToken(user.id);
+  // Start a session for this device
+  const { token, refreshToken } = await sessionService.createSession(user, req);
 
   res.status(200).json({
     success: true,
@@ -150,7 +138,7 @@ const login = asyncHandler(async (req, res) => {
 // @access  Private
 const getMe = asyncHandler(async (req, res) => {
   const user = await User.findByPk(req.userId, {
-    attributes: { exclude: ['password_hash'] },
+    attributes: { exclude: ['password_hash', 'password_reset_token_hash'] },
   });
 
   res.status(200).json({
@@ -159,7 +147,7 @@ const getMe = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Refresh access token
+// @desc    Refresh access token (rotates the refresh token)
 // @route   POST /api/v1/auth/refresh
 // @access  Public
 const refreshToken = asyncHandler(async (req, res) => {
@@ -172,34 +160,210 @@ const refreshToken = asyncHandler(async (req, res) => {
     });
   }
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  const result = await sessionService.rotateRefreshToken(refreshToken, req);
+
+  if (!result.success) {
+    return res.status(result.status || 403).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: result.token,
+      refreshToken: result.refreshToken,
+    },
+  });
+});
+
+// @desc    Log out of the current device
+// @route   POST /api/v1/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.userId, req.sessionId, 'logout');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully',
+  });
+});
+
+// @desc    List signed-in devices
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toPublicJSON(),
+        current: session.id === req.sessionId,
+      })),
+    },
+  });
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/v1/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeSession(req.userId, req.params.sessionId);
+
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked',
+  });
+});
 
-    const user = await User.findByPk(decoded.userId);
+// @desc    Sign out every other device
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAllSessions(req.userId, {
+    exceptSessionId: req.sessionId,
+  });
 
-    if (!user || !user.is_active || user.is_suspended) {
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid refresh token',
-      });
-    }
+  res.status(200).json({
+    success: true,
+    message: `Signed out of ${count} other session${count === 1 ? '' : 's'}`,
+    data: { revoked: count },
+  });
+});
 
-    const newToken = generateToken(user.id);
-    const newRefreshToken = generateRefreshToken(user.id);
+// @desc    Verify email address from an emailed link
+// @route   POST /api/v1/auth/verify-email
+// @access  Public (signed token)
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
 
-    res.status(200).json({
-      success: true,
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken,
-      },
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required',
     });
-  } catch (error) {
-    return res.status(403).json({
+  }
+
+  const result = await emailVerificationService.verifyEmail(token);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
       success: false,
-      message: 'Invalid refresh token',
+      message: result.message,
     });
   }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: {
+      user: result.user.toPublicJSON(),
+    },
+  });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/v1/auth/resend-verification
+// @access  Public (signed-in user, or by email address)
+const resendVerification = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!req.user && !email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required',
+    });
+  }
+
+  if (req.user && req.user.verification_status !== 'unverified') {
+    return res.status(400).json({
+      success: false,
+      message: 'Email already verified',
+    });
+  }
+
+  const user = req.user || await User.findOne({
+    where: { email: String(email).toLowerCase() },
+  });
+
+  const result = user ? await emailVerificationService.sendVerificationEmail(user) : { sent: false };
+
+  if (req.user && result.retryAfterSeconds) {
+    return res.status(429).json({
+      success: false,
+      message: `Please wait ${result.retryAfterSeconds} seconds before requesting another email`,
+    });
+  }
+
+  // Same answer whether or not the address exists, so this can't be used
+  // to find out who has an account
+  res.status(200).json({
+    success: true,
+    message: 'If that account needs verification, a new email is on its way',
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required',
+    });
+  }
+
+  await passwordResetService.requestPasswordReset(email);
+
+  // Same answer whether or not the address exists, so this can't be used
+  // to find out who has an account
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link is on its way',
+  });
+});
+
+// @desc    Set a new password from an emailed reset link
+// @route   POST /api/v1/auth/reset-password
+// @access  Public (single-use token)
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset token and new password are required',
+    });
+  }
+
+  const result = await passwordResetService.resetPassword(token, newPassword);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
 });
 
 // @desc    Update user profile
@@ -273,6 +437,14 @@ module.exports = {
   login,
   getMe,
   refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   updateProfile,
   changePassword,
 };
@@ -1,8 +1,18 @@
-const { Case, Photo, User, Submission } = require('../models');
+const { Case, Claim, Photo, User, Submission } = require('../models');
 const PhotoMatch = require('../models/PhotoMatch');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Op } = require('sequelize');
-const { validateCaseContent } = require('../services/contentModerationService');
+const { validateCaseContent, autoReportIfFlagged } = require('../services/contentModerationService');
+const { haversineDistance, getGeohashCoverage } = require('../utils/geoUtils');
+const { evaluateNewCase } = require('../services/savedSearchService');
+const caseLifecycleService = require('../services/caseLifecycleService');
+const paymentService = require('../services/paymentService');
+const claimVerificationService = require('../services/claimVerificationService');
+const rematchService = require('../services/rematchService');
+const { resolveCurrency, getLimits, formatAmount } = require('../config/currencies');
+
+const DEFAULT_SEARCH_RADIUS_MILES = 50;
+const MAX_SEARCH_RADIUS_MILES = 500;
 
 // @desc    Create new case
 // @route   POST /api/v1/cases
@@ -32,6 +42,8 @@ const createCase = asyncHandler(async (req, res) => {
     medical_conditions,
     special_circumstances,
     contact_info,
+    secret_details, // Found items: private details used to score claims
+    currency: requestedCurrency,
   } = req.body;
 
   // Validate required fields
@@ -53,18 +65,39 @@ const createCase = asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate bounty amount (found_item has $0 bounty, lost_item max $50)
-  const maxBounty = parseFloat(process.env.MAX_BOUNTY_AMOUNT) || 50;
+  const currency = resolveCurrency(requestedCurrency);
+  if (!currency) {
+    return res.status(400).json({
+      success: false,
+      message: `Currency ${requestedCurrency} is not supported`,
+    });
+  }
+
+  // Validate bounty amount (found_item has $0 bounty, lost_item capped per currency)
+  const maxBounty = getLimits(currency).max_bounty;
   if (case_type === 'lost_item' && parseFloat(bounty_amount) > maxBounty) {
     return res.status(400).json({
       success: false,
-      message: `Finder's Fee cannot exceed $${maxBounty} CAD`,
+      message: `Finder's Fee cannot exceed ${formatAmount(maxBounty, currency)}`,
+    });
+  }
+
+  const { secretDetails, error: secretDetailsError } = claimVerificationService.normalizeSecretDetails(secret_details);
+  if (secretDetailsError) {
+    return res.status(400).json({
+      success: false,
+      message: secretDetailsError,
+    });
+  }
+
+  if (secretDetails && case_type !== 'found_item') {
+    return res.status(400).json({
+      success: false,
+      message: 'Secret details can only be recorded for found items',
     });
   }
 
-  // Calculate platform commission (2.5%)
-  const commissionRate = parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE) || 2.5;
-  const platformCommission = (parseFloat(bounty_amount) * commissionRate) / 100;
+  const platformCommission = paymentService.calculateCommission(bounty_amount || 0);
 
   // Calculate expiry date based on case type
   let expiresAt = null;
@@ -85,6 +118,7 @@ const createCase = asyncHandler(async (req, res) => {
     description,
     bounty_amount,
     platform_commission: platformCommission,
+    currency,
     priority_level: priority_level || 'medium',
     case_number,
     subject_name,
@@ -103,9 +137,16 @@ const createCase = asyncHandler(async (req, res) => {
     medical_conditions,
     special_circumstances,
     contact_info,
+    secret_details: secretDetails,
     expires_at: expiresAt,
   });
 
+  // Borderline content is published but queued for moderator review
+  await autoReportIfFlagged('case', newCase, contentValidation);
+
+  // Alert saved-search subscribers in the background
+  evaluateNewCase(newCase);
+
   res.status(201).json({
     success: true,
     message: 'Case created successfully',
@@ -129,8 +170,8 @@ const getCases = asyncHandler(async (req, res) => {
     max_bounty,
     page = 1,
     limit = 20,
-    sort = 'created_at',
-    order = 'DESC',
+    sort,
+    order,
   } = req.query;
 
   const where = {};
@@ -157,34 +198,105 @@ const getCases = asyncHandler(async (req, res) => {
     if (max_bounty) where.bounty_amount[Op.lte] = parseFloat(max_bounty);
   }
 
-  // Location-based filter (simplified - would use PostGIS in production)
-  if (latitude && longitude && radius) {
-    // This is a simplified version - production should use PostGIS
-    // For now, we'll just filter by search_radius in the case
+  // Location-based filter: narrow to nearby geohash cells (indexed prefix
+  // match), then keep cases whose exact distance is within the radius
+  let distances = null;
+  if (latitude || longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    const radiusMiles = radius ? parseFloat(radius) : DEFAULT_SEARCH_RADIUS_MILES;
+
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid latitude and longitude are required for location search',
+      });
+    }
+
+    if (!Number.isFinite(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_SEARCH_RADIUS_MILES) {
+      return res.status(400).json({
+        success: false,
+        message: `Radius must be between 0 and ${MAX_SEARCH_RADIUS_MILES} miles`,
+      });
+    }
+
+    const cells = getGeohashCoverage(lat, lng, radiusMiles);
+    where[Op.and] = [
+      cells
+        ? { [Op.or]: cells.map((cell) => ({ geohash: { [Op.like]: `${cell}%` } })) }
+        : { geohash: { [Op.ne]: null } },
+    ];
+
+    const candidates = await Case.findAll({
+      where,
+      attributes: ['id', 'latitude', 'longitude'],
+      raw: true,
+    });
+
+    distances = new Map();
+    for (const candidate of candidates) {
+      const distance = haversineDistance(lat, lng, candidate.latitude, candidate.longitude);
+      if (distance <= radiusMiles) {
+        distances.set(candidate.id, distance);
+      }
+    }
   }
 
-  const offset = (parseInt(page) - 1) * parseInt(limit);
+  // Location searches sort nearest-first unless another sort is requested
+  let sortField = sort || (distances ? 'distance' : 'created_at');
+  if (sortField === 'distance' && !distances) sortField = 'created_at';
+  const sortOrder = (order || (sortField === 'distance' ? 'ASC' : 'DESC')).toUpperCase();
 
-  const { count, rows: cases } = await Case.findAndCountAll({
-    where,
-    limit: parseInt(limit),
-    offset,
-    order: [[sort, order.toUpperCase()]],
-    include: [
-      {
-        model: Photo,
-        as: 'photos',
-        where: { is_primary: true },
-        required: false,
-        limit: 1,
-      },
-      {
-        model: User,
-        as: 'poster',
-        attributes: ['id', 'first_name', 'last_name', 'user_type', 'verification_status'],
-      },
-    ],
-  });
+  const parsedLimit = parseInt(limit);
+  const offset = (parseInt(page) - 1) * parsedLimit;
+
+  const include = [
+    {
+      model: Photo,
+      as: 'photos',
+      where: { is_primary: true },
+      required: false,
+      limit: 1,
+    },
+    {
+      model: User,
+      as: 'poster',
+      attributes: ['id', 'first_name', 'last_name', 'user_type', 'verification_status'],
+    },
+  ];
+
+  let count;
+  let cases;
+
+  if (sortField === 'distance') {
+    const ranked = [...distances.keys()].sort((a, b) => (
+      sortOrder === 'DESC' ? distances.get(b) - distances.get(a) : distances.get(a) - distances.get(b)
+    ));
+    const pageIds = ranked.slice(offset, offset + parsedLimit);
+
+    const rows = await Case.findAll({ where: { id: pageIds }, include });
+    count = ranked.length;
+    cases = rows.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
+  } else {
+    if (distances) {
+      where.id = [...distances.keys()];
+    }
+
+    ({ count, rows: cases } = await Case.findAndCountAll({
+      where,
+      limit: parsedLimit,
+      offset,
+      order: [[sortField, sortOrder]],
+      include,
+    }));
+  }
+
+  if (distances) {
+    cases = cases.map((caseData) => ({
+      ...caseData.toJSON(),
+      distance_miles: Math.round(distances.get(caseData.id) * 100) / 100,
+    }));
+  }
 
   res.status(200).json({
     success: true,
@@ -193,8 +305,8 @@ const getCases = asyncHandler(async (req, res) => {
       pagination: {
         total: count,
         page: parseInt(page),
-        pages: Math.ceil(count / parseInt(limit)),
-        limit: parseInt(limit),
+        pages: Math.ceil(count / parsedLimit),
+        limit: parsedLimit,
       },
     },
   });
@@ -278,6 +390,7 @@ const updateCase = asyncHandler(async (req, res) => {
     'bounty_amount',
     'priority_level',
     'physical_description',
+    'item_category',
     'last_seen_location',
     'last_seen_date',
     'search_radius',
@@ -286,6 +399,14 @@ const updateCase = asyncHandler(async (req, res) => {
     'contact_info',
   ];
 
+  const categories = Case.rawAttributes.item_category.values;
+  if (req.body.item_category !== undefined && !categories.includes(req.body.item_category)) {
+    return res.status(400).json({
+      success: false,
+      message: `item_category must be one of: ${categories.join(', ')}`,
+    });
+  }
+
   allowedUpdates.forEach(field => {
     if (req.body[field] !== undefined) {
       caseData[field] = req.body[field];
@@ -294,12 +415,41 @@ const updateCase = asyncHandler(async (req, res) => {
 
   // Recalculate commission if bounty changed
   if (req.body.bounty_amount !== undefined) {
-    const commissionRate = parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE) || 2.5;
-    caseData.platform_commission = (parseFloat(req.body.bounty_amount) * commissionRate) / 100;
+    caseData.platform_commission = paymentService.calculateCommission(req.body.bounty_amount);
   }
 
+  const updatesSecretDetails = req.body.secret_details !== undefined && caseData.case_type === 'found_item';
+  if (updatesSecretDetails) {
+    const { secretDetails, error } = claimVerificationService.normalizeSecretDetails(req.body.secret_details);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    caseData.secret_details = secretDetails;
+  }
+
+  // Category picks the candidates and weights; location the distance boost
+  const affectsMatching = ['item_category', 'last_seen_location', 'search_radius']
+    .some(field => caseData.changed(field));
+
   await caseData.save();
 
+  if (affectsMatching && caseData.status === 'active') {
+    await rematchService.startRun({ caseIds: [caseData.id], reason: 'case_update' });
+  }
+
+  // Re-score claims still waiting on the finder against the new details
+  if (updatesSecretDetails) {
+    const openClaims = await Claim.findAll({
+      where: { found_case_id: caseData.id, status: ['pending', 'under_review'] },
+    });
+    for (const claim of openClaims) {
+      await claimVerificationService.rescoreClaim(claim);
+    }
+  }
+
   res.status(200).json({
     success: true,
     message: 'Case updated successfully',
@@ -502,6 +652,63 @@ const browseCases = asyncHandler(async (req, res) => {
   });
 });
 
+const sendRenewResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: { case: result.case },
+  });
+};
+
+// @desc    Extend a case's expiry (or bring back an expired case)
+// @route   POST /api/v1/cases/:id/renew
+// @access  Private (poster only)
+const renewCase = asyncHandler(async (req, res) => {
+  const caseData = await Case.findByPk(req.params.id);
+
+  if (!caseData) {
+    return res.status(404).json({
+      success: false,
+      message: 'Case not found',
+    });
+  }
+
+  if (caseData.poster_id !== req.userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to renew this case',
+    });
+  }
+
+  sendRenewResult(res, await caseLifecycleService.renewCase(caseData));
+});
+
+// @desc    One-click renew from the expiry warning email
+// @route   GET /api/v1/cases/:id/renew?token=...
+// @access  Public (signed token)
+const renewCaseFromEmail = asyncHandler(async (req, res) => {
+  const caseId = req.query.token
+    ? caseLifecycleService.verifyRenewalToken(req.query.token, req.params.id)
+    : null;
+  const caseData = caseId ? await Case.findByPk(caseId) : null;
+
+  if (!caseData) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired renewal link',
+    });
+  }
+
+  sendRenewResult(res, await caseLifecycleService.renewCase(caseData));
+});
+
 module.exports = {
   createCase,
   getCases,
@@ -510,4 +717,6 @@ module.exports = {
   deleteCase,
   getMyCases,
   browseCases,
+  renewCase,
+  renewCaseFromEmail,
 };
@@ -4,15 +4,79 @@
  * Handles all claim-related operations for the "Finder posted first" scenario.
  */
 
-const { Claim, Case, User, Photo, Transaction, Message } = require('../models');
+const { Claim, Case, User, Photo } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../config/logger');
 const { Op } = require('sequelize');
-const { validateClaimContent } = require('../services/contentModerationService');
+const { validateClaimContent, autoReportIfFlagged } = require('../services/contentModerationService');
 const { sendInitialMessages } = require('./messageController');
+const notificationService = require('../services/notificationService');
+const { resolveCurrency, getLimits, formatAmount } = require('../config/currencies');
+const disputeService = require('../services/disputeService');
+const handoverService = require('../services/handoverService');
+const claimVerificationService = require('../services/claimVerificationService');
+const claimRiskService = require('../services/claimRiskService');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Configure multer for dispute evidence uploads
+const disputeUploadDir = path.join(__dirname, '../../uploads/disputes');
+if (!fs.existsSync(disputeUploadDir)) {
+  fs.mkdirSync(disputeUploadDir, { recursive: true });
+}
+
+const disputeUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, disputeUploadDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `evidence-${uniqueSuffix}${path.extname(file.originalname)}`);
+    },
+  }),
+  limits: { fileSize: 10 * 1024 * 1024, files: 5 }, // 10MB each, 5 per request
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp|heic|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype) || file.mimetype === 'application/pdf';
+
+    if (extname && mimetype) {
+      return cb(null, true);
+    }
+    cb(new Error('Only images (JPEG, PNG, GIF, WebP, HEIC) and PDF documents are allowed'));
+  },
+});
+
+// Configure multer for claim proof photos
+const proofUploadDir = path.join(__dirname, '../../uploads/claims');
+if (!fs.existsSync(proofUploadDir)) {
+  fs.mkdirSync(proofUploadDir, { recursive: true });
+}
 
-// Platform service fee rate (2.5% from claimant's bounty)
-const PLATFORM_COMMISSION_RATE = 0.025;
+const proofUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, proofUploadDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `proof-${uniqueSuffix}${path.extname(file.originalname)}`);
+    },
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp|heic/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (extname && mimetype) {
+      return cb(null, true);
+    }
+    cb(new Error('Only images (JPEG, PNG, WebP, HEIC) are allowed'));
+  },
+});
 
 /**
  * @desc    Create a claim on a found item
@@ -26,6 +90,7 @@ const createClaim = asyncHandler(async (req, res) => {
     bounty_offered,
     proof_photo_url,
     lost_case_id, // Optional: link to existing lost case
+    currency: requestedCurrency, // Defaults to the found case's currency
   } = req.body;
 
   const claimant_id = req.userId;
@@ -104,12 +169,21 @@ const createClaim = asyncHandler(async (req, res) => {
     });
   }
 
+  const currency = resolveCurrency(requestedCurrency || foundCase.currency);
+  if (!currency) {
+    return res.status(400).json({
+      success: false,
+      message: `Currency ${requestedCurrency} is not supported`,
+    });
+  }
+
   // Validate bounty amount
   const bounty = parseFloat(bounty_offered) || 0;
-  if (bounty < 0 || bounty > 50) {
+  const maxBounty = getLimits(currency).max_bounty;
+  if (bounty < 0 || bounty > maxBounty) {
     return res.status(400).json({
       success: false,
-      message: 'Bounty must be between $0 and $50 CAD',
+      message: `Bounty must be between ${formatAmount(0, currency)} and ${formatAmount(maxBounty, currency)}`,
     });
   }
 
@@ -119,11 +193,19 @@ const createClaim = asyncHandler(async (req, res) => {
     claimant_id,
     lost_case_id: lost_case_id || null,
     verification_description,
-    proof_photo_url: proof_photo_url || null,
+    proof_photo_url: req.file ? `/uploads/claims/${req.file.filename}` : proof_photo_url || null,
     bounty_offered: bounty,
+    currency,
     status: 'pending',
   });
 
+  // Score against the finder's secret details (proof photo is analysed in the background)
+  await claimVerificationService.scoreNewClaim(claim);
+
+  // Fraud check - risky claims are held for admin review before the finder sees them
+  const risk = await claimRiskService.assessClaim(claim, claimRiskService.describeRequest(req));
+  const held = risk.decision === 'held';
+
   // Fetch the created claim with associations
   const createdClaim = await Claim.findByPk(claim.id, {
     include: [
@@ -134,12 +216,20 @@ const createClaim = asyncHandler(async (req, res) => {
 
   logger.info(`Claim created: ${claim.id} by user ${claimant_id} on case ${found_case_id}`);
 
-  // TODO: Send notification to the finder about the new claim
+  await autoReportIfFlagged('claim', claim, contentValidation);
+
+  if (held) {
+    await notificationService.notifyClaimUpdate('claim_on_hold', claimant_id, claim, foundCase.title);
+  } else {
+    await notificationService.notifyClaimUpdate('claim_received', foundCase.poster_id, claim, foundCase.title);
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Claim submitted successfully. The finder will review your claim.',
-    data: { claim: createdClaim },
+    message: held
+      ? 'Claim submitted. We\'re running a quick check before it goes to the finder.'
+      : 'Claim submitted successfully. The finder will review your claim.',
+    data: { claim: claimVerificationService.redactForClaimant(createdClaim) },
   });
 });
 
@@ -170,7 +260,11 @@ const getClaimsForCase = asyncHandler(async (req, res) => {
   }
 
   const claims = await Claim.findAll({
-    where: { found_case_id: caseId },
+    where: {
+      found_case_id: caseId,
+      // Claims held for fraud review reach the finder only once released
+      ...(req.user?.user_type !== 'admin' && { status: { [Op.ne]: 'on_hold' } }),
+    },
     include: [
       {
         model: User,
@@ -225,7 +319,7 @@ const getMyClaims = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: { claims },
+    data: { claims: claims.map(claimVerificationService.redactForClaimant) },
   });
 });
 
@@ -280,9 +374,17 @@ const getClaimById = asyncHandler(async (req, res) => {
     });
   }
 
+  if (claim.status === 'on_hold' && !isClaimant && !isAdmin) {
+    return res.status(404).json({
+      success: false,
+      message: 'Claim not found',
+    });
+  }
+
+  // The verification score is for the finder's eyes only
   res.status(200).json({
     success: true,
-    data: { claim },
+    data: { claim: isFinder || isAdmin ? claim : claimVerificationService.redactForClaimant(claim) },
   });
 });
 
@@ -358,7 +460,7 @@ const acceptClaim = asyncHandler(async (req, res) => {
       where: {
         found_case_id: claim.found_case_id,
         id: { [Op.ne]: claimId },
-        status: { [Op.in]: ['pending', 'under_review'] },
+        status: { [Op.in]: ['pending', 'under_review', 'on_hold'] },
       },
     }
   );
@@ -373,7 +475,7 @@ const acceptClaim = asyncHandler(async (req, res) => {
     claim.foundCase.title
   );
 
-  // TODO: Send notification to claimant
+  await notificationService.notifyClaimUpdate('claim_accepted', claim.claimant_id, claim, claim.foundCase.title);
 
   res.status(200).json({
     success: true,
@@ -426,7 +528,7 @@ const rejectClaim = asyncHandler(async (req, res) => {
 
   logger.info(`Claim ${claimId} rejected by finder ${userId}`);
 
-  // TODO: Send notification to claimant
+  await notificationService.notifyClaimUpdate('claim_rejected', claim.claimant_id, claim, claim.foundCase.title);
 
   res.status(200).json({
     success: true,
@@ -436,120 +538,21 @@ const rejectClaim = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Confirm handover (by either party)
+ * @desc    Confirm handover with the claimant's one-time code (by finder)
+ *          Same as POST /claims/:claimId/handover/verify, kept for older apps
  * @route   PUT /api/v1/claims/:claimId/confirm-handover
- * @access  Private
+ * @access  Private (finder only)
  */
 const confirmHandover = asyncHandler(async (req, res) => {
-  const { claimId } = req.params;
-  const userId = req.userId;
-
-  const claim = await Claim.findByPk(claimId, {
-    include: [
-      { model: Case, as: 'foundCase' },
-      { model: User, as: 'claimant' },
-    ],
-  });
-
-  if (!claim) {
-    return res.status(404).json({
-      success: false,
-      message: 'Claim not found',
-    });
-  }
-
-  if (claim.status !== 'accepted') {
+  if (!req.body.code) {
     return res.status(400).json({
       success: false,
-      message: 'Claim must be accepted before confirming handover',
+      message: 'Enter the handover code from the claimant\'s app to confirm the handover',
     });
   }
 
-  const isClaimant = claim.claimant_id === userId;
-  const isFinder = claim.foundCase.poster_id === userId;
-
-  if (!isClaimant && !isFinder) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to confirm handover',
-    });
-  }
-
-  // Update confirmation status
-  if (isClaimant) {
-    claim.handover_confirmed_by_claimant = true;
-  }
-  if (isFinder) {
-    claim.handover_confirmed_by_finder = true;
-  }
-
-  // Check if both parties confirmed
-  if (claim.handover_confirmed_by_claimant && claim.handover_confirmed_by_finder) {
-    claim.status = 'completed';
-    claim.handover_completed_at = new Date();
-
-    // Archive the found case - remove from browsing
-    await Case.update(
-      {
-        status: 'archived',
-        resolved_at: new Date(),
-        resolved_by: claim.claimant_id,
-      },
-      { where: { id: claim.found_case_id } }
-    );
-
-    // Process bounty payment - create transaction for finder
-    const bountyAmount = parseFloat(claim.bounty_offered) || 0;
-    if (bountyAmount > 0) {
-      const platformCommission = bountyAmount * PLATFORM_COMMISSION_RATE;
-      const netAmount = bountyAmount - platformCommission;
-
-      // Create transaction record for the finder's earnings
-      const transaction = await Transaction.create({
-        case_id: claim.found_case_id,
-        finder_id: claim.foundCase.poster_id, // Finder is the one who posted the found item
-        poster_id: claim.claimant_id, // Claimant is the one who paid the bounty
-        transaction_type: 'bounty_payment',
-        amount: bountyAmount,
-        platform_commission: platformCommission,
-        net_amount: netAmount,
-        currency: 'CAD',
-        status: 'completed', // Mark as completed (funds available for withdrawal)
-        payment_method: 'stripe',
-        completed_at: new Date(),
-        metadata: {
-          claim_id: claim.id,
-          item_title: claim.foundCase.title,
-        },
-      });
-
-      // Update claim with payment transaction reference
-      claim.payment_transaction_id = transaction.id;
-      claim.payment_status = 'completed';
-
-      // Send system message about payment
-      await Message.create({
-        claim_id: claim.id,
-        sender_id: claim.foundCase.poster_id,
-        content: `Transaction completed! $${netAmount.toFixed(2)} CAD has been added to your earnings (after ${(PLATFORM_COMMISSION_RATE * 100).toFixed(0)}% platform fee).`,
-        message_type: 'system',
-      });
-
-      logger.info(`Payment of $${netAmount.toFixed(2)} CAD created for finder on claim ${claimId}`);
-    }
-
-    logger.info(`Claim ${claimId} completed - handover confirmed by both parties`);
-  }
-
-  await claim.save();
-
-  res.status(200).json({
-    success: true,
-    message: claim.status === 'completed'
-      ? 'Handover complete! The case has been resolved.'
-      : 'Your confirmation has been recorded. Waiting for the other party.',
-    data: { claim },
-  });
+  const result = await handoverService.verifyCode(req.params.claimId, req.userId, req.body.code);
+  sendHandoverResult(res, result);
 });
 
 /**
@@ -561,7 +564,9 @@ const cancelClaim = asyncHandler(async (req, res) => {
   const { claimId } = req.params;
   const userId = req.userId;
 
-  const claim = await Claim.findByPk(claimId);
+  const claim = await Claim.findByPk(claimId, {
+    include: [{ model: Case, as: 'foundCase' }],
+  });
 
   if (!claim) {
     return res.status(404).json({
@@ -589,6 +594,8 @@ const cancelClaim = asyncHandler(async (req, res) => {
 
   logger.info(`Claim ${claimId} cancelled by claimant ${userId}`);
 
+  await notificationService.notifyClaimUpdate('claim_cancelled', claim.foundCase.poster_id, claim, claim.foundCase.title);
+
   res.status(200).json({
     success: true,
     message: 'Claim cancelled',
@@ -636,18 +643,19 @@ const addVerificationQuestion = asyncHandler(async (req, res) => {
     claim.status = 'under_review';
   }
 
-  // Add question
-  const questions = claim.verification_questions || [];
-  questions.push({
-    question,
-    answer: null,
-    askedAt: new Date(),
-    answeredAt: null,
-  });
-  claim.verification_questions = questions;
+  // Add question (to a copy, so the JSONB change is detected and saved)
+  claim.verification_questions = [
+    ...(claim.verification_questions || []),
+    {
+      question,
+      answer: null,
+      askedAt: new Date(),
+      answeredAt: null,
+    },
+  ];
   await claim.save();
 
-  // TODO: Send notification to claimant
+  await notificationService.notifyClaimUpdate('claim_question', claim.claimant_id, claim, claim.foundCase.title);
 
   res.status(200).json({
     success: true,
@@ -673,7 +681,9 @@ const answerVerificationQuestion = asyncHandler(async (req, res) => {
     });
   }
 
-  const claim = await Claim.findByPk(claimId);
+  const claim = await Claim.findByPk(claimId, {
+    include: [{ model: Case, as: 'foundCase' }],
+  });
 
   if (!claim) {
     return res.status(404).json({
@@ -699,17 +709,195 @@ const answerVerificationQuestion = asyncHandler(async (req, res) => {
     });
   }
 
-  questions[index].answer = answer;
-  questions[index].answeredAt = new Date();
-  claim.verification_questions = questions;
+  claim.verification_questions = questions.map((entry, i) => (
+    i === index ? { ...entry, answer, answeredAt: new Date() } : entry
+  ));
   await claim.save();
 
-  // TODO: Send notification to finder
+  await claimVerificationService.rescoreClaim(claim);
+
+  await notificationService.notifyClaimUpdate('claim_answer', claim.foundCase.poster_id, claim, claim.foundCase.title);
 
   res.status(200).json({
     success: true,
     message: 'Answer submitted',
-    data: { claim },
+    data: { claim: claimVerificationService.redactForClaimant(claim) },
+  });
+});
+
+const sendHandoverResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  const { success, message, ...data } = result;
+  res.status(successStatus).json({ success, message, data });
+};
+
+/**
+ * @desc    Propose meetup times and places for the handover
+ * @route   POST /api/v1/claims/:claimId/handover/proposals
+ * @access  Private (claimant or finder)
+ */
+const proposeHandover = asyncHandler(async (req, res) => {
+  const result = await handoverService.proposeMeetup(req.params.claimId, req.userId, {
+    slots: req.body.slots,
+    note: req.body.note,
+  });
+  sendHandoverResult(res, result, 201);
+});
+
+/**
+ * @desc    Accept one slot of the other party's meetup proposal
+ * @route   PUT /api/v1/claims/:claimId/handover/proposals/:messageId/accept
+ * @access  Private (claimant or finder)
+ */
+const acceptHandoverProposal = asyncHandler(async (req, res) => {
+  const result = await handoverService.respondToProposal(req.params.claimId, req.userId, req.params.messageId, {
+    accept: true,
+    slot_index: req.body.slot_index,
+  });
+  sendHandoverResult(res, result);
+});
+
+/**
+ * @desc    Decline the other party's meetup proposal
+ * @route   PUT /api/v1/claims/:claimId/handover/proposals/:messageId/decline
+ * @access  Private (claimant or finder)
+ */
+const declineHandoverProposal = asyncHandler(async (req, res) => {
+  const result = await handoverService.respondToProposal(req.params.claimId, req.userId, req.params.messageId, {
+    accept: false,
+  });
+  sendHandoverResult(res, result);
+});
+
+/**
+ * @desc    Get a one-time handover code to show the finder (digits + QR payload)
+ * @route   POST /api/v1/claims/:claimId/handover/code
+ * @access  Private (claimant)
+ */
+const issueHandoverCode = asyncHandler(async (req, res) => {
+  const result = await handoverService.issueCode(req.params.claimId, req.userId);
+  sendHandoverResult(res, result, 201);
+});
+
+/**
+ * @desc    Verify the claimant's handover code and complete the claim
+ * @route   POST /api/v1/claims/:claimId/handover/verify
+ * @access  Private (finder)
+ */
+const verifyHandoverCode = asyncHandler(async (req, res) => {
+  const result = await handoverService.verifyCode(req.params.claimId, req.userId, req.body.code);
+  sendHandoverResult(res, result);
+});
+
+/**
+ * @desc    Download the agreed meetup as a calendar event
+ * @route   GET /api/v1/claims/:claimId/handover/calendar.ics
+ * @access  Private (claimant or finder)
+ */
+const getHandoverCalendar = asyncHandler(async (req, res) => {
+  const result = await handoverService.buildCalendar(req.params.claimId, req.userId);
+  if (!result.success) {
+    return sendHandoverResult(res, result);
+  }
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+  res.status(200).send(result.ics);
+});
+
+const sendDisputeResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(successStatus).json({
+    success: true,
+    message: result.message,
+    data: { dispute: result.dispute },
+  });
+};
+
+/**
+ * @desc    Dispute a claim outcome (freezes its bounty until an admin rules)
+ * @route   POST /api/v1/claims/:claimId/dispute
+ * @access  Private (claimant or finder)
+ */
+const openDispute = asyncHandler(async (req, res) => {
+  const { reason, description } = req.body;
+
+  const result = await disputeService.openDispute(req.params.claimId, req.userId, {
+    reason,
+    description,
+    files: req.files || [],
+  });
+  sendDisputeResult(res, result, 201);
+});
+
+/**
+ * @desc    Add evidence to a claim's open dispute
+ * @route   POST /api/v1/claims/:claimId/dispute/evidence
+ * @access  Private (claimant or finder)
+ */
+const addDisputeEvidence = asyncHandler(async (req, res) => {
+  const result = await disputeService.addEvidence(req.params.claimId, req.userId, {
+    note: req.body.note,
+    files: req.files || [],
+  });
+  sendDisputeResult(res, result);
+});
+
+/**
+ * @desc    Get the dispute on a claim, with its timeline
+ * @route   GET /api/v1/claims/:claimId/dispute
+ * @access  Private (claimant, finder or admin)
+ */
+const getClaimDispute = asyncHandler(async (req, res) => {
+  const { claimId } = req.params;
+  const userId = req.userId;
+
+  const claim = await Claim.findByPk(claimId, {
+    include: [{ model: Case, as: 'foundCase', attributes: ['id', 'poster_id'] }],
+  });
+
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      message: 'Claim not found',
+    });
+  }
+
+  const isClaimant = claim.claimant_id === userId;
+  const isFinder = claim.foundCase?.poster_id === userId;
+  const isAdmin = req.user?.user_type === 'admin';
+
+  if (!isClaimant && !isFinder && !isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this dispute',
+    });
+  }
+
+  const dispute = await disputeService.findLatestForClaim(claimId);
+
+  if (!dispute) {
+    return res.status(404).json({
+      success: false,
+      message: 'This claim has not been disputed',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { dispute },
   });
 });
 
@@ -775,8 +963,19 @@ module.exports = {
   acceptClaim,
   rejectClaim,
   confirmHandover,
+  proposeHandover,
+  acceptHandoverProposal,
+  declineHandoverProposal,
+  issueHandoverCode,
+  verifyHandoverCode,
+  getHandoverCalendar,
   cancelClaim,
   addVerificationQuestion,
   answerVerificationQuestion,
+  openDispute,
+  addDisputeEvidence,
+  getClaimDispute,
+  disputeUpload,
+  proofUpload,
   getClaimsStats,
 };
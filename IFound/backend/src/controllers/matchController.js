@@ -1,6 +1,7 @@
 const { PhotoMatch, Photo, Case, User } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const matchingService = require('../services/universalMatchingService');
+const matchExplanationService = require('../services/matchExplanationService');
 const { Op } = require('sequelize');
 
 // @desc    Get matches for a specific case
@@ -315,6 +316,25 @@ const getMatchById = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Explain a match: per-signal contributions, shared text and colors, side-by-side image
+// @route   GET /api/v1/matches/:id/explanation
+// @access  Private (involved users and admins)
+const getMatchExplanation = asyncHandler(async (req, res) => {
+  const result = await matchExplanationService.explainMatch(req.params.id, req.user);
+
+  if (!result.success) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { explanation: result.explanation },
+  });
+});
+
 // Valid rejection reason codes
 const VALID_REJECTION_REASONS = [
   'wrong_color',
@@ -458,6 +478,7 @@ module.exports = {
   getMatchesForCase,
   getMyMatches,
   getMatchById,
+  getMatchExplanation,
   submitFeedback,
   getMatchStats,
 };
@@ -8,6 +8,9 @@ const { Message, Claim, User, Case } = require('../models');
 const { Op } = require('sequelize');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../config/logger');
+const { parseClientMessage, publishMessage, markMessagesRead } = require('../services/chatSocketService');
+const notificationService = require('../services/notificationService');
+const { analyzeContent, autoReportIfFlagged } = require('../services/contentModerationService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -103,17 +106,8 @@ const getMessages = asyncHandler(async (req, res) => {
     limit: parseInt(limit),
   });
 
-  // Mark unread messages as read
-  await Message.update(
-    { is_read: true, read_at: new Date() },
-    {
-      where: {
-        claim_id: claimId,
-        sender_id: { [Op.ne]: userId },
-        is_read: false,
-      },
-    }
-  );
+  // Mark unread messages as read (also pushes a read receipt to connected sockets)
+  await markMessagesRead(claimId, userId);
 
   res.json({
     success: true,
@@ -133,7 +127,7 @@ const getMessages = asyncHandler(async (req, res) => {
  */
 const sendMessage = asyncHandler(async (req, res) => {
   const { claimId } = req.params;
-  const { content, message_type = 'text', metadata } = req.body;
+  const { content } = req.body;
   const userId = req.userId;
 
   if (!content || !content.trim()) {
@@ -143,6 +137,14 @@ const sendMessage = asyncHandler(async (req, res) => {
     });
   }
 
+  const { message_type, metadata, error } = parseClientMessage(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
   // Get claim to verify access
   const claim = await Claim.findByPk(claimId, {
     include: [
@@ -182,7 +184,7 @@ const sendMessage = asyncHandler(async (req, res) => {
     sender_id: userId,
     content: content.trim(),
     message_type,
-    metadata: metadata || null,
+    metadata,
   });
 
   // Fetch with sender info
@@ -192,6 +194,11 @@ const sendMessage = asyncHandler(async (req, res) => {
     ],
   });
 
+  // Push to anyone connected to this chat over WebSockets
+  publishMessage(claim, createdMessage);
+  await notificationService.notifyNewMessage(claim, createdMessage);
+  await autoReportIfFlagged('message', message, analyzeContent(message.content, 'message'));
+
   logger.info(`Message sent in claim ${claimId} by user ${userId}`);
 
   res.status(201).json({
@@ -474,6 +481,9 @@ const uploadChatFile = asyncHandler(async (req, res) => {
     ],
   });
 
+  publishMessage(claim, createdMessage);
+  await notificationService.notifyNewMessage(claim, createdMessage);
+
   logger.info(`File uploaded in claim ${claimId} by user ${userId}: ${req.file.originalname}`);
 
   res.status(201).json({
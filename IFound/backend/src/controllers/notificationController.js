@@ -0,0 +1,214 @@
+/**
+ * Notification Controller
+ *
+ * Per-user in-app notification inbox.
+ */
+
+const { Notification, DeviceToken } = require('../models');
+const { asyncHandler } = require('../middleware/errorHandler');
+const pushService = require('../services/push');
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+const PUSH_PROVIDERS = ['fcm', 'apns'];
+const DEVICE_ATTRIBUTES = ['id', 'platform', 'provider', 'device_name', 'app_version', 'is_active', 'last_seen_at', 'created_at'];
+
+/**
+ * @desc    List my notifications (newest first)
+ * @route   GET /api/v1/notifications
+ * @access  Private
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread_only, type } = req.query;
+  const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+
+  const where = { user_id: req.userId };
+  if (unread_only === 'true') {
+    where.is_read = false;
+  }
+  if (type) {
+    if (!Notification.rawAttributes.type.values.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown notification type: ${type}`,
+      });
+    }
+    where.type = type;
+  }
+
+  const { count, rows: notifications } = await Notification.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC']],
+    limit: parsedLimit,
+    offset: (parsedPage - 1) * parsedLimit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications,
+      pagination: {
+        total: count,
+        page: parsedPage,
+        pages: Math.ceil(count / parsedLimit),
+        limit: parsedLimit,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get my unread notification count
+ * @route   GET /api/v1/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.count({
+    where: { user_id: req.userId, is_read: false },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount },
+  });
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/v1/notifications/:id/read
+ * @access  Private
+ */
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    where: { id: req.params.id, user_id: req.userId },
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found',
+    });
+  }
+
+  if (!notification.is_read) {
+    notification.is_read = true;
+    notification.read_at = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { notification },
+  });
+});
+
+/**
+ * @desc    Mark all my notifications as read
+ * @route   PUT /api/v1/notifications/read-all
+ * @access  Private
+ */
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const [updated] = await Notification.update(
+    { is_read: true, read_at: new Date() },
+    { where: { user_id: req.userId, is_read: false } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: { updated },
+  });
+});
+
+/**
+ * @desc    Register a device for push notifications
+ * @route   POST /api/v1/notifications/devices
+ * @access  Private
+ */
+const registerDevice = asyncHandler(async (req, res) => {
+  const { token, platform, provider, device_name, app_version } = req.body;
+
+  if (!token || !platform) {
+    return res.status(400).json({
+      success: false,
+      message: 'Device token and platform are required',
+    });
+  }
+
+  if (!DEVICE_PLATFORMS.includes(platform)) {
+    return res.status(400).json({
+      success: false,
+      message: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`,
+    });
+  }
+
+  if (provider && !PUSH_PROVIDERS.includes(provider)) {
+    return res.status(400).json({
+      success: false,
+      message: `Provider must be one of: ${PUSH_PROVIDERS.join(', ')}`,
+    });
+  }
+
+  const device = await pushService.registerDevice(req.userId, {
+    token,
+    platform,
+    provider,
+    device_name,
+    app_version,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Device registered for push notifications',
+    data: { device },
+  });
+});
+
+/**
+ * @desc    List my registered devices
+ * @route   GET /api/v1/notifications/devices
+ * @access  Private
+ */
+const getDevices = asyncHandler(async (req, res) => {
+  const devices = await DeviceToken.findAll({
+    where: { user_id: req.userId },
+    attributes: DEVICE_ATTRIBUTES,
+    order: [['last_seen_at', 'DESC']],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { devices },
+  });
+});
+
+/**
+ * @desc    Unregister a device (e.g. on sign-out)
+ * @route   DELETE /api/v1/notifications/devices/:token
+ * @access  Private
+ */
+const unregisterDevice = asyncHandler(async (req, res) => {
+  const removed = await pushService.unregisterDevice(req.userId, req.params.token);
+
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      message: 'Device not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Device unregistered',
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  registerDevice,
+  getDevices,
+  unregisterDevice,
+};
@@ -1,5 +1,16 @@
 const paymentService = require('../services/paymentService');
-const { Transaction, Case, User } = require('../models');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const ledgerService = require('../services/ledgerService');
+const exchangeRates = require('../services/exchangeRates');
+const {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  REPORTING_CURRENCY,
+  resolveCurrency,
+  getLimits,
+  formatAmount,
+} = require('../config/currencies');
+const { Transaction, Case, User, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Op } = require('sequelize');
 const logger = require('../config/logger');
@@ -29,16 +40,17 @@ const createBountyPayment = asyncHandler(async (req, res) => {
 
   const paymentIntent = await paymentService.createBountyPayment(caseData, req.userId);
 
-  // Create transaction record
-  const transaction = await Transaction.create({
+  // Create transaction record (and its ledger postings, once funded)
+  const transaction = await sequelize.transaction(t => Transaction.create({
     case_id: caseData.id,
     poster_id: req.userId,
     transaction_type: 'bounty_payment',
     amount: caseData.bounty_amount,
     platform_commission: caseData.platform_commission,
+    currency: caseData.currency,
     status: 'pending',
     stripe_payment_intent_id: paymentIntent.id,
-  });
+  }, { transaction: t }));
 
   res.status(201).json({
     success: true,
@@ -75,6 +87,13 @@ const releaseBounty = asyncHandler(async (req, res) => {
     });
   }
 
+  if (transaction.frozen_at) {
+    return res.status(409).json({
+      success: false,
+      message: 'This bounty is frozen while a dispute is open',
+    });
+  }
+
   const transfer = await paymentService.releaseBountyToFinder(transactionId, req.userId);
 
   res.status(200).json({
@@ -108,6 +127,13 @@ const refundPayment = asyncHandler(async (req, res) => {
     });
   }
 
+  if (transaction.frozen_at) {
+    return res.status(409).json({
+      success: false,
+      message: 'This bounty is frozen while a dispute is open',
+    });
+  }
+
   const refund = await paymentService.refundPayment(transactionId, reason, req.userId);
 
   res.status(200).json({
@@ -154,21 +180,34 @@ const getUserBalance = asyncHandler(async (req, res) => {
     0
   );
 
+  const availableBalance = await ledgerService.getBalance('finder_available', req.userId);
+  const balances = await ledgerService.getBalances('finder_available', req.userId);
+
   res.status(200).json({
     success: true,
     data: {
       totalEarnings: parseFloat(user.total_earnings),
       pendingEarnings,
-      availableBalance: parseFloat(user.total_earnings) - pendingEarnings,
+      availableBalance,
+      currency: DEFAULT_CURRENCY,
+      balances,
     },
   });
 });
 
 // @desc    Get earnings summary for finder
-// @route   GET /api/v1/payments/earnings
+// @route   GET /api/v1/payments/earnings?currency=EUR
 // @access  Private
 const getEarningsSummary = asyncHandler(async (req, res) => {
   const userId = req.userId;
+  const currency = resolveCurrency(req.query.currency);
+
+  if (!currency) {
+    return res.status(400).json({
+      success: false,
+      message: `Currency ${req.query.currency} is not supported`,
+    });
+  }
 
   // Get all completed bounty payments where user is the finder
   const earnings = await Transaction.findAll({
@@ -193,16 +232,25 @@ const getEarningsSummary = asyncHandler(async (req, res) => {
     order: [['created_at', 'DESC']],
   });
 
-  // Calculate totals
-  const totalEarned = earnings.reduce((sum, t) => sum + parseFloat(t.net_amount), 0);
+  // Balances come from the ledger; the rows above are history
+  const totalEarned = earnings
+    .filter(e => e.currency === currency)
+    .reduce((sum, t) => sum + parseFloat(t.net_amount), 0);
   const completedWithdrawals = withdrawals
-    .filter(w => w.status === 'completed')
+    .filter(w => w.status === 'completed' && w.currency === currency)
     .reduce((sum, t) => sum + parseFloat(t.amount), 0);
-  const pendingWithdrawals = withdrawals
-    .filter(w => w.status === 'pending' || w.status === 'processing')
-    .reduce((sum, t) => sum + parseFloat(t.amount), 0);
-
-  const availableBalance = totalEarned - completedWithdrawals - pendingWithdrawals;
+  const pendingWithdrawals = await ledgerService.getBalance('finder_payout_pending', userId, { currency });
+  const availableBalance = await ledgerService.getBalance('finder_available', userId, { currency });
+
+  // Every currency the finder holds, plus one total for display
+  const available = await ledgerService.getBalances('finder_available', userId);
+  const pending = await ledgerService.getBalances('finder_payout_pending', userId);
+  const balances = Object.keys({ ...available, ...pending }).sort().map(code => ({
+    currency: code,
+    available_balance: (available[code] || 0).toFixed(2),
+    pending_withdrawals: (pending[code] || 0).toFixed(2),
+  }));
+  const totalAvailable = await exchangeRates.normalizeTotals(available);
 
   res.status(200).json({
     success: true,
@@ -212,19 +260,26 @@ const getEarningsSummary = asyncHandler(async (req, res) => {
         available_balance: availableBalance.toFixed(2),
         pending_withdrawals: pendingWithdrawals.toFixed(2),
         completed_withdrawals: completedWithdrawals.toFixed(2),
-        currency: 'CAD',
+        currency,
+      },
+      balances,
+      total_available: {
+        amount: totalAvailable.toFixed(2),
+        currency: REPORTING_CURRENCY,
       },
       recent_earnings: earnings.slice(0, 10).map(e => ({
         id: e.id,
         amount: parseFloat(e.net_amount).toFixed(2),
         gross_amount: parseFloat(e.amount).toFixed(2),
         platform_fee: parseFloat(e.platform_commission).toFixed(2),
+        currency: e.currency,
         item_title: e.metadata?.item_title || e.case?.title || 'Item',
         completed_at: e.completed_at,
       })),
       recent_withdrawals: withdrawals.slice(0, 5).map(w => ({
         id: w.id,
         amount: parseFloat(w.amount).toFixed(2),
+        currency: w.currency,
         status: w.status,
         created_at: w.createdAt,
         completed_at: w.completed_at,
@@ -241,6 +296,14 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
   const { amount, payout_method = 'bank_transfer' } = req.body;
 
   const withdrawAmount = parseFloat(amount);
+  const currency = resolveCurrency(req.body.currency);
+
+  if (!currency) {
+    return res.status(400).json({
+      success: false,
+      message: `Currency ${req.body.currency} is not supported`,
+    });
+  }
 
   if (!withdrawAmount || withdrawAmount <= 0) {
     return res.status(400).json({
@@ -250,76 +313,79 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
   }
 
   // Minimum withdrawal amount
-  if (withdrawAmount < 5) {
+  const minWithdrawal = getLimits(currency).min_withdrawal;
+  if (withdrawAmount < minWithdrawal) {
     return res.status(400).json({
       success: false,
-      message: 'Minimum withdrawal amount is $5.00 CAD',
+      message: `Minimum withdrawal amount is ${formatAmount(minWithdrawal, currency)}`,
     });
   }
 
-  // Calculate available balance
-  const earnings = await Transaction.findAll({
-    where: {
-      finder_id: userId,
-      transaction_type: 'bounty_payment',
-      status: 'completed',
-    },
-  });
-
-  const withdrawals = await Transaction.findAll({
-    where: {
-      finder_id: userId,
-      transaction_type: 'withdrawal',
-      status: { [Op.in]: ['completed', 'processing', 'pending'] },
-    },
-  });
+  // Lock the finder's available account so concurrent requests can't both
+  // spend the same balance; the withdrawal's ledger posting commits with it
+  const outcome = await sequelize.transaction(async (t) => {
+    await ledgerService.getAccount('finder_available', userId, { currency, transaction: t, lock: true });
+    const availableBalance = await ledgerService.getBalance('finder_available', userId, { currency, transaction: t });
+
+    if (withdrawAmount > availableBalance) {
+      return { error: `Insufficient balance. Available: ${formatAmount(availableBalance, currency)}` };
+    }
+
+    // Check for pending withdrawals
+    const pendingWithdrawal = await Transaction.findOne({
+      where: {
+        finder_id: userId,
+        transaction_type: 'withdrawal',
+        status: 'pending',
+      },
+      transaction: t,
+    });
 
-  const totalEarned = earnings.reduce((sum, t) => sum + parseFloat(t.net_amount), 0);
-  const totalWithdrawn = withdrawals.reduce((sum, t) => sum + parseFloat(t.amount), 0);
-  const availableBalance = totalEarned - totalWithdrawn;
+    if (pendingWithdrawal) {
+      return { error: 'You already have a pending withdrawal request. Please wait for it to be processed.' };
+    }
 
-  if (withdrawAmount > availableBalance) {
-    return res.status(400).json({
-      success: false,
-      message: `Insufficient balance. Available: $${availableBalance.toFixed(2)} CAD`,
+    // Use the latest earning's case as reference
+    const lastEarning = await Transaction.findOne({
+      where: {
+        finder_id: userId,
+        transaction_type: 'bounty_payment',
+        status: 'completed',
+      },
+      order: [['completed_at', 'DESC']],
+      transaction: t,
     });
-  }
 
-  // Check for pending withdrawals
-  const pendingWithdrawal = await Transaction.findOne({
-    where: {
+    const withdrawal = await Transaction.create({
+      case_id: lastEarning ? lastEarning.case_id : null,
       finder_id: userId,
+      poster_id: userId, // Self-payout
       transaction_type: 'withdrawal',
+      amount: withdrawAmount,
+      platform_commission: 0,
+      net_amount: withdrawAmount,
+      currency,
       status: 'pending',
-    },
+      payment_method: payout_method,
+      metadata: {
+        requested_by: userId,
+        payout_method: payout_method,
+      },
+    }, { transaction: t });
+
+    return { withdrawal, availableBalance };
   });
 
-  if (pendingWithdrawal) {
+  if (outcome.error) {
     return res.status(400).json({
       success: false,
-      message: 'You already have a pending withdrawal request. Please wait for it to be processed.',
+      message: outcome.error,
     });
   }
 
-  // Create withdrawal request
-  const withdrawal = await Transaction.create({
-    case_id: earnings.length > 0 ? earnings[0].case_id : null, // Use first earning's case as reference if available
-    finder_id: userId,
-    poster_id: userId, // Self-payout
-    transaction_type: 'withdrawal',
-    amount: withdrawAmount,
-    platform_commission: 0,
-    net_amount: withdrawAmount,
-    currency: 'CAD',
-    status: 'pending',
-    payment_method: payout_method,
-    metadata: {
-      requested_by: userId,
-      payout_method: payout_method,
-    },
-  });
+  const { withdrawal, availableBalance } = outcome;
 
-  logger.info(`Withdrawal request created: $${withdrawAmount} CAD for user ${userId}`);
+  logger.info(`Withdrawal request created: ${formatAmount(withdrawAmount, currency)} for user ${userId}`);
 
   res.status(201).json({
     success: true,
@@ -329,13 +395,63 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
         id: withdrawal.id,
         amount: withdrawAmount.toFixed(2),
         status: 'pending',
-        currency: 'CAD',
+        currency,
       },
       new_balance: (availableBalance - withdrawAmount).toFixed(2),
     },
   });
 });
 
+// @desc    Get supported currencies and their limits
+// @route   GET /api/v1/payments/currencies
+// @access  Private
+const getCurrencies = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      default_currency: DEFAULT_CURRENCY,
+      reporting_currency: REPORTING_CURRENCY,
+      currencies: SUPPORTED_CURRENCIES.map(code => ({ code, ...getLimits(code) })),
+    },
+  });
+});
+
+// @desc    Receive Stripe webhook events
+// @route   POST /api/v1/payments/webhook
+// @access  Public (Stripe-signed; mounted in server.js ahead of the JSON parser)
+const handleStripeWebhook = asyncHandler(async (req, res) => {
+  let event;
+  try {
+    event = stripeWebhookService.constructEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    if (error.type !== 'StripeSignatureVerificationError') {
+      throw error;
+    }
+
+    logger.security('Invalid Stripe webhook signature', {
+      ip: req.ip,
+      error: error.message,
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  const result = await stripeWebhookService.processEvent(event);
+
+  res.status(200).json({
+    success: true,
+    message: result.duplicate ? 'Event already processed' : 'Event processed',
+    data: {
+      event_id: event.id,
+      type: event.type,
+      ...result,
+    },
+  });
+});
+
 module.exports = {
   createBountyPayment,
   releaseBounty,
@@ -344,4 +460,6 @@ module.exports = {
   getUserBalance,
   getEarningsSummary,
   requestWithdrawal,
+  getCurrencies,
+  handleStripeWebhook,
 };
@@ -2,14 +2,10 @@ const { Photo, Case } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const path = require('path');
 const fs = require('fs');
-const faceRecognitionService = require('../services/faceRecognitionService');
-const objectDetectionService = require('../services/objectDetectionService');
-const imageSimilarityService = require('../services/imageSimilarityService');
-const visualDNAService = require('../services/visualDNAService');
 const ocrService = require('../services/ocrService');
-const matchingService = require('../services/universalMatchingService');
 const imageDnaService = require('../services/imageDnaService');
 const neuralEmbeddingService = require('../services/neuralEmbeddingService');
+const { enqueuePhotoProcessing } = require('../services/photoProcessingService');
 const logger = require('../config/logger');
 
 // @desc    Upload photos for a case
@@ -80,10 +76,8 @@ const uploadPhotos = asyncHandler(async (req, res) => {
       upload_status: 'processing',
     });
 
-    // Process photo with AI in background (don't await to speed up response)
-    processPhotoWithAI(photo, photoPath).catch(error => {
-      console.error('AI processing error:', error);
-    });
+    // AI processing runs on the job queue (retried, survives restarts)
+    await enqueuePhotoProcessing(photo, photoPath);
 
     photos.push(photo);
   }
@@ -196,111 +190,6 @@ const deletePhoto = asyncHandler(async (req, res) => {
   });
 });
 
-// Helper function to process photo with AI
-async function processPhotoWithAI(photo, photoPath) {
-  try {
-    logger.info(`Processing photo ${photo.id} with AI...`);
-
-    // Process photo with all AI services in parallel (including OCR)
-    const [faceResult, objectResult, imageResult, ocrResult] = await Promise.all([
-      faceRecognitionService.processPhoto(photoPath),
-      objectDetectionService.processPhoto(photoPath),
-      imageSimilarityService.processPhoto(photoPath),
-      ocrService.extractText(photoPath).catch(err => {
-        logger.warn(`OCR processing failed for photo ${photo.id}:`, err.message);
-        return { text: '', confidence: 0, identifiers: {}, processingTimeMs: 0 };
-      }),
-    ]);
-
-    // Update photo with AI results
-    photo.face_detected = faceResult.faceDetected || false;
-    photo.face_vector = faceResult.descriptor || null;
-    photo.ai_confidence_score = faceResult.confidence || null;
-
-    photo.ai_metadata = {
-      faces_count: faceResult.facesCount || 0,
-      objects_detected: objectResult.objects?.map(o => o.class) || [],
-      colors: objectResult.colors?.map(c => c.hex) || [],
-      primary_object: objectResult.primaryObject || null,
-      dominant_color: objectResult.dominantColor || null,
-      // OCR data
-      ocr: {
-        text: ocrResult.text || '',
-        confidence: ocrResult.confidence || 0,
-        identifiers: ocrResult.identifiers || {},
-        processingTimeMs: ocrResult.processingTimeMs || 0,
-        hasText: (ocrResult.text || '').trim().length > 0,
-      },
-    };
-
-    // Store image features for similarity search
-    photo.image_features = imageResult.features || null;
-    photo.upload_status = 'completed';
-
-    await photo.save();
-
-    logger.info(`Photo ${photo.id} AI processing completed (OCR confidence: ${ocrResult.confidence}%)`);
-
-    // Extract Visual DNA in background (non-blocking)
-    extractVisualDNA(photo.id, photo.case_id, photoPath).catch(error => {
-      logger.error(`Visual DNA extraction failed for photo ${photo.id}:`, error);
-    });
-
-    // Find matches for this photo (non-blocking)
-    findMatchesForPhoto(photo.id, photo.case_id, photoPath).catch(error => {
-      logger.error(`Match search failed for photo ${photo.id}:`, error);
-    });
-
-  } catch (error) {
-    logger.error(`Failed to process photo ${photo.id}:`, error);
-
-    // Mark as failed
-    photo.upload_status = 'failed';
-    photo.upload_error = error.message;
-    await photo.save();
-  }
-}
-
-// Helper function to extract Visual DNA
-async function extractVisualDNA(photoId, caseId, photoPath) {
-  try {
-    logger.info(`Extracting Visual DNA for photo ${photoId}...`);
-
-    const result = await visualDNAService.processAndSaveVisualDNA(photoId, caseId, photoPath);
-
-    logger.info(`Visual DNA extracted for photo ${photoId}`, {
-      entityType: result.entity_type,
-      processingTime: result.processing_time_ms,
-    });
-
-    return result;
-  } catch (error) {
-    logger.error(`Visual DNA extraction failed for photo ${photoId}:`, error);
-    throw error;
-  }
-}
-
-// Helper function to find matches for a photo
-async function findMatchesForPhoto(photoId, caseId, photoPath) {
-  try {
-    logger.info(`Searching for matches for photo ${photoId}...`);
-
-    const matches = await matchingService.findMatchesForPhoto(photoId, caseId, photoPath);
-
-    if (matches.length > 0) {
-      logger.info(`Found ${matches.length} potential matches for photo ${photoId}`);
-      // TODO: Trigger notifications for high-confidence matches
-    } else {
-      logger.info(`No matches found for photo ${photoId}`);
-    }
-
-    return matches;
-  } catch (error) {
-    logger.error(`Match search failed for photo ${photoId}:`, error);
-    throw error;
-  }
-}
-
 // @desc    Analyze image with OCR (quick scan without case)
 // @route   POST /api/v1/photos/analyze-ocr
 // @access  Private
@@ -0,0 +1,69 @@
+/**
+ * Report Controller
+ *
+ * Lets users flag cases, claims and chat messages for moderator review.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  reportContent,
+  REPORTABLE_CONTENT_TYPES,
+  REPORT_REASONS,
+} = require('../services/contentModerationService');
+
+/**
+ * @desc    Report a case, claim or message
+ * @route   POST /api/v1/reports
+ * @access  Private
+ */
+const createReport = asyncHandler(async (req, res) => {
+  const { content_type, content_id, reason, details } = req.body;
+
+  if (!content_type || !content_id || !reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Content type, content ID and reason are required',
+    });
+  }
+
+  if (!REPORTABLE_CONTENT_TYPES.includes(content_type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Content type must be one of: ${REPORTABLE_CONTENT_TYPES.join(', ')}`,
+    });
+  }
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`,
+    });
+  }
+
+  const result = await reportContent(content_type, content_id, req.userId, reason, details);
+
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.message,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: result.message,
+    data: {
+      report: {
+        id: result.report.id,
+        content_type: result.report.content_type,
+        content_id: result.report.content_id,
+        reason: result.report.reason,
+        status: result.report.status,
+      },
+    },
+  });
+});
+
+module.exports = {
+  createReport,
+};
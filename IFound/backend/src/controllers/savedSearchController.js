@@ -0,0 +1,262 @@
+/**
+ * Saved Search Controller
+ *
+ * Users' saved case searches and the alert subscriptions attached to them.
+ */
+
+const { SavedSearch } = require('../models');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { unsubscribe, ALERT_FREQUENCIES } = require('../services/savedSearchService');
+
+const CASE_TYPES = ['criminal', 'missing_person', 'lost_item', 'found_item'];
+const ITEM_CATEGORIES = ['pet', 'jewelry', 'electronics', 'documents', 'vehicle', 'other'];
+const MAX_SAVED_SEARCHES = 20;
+const MAX_RADIUS_MILES = 500;
+const MAX_KEYWORDS = 10;
+
+/**
+ * Validate and normalize saved search fields from a request body
+ * Only fields present in the body are returned, so this serves both
+ * create and partial update.
+ * @returns {object} - { error } or { values }
+ */
+const parseSearchFields = (body) => {
+  const values = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Name is required' };
+    }
+    values.name = String(body.name).trim().slice(0, 100);
+  }
+
+  if (body.case_type !== undefined) {
+    if (body.case_type && !CASE_TYPES.includes(body.case_type)) {
+      return { error: `Case type must be one of: ${CASE_TYPES.join(', ')}` };
+    }
+    values.case_type = body.case_type || null;
+  }
+
+  if (body.item_category !== undefined) {
+    if (body.item_category && !ITEM_CATEGORIES.includes(body.item_category)) {
+      return { error: `Item category must be one of: ${ITEM_CATEGORIES.join(', ')}` };
+    }
+    values.item_category = body.item_category || null;
+  }
+
+  if (body.keywords !== undefined) {
+    const keywords = Array.isArray(body.keywords)
+      ? body.keywords
+      : String(body.keywords || '').split(',');
+
+    values.keywords = [...new Set(
+      keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean)
+    )];
+
+    if (values.keywords.length > MAX_KEYWORDS) {
+      return { error: `At most ${MAX_KEYWORDS} keywords are allowed` };
+    }
+  }
+
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    const hasCenter = body.latitude != null && body.latitude !== '' && body.longitude != null && body.longitude !== '';
+
+    if (hasCenter) {
+      const latitude = parseFloat(body.latitude);
+      const longitude = parseFloat(body.longitude);
+
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90
+        || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return { error: 'Valid latitude and longitude are required' };
+      }
+
+      values.latitude = latitude;
+      values.longitude = longitude;
+    } else {
+      values.latitude = null;
+      values.longitude = null;
+    }
+  }
+
+  if (body.radius_miles !== undefined) {
+    const radius = parseInt(body.radius_miles);
+    if (!Number.isFinite(radius) || radius < 1 || radius > MAX_RADIUS_MILES) {
+      return { error: `Radius must be between 1 and ${MAX_RADIUS_MILES} miles` };
+    }
+    values.radius_miles = radius;
+  }
+
+  if (body.min_bounty !== undefined) {
+    if (body.min_bounty === null || body.min_bounty === '') {
+      values.min_bounty = null;
+    } else {
+      const minBounty = parseFloat(body.min_bounty);
+      if (!Number.isFinite(minBounty) || minBounty < 0) {
+        return { error: 'Minimum bounty must be a positive number' };
+      }
+      values.min_bounty = minBounty;
+    }
+  }
+
+  if (body.alerts_enabled !== undefined) {
+    values.alerts_enabled = Boolean(body.alerts_enabled);
+  }
+
+  if (body.alert_frequency !== undefined) {
+    if (!ALERT_FREQUENCIES.includes(body.alert_frequency)) {
+      return { error: `Alert frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}` };
+    }
+    values.alert_frequency = body.alert_frequency;
+  }
+
+  return { values };
+};
+
+/**
+ * @desc    List my saved searches
+ * @route   GET /api/v1/saved-searches
+ * @access  Private
+ */
+const getSavedSearches = asyncHandler(async (req, res) => {
+  const searches = await SavedSearch.findAll({
+    where: { user_id: req.userId },
+    order: [['created_at', 'DESC']],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { searches },
+  });
+});
+
+/**
+ * @desc    Save a search and subscribe to alerts for it
+ * @route   POST /api/v1/saved-searches
+ * @access  Private
+ */
+const createSavedSearch = asyncHandler(async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name is required',
+    });
+  }
+
+  const { error, values } = parseSearchFields(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  const existing = await SavedSearch.count({ where: { user_id: req.userId } });
+  if (existing >= MAX_SAVED_SEARCHES) {
+    return res.status(400).json({
+      success: false,
+      message: `You can save at most ${MAX_SAVED_SEARCHES} searches`,
+    });
+  }
+
+  const search = await SavedSearch.create({
+    ...values,
+    user_id: req.userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Search saved',
+    data: { search },
+  });
+});
+
+/**
+ * @desc    Update a saved search or its alert settings
+ * @route   PUT /api/v1/saved-searches/:id
+ * @access  Private
+ */
+const updateSavedSearch = asyncHandler(async (req, res) => {
+  const search = await SavedSearch.findOne({
+    where: { id: req.params.id, user_id: req.userId },
+  });
+
+  if (!search) {
+    return res.status(404).json({
+      success: false,
+      message: 'Saved search not found',
+    });
+  }
+
+  const { error, values } = parseSearchFields(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  // Queued digest cases no longer apply once alerts are off
+  if (values.alerts_enabled === false) {
+    values.pending_case_ids = [];
+  }
+
+  await search.update(values);
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved search updated',
+    data: { search },
+  });
+});
+
+/**
+ * @desc    Delete a saved search
+ * @route   DELETE /api/v1/saved-searches/:id
+ * @access  Private
+ */
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+  const deleted = await SavedSearch.destroy({
+    where: { id: req.params.id, user_id: req.userId },
+  });
+
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Saved search not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved search deleted',
+  });
+});
+
+/**
+ * @desc    Turn off alerts from an email link
+ * @route   GET /api/v1/saved-searches/unsubscribe?token=...
+ * @access  Public (signed token)
+ */
+const unsubscribeFromAlerts = asyncHandler(async (req, res) => {
+  const search = req.query.token ? await unsubscribe(req.query.token) : null;
+
+  if (!search) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired unsubscribe link',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `You will no longer receive alerts for "${search.name}"`,
+  });
+});
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeFromAlerts,
+};
@@ -1,5 +1,6 @@
-const { Submission, Case, User, Transaction } = require('../models');
+const { Submission, Case, User, Transaction, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
+const paymentService = require('../services/paymentService');
 const { Op } = require('sequelize');
 
 // @desc    Create submission/tip
@@ -200,14 +201,18 @@ const verifySubmission = asyncHandler(async (req, res) => {
   submission.reviewed_by = req.userId;
   submission.reviewed_at = new Date();
 
-  await submission.save();
+  const awardsBounty = verification_status === 'verified' && bounty_percentage > 0 && submission.finder_id;
+
+  // The review, its bounty and the bounty's escrow postings commit together
+  await sequelize.transaction(async (t) => {
+    await submission.save({ transaction: t });
+    if (!awardsBounty) return;
 
-  // If verified and bounty percentage set, create transaction
-  if (verification_status === 'verified' && bounty_percentage > 0 && submission.finder_id) {
     const bountyAmount = (parseFloat(submission.case.bounty_amount) * parseFloat(bounty_percentage)) / 100;
-    const commissionRate = parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE) || 10;
-    const commission = (bountyAmount * commissionRate) / 100;
+    const commission = paymentService.calculateCommission(bountyAmount);
 
+    // The bounty is held in the poster's escrow account until released;
+    // total_earnings follows once it reaches the finder
     await Transaction.create({
       case_id: submission.case_id,
       submission_id: submission.id,
@@ -216,13 +221,15 @@ const verifySubmission = asyncHandler(async (req, res) => {
       transaction_type: 'bounty_payment',
       amount: bountyAmount,
       platform_commission: commission,
+      currency: submission.case.currency,
       status: 'escrow',
-    });
+    }, { transaction: t });
+  });
 
+  if (awardsBounty) {
     // Update user stats
     const finder = await User.findByPk(submission.finder_id);
     if (finder) {
-      finder.total_earnings = parseFloat(finder.total_earnings) + (bountyAmount - commission);
       finder.total_cases_found += 1;
       finder.reputation_score = Math.min(100, parseFloat(finder.reputation_score) + 5);
       await finder.save();
@@ -1,5 +1,17 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { isSessionActive } = require('../services/sessionService');
+
+// Access tokens are rejected once the user resets their password or the
+// session they belong to is logged out or revoked
+const isTokenRevoked = async (user, decoded) => {
+  if (user.tokenPredatesPasswordChange(decoded.iat)) return true;
+  return !!decoded.sid && !(await isSessionActive(decoded.sid));
+};
+
+// Links we email (verification, case renewal, unsubscribe) are signed with
+// the same secret but carry a `purpose`; they must never work as logins
+const isAccessToken = (decoded) => !decoded.purpose;
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -16,6 +28,13 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (!isAccessToken(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required',
+      });
+    }
+
     const user = await User.findByPk(decoded.userId);
 
     if (!user || !user.is_active || user.is_suspended) {
@@ -25,8 +44,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (await isTokenRevoked(user, decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again',
+      });
+    }
+
     req.user = user;
     req.userId = user.id;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -56,10 +83,11 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId);
-      if (user && user.is_active && !user.is_suspended) {
+      const user = isAccessToken(decoded) ? await User.findByPk(decoded.userId) : null;
+      if (user && user.is_active && !user.is_suspended && !(await isTokenRevoked(user, decoded))) {
         req.user = user;
         req.userId = user.id;
+        req.sessionId = decoded.sid || null;
       }
     }
     next();
@@ -110,6 +138,15 @@ const requireVerification = (minLevel = 'email_verified') => {
     const requiredLevel = verificationLevels[minLevel] || 0;
 
     if (userLevel < requiredLevel) {
+      // Unverified users can fix this themselves via /auth/resend-verification
+      if (userLevel === 0 && minLevel === 'email_verified') {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address first',
+          code: 'EMAIL_NOT_VERIFIED',
+        });
+      }
+
       return res.status(403).json({
         success: false,
         message: `Verification level '${minLevel}' required`,
@@ -120,8 +157,51 @@ const requireVerification = (minLevel = 'email_verified') => {
   };
 };
 
+// Authenticate Socket.IO connections
+// Token is read from the handshake auth payload, falling back to the Authorization header
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!isAccessToken(decoded)) {
+      return next(new Error('Invalid token'));
+    }
+
+    const user = await User.findByPk(decoded.userId);
+
+    if (!user || !user.is_active || user.is_suspended) {
+      return next(new Error('Account is inactive or suspended'));
+    }
+
+    if (await isTokenRevoked(user, decoded)) {
+      return next(new Error('Session has ended'));
+    }
+
+    socket.user = user;
+    socket.userId = user.id;
+    socket.sessionId = decoded.sid || null;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired'));
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+    return next(new Error('Authentication error'));
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authenticateSocket,
   optionalAuth,
   requireUserType,
   requireVerification,
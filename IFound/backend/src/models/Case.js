@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { extractCoordinates, encodeGeohash } = require('../utils/geoUtils');
 
 const Case = sequelize.define('Case', {
   id: {
@@ -55,6 +57,12 @@ const Case = sequelize.define('Case', {
     allowNull: false,
     defaultValue: 0.00,
   },
+  // Bounty currency; limits per currency live in config/currencies
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+  },
   // Subject Information
   subject_name: {
     type: DataTypes.STRING,
@@ -98,6 +106,19 @@ const Case = sequelize.define('Case', {
       longitude: null,
     },
   },
+  // Derived from last_seen_location on save; indexed for radius search
+  latitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+  },
+  longitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+  },
+  geohash: {
+    type: DataTypes.STRING(12),
+    allowNull: true,
+  },
   last_seen_date: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -135,6 +156,13 @@ const Case = sequelize.define('Case', {
     allowNull: true,
     defaultValue: [],
   },
+  // Found items: details only the finder knows, used to score claims
+  // (claimVerificationService). Excluded from queries by default.
+  secret_details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: '{details: [string], serial_fragments: [string]}',
+  },
   // Medical/Safety Information
   medical_conditions: {
     type: DataTypes.TEXT,
@@ -180,6 +208,11 @@ const Case = sequelize.define('Case', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  // Set once the poster has been warned about the upcoming expiry; cleared on renewal
+  expiry_warning_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   resolved_at: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -194,12 +227,21 @@ const Case = sequelize.define('Case', {
   },
 }, {
   tableName: 'cases',
+  defaultScope: {
+    attributes: { exclude: ['secret_details'] },
+  },
   indexes: [
     { fields: ['poster_id'] },
     { fields: ['case_type'] },
     { fields: ['status'] },
     { fields: ['priority_level'] },
     { fields: ['created_at'] },
+    { fields: ['status', 'expires_at'] },
+    // Prefix (LIKE 'abc%') lookups for geo-radius search
+    {
+      name: 'cases_geohash_pattern',
+      fields: [{ name: 'geohash', operator: 'varchar_pattern_ops' }],
+    },
     {
       fields: ['case_number'],
       unique: true,
@@ -212,4 +254,16 @@ const Case = sequelize.define('Case', {
   ],
 });
 
+// Keep the indexed coordinates in sync with last_seen_location
+Case.beforeSave((caseData) => {
+  if (caseData.isNewRecord || caseData.changed('last_seen_location')) {
+    const coords = extractCoordinates({ last_seen_location: caseData.last_seen_location });
+    const valid = coords && Number.isFinite(coords.lat) && Number.isFinite(coords.lng);
+
+    caseData.latitude = valid ? coords.lat : null;
+    caseData.longitude = valid ? coords.lng : null;
+    caseData.geohash = valid ? encodeGeohash(coords.lat, coords.lng) : null;
+  }
+});
+
 module.exports = Case;
@@ -16,6 +16,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
 
 const Claim = sequelize.define('Claim', {
   id: {
@@ -72,21 +73,41 @@ const Claim = sequelize.define('Claim', {
     comment: 'URL to proof photo (e.g., photo of matching item, receipt, etc.)',
   },
 
+  // Automated ownership score against the finder's secret details (0-100,
+  // null when the item has none). Shown to the finder only.
+  verification_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+
+  verification_breakdown: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: '{level, signals, matches, photo_analysis, computed_at}, see claimVerificationService',
+  },
+
   // Bounty/Finder's fee offered
+  // The cap depends on the currency (config/currencies), checked in createClaim
   bounty_offered: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     defaultValue: 0,
     validate: {
       min: 0,
-      max: 50, // $50 CAD max
     },
   },
 
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+  },
+
   // Claim status
   status: {
     type: DataTypes.ENUM(
       'pending',           // Waiting for finder to review
+      'on_hold',           // Held for fraud review, not shown to the finder yet
       'under_review',      // Finder is reviewing/asking questions
       'accepted',          // Finder accepted the claim
       'rejected',          // Finder rejected the claim
@@ -124,7 +145,31 @@ const Claim = sequelize.define('Claim', {
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: null,
-    comment: 'Agreed meetup location {address, lat, lng, time}',
+    comment: 'Agreed meetup {name, address, latitude, longitude, starts_at, ends_at, proposal_message_id, agreed_at}',
+  },
+
+  // One-time code the claimant shows at the meetup and the finder scans,
+  // see handoverService. Only the hash is stored; excluded by default.
+  handover_code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+
+  handover_code_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  handover_code_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  // Set when the handover was proven with the code rather than two taps
+  handover_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
   },
 
   handover_confirmed_by_finder: {
@@ -181,6 +226,9 @@ const Claim = sequelize.define('Claim', {
 
 }, {
   tableName: 'claims',
+  defaultScope: {
+    attributes: { exclude: ['handover_code_hash'] },
+  },
   indexes: [
     { fields: ['found_case_id'] },
     { fields: ['claimant_id'] },
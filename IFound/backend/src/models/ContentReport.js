@@ -0,0 +1,159 @@
+/**
+ * ContentReport Model
+ *
+ * Moderation queue entry for a case, claim or chat message.
+ * Created either by a user (POST /reports) or automatically when
+ * contentModerationService.analyzeContent scores content above the
+ * auto-report threshold.
+ *
+ * Flow: pending -> assigned -> resolved | dismissed
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ContentReport = sequelize.define('ContentReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  // What is being reported
+  content_type: {
+    type: DataTypes.ENUM('case', 'claim', 'message'),
+    allowNull: false,
+  },
+
+  content_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+
+  // Author of the reported content (denormalized for the queue and user actions)
+  content_author_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+
+  // Who reported it (null for automatic reports)
+  reporter_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+
+  source: {
+    type: DataTypes.ENUM('user', 'automatic'),
+    allowNull: false,
+    defaultValue: 'user',
+  },
+
+  reason: {
+    type: DataTypes.ENUM(
+      'selling',        // Buying/selling instead of returning
+      'spam',
+      'inappropriate',
+      'fraud',          // False claim, scam attempt
+      'harassment',
+      'personal_info',  // Sharing contact details / doxxing
+      'other'
+    ),
+    allowNull: false,
+    defaultValue: 'other',
+  },
+
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+  // analyzeContent result at report time (automatic reports, and user reports for context)
+  moderation_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+
+  moderation_flags: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: [],
+  },
+
+  // Copy of the text when reported, in case the author edits or deletes it
+  content_snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+
+  // Queue state
+  status: {
+    type: DataTypes.ENUM('pending', 'assigned', 'resolved', 'dismissed'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+
+  assigned_to: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+
+  assigned_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  action_taken: {
+    type: DataTypes.ENUM(
+      'none',             // Dismissed / no violation
+      'warning_issued',   // Author warned, content left in place
+      'content_removed',  // Case suspended, claim cancelled or message redacted
+      'user_suspended'    // Content removed and author suspended
+    ),
+    allowNull: true,
+  },
+
+  resolution_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'content_reports',
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['content_type', 'content_id'] },
+    { fields: ['reporter_id'] },
+    { fields: ['assigned_to'] },
+    { fields: ['created_at'] },
+  ],
+});
+
+module.exports = ContentReport;
@@ -0,0 +1,85 @@
+/**
+ * DeviceToken Model
+ *
+ * Push notification registration for one of a user's devices.
+ * A user can be signed in on several devices; each registers its own token
+ * and push fan-out sends to every active one.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DeviceToken = sequelize.define('DeviceToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // Registration token issued by FCM or APNs
+  token: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true,
+  },
+
+  // Which provider the token belongs to
+  provider: {
+    type: DataTypes.ENUM('fcm', 'apns'),
+    allowNull: false,
+    defaultValue: 'fcm',
+  },
+
+  platform: {
+    type: DataTypes.ENUM('ios', 'android', 'web'),
+    allowNull: false,
+  },
+
+  // Optional human-readable label ("Pixel 8", "iPhone 15")
+  device_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+
+  app_version: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+
+  // Cleared when the provider reports the token as invalid/unregistered
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  last_error: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'device_tokens',
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['user_id', 'is_active'] },
+    { fields: ['token'], unique: true },
+  ],
+});
+
+module.exports = DeviceToken;
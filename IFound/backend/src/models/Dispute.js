@@ -0,0 +1,150 @@
+/**
+ * Dispute Model
+ *
+ * A claimant or finder contesting a claim outcome: a completed handover
+ * (item never received, wrong item, fee not paid) or a rejected claim.
+ * Opening a dispute freezes the claim's bounty transaction until an admin
+ * rules on it, see disputeService.
+ *
+ * Flow: open -> under_review -> resolved
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Dispute = sequelize.define('Dispute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  claim_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'claims',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // Claimant or finder who opened it
+  raised_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // Bounty frozen while the dispute is open (null if the claim had none)
+  transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'transactions',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+
+  reason: {
+    type: DataTypes.ENUM(
+      'item_not_received',   // Handover confirmed but the owner never got the item
+      'wrong_item',          // Item handed over isn't the one claimed
+      'item_damaged',
+      'fee_not_paid',        // Finder didn't receive the promised finder's fee
+      'wrongful_rejection',  // Owner says the finder rejected a valid claim
+      'fraud',
+      'other'
+    ),
+    allowNull: false,
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+
+  // Claim status when the dispute was opened, restored if the finder's
+  // outcome stands
+  claim_status_before: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+
+  status: {
+    type: DataTypes.ENUM('open', 'under_review', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+
+  // Uploaded files from either party
+  evidence: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of {url, filename, uploaded_by, uploaded_at}',
+  },
+
+  // Everything that happened, oldest first
+  timeline: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of {event, actor_id, note, at}',
+  },
+
+  assigned_to: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+
+  // Adjudication
+  ruling: {
+    type: DataTypes.ENUM('claimant', 'finder'),
+    allowNull: true,
+  },
+
+  payment_action: {
+    type: DataTypes.ENUM('refund', 'release', 'none'),
+    allowNull: true,
+  },
+
+  resolution_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'disputes',
+  indexes: [
+    { fields: ['claim_id'] },
+    { fields: ['raised_by'] },
+    { fields: ['status'] },
+    { fields: ['created_at'] },
+  ],
+});
+
+module.exports = Dispute;
@@ -0,0 +1,95 @@
+/**
+ * Job Model
+ *
+ * Background job storage for the Postgres job queue backend
+ * (services/jobQueue/postgresBackend.js). Used when Redis isn't available.
+ *
+ * Flow: pending -> active -> completed
+ *                        \-> pending (retry with backoff) ... -> dead
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  // Handler name, e.g. 'photo.process'
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'completed', 'dead'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+
+  // Incremented each time a worker picks the job up
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3,
+  },
+
+  // Earliest time the job may run (pushed back on retry)
+  run_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+
+  // Set while active; a lock older than the queue's lock timeout means the
+  // worker died and the job is returned to pending
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  locked_by: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'jobs',
+  indexes: [
+    { fields: ['type', 'status', 'run_at'] },
+    { fields: ['status', 'locked_at'] },
+    { fields: ['created_at'] },
+  ],
+});
+
+module.exports = Job;
@@ -0,0 +1,76 @@
+/**
+ * LedgerAccount Model
+ *
+ * An account in the double-entry bounty ledger (see services/ledgerService).
+ * Balances are never stored; an account's balance is the sum of its
+ * LedgerEntry amounts, positive meaning funds held for the account's owner.
+ *
+ * account_type:
+ *   poster_escrow          bounty a poster has paid that is held until release
+ *   finder_available       released earnings a finder can withdraw
+ *   finder_payout_pending  earnings set aside for a withdrawal being paid out
+ *   platform_commission    platform fees taken from released bounties
+ *   external               money entering (negative) or leaving the platform
+ *                          through card payments, refunds and payouts
+ *
+ * Every account holds one currency. Per-user accounts are keyed by code
+ * '<account_type>:<user_id>:<currency>'; platform accounts by
+ * '<account_type>:<currency>'.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+const ACCOUNT_TYPES = [
+  'poster_escrow',
+  'finder_available',
+  'finder_payout_pending',
+  'platform_commission',
+  'external',
+];
+
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  code: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  },
+
+  account_type: {
+    type: DataTypes.ENUM(...ACCOUNT_TYPES),
+    allowNull: false,
+  },
+
+  // Null for platform accounts
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: DEFAULT_CURRENCY,
+  },
+}, {
+  tableName: 'ledger_accounts',
+  indexes: [
+    { fields: ['account_type'] },
+    { fields: ['user_id'] },
+  ],
+});
+
+LedgerAccount.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = LedgerAccount;
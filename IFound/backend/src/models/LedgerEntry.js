@@ -0,0 +1,64 @@
+/**
+ * LedgerEntry Model
+ *
+ * One leg of a ledger posting. Entries sharing a journal_id were written
+ * together for one Transaction and sum to zero. Entries are never updated;
+ * corrections are posted as new journals.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  journal_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'ledger_accounts',
+      key: 'id',
+    },
+  },
+
+  transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'transactions',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // Signed: positive credits the account's owner, negative debits them
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+  },
+
+  // Transaction status that caused the posting, e.g. 'escrow', 'completed'
+  posted_for: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+}, {
+  tableName: 'ledger_entries',
+  updatedAt: false,
+  indexes: [
+    { fields: ['journal_id'] },
+    { fields: ['account_id'] },
+    { fields: ['transaction_id'] },
+  ],
+});
+
+module.exports = LedgerEntry;
@@ -86,4 +86,8 @@ const Message = sequelize.define('Message', {
   ],
 });
 
+// What users may send through the chat; system, location and handover
+// messages are posted by the server, which builds their metadata
+Message.CLIENT_TYPES = ['text', 'image'];
+
 module.exports = Message;
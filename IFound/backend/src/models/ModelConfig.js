@@ -124,6 +124,26 @@ const ModelConfig = sequelize.define('ModelConfig', {
     allowNull: true,
   },
 
+  // Candidate evaluation before promotion (weights configs only):
+  // shadow = scored next to the active config but never shown,
+  // split = serves rollout_percent of users
+  rollout_mode: {
+    type: DataTypes.ENUM('shadow', 'split'),
+    allowNull: true,
+  },
+
+  rollout_percent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: { min: 0, max: 100 },
+  },
+
+  rollout_started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
   // Previous version this was based on
   parent_config_id: {
     type: DataTypes.UUID,
@@ -175,7 +195,7 @@ ModelConfig.createNewVersion = async function(configName, configType, configData
       transaction,
     });
 
-    const newVersion = currentActive ? currentActive.version + 1 : 1;
+    const newVersion = await this.nextVersion(configName, transaction);
 
     // Deactivate current
     if (currentActive) {
@@ -201,4 +221,26 @@ ModelConfig.createNewVersion = async function(configName, configType, configData
   }
 };
 
+// Class method to get the next version number for a config name
+// (candidates take versions too, so this isn't always active + 1)
+ModelConfig.nextVersion = async function(configName, transaction = null) {
+  const latest = await this.max('version', { where: { config_name: configName }, transaction });
+  return (latest || 0) + 1;
+};
+
+// Class method to store an inactive candidate that waits for approval
+ModelConfig.createCandidate = async function(configName, configType, configData, trainingMetrics = {}) {
+  const currentActive = await this.getActiveConfig(configName);
+
+  return await this.create({
+    config_name: configName,
+    config_type: configType,
+    config_data: configData,
+    version: await this.nextVersion(configName),
+    is_active: false,
+    parent_config_id: currentActive?.id,
+    ...trainingMetrics,
+  });
+};
+
 module.exports = ModelConfig;
@@ -0,0 +1,100 @@
+/**
+ * Notification Model
+ *
+ * Persistent in-app inbox entry for a user.
+ * Every notification dispatched through notificationService is recorded here,
+ * whether or not it was also delivered by push or email.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  // Recipient
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // What happened
+  type: {
+    type: DataTypes.ENUM(
+      'match_found',            // A PhotoMatch was created for one of the user's cases
+      'claim_received',         // Someone claimed the user's found item
+      'claim_on_hold',          // The user's claim is held for a fraud check
+      'claim_accepted',         // Finder accepted the user's claim
+      'claim_rejected',         // Finder rejected the user's claim
+      'claim_cancelled',        // Claimant cancelled their claim
+      'claim_question',         // Finder asked a verification question
+      'claim_answer',           // Claimant answered a verification question
+      'claim_completed',        // Handover confirmed by both parties
+      'claim_dispute',          // Dispute opened, updated or resolved on a claim
+      'new_message',            // Chat message received
+      'transaction_completed',  // Bounty/earnings transaction completed
+      'withdrawal_update',      // Withdrawal approved, paid, rejected or failed
+      'case_alert',             // New case(s) matched one of the user's saved searches
+      'case_expiring',          // The user's case expires soon and can be renewed
+      'case_expired',           // The user's case expired or was archived as stale
+      'system'                  // Platform announcements
+    ),
+    allowNull: false,
+  },
+
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+  // References for deep-linking (claim_id, case_id, match_id, transaction_id, ...)
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+
+  // Read status
+  is_read: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  // Which external channels were attempted {push: bool, email: bool}
+  delivery: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+  },
+
+}, {
+  tableName: 'notifications',
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['type'] },
+    { fields: ['user_id', 'is_read'] },
+    { fields: ['user_id', 'created_at'] },
+  ],
+});
+
+module.exports = Notification;
@@ -198,6 +198,37 @@ const PhotoMatch = sequelize.define('PhotoMatch', {
     allowNull: true,
   },
 
+  // Weight config evaluation (see modelRolloutService)
+  weights_config_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'model_configs',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+    comment: 'Category weights that produced overall_score (null = built-in defaults)',
+  },
+  rollout_arm: {
+    type: DataTypes.ENUM('active', 'candidate'),
+    allowNull: true,
+    comment: 'Which side of a running rollout served this match',
+  },
+  shadow_config_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'model_configs',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+  shadow_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'What the other side of the rollout scored this match (location boost included)',
+  },
+
 }, {
   tableName: 'photo_matches',
   indexes: [
@@ -208,6 +239,8 @@ const PhotoMatch = sequelize.define('PhotoMatch', {
     { fields: ['status'] },
     { fields: ['overall_score'] },
     { fields: ['match_type'] },
+    { fields: ['weights_config_id'] },
+    { fields: ['shadow_config_id'] },
     // Prevent duplicate matches
     {
       unique: true,
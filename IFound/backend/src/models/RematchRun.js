@@ -0,0 +1,120 @@
+/**
+ * RematchRun Model
+ *
+ * A background re-matching pass (rematchService): re-scores the photos of
+ * selected cases, or of every active lost-item case, after weights change,
+ * a case's category/location is edited or Visual DNA is re-extracted.
+ *
+ * Photos are processed in id order in small batches; `cursor` is the last
+ * photo done, so an interrupted run carries on where it stopped.
+ *
+ * Flow: pending -> running -> completed | failed
+ *                          \-> cancelled (superseded or stopped by an admin)
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RematchRun = sequelize.define('RematchRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  // cases = only case_ids, catalogue = every active lost-item case
+  scope: {
+    type: DataTypes.ENUM('cases', 'catalogue'),
+    allowNull: false,
+  },
+
+  case_ids: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+
+  reason: {
+    type: DataTypes.ENUM('config_change', 'case_update', 'visual_dna', 'manual'),
+    allowNull: false,
+    defaultValue: 'manual',
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+
+  // Progress
+  total_photos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  processed_photos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  failed_photos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  matches_created: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  matches_updated: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  // Last photo processed
+  cursor: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+  // Null when started by the system (config change, case edit)
+  requested_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'rematch_runs',
+  indexes: [
+    { fields: ['status', 'created_at'] },
+    { fields: ['scope'] },
+  ],
+});
+
+module.exports = RematchRun;
@@ -0,0 +1,121 @@
+/**
+ * RiskAssessment Model
+ *
+ * Fraud risk score for a new claim, computed by claimRiskService from the
+ * claimant's recent activity, account, network and proof photo. Claims
+ * scoring at or above the hold threshold are put on hold and wait in the
+ * admin risk queue instead of reaching the finder.
+ *
+ * Flow: allowed | held -> released | rejected
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RiskAssessment = sequelize.define('RiskAssessment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  claim_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'claims',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // Denormalized for per-claimant history and cross-account lookups
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+
+  level: {
+    type: DataTypes.ENUM('low', 'medium', 'high'),
+    allowNull: false,
+    defaultValue: 'low',
+  },
+
+  // Signals that contributed, strongest first
+  signals: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of {signal, points, detail}',
+  },
+
+  decision: {
+    type: DataTypes.ENUM(
+      'allowed',   // Below the threshold, claim went straight to the finder
+      'held',      // Waiting for an admin
+      'released',  // Admin cleared a held claim
+      'rejected'   // Admin rejected a held claim as fraudulent
+    ),
+    allowNull: false,
+    defaultValue: 'allowed',
+  },
+
+  // Request fingerprint at claim time
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+  },
+
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+
+  // hashingService perceptual hash of the proof photo
+  proof_photo_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+
+  reviewed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  review_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'risk_assessments',
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['decision', 'created_at'] },
+    { fields: ['ip_address'] },
+    { fields: ['proof_photo_hash'] },
+  ],
+});
+
+module.exports = RiskAssessment;
@@ -0,0 +1,108 @@
+/**
+ * SavedSearch Model
+ *
+ * A user's stored case search, doubling as an alert subscription.
+ * Every newly created case is checked against enabled searches
+ * (see savedSearchService.evaluateNewCase); matches are delivered right away
+ * or collected for a periodic digest depending on alert_frequency.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+
+  // Criteria (null = any)
+  case_type: {
+    type: DataTypes.ENUM('criminal', 'missing_person', 'lost_item', 'found_item'),
+    allowNull: true,
+  },
+
+  item_category: {
+    type: DataTypes.ENUM('pet', 'jewelry', 'electronics', 'documents', 'vehicle', 'other'),
+    allowNull: true,
+  },
+
+  // Every keyword must appear in the case title or description
+  keywords: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+  },
+
+  // Search center; both null = anywhere
+  latitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+  },
+
+  longitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+  },
+
+  radius_miles: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 25,
+  },
+
+  min_bounty: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+  },
+
+  // Alert delivery
+  alerts_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+
+  alert_frequency: {
+    type: DataTypes.ENUM('instant', 'daily', 'weekly'),
+    allowNull: false,
+    defaultValue: 'instant',
+  },
+
+  // Matched case IDs waiting for the next digest
+  pending_case_ids: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+
+  last_alerted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'saved_searches',
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['alerts_enabled', 'case_type'] },
+  ],
+});
+
+module.exports = SavedSearch;
@@ -0,0 +1,72 @@
+/**
+ * StripeEvent Model
+ *
+ * Every Stripe webhook event that has been applied, keyed by the Stripe
+ * event ID. Stripe delivers events at least once, so a redelivered event
+ * finds its row here and is acknowledged without being applied twice.
+ *
+ * status: processed (changed or matched a transaction) | ignored (unhandled
+ * type, or no transaction to reconcile)
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const StripeEvent = sequelize.define('StripeEvent', {
+  // Stripe event ID (evt_...)
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+  },
+
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+
+  livemode: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+
+  status: {
+    type: DataTypes.ENUM('processed', 'ignored'),
+    allowNull: false,
+    defaultValue: 'ignored',
+  },
+
+  // What the event did, e.g. 'escrow', 'unchanged', 'transaction_not_found'
+  outcome: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+
+  transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'transactions',
+      key: 'id',
+    },
+  },
+
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+  },
+
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'stripe_events',
+  indexes: [
+    { fields: ['type'] },
+    { fields: ['transaction_id'] },
+    { fields: ['created_at'] },
+  ],
+});
+
+module.exports = StripeEvent;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
 
 const Transaction = sequelize.define('Transaction', {
   id: {
@@ -65,7 +66,7 @@ const Transaction = sequelize.define('Transaction', {
   currency: {
     type: DataTypes.STRING(3),
     allowNull: false,
-    defaultValue: 'USD',
+    defaultValue: DEFAULT_CURRENCY,
   },
   status: {
     type: DataTypes.ENUM('pending', 'escrow', 'processing', 'completed', 'failed', 'refunded', 'cancelled'),
@@ -115,6 +116,12 @@ const Transaction = sequelize.define('Transaction', {
     type: DataTypes.TEXT,
     allowNull: true,
   },
+  // Set while a claim dispute is open: the bounty is held back in escrow
+  // and can't be released or refunded until an admin rules
+  frozen_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   metadata: {
     type: DataTypes.JSONB,
     allowNull: true,
@@ -132,8 +139,8 @@ const Transaction = sequelize.define('Transaction', {
   ],
 });
 
-// Hook to calculate net amount before save
-Transaction.beforeSave(async (transaction) => {
+// Calculate net amount before validation, so the not-null check sees it
+Transaction.beforeValidate((transaction) => {
   if (transaction.changed('amount') || transaction.changed('platform_commission')) {
     transaction.net_amount = parseFloat(transaction.amount) - parseFloat(transaction.platform_commission);
   }
@@ -25,6 +25,20 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  // Refresh tokens issued before this are rejected
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // SHA-256 of the outstanding reset token; the token itself is only emailed
+  password_reset_token_hash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  password_reset_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   first_name: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -43,6 +57,15 @@ const User = sequelize.define('User', {
     allowNull: false,
     defaultValue: 'unverified',
   },
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Throttles resend requests
+  verification_email_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   verification_documents: {
     type: DataTypes.JSONB,
     allowNull: true,
@@ -97,6 +120,11 @@ const User = sequelize.define('User', {
         push: true,
         email: true,
         sms: false,
+        // Per-category switches for the in-app inbox (missing = enabled)
+        matches: true,
+        claims: true,
+        messages: true,
+        payments: true,
       },
       privacy: {
         show_profile: true,
@@ -112,6 +140,7 @@ const User = sequelize.define('User', {
     { fields: ['email'] },
     { fields: ['user_type'] },
     { fields: ['verification_status'] },
+    { fields: ['password_reset_token_hash'] },
   ],
 });
 
@@ -135,6 +164,13 @@ User.prototype.validatePassword = async function(password) {
   return bcrypt.compare(password, this.password_hash);
 };
 
+// Tokens issued before a password reset are no longer honoured
+// (JWT iat has one-second resolution)
+User.prototype.tokenPredatesPasswordChange = function(issuedAt) {
+  if (!this.password_changed_at) return false;
+  return issuedAt < Math.floor(this.password_changed_at.getTime() / 1000);
+};
+
 // Instance method to get public profile
 User.prototype.toPublicJSON = function() {
   return {
@@ -0,0 +1,97 @@
+/**
+ * UserSession Model
+ *
+ * One signed-in device. Each session holds the hash of its current refresh
+ * token; every refresh rotates it. Presenting an older token from the same
+ * session means it was copied, so the whole session is revoked
+ * (see sessionService.rotateRefreshToken).
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+
+  // SHA-256 of the only refresh token currently valid for this session
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+
+  // Device details shown in the session list
+  device_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+  },
+
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
+  revoked_reason: {
+    type: DataTypes.ENUM('logout', 'user_revoked', 'token_reuse', 'password_reset'),
+    allowNull: true,
+  },
+
+}, {
+  tableName: 'user_sessions',
+  indexes: [
+    { fields: ['user_id', 'revoked_at'] },
+  ],
+});
+
+// Instance method to check whether the session can still be used
+UserSession.prototype.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+UserSession.prototype.toPublicJSON = function() {
+  return {
+    id: this.id,
+    device_name: this.device_name,
+    user_agent: this.user_agent,
+    ip_address: this.ip_address,
+    last_used_at: this.last_used_at,
+    created_at: this.createdAt,
+    expires_at: this.expires_at,
+  };
+};
+
+module.exports = UserSession;
@@ -258,6 +258,14 @@ const VisualDNA = sequelize.define('VisualDNA', {
     allowNull: true,
   },
 
+  // False while the case is expired or archived; kept out of the embedding
+  // index so it doesn't crowd out live cases
+  is_match_candidate: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+
   // Version for algorithm updates
   algorithm_version: {
     type: DataTypes.STRING(20),
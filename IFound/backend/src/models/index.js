@@ -11,6 +11,18 @@ const Message = require('./Message');
 const MatchFeedback = require('./MatchFeedback');
 const TrainingPair = require('./TrainingPair');
 const ModelConfig = require('./ModelConfig');
+const Notification = require('./Notification');
+const DeviceToken = require('./DeviceToken');
+const ContentReport = require('./ContentReport');
+const SavedSearch = require('./SavedSearch');
+const Job = require('./Job');
+const StripeEvent = require('./StripeEvent');
+const UserSession = require('./UserSession');
+const LedgerAccount = require('./LedgerAccount');
+const LedgerEntry = require('./LedgerEntry');
+const Dispute = require('./Dispute');
+const RiskAssessment = require('./RiskAssessment');
+const RematchRun = require('./RematchRun');
 
 // Define Associations
 
@@ -87,6 +99,58 @@ VisualDNA.hasMany(TrainingPair, { foreignKey: 'target_visual_dna_id', as: 'targe
 ModelConfig.belongsTo(ModelConfig, { foreignKey: 'parent_config_id', as: 'parentConfig' });
 ModelConfig.hasMany(ModelConfig, { foreignKey: 'parent_config_id', as: 'childConfigs' });
 ModelConfig.belongsTo(User, { foreignKey: 'approved_by', as: 'approver' });
+PhotoMatch.belongsTo(ModelConfig, { foreignKey: 'weights_config_id', as: 'weightsConfig' });
+PhotoMatch.belongsTo(ModelConfig, { foreignKey: 'shadow_config_id', as: 'shadowConfig' });
+
+// Notification associations
+Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(Notification, { foreignKey: 'user_id', as: 'notifications' });
+
+// DeviceToken associations
+DeviceToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(DeviceToken, { foreignKey: 'user_id', as: 'devices' });
+
+// ContentReport associations
+ContentReport.belongsTo(User, { foreignKey: 'reporter_id', as: 'reporter' });
+ContentReport.belongsTo(User, { foreignKey: 'content_author_id', as: 'contentAuthor' });
+ContentReport.belongsTo(User, { foreignKey: 'assigned_to', as: 'assignee' });
+ContentReport.belongsTo(User, { foreignKey: 'resolved_by', as: 'resolver' });
+
+// SavedSearch associations
+SavedSearch.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(SavedSearch, { foreignKey: 'user_id', as: 'savedSearches' });
+
+// StripeEvent associations
+StripeEvent.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+Transaction.hasMany(StripeEvent, { foreignKey: 'transaction_id', as: 'stripeEvents' });
+
+// UserSession associations
+UserSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(UserSession, { foreignKey: 'user_id', as: 'sessions' });
+
+// Ledger associations
+LedgerAccount.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+LedgerAccount.hasMany(LedgerEntry, { foreignKey: 'account_id', as: 'entries' });
+LedgerEntry.belongsTo(LedgerAccount, { foreignKey: 'account_id', as: 'account' });
+LedgerEntry.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+Transaction.hasMany(LedgerEntry, { foreignKey: 'transaction_id', as: 'ledgerEntries' });
+
+// Dispute associations
+Dispute.belongsTo(Claim, { foreignKey: 'claim_id', as: 'claim' });
+Dispute.belongsTo(User, { foreignKey: 'raised_by', as: 'raisedBy' });
+Dispute.belongsTo(User, { foreignKey: 'assigned_to', as: 'assignee' });
+Dispute.belongsTo(User, { foreignKey: 'resolved_by', as: 'resolver' });
+Dispute.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+Claim.hasMany(Dispute, { foreignKey: 'claim_id', as: 'disputes' });
+
+// Risk assessment associations
+RiskAssessment.belongsTo(Claim, { foreignKey: 'claim_id', as: 'claim' });
+RiskAssessment.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+RiskAssessment.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+Claim.hasOne(RiskAssessment, { foreignKey: 'claim_id', as: 'riskAssessment' });
+
+// Re-matching runs
+RematchRun.belongsTo(User, { foreignKey: 'requested_by', as: 'requester' });
 
 // Add new enum value if it doesn't exist (for PostgreSQL)
 const updateEnumType = async () => {
@@ -113,6 +177,23 @@ const updateEnumType = async () => {
   }
 };
 
+// Index coordinates for cases saved before latitude/longitude/geohash existed
+const backfillCaseLocations = async () => {
+  const cases = await Case.findAll({
+    where: sequelize.literal(`geohash IS NULL AND last_seen_location->>'latitude' IS NOT NULL`),
+    attributes: ['id', 'last_seen_location'],
+  });
+
+  for (const caseData of cases) {
+    caseData.changed('last_seen_location', true);
+    await caseData.save();
+  }
+
+  if (cases.length > 0) {
+    console.log(`✅ Indexed locations for ${cases.length} cases.`);
+  }
+};
+
 // Sync database
 const syncDatabase = async (options = {}) => {
   try {
@@ -120,6 +201,7 @@ const syncDatabase = async (options = {}) => {
     await updateEnumType();
 
     await sequelize.sync(options);
+    await backfillCaseLocations();
     console.log('✅ Database synchronized successfully.');
   } catch (error) {
     console.error('❌ Error synchronizing database:', error);
@@ -141,5 +223,17 @@ module.exports = {
   MatchFeedback,
   TrainingPair,
   ModelConfig,
+  Notification,
+  DeviceToken,
+  ContentReport,
+  SavedSearch,
+  Job,
+  StripeEvent,
+  UserSession,
+  LedgerAccount,
+  LedgerEntry,
+  Dispute,
+  RiskAssessment,
+  RematchRun,
   syncDatabase,
 };
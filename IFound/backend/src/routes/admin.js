@@ -9,9 +9,55 @@ const {
   suspendCase,
   getAllSubmissions,
   getAllTransactions,
+  getWithdrawals,
+  approveWithdrawal,
+  markWithdrawalPaid,
+  rejectWithdrawal,
+  failWithdrawal,
   getAllMatches,
   getMatchStats,
   getUserMatches,
+  getContentReports,
+  assignContentReport,
+  resolveContentReport,
+  dismissContentReport,
+  getJobs,
+  getJobStats,
+  getJobById,
+  retryJob,
+  reprocessPhoto,
+  getEmbeddingIndexStatus,
+  rebuildEmbeddingIndex,
+  getScheduledTasks,
+  runScheduledTask,
+  getLedgerReconciliation,
+  repairLedger,
+  getDisputes,
+  getDisputeById,
+  reviewDispute,
+  resolveDispute,
+  getRiskQueue,
+  getRiskAssessmentById,
+  releaseHeldClaim,
+  rejectHeldClaim,
+  getTrainingStatus,
+  startTraining,
+  getRolloutStatus,
+  getRolloutReport,
+  startRollout,
+  stopRollout,
+  promoteModelConfig,
+  rollbackModelConfig,
+  getModelConfigs,
+  diffModelConfigs,
+  getModelConfigById,
+  updateModelConfig,
+  cloneModelConfig,
+  activateModelConfig,
+  getRematchRuns,
+  getRematchRunById,
+  startRematch,
+  cancelRematch,
 } = require('../controllers/adminController');
 const { authenticateToken, requireUserType } = require('../middleware/auth');
 
@@ -38,8 +84,74 @@ router.get('/submissions', getAllSubmissions);
 // Transactions
 router.get('/transactions', getAllTransactions);
 
+// Withdrawals
+router.get('/withdrawals', getWithdrawals);
+router.post('/withdrawals/:id/approve', approveWithdrawal);
+router.post('/withdrawals/:id/mark-paid', markWithdrawalPaid);
+router.post('/withdrawals/:id/reject', rejectWithdrawal);
+router.post('/withdrawals/:id/fail', failWithdrawal);
+
+// Ledger
+router.get('/ledger/reconciliation', getLedgerReconciliation);
+router.post('/ledger/repair', repairLedger);
+
+// Claim disputes
+router.get('/disputes', getDisputes);
+router.get('/disputes/:id', getDisputeById);
+router.put('/disputes/:id/review', reviewDispute);
+router.put('/disputes/:id/resolve', resolveDispute);
+
+// Claim fraud risk queue
+router.get('/risk/claims', getRiskQueue);
+router.get('/risk/claims/:id', getRiskAssessmentById);
+router.put('/risk/claims/:id/release', releaseHeldClaim);
+router.put('/risk/claims/:id/reject', rejectHeldClaim);
+
+// Matching model weights
+router.get('/model-configs', getModelConfigs);
+router.get('/model-configs/diff', diffModelConfigs);
+router.get('/model-configs/training', getTrainingStatus);
+router.post('/model-configs/training', startTraining);
+router.get('/model-configs/rollout', getRolloutStatus);
+router.post('/model-configs/rollback', rollbackModelConfig);
+router.get('/model-configs/:id/rollout', getRolloutReport);
+router.put('/model-configs/:id/rollout', startRollout);
+router.delete('/model-configs/:id/rollout', stopRollout);
+router.post('/model-configs/:id/promote', promoteModelConfig);
+router.get('/model-configs/:id', getModelConfigById);
+router.put('/model-configs/:id', updateModelConfig);
+router.post('/model-configs/:id/clone', cloneModelConfig);
+router.post('/model-configs/:id/activate', activateModelConfig);
+
 // Matches
 router.get('/matches', getAllMatches);
 router.get('/matches/stats', getMatchStats);
 
+// Background re-matching
+router.get('/rematch', getRematchRuns);
+router.post('/rematch', startRematch);
+router.get('/rematch/:id', getRematchRunById);
+router.post('/rematch/:id/cancel', cancelRematch);
+
+// Content reports
+router.get('/reports', getContentReports);
+router.put('/reports/:id/assign', assignContentReport);
+router.put('/reports/:id/resolve', resolveContentReport);
+router.put('/reports/:id/dismiss', dismissContentReport);
+
+// Background jobs
+router.get('/jobs', getJobs);
+router.get('/jobs/stats', getJobStats);
+router.get('/jobs/:id', getJobById);
+router.post('/jobs/:id/retry', retryJob);
+router.post('/photos/:id/reprocess', reprocessPhoto);
+
+// Neural embedding (ANN) index
+router.get('/embedding-index', getEmbeddingIndexStatus);
+router.post('/embedding-index/rebuild', rebuildEmbeddingIndex);
+
+// Scheduled maintenance (case expiry sweeps)
+router.get('/scheduler', getScheduledTasks);
+router.post('/scheduler/:name/run', runScheduledTask);
+
 module.exports = router;
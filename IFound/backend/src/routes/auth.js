@@ -5,19 +5,35 @@ const {
   login,
   getMe,
   refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   updateProfile,
   changePassword,
 } = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
 router.post('/refresh', refreshToken);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', optionalAuth, resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // Protected routes
 router.get('/me', authenticateToken, getMe);
 router.put('/profile', authenticateToken, updateProfile);
 router.put('/change-password', authenticateToken, changePassword);
+router.post('/logout', authenticateToken, logout);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateToken, revokeSession);
 
 module.exports = router;
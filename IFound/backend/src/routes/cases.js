@@ -8,6 +8,8 @@ const {
   deleteCase,
   getMyCases,
   browseCases,
+  renewCase,
+  renewCaseFromEmail,
 } = require('../controllers/caseController');
 const {
   authenticateToken,
@@ -28,6 +30,9 @@ router.post(
   createCase
 );
 router.put('/:id', authenticateToken, updateCase);
+router.post('/:id/renew', authenticateToken, renewCase);
+// One-click renew from the expiry warning email (signed token, no login)
+router.get('/:id/renew', renewCaseFromEmail);
 router.delete('/:id', authenticateToken, deleteCase);
 
 // This must be last (catches :id parameter)
@@ -14,9 +14,20 @@ const {
   acceptClaim,
   rejectClaim,
   confirmHandover,
+  proposeHandover,
+  acceptHandoverProposal,
+  declineHandoverProposal,
+  issueHandoverCode,
+  verifyHandoverCode,
+  getHandoverCalendar,
   cancelClaim,
   addVerificationQuestion,
   answerVerificationQuestion,
+  openDispute,
+  addDisputeEvidence,
+  getClaimDispute,
+  disputeUpload,
+  proofUpload,
   getClaimsStats,
 } = require('../controllers/claimController');
 const { authenticateToken } = require('../middleware/auth');
@@ -33,8 +44,8 @@ router.get('/my-claims', getMyClaims);
 // Claims for a specific case (for finder)
 router.get('/case/:caseId', getClaimsForCase);
 
-// Create a claim
-router.post('/', createClaim);
+// Create a claim (optional proof photo as multipart `proof_photo`)
+router.post('/', proofUpload.single('proof_photo'), createClaim);
 
 // Get single claim
 router.get('/:claimId', getClaimById);
@@ -46,11 +57,24 @@ router.put('/:claimId/reject', rejectClaim);
 // Cancel claim (for claimant)
 router.put('/:claimId/cancel', cancelClaim);
 
-// Confirm handover (for both parties)
+// Confirm handover with the claimant's code (for finder; same as handover/verify)
 router.put('/:claimId/confirm-handover', confirmHandover);
 
+// Handover scheduling and code verification (for both parties)
+router.post('/:claimId/handover/proposals', proposeHandover);
+router.put('/:claimId/handover/proposals/:messageId/accept', acceptHandoverProposal);
+router.put('/:claimId/handover/proposals/:messageId/decline', declineHandoverProposal);
+router.post('/:claimId/handover/code', issueHandoverCode);
+router.post('/:claimId/handover/verify', verifyHandoverCode);
+router.get('/:claimId/handover/calendar.ics', getHandoverCalendar);
+
 // Verification questions
 router.post('/:claimId/questions', addVerificationQuestion);
 router.put('/:claimId/questions/:questionIndex', answerVerificationQuestion);
 
+// Disputes (for both parties; admins rule via /admin/disputes)
+router.get('/:claimId/dispute', getClaimDispute);
+router.post('/:claimId/dispute', disputeUpload.array('evidence', 5), openDispute);
+router.post('/:claimId/dispute/evidence', disputeUpload.array('evidence', 5), addDisputeEvidence);
+
 module.exports = router;
@@ -4,6 +4,7 @@ const {
   getMatchesForCase,
   getMyMatches,
   getMatchById,
+  getMatchExplanation,
   submitFeedback,
   getMatchStats,
 } = require('../controllers/matchController');
@@ -24,6 +25,9 @@ router.get('/case/:caseId', getMatchesForCase);
 // Get a single match by ID
 router.get('/:id', getMatchById);
 
+// Explain why a match was made
+router.get('/:id/explanation', getMatchExplanation);
+
 // Submit feedback on a match
 router.post('/:id/feedback', submitFeedback);
 
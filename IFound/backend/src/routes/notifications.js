@@ -0,0 +1,40 @@
+/**
+ * Notification Routes
+ *
+ * In-app notification inbox for the signed-in user.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  registerDevice,
+  getDevices,
+  unregisterDevice,
+} = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List notifications
+router.get('/', getNotifications);
+
+// Unread badge count
+router.get('/unread-count', getUnreadCount);
+
+// Push notification devices
+router.get('/devices', getDevices);
+router.post('/devices', registerDevice);
+router.delete('/devices/:token', unregisterDevice);
+
+// Mark all as read (must come before :id)
+router.put('/read-all', markAllAsRead);
+
+// Mark one as read
+router.put('/:id/read', markAsRead);
+
+module.exports = router;
@@ -8,9 +8,13 @@ const {
   getUserBalance,
   getEarningsSummary,
   requestWithdrawal,
+  getCurrencies,
 } = require('../controllers/paymentController');
 const { authenticateToken } = require('../middleware/auth');
 
+// POST /webhook (Stripe events) is mounted in server.js: it needs the raw
+// request body and is authenticated by signature instead of a token
+
 // All payment routes require authentication
 router.use(authenticateToken);
 
@@ -20,6 +24,7 @@ router.post('/release/:transactionId', releaseBounty);
 router.post('/refund/:transactionId', refundPayment);
 router.get('/history', getTransactionHistory);
 router.get('/balance', getUserBalance);
+router.get('/currencies', getCurrencies);
 
 // Earnings and withdrawal routes
 router.get('/earnings', getEarningsSummary);
@@ -0,0 +1,15 @@
+/**
+ * Report Routes
+ *
+ * User-submitted content reports. The review queue lives under /admin/reports.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { createReport } = require('../controllers/reportController');
+const { authenticateToken } = require('../middleware/auth');
+
+// Report a case, claim or message
+router.post('/', authenticateToken, createReport);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Saved Search Routes
+ *
+ * Saved case searches with new-case alert subscriptions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeFromAlerts,
+} = require('../controllers/savedSearchController');
+const { authenticateToken } = require('../middleware/auth');
+
+// One-click unsubscribe from alert emails (signed token, no login)
+router.get('/unsubscribe', unsubscribeFromAlerts);
+
+router.use(authenticateToken);
+
+router.get('/', getSavedSearches);
+router.post('/', createSavedSearch);
+router.put('/:id', updateSavedSearch);
+router.delete('/:id', deleteSavedSearch);
+
+module.exports = router;
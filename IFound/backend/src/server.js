@@ -1,4 +1,5 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -13,6 +14,17 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { sanitizeInput, preventInjection } = require('./middleware/sanitize');
 const logger = require('./config/logger');
 const { validateEnv, getSafeEnvInfo } = require('./config/validateEnv');
+const { initializeChatSocket } = require('./services/chatSocketService');
+const jobQueue = require('./services/jobQueue');
+const embeddingIndex = require('./services/embeddingIndex');
+const scheduler = require('./services/scheduler');
+require('./services/photoProcessingService'); // registers photo job handlers
+require('./services/caseLifecycleService'); // registers case expiry sweeps
+require('./services/savedSearchService'); // registers saved search digests
+require('./services/claimVerificationService'); // registers proof photo analysis jobs
+require('./services/weightTrainingService'); // registers weight training jobs
+require('./services/rematchService'); // registers re-matching jobs
+require('./services/ledgerService').registerHooks(); // posts transaction saves to the ledger
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -20,12 +32,16 @@ const caseRoutes = require('./routes/cases');
 const submissionRoutes = require('./routes/submissions');
 const photoRoutes = require('./routes/photos');
 const paymentRoutes = require('./routes/payments');
+const { handleStripeWebhook } = require('./controllers/paymentController');
 const adminRoutes = require('./routes/admin');
 const aiRoutes = require('./routes/ai');
 const visualDNARoutes = require('./routes/visualdna');
 const matchRoutes = require('./routes/matches');
 const claimRoutes = require('./routes/claimRoutes');
 const messageRoutes = require('./routes/messages');
+const notificationRoutes = require('./routes/notifications');
+const reportRoutes = require('./routes/reports');
+const savedSearchRoutes = require('./routes/savedSearches');
 
 // Validate environment variables before starting
 validateEnv({ exitOnError: process.env.NODE_ENV === 'production' });
@@ -64,7 +80,7 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Stricter rate limiting for auth routes (prevent brute force)
-const authLimiter = rateLimit({
+const createAuthLimiter = (options = {}) => rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // Only 10 attempts per 15 minutes
   message: { success: false, message: 'Too many authentication attempts, please try again later.' },
@@ -80,13 +96,32 @@ const authLimiter = rateLimit({
       message: 'Too many authentication attempts, please try again later.',
     });
   },
+  ...options,
 });
+const authLimiter = createAuthLimiter();
 app.use('/api/v1/auth/login', authLimiter);
 app.use('/api/v1/auth/register', authLimiter);
+app.use('/api/v1/auth/verify-email', authLimiter);
+app.use('/api/v1/auth/resend-verification', authLimiter);
+app.use('/api/v1/auth/forgot-password', authLimiter);
+app.use('/api/v1/auth/reset-password', authLimiter);
+
+// Reset emails are also limited per address, so one inbox can't be flooded
+// from many IPs. Keyed on the body, so it's mounted after body parsing below.
+const passwordResetEmailLimiter = createAuthLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+  keyGenerator: (req) => `email:${String(req.body?.email || '').toLowerCase()}`,
+});
+
+// Stripe webhooks are verified against the raw body, so they bypass the
+// JSON parser and input sanitization below
+app.post('/api/v1/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }), handleStripeWebhook);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use('/api/v1/auth/forgot-password', passwordResetEmailLimiter);
 
 // Input sanitization middleware (XSS protection)
 app.use(sanitizeInput);
@@ -129,6 +164,9 @@ app.use(`/api/${API_VERSION}/ai`, aiRoutes);
 app.use(`/api/${API_VERSION}/matches`, matchRoutes);
 app.use(`/api/${API_VERSION}/claims`, claimRoutes);
 app.use(`/api/${API_VERSION}/messages`, messageRoutes);
+app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
+app.use(`/api/${API_VERSION}/reports`, reportRoutes);
+app.use(`/api/${API_VERSION}/saved-searches`, savedSearchRoutes);
 app.use(`/api/${API_VERSION}`, visualDNARoutes); // Visual DNA routes (smart search, compare, etc.)
 
 // Root route
@@ -162,7 +200,29 @@ const startServer = async () => {
       logger.info('Database synchronized');
     }
 
-    app.listen(PORT, () => {
+    // Real-time chat (Socket.IO) shares the HTTP server with the REST API
+    const server = http.createServer(app);
+    initializeChatSocket(server);
+
+    if (process.env.NODE_ENV !== 'test') {
+      // Background jobs (AI photo processing); set JOB_WORKER_ENABLED=false
+      // to run them only in dedicated `npm run worker` processes
+      if (process.env.JOB_WORKER_ENABLED !== 'false') {
+        await jobQueue.start();
+      }
+
+      // Case expiry sweeps; safe to run in every process (each task runs in
+      // one place at a time), set SCHEDULER_ENABLED=false to opt a process out
+      if (process.env.SCHEDULER_ENABLED !== 'false') {
+        scheduler.start();
+      }
+
+      // Load the smart search embedding index in the background; searches
+      // fall back to brute force until it is ready
+      embeddingIndex.init().catch(() => {});
+    }
+
+    server.listen(PORT, () => {
       logger.info(`Server started on port ${PORT}`, {
         environment: process.env.NODE_ENV || 'development',
         apiVersion: API_VERSION,
@@ -205,8 +265,11 @@ process.on('uncaughtException', (err) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await jobQueue.stop();
+  scheduler.stop();
+  await embeddingIndex.flush().catch(() => {});
   process.exit(0);
 });
 
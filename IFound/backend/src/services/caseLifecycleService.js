@@ -0,0 +1,285 @@
+/**
+ * Case Lifecycle Service
+ *
+ * Scheduled sweep that moves cases through the end of their life:
+ * - warns posters CASE_EXPIRY_WARNING_DAYS before expires_at, with a
+ *   one-click renew link
+ * - expires active cases past expires_at
+ * - archives claimed cases with no activity (on the case, its claims or
+ *   their chats) for CASE_CLAIMED_STALE_DAYS
+ * - refunds bounties still held in escrow for expired/archived cases
+ * - takes their VisualDNA out of the matching candidate pool
+ *
+ * Every step is idempotent, so a failed or interrupted sweep is simply
+ * finished by the next one (escrow refunds in particular are retried until
+ * they succeed).
+ */
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Case, Claim, Message, Transaction, VisualDNA } = require('../models');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+const scheduler = require('./scheduler');
+const logger = require('../config/logger');
+
+const EXPIRY_DAYS = parseInt(process.env.CASE_EXPIRY_DAYS_BASIC) || 30;
+const WARNING_DAYS = parseInt(process.env.CASE_EXPIRY_WARNING_DAYS) || 3;
+const CLAIMED_STALE_DAYS = parseInt(process.env.CASE_CLAIMED_STALE_DAYS) || 30;
+const SWEEP_INTERVAL_MS = parseInt(process.env.CASE_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+const RENEWAL_PURPOSE = 'case_renewal';
+
+// Cases in these states are done; their escrow goes back to the poster
+const RETIRED_STATUSES = ['expired', 'archived'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Signed renew link for the expiry warning email (no login needed)
+ * Valid until well after the case expires so it can also bring it back.
+ */
+const createRenewalToken = (caseData) => jwt.sign(
+  { case_id: caseData.id, purpose: RENEWAL_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: `${WARNING_DAYS + EXPIRY_DAYS}d` }
+);
+
+const getRenewalUrl = (caseData) => {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const apiVersion = process.env.API_VERSION || 'v1';
+  return `${baseUrl}/api/${apiVersion}/cases/${caseData.id}/renew?token=${encodeURIComponent(createRenewalToken(caseData))}`;
+};
+
+/**
+ * Case ID named in a renewal token, or null if the token is invalid
+ */
+const verifyRenewalToken = (token, caseId) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === RENEWAL_PURPOSE && payload.case_id === caseId ? payload.case_id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Add or remove a case's photos from the matching candidate pool
+ * Bulk updates bump updated_at, so the embedding index picks them up on its
+ * next sync.
+ */
+const setMatchCandidate = (caseIds, isCandidate) => VisualDNA.update(
+  { is_match_candidate: isCandidate },
+  { where: { case_id: { [Op.in]: caseIds }, is_match_candidate: !isCandidate } }
+);
+
+/**
+ * Warn posters whose cases expire within WARNING_DAYS
+ * @returns {Promise<number>} - Warnings sent
+ */
+const warnExpiringCases = async (now = new Date()) => {
+  const cases = await Case.findAll({
+    where: {
+      status: 'active',
+      expiry_warning_sent_at: null,
+      expires_at: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + WARNING_DAYS * DAY_MS) },
+    },
+  });
+
+  let warned = 0;
+  for (const caseData of cases) {
+    // Claim the warning first so overlapping sweeps can't send it twice
+    const [claimed] = await Case.update(
+      { expiry_warning_sent_at: now },
+      { where: { id: caseData.id, expiry_warning_sent_at: null } }
+    );
+    if (!claimed) continue;
+
+    await notificationService.notifyCaseLifecycle(caseData, 'case_expiring', {
+      renewUrl: getRenewalUrl(caseData),
+    });
+    warned++;
+  }
+
+  return warned;
+};
+
+/**
+ * Move cases in fromStatus matching where to toStatus, one at a time so a
+ * concurrent renewal or status change wins
+ * @returns {Promise<Array>} - Cases that were transitioned
+ */
+const transitionCases = async (fromStatus, toStatus, where) => {
+  const cases = await Case.findAll({ where: { status: fromStatus, ...where } });
+  const moved = [];
+
+  for (const caseData of cases) {
+    const [updated] = await Case.update(
+      { status: toStatus },
+      { where: { id: caseData.id, status: fromStatus } }
+    );
+    if (updated) {
+      caseData.status = toStatus;
+      moved.push(caseData);
+    }
+  }
+
+  return moved;
+};
+
+/**
+ * Cases whose claims changed or were chatted about since cutoff
+ * Arranging a handover doesn't touch the case row, so these still count as
+ * activity on a claimed case.
+ * @returns {Promise<Array<string>>} - Case IDs
+ */
+const findCasesWithClaimActivity = async (cutoff) => {
+  const chattedClaims = await Message.findAll({
+    attributes: ['claim_id'],
+    where: { created_at: { [Op.gte]: cutoff } },
+    group: ['claim_id'],
+    raw: true,
+  });
+
+  const claims = await Claim.findAll({
+    attributes: ['found_case_id', 'lost_case_id'],
+    where: {
+      [Op.or]: [
+        { updated_at: { [Op.gte]: cutoff } },
+        { id: { [Op.in]: chattedClaims.map(message => message.claim_id) } },
+      ],
+    },
+    raw: true,
+  });
+
+  return [...new Set(claims.flatMap(claim => [claim.found_case_id, claim.lost_case_id]).filter(Boolean))];
+};
+
+/**
+ * Refund bounties still in escrow for expired/archived cases
+ * @returns {Promise<Set<string>>} - IDs of cases that had a refund
+ */
+const refundRetiredEscrow = async () => {
+  const transactions = await Transaction.findAll({
+    // Frozen bounties wait for their dispute to be resolved
+    where: { transaction_type: 'bounty_payment', status: 'escrow', frozen_at: null },
+    include: [{
+      model: Case,
+      as: 'case',
+      where: { status: { [Op.in]: RETIRED_STATUSES } },
+      attributes: ['id', 'status'],
+    }],
+  });
+
+  const refundedCases = new Set();
+  for (const transaction of transactions) {
+    const reason = transaction.case.status === 'expired'
+      ? 'Case expired without being resolved'
+      : 'Case archived after its claim went stale';
+
+    try {
+      await paymentService.refundPayment(transaction.id, reason, null);
+      refundedCases.add(transaction.case_id);
+    } catch (error) {
+      // Still in escrow; the next sweep tries again
+      logger.error(`Escrow refund failed for transaction ${transaction.id}:`, error);
+    }
+  }
+
+  return refundedCases;
+};
+
+/**
+ * Run one full lifecycle sweep
+ * @returns {Promise<object>} - Counts for the scheduler status page
+ */
+const sweepCaseLifecycle = async (now = new Date()) => {
+  const warned = await warnExpiringCases(now);
+
+  const expired = await transitionCases('active', 'expired', {
+    expires_at: { [Op.lte]: now },
+  });
+
+  const staleBefore = new Date(now.getTime() - CLAIMED_STALE_DAYS * DAY_MS);
+  const archived = await transitionCases('claimed', 'archived', {
+    updated_at: { [Op.lt]: staleBefore },
+    id: { [Op.notIn]: await findCasesWithClaimActivity(staleBefore) },
+  });
+
+  const retired = [...expired, ...archived];
+  if (retired.length > 0) {
+    await setMatchCandidate(retired.map(c => c.id), false);
+  }
+
+  const refundedCases = await refundRetiredEscrow();
+
+  for (const caseData of retired) {
+    await notificationService.notifyCaseLifecycle(
+      caseData,
+      caseData.status === 'expired' ? 'case_expired' : 'case_archived',
+      { refunded: refundedCases.has(caseData.id) }
+    );
+    logger.audit(`case_${caseData.status}`, null, { caseId: caseData.id });
+  }
+
+  if (warned || retired.length || refundedCases.size) {
+    logger.info(`Case lifecycle sweep: ${warned} warned, ${expired.length} expired, ${archived.length} archived, ${refundedCases.size} refunded`);
+  }
+
+  return {
+    warned,
+    expired: expired.length,
+    archived: archived.length,
+    refunded: refundedCases.size,
+  };
+};
+
+/**
+ * Push a case's expiry out by another CASE_EXPIRY_DAYS_BASIC, bringing it
+ * back if it already expired
+ * @returns {Promise<object>} - { success, status?, message, case? }
+ */
+const renewCase = async (caseData) => {
+  if (!caseData.expires_at) {
+    return { success: false, status: 400, message: 'This case does not expire' };
+  }
+
+  if (!['active', 'expired'].includes(caseData.status)) {
+    return { success: false, status: 400, message: `Cannot renew a case that is ${caseData.status}` };
+  }
+
+  const wasExpired = caseData.status === 'expired';
+  const from = Math.max(Date.now(), new Date(caseData.expires_at).getTime());
+
+  caseData.expires_at = new Date(from + EXPIRY_DAYS * DAY_MS);
+  caseData.expiry_warning_sent_at = null;
+  caseData.status = 'active';
+  await caseData.save();
+
+  // Unconditional: the sweep may have expired it after we loaded it
+  await setMatchCandidate([caseData.id], true);
+
+  logger.audit('case_renewed', caseData.poster_id, {
+    caseId: caseData.id,
+    expiresAt: caseData.expires_at,
+    wasExpired,
+  });
+
+  return {
+    success: true,
+    message: `Case renewed until ${caseData.expires_at.toLocaleDateString()}`,
+    case: caseData,
+  };
+};
+
+scheduler.registerTask('cases.lifecycle', sweepCaseLifecycle, { intervalMs: SWEEP_INTERVAL_MS });
+
+module.exports = {
+  sweepCaseLifecycle,
+  warnExpiringCases,
+  refundRetiredEscrow,
+  renewCase,
+  createRenewalToken,
+  verifyRenewalToken,
+  getRenewalUrl,
+};
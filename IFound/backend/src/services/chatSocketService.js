@@ -0,0 +1,359 @@
+/**
+ * Chat Socket Service
+ *
+ * Real-time delivery for claim conversations over Socket.IO.
+ *
+ * Clients connect to the /chat namespace with their JWT and join one room per
+ * claim. The room carries new messages, typing indicators, read receipts and
+ * presence. The REST endpoints in messageController remain the fallback and
+ * publish through the same rooms, so both transports stay in sync.
+ *
+ * Client events:
+ *   join_claim   { claimId }               -> ack { success, data: { online } }
+ *   leave_claim  { claimId }
+ *   send_message { claimId, content, message_type, metadata } -> ack { success, data: { message } }
+ *                (message_type text, or image with metadata.file_url from a chat upload)
+ *   typing       { claimId, isTyping }
+ *   mark_read    { claimId }               -> ack { success, data: { count } }
+ *
+ * Server events:
+ *   new_message, message_notification, typing, messages_read, presence,
+ *   notification (in-app inbox entries, see notificationService.notify)
+ */
+
+const { Server } = require('socket.io');
+const { Op } = require('sequelize');
+const { Message, Claim, User, Case } = require('../models');
+const { authenticateSocket } = require('../middleware/auth');
+const notificationService = require('./notificationService');
+const { analyzeContent, autoReportIfFlagged } = require('./contentModerationService');
+const logger = require('../config/logger');
+
+const CHAT_NAMESPACE = '/chat';
+const CHAT_UPLOAD_PREFIX = '/uploads/chat/';
+const SENDER_ATTRIBUTES = ['id', 'first_name', 'last_name', 'profile_photo_url'];
+
+let io = null;
+let chatNamespace = null;
+
+// userId -> Set of connected socket ids (a user may be signed in on several devices)
+const onlineUsers = new Map();
+
+const claimRoom = (claimId) => `claim:${claimId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+const isUserOnline = (userId) => onlineUsers.has(userId);
+
+/**
+ * Load a claim and check the user is its finder or claimant with chat enabled
+ * Mirrors the access rules of the REST message endpoints.
+ */
+const resolveChatAccess = async (claimId, userId) => {
+  const claim = await Claim.findByPk(claimId, {
+    include: [{ model: Case, as: 'foundCase' }],
+  });
+
+  if (!claim) {
+    return { error: 'Claim not found' };
+  }
+
+  const isFinder = claim.foundCase.poster_id === userId;
+  const isClaimant = claim.claimant_id === userId;
+
+  if (!isFinder && !isClaimant) {
+    return { error: 'You do not have access to this chat' };
+  }
+
+  if (!claim.chat_enabled) {
+    return { error: 'Chat is not yet enabled for this claim' };
+  }
+
+  return {
+    claim,
+    otherUserId: isFinder ? claim.claimant_id : claim.foundCase.poster_id,
+  };
+};
+
+/**
+ * Check the type and metadata of a message sent by a user
+ * Text carries no metadata; an image must point at a file uploaded to the
+ * chat. Used by both the socket `send_message` event and REST sendMessage.
+ * @returns {Object} - { message_type, metadata } or { error }
+ */
+const parseClientMessage = ({ message_type = 'text', metadata } = {}) => {
+  if (!Message.CLIENT_TYPES.includes(message_type)) {
+    return { error: 'Only text and image messages can be sent in the chat' };
+  }
+
+  if (message_type === 'text') {
+    return { message_type, metadata: null };
+  }
+
+  const fileUrl = metadata?.file_url;
+  if (typeof fileUrl !== 'string' || !fileUrl.startsWith(CHAT_UPLOAD_PREFIX) || fileUrl.includes('..')) {
+    return { error: 'Image messages must link to a chat upload' };
+  }
+
+  return {
+    message_type,
+    metadata: {
+      file_url: fileUrl,
+      file_name: typeof metadata.file_name === 'string' ? metadata.file_name : null,
+    },
+  };
+};
+
+/**
+ * Push a stored message to everyone in the claim room, and a lightweight
+ * notification to the recipient's personal room (for chat lists / badges).
+ */
+const publishMessage = (claim, message) => {
+  if (!chatNamespace) return;
+
+  const payload = typeof message.toJSON === 'function' ? message.toJSON() : message;
+  chatNamespace.to(claimRoom(claim.id)).emit('new_message', {
+    claimId: claim.id,
+    message: payload,
+  });
+
+  const recipientId = payload.sender_id === claim.claimant_id
+    ? claim.foundCase?.poster_id
+    : claim.claimant_id;
+
+  if (recipientId) {
+    chatNamespace.to(userRoom(recipientId)).emit('message_notification', {
+      claimId: claim.id,
+      message: payload,
+    });
+  }
+};
+
+/**
+ * Emit an event to every connected socket of a user (e.g. inbox updates)
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!chatNamespace) return;
+  chatNamespace.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Disconnect the sockets of a user's revoked sessions
+ * Sockets only authenticate at the handshake, so revoking a session must also
+ * end its live connections. Pass sessionId to end one session, or
+ * exceptSessionId to end all but that one.
+ * @returns {number} - Number of sockets disconnected
+ */
+const disconnectSessions = (userId, { sessionId = null, exceptSessionId = null } = {}) => {
+  if (!chatNamespace) return 0;
+
+  let count = 0;
+  chatNamespace.sockets.forEach((socket) => {
+    if (socket.userId !== userId) return;
+    if (sessionId && socket.sessionId !== sessionId) return;
+    if (exceptSessionId && socket.sessionId === exceptSessionId) return;
+
+    socket.disconnect(true);
+    count += 1;
+  });
+
+  return count;
+};
+
+/**
+ * Mark all messages from the other party as read and broadcast a read receipt
+ * Used by both the socket `mark_read` event and REST getMessages.
+ */
+const markMessagesRead = async (claimId, readerId) => {
+  const readAt = new Date();
+
+  const [count] = await Message.update(
+    { is_read: true, read_at: readAt },
+    {
+      where: {
+        claim_id: claimId,
+        sender_id: { [Op.ne]: readerId },
+        is_read: false,
+      },
+    }
+  );
+
+  if (count > 0 && chatNamespace) {
+    chatNamespace.to(claimRoom(claimId)).emit('messages_read', {
+      claimId,
+      readerId,
+      readAt,
+      count,
+    });
+  }
+
+  return count;
+};
+
+const emitPresence = (socket, claimId, online) => {
+  socket.to(claimRoom(claimId)).emit('presence', {
+    claimId,
+    userId: socket.userId,
+    online,
+    at: new Date(),
+  });
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+/**
+ * Register per-connection event handlers
+ */
+const handleConnection = (socket) => {
+  const { userId } = socket;
+
+  if (!onlineUsers.has(userId)) {
+    onlineUsers.set(userId, new Set());
+  }
+  onlineUsers.get(userId).add(socket.id);
+  socket.join(userRoom(userId));
+
+  logger.debug(`Chat socket connected: user ${userId} (${socket.id})`);
+
+  socket.on('join_claim', async ({ claimId } = {}, ack) => {
+    try {
+      const { error, otherUserId } = await resolveChatAccess(claimId, userId);
+      if (error) {
+        return reply(ack, { success: false, message: error });
+      }
+
+      socket.join(claimRoom(claimId));
+      emitPresence(socket, claimId, true);
+
+      reply(ack, { success: true, data: { online: isUserOnline(otherUserId) } });
+    } catch (error) {
+      logger.error(`Error joining chat for claim ${claimId}:`, error);
+      reply(ack, { success: false, message: 'Failed to join chat' });
+    }
+  });
+
+  socket.on('leave_claim', ({ claimId } = {}) => {
+    if (!socket.rooms.has(claimRoom(claimId))) return;
+    emitPresence(socket, claimId, false);
+    socket.leave(claimRoom(claimId));
+  });
+
+  socket.on('send_message', async ({ claimId, content, ...typed } = {}, ack) => {
+    try {
+      if (!content || !content.trim()) {
+        return reply(ack, { success: false, message: 'Message content is required' });
+      }
+
+      const { message_type, metadata, error: typeError } = parseClientMessage(typed);
+      if (typeError) {
+        return reply(ack, { success: false, message: typeError });
+      }
+
+      const { error, claim } = await resolveChatAccess(claimId, userId);
+      if (error) {
+        return reply(ack, { success: false, message: error });
+      }
+
+      const message = await Message.create({
+        claim_id: claimId,
+        sender_id: userId,
+        content: content.trim(),
+        message_type,
+        metadata,
+      });
+
+      const createdMessage = await Message.findByPk(message.id, {
+        include: [{ model: User, as: 'sender', attributes: SENDER_ATTRIBUTES }],
+      });
+
+      publishMessage(claim, createdMessage);
+      await notificationService.notifyNewMessage(claim, createdMessage);
+      await autoReportIfFlagged('message', message, analyzeContent(message.content, 'message'));
+      logger.info(`Message sent in claim ${claimId} by user ${userId} (socket)`);
+
+      reply(ack, { success: true, data: { message: createdMessage } });
+    } catch (error) {
+      logger.error(`Error sending socket message in claim ${claimId}:`, error);
+      reply(ack, { success: false, message: 'Failed to send message' });
+    }
+  });
+
+  socket.on('typing', ({ claimId, isTyping = true } = {}) => {
+    // Only relay for rooms the socket was authorized to join
+    if (!socket.rooms.has(claimRoom(claimId))) return;
+
+    socket.to(claimRoom(claimId)).emit('typing', {
+      claimId,
+      userId,
+      isTyping: Boolean(isTyping),
+    });
+  });
+
+  socket.on('mark_read', async ({ claimId } = {}, ack) => {
+    try {
+      if (!socket.rooms.has(claimRoom(claimId))) {
+        return reply(ack, { success: false, message: 'Join the chat before marking messages read' });
+      }
+
+      const count = await markMessagesRead(claimId, userId);
+      reply(ack, { success: true, data: { count } });
+    } catch (error) {
+      logger.error(`Error marking messages read in claim ${claimId}:`, error);
+      reply(ack, { success: false, message: 'Failed to mark messages as read' });
+    }
+  });
+
+  socket.on('disconnecting', () => {
+    const sockets = onlineUsers.get(userId);
+    if (sockets) {
+      sockets.delete(socket.id);
+      if (sockets.size === 0) {
+        onlineUsers.delete(userId);
+      }
+    }
+
+    // Only announce offline once the user's last connection is gone
+    if (isUserOnline(userId)) return;
+
+    for (const room of socket.rooms) {
+      if (room.startsWith('claim:')) {
+        emitPresence(socket, room.slice('claim:'.length), false);
+      }
+    }
+  });
+
+  socket.on('disconnect', (reason) => {
+    logger.debug(`Chat socket disconnected: user ${userId} (${reason})`);
+  });
+};
+
+/**
+ * Attach Socket.IO to the HTTP server and set up the chat namespace
+ */
+const initializeChatSocket = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || '*',
+      credentials: true,
+    },
+  });
+
+  chatNamespace = io.of(CHAT_NAMESPACE);
+  chatNamespace.use(authenticateSocket);
+  chatNamespace.on('connection', handleConnection);
+
+  logger.info(`Chat socket namespace ready at ${CHAT_NAMESPACE}`);
+  return io;
+};
+
+module.exports = {
+  initializeChatSocket,
+  parseClientMessage,
+  publishMessage,
+  emitToUser,
+  disconnectSessions,
+  markMessagesRead,
+  isUserOnline,
+  CHAT_NAMESPACE,
+};
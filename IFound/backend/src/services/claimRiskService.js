@@ -0,0 +1,388 @@
+/**
+ * Claim Risk Service
+ *
+ * Fraud risk engine for new claims. Each signal adds up to a fixed number
+ * of points; the total (capped at 100) is the claim's risk score:
+ *
+ *   velocity         Many claims from the same account in the last 24 hours
+ *   rejections       Earlier claims rejected by finders or by fraud review
+ *   new_account      Account created in the last week
+ *   unverified       Email (or ID) not verified
+ *   shared_network   Other accounts seen on the same public IP address
+ *   shared_device    Another account claimed this item from the same
+ *                    IP + browser, or shares a push device token
+ *   reused_photo     Proof photo is the finder's own listing photo or was
+ *                    used by another account (perceptual hash, hashingService)
+ *
+ * Claims scoring at or above RISK_HOLD_THRESHOLD are put on hold: the
+ * finder isn't told about them until an admin releases them from the
+ * risk queue, or they are rejected there.
+ *
+ * Without `trust proxy`, req.ip behind a load balancer is the balancer's
+ * private address; private and loopback addresses are never compared.
+ */
+
+const { Op } = require('sequelize');
+const { RiskAssessment, Claim, Case, User, UserSession, DeviceToken, VisualDNA } = require('../models');
+const hashingService = require('./hashingService');
+const notificationService = require('./notificationService');
+const { resolveProofPhotoPath } = require('./claimVerificationService');
+const logger = require('../config/logger');
+
+const HOLD_THRESHOLD = parseInt(process.env.RISK_HOLD_THRESHOLD) || 60;
+const MEDIUM_THRESHOLD = 30;
+const VELOCITY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const NETWORK_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+// Max Hamming distance (of 64 bits) for two proof photos to count as the same image
+const PHOTO_MATCH_DISTANCE = 8;
+const PHOTO_HASH_LOOKBACK = 5000;
+const MIN_REVIEW_NOTES_LENGTH = 10;
+
+// Finder rejections that say nothing about the claimant
+const NEUTRAL_REJECTIONS = ['Another claim was accepted'];
+// Set on claims rejected in fraud review; those count through their assessment
+const FRAUD_REJECTION = 'Failed fraud review';
+
+const MAX_POINTS = {
+  velocity: 30,
+  rejections: 25,
+  new_account: 20,
+  unverified: 15,
+  shared_network: 25,
+  shared_device: 30,
+  reused_photo: 40,
+};
+
+const PRIVATE_IP = /^(::ffff:)?(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)|^::1$|^f[cd][0-9a-f]{2}:|^fe80:/i;
+
+const isPublicIp = (ip) => Boolean(ip) && !PRIVATE_IP.test(ip);
+
+/**
+ * Request details kept with the assessment
+ */
+const describeRequest = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: req.get('user-agent')?.slice(0, 500) || null,
+});
+
+const signal = (name, points, detail) => ({
+  signal: name,
+  points: Math.min(MAX_POINTS[name], Math.round(points)),
+  detail,
+});
+
+const velocitySignal = async (claim) => {
+  const recent = await Claim.count({
+    where: {
+      claimant_id: claim.claimant_id,
+      id: { [Op.ne]: claim.id },
+      created_at: { [Op.gte]: new Date(Date.now() - VELOCITY_WINDOW_MS) },
+    },
+  });
+
+  if (recent < 2) return null;
+  const points = recent >= 5 ? MAX_POINTS.velocity : recent >= 3 ? 20 : 10;
+  return signal('velocity', points, `${recent} other claims in the last 24 hours`);
+};
+
+const rejectionsSignal = async (claim) => {
+  const [rejected, fraudRejected] = await Promise.all([
+    Claim.count({
+      where: {
+        claimant_id: claim.claimant_id,
+        status: 'rejected',
+        [Op.or]: [
+          { rejection_reason: null },
+          { rejection_reason: { [Op.notIn]: [...NEUTRAL_REJECTIONS, FRAUD_REJECTION] } },
+        ],
+      },
+    }),
+    RiskAssessment.count({ where: { user_id: claim.claimant_id, decision: 'rejected' } }),
+  ]);
+
+  const points = Math.max(0, rejected - 1) * 10 + fraudRejected * MAX_POINTS.rejections;
+  if (points === 0) return null;
+
+  const parts = [];
+  if (rejected > 0) parts.push(`${rejected} rejected claim(s)`);
+  if (fraudRejected > 0) parts.push(`${fraudRejected} rejected in fraud review`);
+  return signal('rejections', points, parts.join(', '));
+};
+
+const accountSignals = (user) => {
+  const signals = [];
+  const ageHours = (Date.now() - new Date(user.createdAt).getTime()) / (60 * 60 * 1000);
+
+  if (ageHours < 24) {
+    signals.push(signal('new_account', MAX_POINTS.new_account, 'Account created in the last 24 hours'));
+  } else if (ageHours < 7 * 24) {
+    signals.push(signal('new_account', 10, `Account is ${Math.floor(ageHours / 24)} day(s) old`));
+  }
+
+  if (user.verification_status === 'unverified') {
+    signals.push(signal('unverified', MAX_POINTS.unverified, 'Email not verified'));
+  } else if (user.verification_status === 'email_verified') {
+    signals.push(signal('unverified', 5, 'Email verified, ID not verified'));
+  }
+
+  return signals;
+};
+
+const networkSignal = async (claim, { ipAddress }) => {
+  if (!isPublicIp(ipAddress)) return null;
+
+  const since = new Date(Date.now() - NETWORK_WINDOW_MS);
+  const [sessions, assessments] = await Promise.all([
+    UserSession.findAll({
+      where: { ip_address: ipAddress, user_id: { [Op.ne]: claim.claimant_id }, created_at: { [Op.gte]: since } },
+      attributes: ['user_id'],
+    }),
+    RiskAssessment.findAll({
+      where: { ip_address: ipAddress, user_id: { [Op.ne]: claim.claimant_id }, created_at: { [Op.gte]: since } },
+      attributes: ['user_id'],
+    }),
+  ]);
+
+  const others = new Set([...sessions, ...assessments].map(row => row.user_id));
+  if (others.size === 0) return null;
+
+  return signal('shared_network', others.size * 10, `${others.size} other account(s) used this IP address in the last 30 days`);
+};
+
+const deviceSignal = async (claim, { ipAddress, userAgent }) => {
+  // Same IP + browser claiming the same item from another account
+  if (isPublicIp(ipAddress) && userAgent) {
+    const sameItem = await RiskAssessment.count({
+      where: { ip_address: ipAddress, user_agent: userAgent, user_id: { [Op.ne]: claim.claimant_id } },
+      include: [{ model: Claim, as: 'claim', attributes: [], where: { found_case_id: claim.found_case_id } }],
+    });
+
+    if (sameItem > 0) {
+      return signal('shared_device', MAX_POINTS.shared_device, 'Another account claimed this item from the same device');
+    }
+  }
+
+  // A push token registered by more than one account is the same phone
+  const tokens = await DeviceToken.findAll({ where: { user_id: claim.claimant_id }, attributes: ['token'] });
+  if (tokens.length > 0) {
+    const shared = await DeviceToken.count({
+      where: { token: tokens.map(t => t.token), user_id: { [Op.ne]: claim.claimant_id } },
+    });
+    if (shared > 0) {
+      return signal('shared_device', MAX_POINTS.shared_device, 'This device is registered to another account');
+    }
+  }
+
+  return null;
+};
+
+const photoSignal = async (claim, proofPhotoHash) => {
+  if (!proofPhotoHash) return null;
+
+  const isSame = (hash) => hash && hashingService.hammingDistance(proofPhotoHash, hash) <= PHOTO_MATCH_DISTANCE;
+
+  const listingPhotos = await VisualDNA.findAll({
+    where: { case_id: claim.found_case_id, perceptual_hash: { [Op.ne]: null } },
+    attributes: ['perceptual_hash'],
+  });
+  if (listingPhotos.some(dna => isSame(dna.perceptual_hash))) {
+    return signal('reused_photo', MAX_POINTS.reused_photo, 'Proof photo is a copy of the finder\'s listing photo');
+  }
+
+  const otherProofs = await RiskAssessment.findAll({
+    where: { proof_photo_hash: { [Op.ne]: null }, user_id: { [Op.ne]: claim.claimant_id } },
+    attributes: ['proof_photo_hash'],
+    order: [['created_at', 'DESC']],
+    limit: PHOTO_HASH_LOOKBACK,
+  });
+  if (otherProofs.some(row => isSame(row.proof_photo_hash))) {
+    return signal('reused_photo', MAX_POINTS.reused_photo, 'Proof photo was already used by another account');
+  }
+
+  return null;
+};
+
+const hashProofPhoto = async (claim) => {
+  const photoPath = resolveProofPhotoPath(claim.proof_photo_url);
+  if (!photoPath) return null;
+
+  try {
+    return await hashingService.computePerceptualHash(photoPath);
+  } catch (error) {
+    logger.warn(`Could not hash proof photo for claim ${claim.id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Score a new claim and put it on hold if it's too risky
+ * Updates the claim's status to on_hold when held.
+ * @param {Object} claim - Newly created claim
+ * @param {Object} context - { ipAddress, userAgent } (see describeRequest)
+ * @returns {Promise<Object>} - RiskAssessment
+ */
+const assessClaim = async (claim, context = {}) => {
+  const user = await User.findByPk(claim.claimant_id, { attributes: ['id', 'createdAt', 'verification_status'] });
+  const proofPhotoHash = await hashProofPhoto(claim);
+
+  const signals = [
+    await velocitySignal(claim),
+    await rejectionsSignal(claim),
+    ...accountSignals(user),
+    await networkSignal(claim, context),
+    await deviceSignal(claim, context),
+    await photoSignal(claim, proofPhotoHash),
+  ]
+    .filter(s => s && s.points > 0)
+    .sort((a, b) => b.points - a.points);
+
+  const score = Math.min(100, signals.reduce((sum, s) => sum + s.points, 0));
+  const held = score >= HOLD_THRESHOLD;
+
+  const assessment = await RiskAssessment.create({
+    claim_id: claim.id,
+    user_id: claim.claimant_id,
+    score,
+    level: score >= HOLD_THRESHOLD ? 'high' : score >= MEDIUM_THRESHOLD ? 'medium' : 'low',
+    signals,
+    decision: held ? 'held' : 'allowed',
+    ip_address: context.ipAddress || null,
+    user_agent: context.userAgent || null,
+    proof_photo_hash: proofPhotoHash,
+  });
+
+  if (held) {
+    await claim.update({ status: 'on_hold' });
+    logger.security('Claim held for fraud review', {
+      claimId: claim.id,
+      userId: claim.claimant_id,
+      score,
+      signals: signals.map(s => s.signal),
+    });
+  }
+
+  return assessment;
+};
+
+const loadForReview = (id) => RiskAssessment.findByPk(id, {
+  include: [{ model: Claim, as: 'claim', include: [{ model: Case, as: 'foundCase', attributes: ['id', 'title', 'poster_id'] }] }],
+});
+
+/**
+ * Take a held assessment for review, so two admins can't both decide it
+ * @returns {Promise<Object>} - { assessment } or { error }
+ */
+const claimForReview = async (id, decision) => {
+  const assessment = await loadForReview(id);
+  if (!assessment) return { error: { status: 404, message: 'Risk assessment not found' } };
+
+  if (assessment.decision !== 'held' || assessment.claim?.status !== 'on_hold') {
+    return { error: { status: 409, message: 'This claim is no longer on hold' } };
+  }
+
+  const [claimed] = await RiskAssessment.update({ decision }, { where: { id, decision: 'held' } });
+  if (!claimed) return { error: { status: 409, message: 'This claim is no longer on hold' } };
+
+  return { assessment };
+};
+
+/**
+ * Clear a held claim: it goes to the finder as a normal pending claim
+ * @param {string} id - RiskAssessment ID
+ * @param {string} adminId
+ * @param {string} notes - Optional review notes
+ */
+const releaseClaim = async (id, adminId, notes = null) => {
+  const { assessment, error } = await claimForReview(id, 'released');
+  if (error) return { success: false, ...error };
+
+  const { claim } = assessment;
+  await claim.update({ status: 'pending' });
+  await assessment.update({
+    decision: 'released',
+    reviewed_by: adminId,
+    reviewed_at: new Date(),
+    review_notes: notes?.trim() || null,
+  });
+
+  logger.audit('claim_risk_released', adminId, { assessmentId: id, claimId: claim.id, score: assessment.score });
+  await notificationService.notifyClaimUpdate('claim_received', claim.foundCase.poster_id, claim, claim.foundCase.title);
+
+  return { success: true, message: 'Claim released to the finder', assessment };
+};
+
+/**
+ * Reject a held claim as fraudulent
+ * Counts against the claimant in future assessments.
+ * @param {string} id - RiskAssessment ID
+ * @param {string} adminId
+ * @param {string} notes - Why (at least 10 characters, kept internal)
+ */
+const rejectClaim = async (id, adminId, notes) => {
+  if (!notes || notes.trim().length < MIN_REVIEW_NOTES_LENGTH) {
+    return {
+      success: false,
+      status: 400,
+      message: `Review notes must be at least ${MIN_REVIEW_NOTES_LENGTH} characters`,
+    };
+  }
+
+  const { assessment, error } = await claimForReview(id, 'rejected');
+  if (error) return { success: false, ...error };
+
+  const { claim } = assessment;
+  await claim.update({
+    status: 'rejected',
+    rejection_reason: FRAUD_REJECTION,
+    rejected_at: new Date(),
+  });
+  await assessment.update({
+    decision: 'rejected',
+    reviewed_by: adminId,
+    reviewed_at: new Date(),
+    review_notes: notes.trim(),
+  });
+
+  logger.audit('claim_risk_rejected', adminId, { assessmentId: id, claimId: claim.id, userId: claim.claimant_id });
+  await notificationService.notifyClaimUpdate('claim_rejected', claim.claimant_id, claim, claim.foundCase.title);
+
+  return { success: true, message: 'Claim rejected', assessment };
+};
+
+/**
+ * Risk history for a claimant, shown next to a held claim
+ */
+const getClaimantProfile = async (userId) => {
+  const [user, assessments, claimsByStatus] = await Promise.all([
+    User.findByPk(userId, {
+      attributes: ['id', 'first_name', 'last_name', 'email', 'verification_status', 'is_suspended', 'created_at'],
+    }),
+    RiskAssessment.findAll({
+      where: { user_id: userId },
+      attributes: ['id', 'claim_id', 'score', 'level', 'decision', 'created_at'],
+      order: [['created_at', 'DESC']],
+      limit: 20,
+    }),
+    Claim.findAll({
+      where: { claimant_id: userId },
+      attributes: ['status', [Claim.sequelize.fn('COUNT', Claim.sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true,
+    }),
+  ]);
+
+  return {
+    user,
+    assessments,
+    claims: Object.fromEntries(claimsByStatus.map(row => [row.status, parseInt(row.count)])),
+  };
+};
+
+module.exports = {
+  HOLD_THRESHOLD,
+  describeRequest,
+  assessClaim,
+  releaseClaim,
+  rejectClaim,
+  getClaimantProfile,
+};
@@ -0,0 +1,401 @@
+/**
+ * Claim Verification Service
+ *
+ * Scores how likely a claimant is the real owner by comparing their claim
+ * against "secret details" the finder recorded privately when posting the
+ * found item (contents, marks, fragments of a serial number):
+ *
+ *   details   Secret details mentioned in the verification description,
+ *             answers to the finder's questions or text on the proof photo
+ *   serials   Serial fragments found in the claim text or among the
+ *             identifiers OCR reads off the proof photo
+ *   photo     Visual DNA similarity between the proof photo and the
+ *             found item's photos
+ *
+ * The score (0-100) is a weighted average of whichever signals are
+ * available. Text signals are scored as soon as the claim is created or a
+ * question is answered; the proof photo is analysed by a background job
+ * (claim.verify_photo) which then re-scores.
+ *
+ * The finder sees the score and which of their details matched (by index),
+ * never the details' text; the claimant sees neither.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Claim, Case, VisualDNA } = require('../models');
+const jobQueue = require('./jobQueue');
+const ocrService = require('./ocrService');
+const imageDnaService = require('./imageDnaService');
+const logger = require('../config/logger');
+
+const JOB_TYPE = 'claim.verify_photo';
+const SCORE_VERSION = 1;
+
+const WEIGHTS = {
+  details: 0.55,
+  serials: 0.30,
+  photo: 0.15,
+};
+
+const LEVELS = [
+  { min: 70, level: 'high' },
+  { min: 40, level: 'medium' },
+  { min: 0, level: 'low' },
+];
+
+const MAX_DETAILS = 10;
+const MAX_DETAIL_LENGTH = 200;
+const MIN_SERIAL_FRAGMENT = 4;
+// Share of a detail's words the claim must mention before it counts
+const MIN_DETAIL_COVERAGE = 0.5;
+
+// Fields only the finder (and admins) may see
+const PRIVATE_FIELDS = ['verification_score', 'verification_breakdown'];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'inside', 'is',
+  'it', 'its', 'my', 'of', 'on', 'one', 'or', 'the', 'there', 'this', 'to', 'with', 'was', 'were',
+]);
+
+/**
+ * Validate and normalise the finder's secret details
+ * Accepts arrays or newline-separated strings.
+ * @param {Object} input - { details, serial_fragments }
+ * @returns {Object} - { secretDetails } (null when empty) or { error }
+ */
+const normalizeSecretDetails = (input) => {
+  if (input === undefined || input === null || input === '') return { secretDetails: null };
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'secret_details must be an object with details and serial_fragments' };
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : String(value || '').split('\n'))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  const details = toList(input.details);
+  const serialFragments = toList(input.serial_fragments).map(fragment => fragment.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+
+  if (details.length > MAX_DETAILS || serialFragments.length > MAX_DETAILS) {
+    return { error: `Record at most ${MAX_DETAILS} secret details and ${MAX_DETAILS} serial fragments` };
+  }
+
+  if (details.some(detail => detail.length > MAX_DETAIL_LENGTH)) {
+    return { error: `Secret details can be at most ${MAX_DETAIL_LENGTH} characters each` };
+  }
+
+  if (serialFragments.some(fragment => fragment.length < MIN_SERIAL_FRAGMENT)) {
+    return { error: `Serial fragments need at least ${MIN_SERIAL_FRAGMENT} letters or digits` };
+  }
+
+  if (details.length === 0 && serialFragments.length === 0) return { secretDetails: null };
+
+  return { secretDetails: { details, serial_fragments: serialFragments } };
+};
+
+const stem = (word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word);
+
+const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+const compact = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Levenshtein distance, capped: we only care whether it's 0, 1 or more
+const withinOneEdit = (a, b) => {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i += 1;
+      j += 1;
+      continue;
+    }
+    edits += 1;
+    if (edits > 1) return false;
+    if (a.length > b.length) i += 1;
+    else if (b.length > a.length) j += 1;
+    else {
+      i += 1;
+      j += 1;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * Share of a detail's words found in a piece of claim text (0-1)
+ * Longer words tolerate one typo.
+ */
+const coverage = (detailTokens, textTokens) => {
+  if (detailTokens.length === 0) return 0;
+
+  const found = detailTokens.filter(token => textTokens.has(token) ||
+    (token.length >= 5 && [...textTokens].some(word => word.length >= 5 && withinOneEdit(token, word))));
+
+  return found.length / detailTokens.length;
+};
+
+/**
+ * Claim text the claimant has given, by source
+ */
+const claimSources = (claim) => ({
+  description: claim.verification_description,
+  answers: (claim.verification_questions || []).map(q => q.answer).filter(Boolean).join('\n'),
+});
+
+/**
+ * Score a claim against the finder's secret details
+ * @param {Object} claim - Claim (verification_description, verification_questions)
+ * @param {Object} secretDetails - Normalised secret details
+ * @param {Object} photoAnalysis - Proof photo analysis ({ text, identifiers, similarity }), if any
+ * @returns {Object} - { score, breakdown }
+ */
+const scoreClaim = (claim, secretDetails, photoAnalysis = null) => {
+  const sources = { ...claimSources(claim), photo_text: photoAnalysis?.text || '' };
+
+  const tokensBySource = Object.fromEntries(
+    Object.entries(sources).map(([source, text]) => [source, new Set(tokenize(text))])
+  );
+
+  const matches = [];
+  const signals = {};
+
+  // Descriptive details: best coverage across the sources
+  const details = secretDetails?.details || [];
+  if (details.length > 0) {
+    let credit = 0;
+    details.forEach((detail, index) => {
+      const detailTokens = [...new Set(tokenize(detail))];
+      let best = { value: 0, source: null };
+      for (const [source, tokens] of Object.entries(tokensBySource)) {
+        const value = coverage(detailTokens, tokens);
+        if (value > best.value) best = { value, source };
+      }
+
+      if (best.value >= MIN_DETAIL_COVERAGE) {
+        credit += best.value;
+        matches.push({ type: 'detail', index, source: best.source, coverage: Math.round(best.value * 100) / 100 });
+      }
+    });
+
+    signals.details = {
+      score: Math.round((credit / details.length) * 100),
+      matched: matches.length,
+      total: details.length,
+    };
+  }
+
+  // Serial fragments: anywhere in the claim text or the photo's identifiers
+  const fragments = secretDetails?.serial_fragments || [];
+  if (fragments.length > 0) {
+    const identifiers = photoAnalysis?.identifiers || [];
+    let matched = 0;
+
+    fragments.forEach((fragment, index) => {
+      const inText = ['description', 'answers'].find(source => compact(sources[source]).includes(fragment));
+      const inPhoto = identifiers.some(id => compact(id).includes(fragment)) ||
+        compact(sources.photo_text).includes(fragment);
+
+      if (inText || inPhoto) {
+        matched += 1;
+        matches.push({ type: 'serial_fragment', index, source: inText || 'photo_identifiers' });
+      }
+    });
+
+    signals.serials = {
+      score: Math.round((matched / fragments.length) * 100),
+      matched,
+      total: fragments.length,
+    };
+  }
+
+  if (typeof photoAnalysis?.similarity === 'number') {
+    signals.photo = {
+      score: photoAnalysis.similarity,
+      compared_photos: photoAnalysis.compared_photos || 0,
+    };
+  }
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [signal, weight] of Object.entries(WEIGHTS)) {
+    if (signals[signal]) {
+      weightedSum += signals[signal].score * weight;
+      totalWeight += weight;
+    }
+  }
+
+  const score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : null;
+
+  return {
+    score,
+    breakdown: {
+      version: SCORE_VERSION,
+      level: score === null ? null : LEVELS.find(l => score >= l.min).level,
+      signals,
+      matches,
+      computed_at: new Date().toISOString(),
+    },
+  };
+};
+
+/**
+ * Load the found case's secret details (excluded from normal queries)
+ */
+const loadSecretDetails = async (caseId) => {
+  const foundCase = await Case.unscoped().findByPk(caseId, { attributes: ['id', 'secret_details'] });
+  return foundCase?.secret_details || null;
+};
+
+/**
+ * Recompute and store a claim's score
+ * Keeps any stored photo analysis. Claims on items without secret details
+ * get a null score.
+ * @param {Object} claim - Claim instance
+ * @param {Object} options - { photoAnalysis } to replace the stored one
+ */
+const rescoreClaim = async (claim, { photoAnalysis } = {}) => {
+  const secretDetails = await loadSecretDetails(claim.found_case_id);
+  const analysis = photoAnalysis !== undefined
+    ? photoAnalysis
+    : claim.verification_breakdown?.photo_analysis || null;
+
+  if (!secretDetails) {
+    await claim.update({
+      verification_score: null,
+      verification_breakdown: { version: SCORE_VERSION, status: 'no_secret_details', photo_analysis: analysis },
+    });
+    return claim;
+  }
+
+  const { score, breakdown } = scoreClaim(claim, secretDetails, analysis);
+
+  await claim.update({
+    verification_score: score,
+    verification_breakdown: { ...breakdown, status: 'scored', photo_analysis: analysis },
+  });
+
+  return claim;
+};
+
+/**
+ * Local file behind a proof photo URL, if it was uploaded here
+ */
+const resolveProofPhotoPath = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return null;
+  const filePath = path.join(__dirname, '../../', url);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+/**
+ * Score a new claim: text now, proof photo in the background
+ * @param {Object} claim - Newly created claim
+ */
+const scoreNewClaim = async (claim) => {
+  const photoPath = resolveProofPhotoPath(claim.proof_photo_url);
+
+  await rescoreClaim(claim, {
+    photoAnalysis: photoPath ? { status: 'pending' } : null,
+  });
+
+  if (photoPath) {
+    await jobQueue.enqueue(JOB_TYPE, { claimId: claim.id });
+  }
+
+  return claim;
+};
+
+/**
+ * Job: OCR and Visual DNA comparison of a claim's proof photo
+ * Throws on failure so the job is retried.
+ */
+async function analyzeProofPhoto({ claimId }) {
+  const claim = await Claim.findByPk(claimId);
+  if (!claim) return { skipped: 'claim not found' };
+
+  const photoPath = resolveProofPhotoPath(claim.proof_photo_url);
+  if (!photoPath) {
+    await rescoreClaim(claim, { photoAnalysis: null });
+    return { skipped: 'no local proof photo' };
+  }
+
+  const ocrResult = await ocrService.extractText(photoPath);
+  const identifiers = ocrService.extractIdentifiers(ocrResult.text || '');
+
+  // Compare against the found item's photos that already have Visual DNA
+  const proofDNA = await imageDnaService.generateImageDNA_v2(photoPath);
+  const itemDNAs = await VisualDNA.findAll({
+    where: { case_id: claim.found_case_id },
+    attributes: ['photo_id', 'dna_v2_full'],
+  });
+
+  const similarities = itemDNAs
+    .filter(record => record.dna_v2_full)
+    .map(record => imageDnaService.compareDNA_v2(proofDNA, record.dna_v2_full).overall);
+
+  const photoAnalysis = {
+    status: 'completed',
+    text: (ocrResult.text || '').slice(0, 2000),
+    identifiers: [...new Set([...identifiers.serialNumbers, ...identifiers.documentIds, ...identifiers.licensePlates])],
+    similarity: similarities.length > 0 ? Math.max(...similarities) : null,
+    compared_photos: similarities.length,
+    analyzed_at: new Date().toISOString(),
+  };
+
+  await rescoreClaim(claim, { photoAnalysis });
+
+  logger.info(`Proof photo analysed for claim ${claim.id}: score ${claim.verification_score}`);
+
+  return { score: claim.verification_score };
+}
+
+/**
+ * Record that the proof photo couldn't be analysed; the text score stands
+ */
+async function markPhotoAnalysisFailed({ claimId }, job, error) {
+  const claim = await Claim.findByPk(claimId);
+  if (!claim) return;
+
+  await rescoreClaim(claim, {
+    photoAnalysis: { status: 'failed', error: `${error?.message || error}` },
+  });
+}
+
+/**
+ * Strip the finder-only fields from a claim shown to its claimant
+ * @param {Object} claim - Claim instance or plain object
+ * @returns {Object} - Plain object
+ */
+const redactForClaimant = (claim) => {
+  const data = typeof claim.toJSON === 'function' ? claim.toJSON() : { ...claim };
+  PRIVATE_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+jobQueue.registerHandler(JOB_TYPE, analyzeProofPhoto, {
+  concurrency: 1,
+  maxAttempts: 2,
+  onDead: markPhotoAnalysisFailed,
+});
+
+module.exports = {
+  normalizeSecretDetails,
+  scoreClaim,
+  rescoreClaim,
+  scoreNewClaim,
+  analyzeProofPhoto,
+  redactForClaimant,
+  resolveProofPhotoPath,
+  JOB_TYPE,
+};
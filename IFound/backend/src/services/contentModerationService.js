@@ -3,8 +3,23 @@
  *
  * Detects and prevents buying/selling behavior on the lost & found platform.
  * This ensures items are returned to rightful owners, not sold.
+ * Also owns the content report queue reviewed by admins.
  */
 
+const { Op } = require('sequelize');
+const { ContentReport, Case, Claim, Message, User } = require('../models');
+const logger = require('../config/logger');
+
+// analyzeContent score at which accepted content is queued for review.
+// Content scoring 50+ is blocked outright by the validators below.
+const AUTO_REPORT_THRESHOLD = parseInt(process.env.MODERATION_AUTO_REPORT_THRESHOLD) || 25;
+
+const REPORTABLE_CONTENT_TYPES = ['case', 'claim', 'message'];
+const REPORT_REASONS = ['selling', 'spam', 'inappropriate', 'fraud', 'harassment', 'personal_info', 'other'];
+const MODERATION_ACTIONS = ['none', 'warning_issued', 'content_removed', 'user_suspended'];
+
+const REMOVED_MESSAGE_TEXT = '[This message was removed by a moderator]';
+
 // Words/phrases that indicate selling intent
 const SELLING_INDICATORS = [
   // Direct selling
@@ -196,17 +211,208 @@ const validateClaimContent = (claimData) => {
   };
 };
 
+/**
+ * Load reported content with its author and a text snapshot
+ * @returns {Promise<object|null>} - { record, authorId, snapshot } or null if not found
+ */
+const loadReportedContent = async (contentType, contentId) => {
+  if (contentType === 'case') {
+    const record = await Case.findByPk(contentId);
+    return record && {
+      record,
+      authorId: record.poster_id,
+      snapshot: { title: record.title, description: record.description },
+    };
+  }
+
+  if (contentType === 'claim') {
+    const record = await Claim.findByPk(contentId);
+    return record && {
+      record,
+      authorId: record.claimant_id,
+      snapshot: { verification_description: record.verification_description },
+    };
+  }
+
+  if (contentType === 'message') {
+    const record = await Message.findByPk(contentId);
+    return record && {
+      record,
+      authorId: record.sender_id,
+      snapshot: { content: record.content },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Map analyzeContent flags to a report reason
+ */
+const reasonFromFlags = (flags = []) => {
+  if (flags.some(f => ['selling_language', 'high_amount', 'excessive_bounty'].includes(f.type))) {
+    return 'selling';
+  }
+  if (flags.some(f => f.type === 'suspicious_pattern')) {
+    return 'personal_info';
+  }
+  return 'other';
+};
+
 /**
  * Report content for manual review
  * @param {string} contentType - 'case', 'claim', 'message'
  * @param {string} contentId - ID of the content
  * @param {string} reporterId - ID of the reporter
- * @param {string} reason - Reason for report
+ * @param {string} reason - One of REPORT_REASONS
+ * @param {string} details - Optional free-text explanation
  */
-const reportContent = async (contentType, contentId, reporterId, reason) => {
-  // TODO: Store report in database for admin review
-  console.log(`Content reported: ${contentType} ${contentId} by ${reporterId} - ${reason}`);
-  return { success: true, message: 'Report submitted for review' };
+const reportContent = async (contentType, contentId, reporterId, reason, details = null) => {
+  if (!REPORTABLE_CONTENT_TYPES.includes(contentType)) {
+    return { success: false, status: 400, message: `Content type must be one of: ${REPORTABLE_CONTENT_TYPES.join(', ')}` };
+  }
+
+  const content = await loadReportedContent(contentType, contentId);
+  if (!content) {
+    return { success: false, status: 404, message: 'Reported content not found' };
+  }
+
+  if (content.authorId === reporterId) {
+    return { success: false, status: 400, message: 'You cannot report your own content' };
+  }
+
+  // One open report per reporter per item
+  const existing = await ContentReport.findOne({
+    where: {
+      content_type: contentType,
+      content_id: contentId,
+      reporter_id: reporterId,
+      status: ['pending', 'assigned'],
+    },
+  });
+
+  if (existing) {
+    return { success: true, message: 'You have already reported this content', report: existing };
+  }
+
+  const analysis = analyzeContent(Object.values(content.snapshot).join('\n'), 'report');
+
+  const report = await ContentReport.create({
+    content_type: contentType,
+    content_id: contentId,
+    content_author_id: content.authorId,
+    reporter_id: reporterId,
+    source: 'user',
+    reason: REPORT_REASONS.includes(reason) ? reason : 'other',
+    details,
+    moderation_score: analysis.score,
+    moderation_flags: analysis.flags,
+    content_snapshot: content.snapshot,
+  });
+
+  logger.info(`Content reported: ${contentType} ${contentId} by ${reporterId} - ${report.reason}`);
+  return { success: true, message: 'Report submitted for review', report };
+};
+
+/**
+ * Queue accepted content for review when its moderation score is borderline
+ * Call after the content is saved. Never throws.
+ * @param {string} contentType - 'case', 'claim', 'message'
+ * @param {object} record - Saved Case, Claim or Message
+ * @param {object} analysis - Result of analyzeContent / validate*Content ({ score, flags })
+ */
+const autoReportIfFlagged = async (contentType, record, analysis) => {
+  if (!analysis || analysis.score < AUTO_REPORT_THRESHOLD) {
+    return null;
+  }
+
+  try {
+    const existing = await ContentReport.findOne({
+      where: {
+        content_type: contentType,
+        content_id: record.id,
+        source: 'automatic',
+        status: ['pending', 'assigned'],
+      },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const content = await loadReportedContent(contentType, record.id);
+
+    const report = await ContentReport.create({
+      content_type: contentType,
+      content_id: record.id,
+      content_author_id: content?.authorId || null,
+      source: 'automatic',
+      reason: reasonFromFlags(analysis.flags),
+      details: `Automatically flagged (score ${analysis.score})`,
+      moderation_score: analysis.score,
+      moderation_flags: analysis.flags,
+      content_snapshot: content?.snapshot || null,
+    });
+
+    logger.info(`Content auto-reported: ${contentType} ${record.id} (score ${analysis.score})`);
+    return report;
+  } catch (error) {
+    logger.error(`Failed to auto-report ${contentType} ${record.id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Apply a moderator decision to the reported content and its author
+ * @param {object} report - ContentReport instance
+ * @param {string} action - One of MODERATION_ACTIONS
+ */
+const applyModerationAction = async (report, action) => {
+  if (action === 'content_removed' || action === 'user_suspended') {
+    const content = await loadReportedContent(report.content_type, report.content_id);
+
+    if (content) {
+      const { record } = content;
+
+      if (report.content_type === 'case') {
+        record.status = 'suspended';
+      } else if (report.content_type === 'claim') {
+        record.status = 'cancelled';
+        record.rejection_reason = 'Removed by moderator';
+      } else if (report.content_type === 'message') {
+        record.content = REMOVED_MESSAGE_TEXT;
+        record.metadata = { ...(record.metadata || {}), moderated: true, report_id: report.id };
+      }
+
+      await record.save();
+    }
+  }
+
+  if (action === 'user_suspended' && report.content_author_id) {
+    await User.update(
+      { is_suspended: true },
+      { where: { id: report.content_author_id } }
+    );
+  }
+
+  // Close any other open reports on the same content with the same outcome
+  await ContentReport.update(
+    {
+      status: 'resolved',
+      action_taken: action,
+      resolved_by: report.resolved_by,
+      resolved_at: report.resolved_at,
+      resolution_notes: `Resolved with report ${report.id}`,
+    },
+    {
+      where: {
+        content_type: report.content_type,
+        content_id: report.content_id,
+        id: { [Op.ne]: report.id },
+        status: ['pending', 'assigned'],
+      },
+    }
+  );
 };
 
 module.exports = {
@@ -214,5 +420,11 @@ module.exports = {
   validateCaseContent,
   validateClaimContent,
   reportContent,
+  autoReportIfFlagged,
+  applyModerationAction,
   SELLING_INDICATORS,
+  AUTO_REPORT_THRESHOLD,
+  REPORTABLE_CONTENT_TYPES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
 };
@@ -0,0 +1,362 @@
+/**
+ * Dispute Service
+ *
+ * Lets either party contest a claim outcome and an admin rule on it:
+ *
+ *   claim accepted / completed / rejected
+ *     -- open dispute -->  claim disputed, bounty frozen
+ *     -- admin review -->  under_review
+ *     -- ruling       -->  resolved
+ *
+ * Ruling for the finder restores the claim to where it was and releases the
+ * bounty. Ruling for the claimant refunds the bounty; a rejected claim is
+ * reopened as accepted. The admin can override the payment action
+ * (refund / release) when the ruling and the money shouldn't line up.
+ *
+ * Freezing sets frozen_at on the claim's bounty transaction: the ledger holds
+ * it in escrow and the payment routes refuse to release or refund it.
+ * Every step is appended to the dispute's timeline and both parties are
+ * notified.
+ */
+
+const { Dispute, Claim, Case, Transaction, sequelize } = require('../models');
+const logger = require('../config/logger');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+
+const DISPUTABLE_STATUSES = ['accepted', 'completed', 'rejected'];
+const RULINGS = ['claimant', 'finder'];
+const PAYMENT_ACTIONS = ['refund', 'release'];
+const FREEZABLE_STATUSES = ['escrow', 'completed'];
+const MIN_DESCRIPTION_LENGTH = 20;
+const MIN_NOTES_LENGTH = 10;
+
+const REASONS = Dispute.rawAttributes.reason.values;
+
+const timelineEntry = (event, actorId, note = null) => ({
+  event,
+  actor_id: actorId,
+  note,
+  at: new Date().toISOString(),
+});
+
+const evidenceFrom = (files, userId) => files.map(file => ({
+  url: `/uploads/disputes/${file.filename}`,
+  filename: file.originalname,
+  uploaded_by: userId,
+  uploaded_at: new Date().toISOString(),
+}));
+
+const loadClaim = (claimId, options = {}) => Claim.findByPk(claimId, {
+  include: [{ model: Case, as: 'foundCase', attributes: ['id', 'title', 'poster_id'] }],
+  ...options,
+});
+
+const isParty = (claim, userId) => claim.claimant_id === userId || claim.foundCase.poster_id === userId;
+
+const notify = (dispute, event, claim, actorId) => notificationService
+  .notifyDisputeUpdate(dispute, event, claim, actorId)
+  .catch(error => logger.error(`Dispute notification failed for ${dispute.id}:`, error));
+
+/**
+ * Latest dispute on a claim, open or not
+ */
+const findLatestForClaim = (claimId, options = {}) => Dispute.findOne({
+  where: { claim_id: claimId },
+  order: [['created_at', 'DESC']],
+  ...options,
+});
+
+/**
+ * Open a dispute on a claim
+ * @param {string} claimId
+ * @param {string} userId - Claimant or finder
+ * @param {Object} details - { reason, description, files } (files from multer)
+ * @returns {Promise<Object>} - { success, status?, message, dispute? }
+ */
+const openDispute = async (claimId, userId, { reason, description, files = [] } = {}) => {
+  if (!REASONS.includes(reason)) {
+    return { success: false, status: 400, message: `Reason must be one of: ${REASONS.join(', ')}` };
+  }
+
+  if (!description || description.trim().length < MIN_DESCRIPTION_LENGTH) {
+    return {
+      success: false,
+      status: 400,
+      message: `Please describe the problem in at least ${MIN_DESCRIPTION_LENGTH} characters`,
+    };
+  }
+
+  const claim = await loadClaim(claimId);
+  if (!claim) return { success: false, status: 404, message: 'Claim not found' };
+
+  if (!isParty(claim, userId)) {
+    return { success: false, status: 403, message: 'Only the claimant or the finder can dispute this claim' };
+  }
+
+  const outcome = await sequelize.transaction(async (t) => {
+    // Lock the claim so two disputes can't be opened at once
+    const current = await Claim.findByPk(claimId, { transaction: t, lock: t.LOCK.UPDATE });
+
+    if (current.status === 'disputed') {
+      return { error: { status: 409, message: 'This claim already has an open dispute' } };
+    }
+
+    if (!DISPUTABLE_STATUSES.includes(current.status)) {
+      return {
+        error: { status: 400, message: `Only ${DISPUTABLE_STATUSES.join(', ')} claims can be disputed` },
+      };
+    }
+
+    let bounty = null;
+    if (current.payment_transaction_id) {
+      bounty = await Transaction.findByPk(current.payment_transaction_id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (bounty && (!FREEZABLE_STATUSES.includes(bounty.status) || bounty.frozen_at)) {
+        bounty = null;
+      }
+    }
+
+    const evidence = evidenceFrom(files, userId);
+    const timeline = [timelineEntry('opened', userId, `${reason}: ${description.trim()}`)];
+    if (evidence.length > 0) {
+      timeline.push(timelineEntry('evidence_added', userId, `${evidence.length} file(s)`));
+    }
+
+    const dispute = await Dispute.create({
+      claim_id: claimId,
+      raised_by: userId,
+      transaction_id: bounty?.id || null,
+      reason,
+      description: description.trim(),
+      claim_status_before: current.status,
+      evidence,
+      timeline,
+    }, { transaction: t });
+
+    if (bounty) {
+      await bounty.update({
+        frozen_at: new Date(),
+        metadata: { ...bounty.metadata, dispute_id: dispute.id },
+      }, { transaction: t });
+    }
+
+    await current.update({ status: 'disputed' }, { transaction: t });
+
+    return { dispute };
+  });
+
+  if (outcome.error) {
+    return { success: false, ...outcome.error };
+  }
+
+  const { dispute } = outcome;
+
+  logger.audit('dispute_opened', userId, {
+    disputeId: dispute.id,
+    claimId,
+    reason,
+    frozenTransactionId: dispute.transaction_id,
+  });
+  await notify(dispute, 'opened', claim, userId);
+
+  return { success: true, message: 'Dispute opened. Our team will review it shortly.', dispute };
+};
+
+/**
+ * Add evidence files and/or a note to a claim's open dispute
+ * @param {string} claimId
+ * @param {string} userId - Claimant or finder
+ * @param {Object} details - { note, files }
+ */
+const addEvidence = async (claimId, userId, { note, files = [] } = {}) => {
+  if (files.length === 0 && !note?.trim()) {
+    return { success: false, status: 400, message: 'Upload a file or add a note' };
+  }
+
+  const claim = await loadClaim(claimId);
+  if (!claim) return { success: false, status: 404, message: 'Claim not found' };
+
+  if (!isParty(claim, userId)) {
+    return { success: false, status: 403, message: 'Not authorized to add evidence to this dispute' };
+  }
+
+  const dispute = await sequelize.transaction(async (t) => {
+    const current = await findLatestForClaim(claimId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!current || current.status === 'resolved') return null;
+
+    const evidence = evidenceFrom(files, userId);
+    const noteParts = [evidence.length > 0 ? `${evidence.length} file(s)` : null, note?.trim() || null];
+
+    await current.update({
+      evidence: [...current.evidence, ...evidence],
+      timeline: [...current.timeline, timelineEntry('evidence_added', userId, noteParts.filter(Boolean).join(': '))],
+    }, { transaction: t });
+
+    return current;
+  });
+
+  if (!dispute) {
+    return { success: false, status: 404, message: 'This claim has no open dispute' };
+  }
+
+  await notify(dispute, 'evidence_added', claim, userId);
+
+  return { success: true, message: 'Evidence added', dispute };
+};
+
+/**
+ * Take an open dispute into review
+ * @param {string} id - Dispute ID
+ * @param {string} adminId
+ */
+const startReview = async (id, adminId) => {
+  const dispute = await Dispute.findByPk(id);
+  if (!dispute) return { success: false, status: 404, message: 'Dispute not found' };
+
+  if (dispute.status !== 'open') {
+    return { success: false, status: 409, message: `Dispute is ${dispute.status}` };
+  }
+
+  await dispute.update({
+    status: 'under_review',
+    assigned_to: adminId,
+    timeline: [...dispute.timeline, timelineEntry('under_review', adminId)],
+  });
+
+  logger.audit('dispute_review_started', adminId, { disputeId: dispute.id });
+  await notify(dispute, 'under_review', await loadClaim(dispute.claim_id), adminId);
+
+  return { success: true, message: 'Dispute under review', dispute };
+};
+
+/**
+ * Move the frozen bounty the way the ruling says
+ * Throws if the payment provider refuses; the bounty stays frozen.
+ */
+const settleBounty = async (dispute, paymentAction, notes, adminId) => {
+  const bounty = await Transaction.findByPk(dispute.transaction_id);
+  if (!bounty) return;
+
+  if (paymentAction === 'refund') {
+    const reason = `Dispute resolved for the claimant: ${notes}`;
+
+    // Bounties credited at handover were never charged through Stripe, so
+    // there is nothing to refund there: reversing them in the ledger is the refund
+    if (!bounty.stripe_payment_intent_id) {
+      await sequelize.transaction(t => bounty.update({
+        status: 'refunded',
+        refunded_at: new Date(),
+        refund_reason: reason,
+        frozen_at: null,
+      }, { transaction: t }));
+      logger.audit('refund_processed', adminId, { transactionId: bounty.id, ledgerOnly: true });
+      return;
+    }
+
+    await paymentService.refundPayment(bounty.id, reason, adminId);
+    await sequelize.transaction(t => bounty.update({ frozen_at: null }, { transaction: t }));
+    return;
+  }
+
+  // Unfreezing a completed bounty posts it back to the finder's balance
+  await sequelize.transaction(t => bounty.update({ frozen_at: null }, { transaction: t }));
+
+  if (bounty.status === 'escrow') {
+    try {
+      await paymentService.releaseBountyToFinder(bounty.id, adminId);
+    } catch (error) {
+      await sequelize.transaction(t => bounty.update({ frozen_at: new Date() }, { transaction: t }));
+      throw error;
+    }
+  }
+};
+
+/**
+ * Rule on a dispute
+ * @param {string} id - Dispute ID
+ * @param {string} adminId
+ * @param {Object} ruling - { ruling: 'claimant'|'finder', payment_action?: 'refund'|'release', notes }
+ * @returns {Promise<Object>} - { success, status?, message, dispute? }
+ */
+const resolveDispute = async (id, adminId, { ruling, payment_action: paymentAction, notes } = {}) => {
+  if (!RULINGS.includes(ruling)) {
+    return { success: false, status: 400, message: `Ruling must be one of: ${RULINGS.join(', ')}` };
+  }
+
+  if (!notes || notes.trim().length < MIN_NOTES_LENGTH) {
+    return {
+      success: false,
+      status: 400,
+      message: `Resolution notes must be at least ${MIN_NOTES_LENGTH} characters`,
+    };
+  }
+
+  if (paymentAction && !PAYMENT_ACTIONS.includes(paymentAction)) {
+    return { success: false, status: 400, message: `Payment action must be one of: ${PAYMENT_ACTIONS.join(', ')}` };
+  }
+
+  const dispute = await Dispute.findByPk(id);
+  if (!dispute) return { success: false, status: 404, message: 'Dispute not found' };
+
+  const action = dispute.transaction_id
+    ? paymentAction || (ruling === 'claimant' ? 'refund' : 'release')
+    : 'none';
+
+  // Claim the dispute before touching money, so two admins can't both rule
+  const previousStatus = dispute.status;
+  const [claimed] = await Dispute.update(
+    { status: 'resolved' },
+    { where: { id, status: ['open', 'under_review'] } }
+  );
+  if (!claimed) {
+    return { success: false, status: 409, message: 'Dispute is already resolved' };
+  }
+
+  if (action !== 'none') {
+    try {
+      await settleBounty(dispute, action, notes.trim(), adminId);
+    } catch (error) {
+      await Dispute.update({ status: previousStatus }, { where: { id } });
+      logger.error(`Dispute ${id} settlement failed:`, error);
+      return { success: false, status: 502, message: `Payment ${action} failed: ${error.message}` };
+    }
+  }
+
+  const claim = await loadClaim(dispute.claim_id);
+  const reopen = ruling === 'claimant' && dispute.claim_status_before === 'rejected';
+
+  await claim.update({
+    status: reopen ? 'accepted' : dispute.claim_status_before,
+    ...(reopen && { accepted_at: new Date(), chat_enabled: true }),
+    ...(action === 'refund' && { payment_status: 'refunded' }),
+  });
+
+  await dispute.update({
+    status: 'resolved',
+    ruling,
+    payment_action: action,
+    resolution_notes: notes.trim(),
+    resolved_by: adminId,
+    resolved_at: new Date(),
+    timeline: [...dispute.timeline, timelineEntry('resolved', adminId, `Ruled for the ${ruling} (${action}): ${notes.trim()}`)],
+  });
+
+  logger.audit('dispute_resolved', adminId, {
+    disputeId: dispute.id,
+    claimId: claim.id,
+    ruling,
+    paymentAction: action,
+  });
+  await notify(dispute, 'resolved', claim, adminId);
+
+  return { success: true, message: `Dispute resolved in favour of the ${ruling}`, dispute };
+};
+
+module.exports = {
+  REASONS,
+  findLatestForClaim,
+  openDispute,
+  addEvidence,
+  startReview,
+  resolveDispute,
+};
@@ -0,0 +1,111 @@
+/**
+ * Email Verification Service
+ *
+ * Issues signed, expiring email verification links and upgrades the user to
+ * 'email_verified' when one is redeemed. The token is bound to the address
+ * it was sent to, so it stops working if the user's email changes.
+ */
+
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const notificationService = require('./notificationService');
+const logger = require('../config/logger');
+
+const VERIFICATION_PURPOSE = 'email_verification';
+
+const TOKEN_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+// Minimum gap between verification emails to one user
+const RESEND_COOLDOWN_MS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) || 60 * 1000;
+
+/**
+ * Create a signed token that verifies the user's current email address
+ */
+const createVerificationToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, purpose: VERIFICATION_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Link for the verification email
+ * Opens the app's verify screen, which posts the token to /auth/verify-email.
+ */
+const getVerificationUrl = (user) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+  return `${baseUrl}/verify-email?token=${encodeURIComponent(createVerificationToken(user))}`;
+};
+
+/**
+ * Email a verification link, unless one was sent within the cooldown
+ * @returns {Promise<object>} - { sent, retryAfterSeconds? }
+ */
+const sendVerificationEmail = async (user) => {
+  if (user.verification_status !== 'unverified') {
+    return { sent: false };
+  }
+
+  const lastSent = user.verification_email_sent_at?.getTime() || 0;
+  const waitMs = lastSent + RESEND_COOLDOWN_MS - Date.now();
+  if (waitMs > 0) {
+    return { sent: false, retryAfterSeconds: Math.ceil(waitMs / 1000) };
+  }
+
+  user.verification_email_sent_at = new Date();
+  await user.save();
+
+  // Email delivery is slow; don't hold up the caller
+  notificationService.sendVerificationEmail(user, getVerificationUrl(user), TOKEN_EXPIRES_IN)
+    .catch(error => logger.error(`Verification email failed for user ${user.id}:`, error));
+
+  return { sent: true };
+};
+
+/**
+ * Verify the email address named in a token
+ * Redeeming a token for an already verified address succeeds without
+ * changing anything, so a second tap on the link is harmless.
+ * @returns {Promise<object>} - { success, status?, message, user? }
+ */
+const verifyEmail = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return {
+      success: false,
+      status: 400,
+      message: error.name === 'TokenExpiredError'
+        ? 'Verification link has expired. Please request a new one.'
+        : 'Invalid verification link',
+    };
+  }
+
+  if (payload.purpose !== VERIFICATION_PURPOSE) {
+    return { success: false, status: 400, message: 'Invalid verification link' };
+  }
+
+  const user = await User.findByPk(payload.userId);
+  if (!user || user.email !== payload.email) {
+    return { success: false, status: 400, message: 'Invalid verification link' };
+  }
+
+  if (user.verification_status !== 'unverified') {
+    return { success: true, message: 'Email already verified', user };
+  }
+
+  user.verification_status = 'email_verified';
+  user.email_verified_at = new Date();
+  await user.save();
+
+  logger.audit('email_verified', user.id, { email: user.email });
+
+  return { success: true, message: 'Email verified successfully', user };
+};
+
+module.exports = {
+  createVerificationToken,
+  getVerificationUrl,
+  sendVerificationEmail,
+  verifyEmail,
+};
@@ -0,0 +1,68 @@
+/**
+ * Vector Index Interface
+ *
+ * Nearest-neighbour lookup over neural embeddings keyed by VisualDNA ID.
+ * Similarity is cosine similarity (0-1 for the L2-normalized embeddings
+ * the vision model produces), matching neuralEmbeddingService.findSimilar.
+ */
+
+class VectorIndex {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Number of live (not removed) vectors
+   */
+  get size() {
+    return 0;
+  }
+
+  /**
+   * Add a vector, replacing any existing vector with the same ID
+   * @param {string} id - VisualDNA ID
+   * @param {number[]} vector - Embedding
+   */
+  add(id, vector) {
+    throw new Error(`${this.name} index does not implement add()`);
+  }
+
+  /**
+   * Remove a vector (no-op if absent)
+   */
+  remove(id) {
+    throw new Error(`${this.name} index does not implement remove()`);
+  }
+
+  has(id) {
+    throw new Error(`${this.name} index does not implement has()`);
+  }
+
+  /**
+   * IDs of every live vector
+   * @returns {string[]}
+   */
+  ids() {
+    throw new Error(`${this.name} index does not implement ids()`);
+  }
+
+  /**
+   * Find the k most similar vectors
+   * @param {number[]} vector - Query embedding
+   * @param {number} k - Maximum number of results
+   * @param {number} threshold - Minimum similarity (0-1)
+   * @returns {Array<{ id: string, similarity: number }>} - Most similar first
+   */
+  search(vector, k, threshold) {
+    throw new Error(`${this.name} index does not implement search()`);
+  }
+
+  /**
+   * Plain object for persisting to disk
+   */
+  toJSON() {
+    throw new Error(`${this.name} index does not implement toJSON()`);
+  }
+}
+
+module.exports = VectorIndex;
@@ -0,0 +1,62 @@
+/**
+ * Brute-Force Vector Index
+ *
+ * Exact linear cosine scan (neuralEmbeddingService.findSimilar). Used when
+ * EMBEDDING_INDEX_BACKEND=brute, as the fallback when the ANN index fails,
+ * and as ground truth in the benchmark.
+ */
+
+const VectorIndex = require('./VectorIndex');
+const { findSimilar } = require('../neuralEmbeddingService');
+
+class BruteForceIndex extends VectorIndex {
+  constructor() {
+    super('brute');
+    this.vectors = new Map();
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+
+  add(id, vector) {
+    this.vectors.set(id, vector);
+  }
+
+  remove(id) {
+    this.vectors.delete(id);
+  }
+
+  has(id) {
+    return this.vectors.has(id);
+  }
+
+  ids() {
+    return [...this.vectors.keys()];
+  }
+
+  search(vector, k = 10, threshold = 0) {
+    const candidates = [];
+    for (const [id, embedding] of this.vectors) {
+      candidates.push({ id, embedding });
+    }
+    return findSimilar(vector, candidates, threshold, k);
+  }
+
+  toJSON() {
+    return {
+      backend: this.name,
+      entries: [...this.vectors].map(([id, vector]) => [id, Array.from(vector)]),
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new BruteForceIndex();
+    for (const [id, vector] of data.entries || []) {
+      index.vectors.set(id, vector);
+    }
+    return index;
+  }
+}
+
+module.exports = BruteForceIndex;
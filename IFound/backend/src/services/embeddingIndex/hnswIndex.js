@@ -0,0 +1,442 @@
+/**
+ * HNSW Vector Index
+ *
+ * In-process Hierarchical Navigable Small World graph (Malkov & Yashunin)
+ * for approximate nearest-neighbour search over neural embeddings.
+ *
+ * - Vectors are L2-normalized on insert, so distance = 1 - dot product
+ * - Removal marks a node deleted; it keeps routing searches but is never
+ *   returned. The owner rebuilds the graph once too many nodes are deleted.
+ * - toJSON()/fromJSON() persist the whole graph (vectors as base64 Float32)
+ *
+ * Tuning: m (links per node), efConstruction (build quality) and efSearch
+ * (query breadth) trade memory and latency for recall.
+ */
+
+const VectorIndex = require('./VectorIndex');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Binary heap of { node, dist } ordered by dist (min-heap, or max-heap)
+ */
+class Heap {
+  constructor(max = false) {
+    this.items = [];
+    this.sign = max ? -1 : 1;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  before(a, b) {
+    return this.sign * (this.items[a].dist - this.items[b].dist) < 0;
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+  }
+
+  push(item) {
+    this.items.push(item);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(i, parent)) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < this.items.length && this.before(left, next)) next = left;
+        if (right < this.items.length && this.before(right, next)) next = right;
+        if (next === i) break;
+        this.swap(i, next);
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * L2-normalize into a Float32Array (null for empty or zero vectors)
+ */
+const normalize = (vector) => {
+  if (!vector?.length) return null;
+
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  if (norm === 0) return null;
+
+  norm = Math.sqrt(norm);
+  const normalized = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    normalized[i] = vector[i] / norm;
+  }
+  return normalized;
+};
+
+const distance = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return 1 - dot;
+};
+
+const sameVector = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > 1e-6) return false;
+  }
+  return true;
+};
+
+class HnswIndex extends VectorIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.m - Links per node per layer (layer 0 gets 2m)
+   * @param {number} options.efConstruction - Candidate list size while inserting
+   * @param {number} options.efSearch - Candidate list size while searching
+   * @param {Function} options.random - RNG for level assignment (seedable for benchmarks)
+   */
+  constructor({ m = 16, efConstruction = 200, efSearch = 64, random = Math.random } = {}) {
+    super('hnsw');
+    this.m = m;
+    this.maxM0 = m * 2;
+    this.levelMult = 1 / Math.log(m);
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.random = random;
+
+    this.dimensions = null;
+    this.nodes = []; // { id, vector, level, neighbors: number[][], deleted }
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  get size() {
+    return this.idToNode.size;
+  }
+
+  /**
+   * Share of graph nodes that are deleted placeholders
+   */
+  get deletedRatio() {
+    return this.nodes.length ? this.deletedCount / this.nodes.length : 0;
+  }
+
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  ids() {
+    return [...this.idToNode.keys()];
+  }
+
+  checkDimensions(vector) {
+    if (this.dimensions !== null && vector.length !== this.dimensions) {
+      throw new Error(`Expected ${this.dimensions}-dimension embedding, got ${vector.length}`);
+    }
+  }
+
+  /**
+   * @returns {boolean} - false if the vector was unusable or unchanged
+   */
+  add(id, vector) {
+    const normalized = normalize(vector);
+    if (!normalized) return false;
+
+    this.checkDimensions(normalized);
+    this.dimensions = normalized.length;
+
+    const existing = this.idToNode.get(id);
+    if (existing !== undefined) {
+      if (sameVector(this.nodes[existing].vector, normalized)) return false;
+      this.remove(id);
+    }
+
+    const level = Math.floor(-Math.log(this.random() || Number.MIN_VALUE) * this.levelMult);
+    const nodeIndex = this.nodes.length;
+    const node = {
+      id,
+      vector: normalized,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false,
+    };
+    this.nodes.push(node);
+    this.idToNode.set(id, nodeIndex);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = nodeIndex;
+      this.maxLevel = level;
+      return true;
+    }
+
+    // Greedy descent through the layers above the new node's level
+    let entry = { node: this.entryPoint, dist: distance(normalized, this.nodes[this.entryPoint].vector) };
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedyClosest(normalized, entry, layer);
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const found = this.searchLayer(normalized, entries, this.efConstruction, layer);
+      const neighbors = this.selectNeighbors(found, this.m);
+
+      node.neighbors[layer] = neighbors.map(n => n.node);
+      for (const neighbor of neighbors) {
+        this.connect(neighbor.node, nodeIndex, layer);
+      }
+      entries = found;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = nodeIndex;
+    }
+
+    return true;
+  }
+
+  remove(id) {
+    const nodeIndex = this.idToNode.get(id);
+    if (nodeIndex === undefined) return false;
+
+    this.nodes[nodeIndex].deleted = true;
+    this.idToNode.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  search(vector, k = 10, threshold = 0) {
+    if (this.size === 0) return [];
+
+    const query = normalize(vector);
+    if (!query) return [];
+    this.checkDimensions(query);
+
+    let entry = { node: this.entryPoint, dist: distance(query, this.nodes[this.entryPoint].vector) };
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedyClosest(query, entry, layer);
+    }
+
+    // Widen the beam to make up for deleted nodes that can't be returned
+    const ef = Math.ceil(Math.max(this.efSearch, k) / Math.max(1 - this.deletedRatio, 0.1));
+    const found = this.searchLayer(query, [entry], ef, 0);
+
+    const results = [];
+    for (const { node, dist } of found) {
+      if (results.length >= k) break;
+      const similarity = 1 - dist;
+      if (similarity < threshold) break;
+      if (!this.nodes[node].deleted) {
+        results.push({ id: this.nodes[node].id, similarity });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Follow the single closest neighbour on a layer until no neighbour is closer
+   */
+  greedyClosest(query, entry, layer) {
+    let best = entry;
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      for (const neighbor of this.nodes[best.node].neighbors[layer] || []) {
+        const dist = distance(query, this.nodes[neighbor].vector);
+        if (dist < best.dist) {
+          best = { node: neighbor, dist };
+          changed = true;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Beam search on one layer
+   * @returns {Array<{ node, dist }>} - Up to ef nodes, closest first
+   */
+  searchLayer(query, entries, ef, layer) {
+    const visited = new Set();
+    const candidates = new Heap();
+    const results = new Heap(true);
+
+    for (const entry of entries) {
+      visited.add(entry.node);
+      candidates.push(entry);
+      results.push(entry);
+      if (results.length > ef) results.pop();
+    }
+
+    while (candidates.length > 0) {
+      const current = candidates.pop();
+      if (results.length >= ef && current.dist > results.peek().dist) break;
+
+      for (const neighbor of this.nodes[current.node].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const dist = distance(query, this.nodes[neighbor].vector);
+        if (results.length < ef || dist < results.peek().dist) {
+          const item = { node: neighbor, dist };
+          candidates.push(item);
+          results.push(item);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the
+   * base node than to any already selected one (keeps the graph navigable
+   * across clusters), then fill remaining slots with the closest leftovers.
+   * @param {Array<{ node, dist }>} candidates - Closest first
+   */
+  selectNeighbors(candidates, max) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const vector = this.nodes[candidate.node].vector;
+      const diverse = selected.every(s => distance(vector, this.nodes[s.node].vector) > candidate.dist);
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= max) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Add a link from one node to another, shrinking the list if it overflows
+   */
+  connect(from, to, layer) {
+    const node = this.nodes[from];
+    const links = node.neighbors[layer];
+    links.push(to);
+
+    const maxLinks = layer === 0 ? this.maxM0 : this.m;
+    if (links.length > maxLinks) {
+      const scored = links
+        .map(n => ({ node: n, dist: distance(node.vector, this.nodes[n].vector) }))
+        .sort((a, b) => a.dist - b.dist);
+      node.neighbors[layer] = this.selectNeighbors(scored, maxLinks).map(s => s.node);
+    }
+  }
+
+  /**
+   * Fresh graph containing only the live vectors (drops deleted nodes)
+   */
+  compact() {
+    const index = new HnswIndex({
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      random: this.random,
+    });
+    for (const node of this.nodes) {
+      if (!node.deleted) index.add(node.id, node.vector);
+    }
+    return index;
+  }
+
+  toJSON() {
+    const dimensions = this.dimensions || 0;
+    const vectors = new Float32Array(this.nodes.length * dimensions);
+    this.nodes.forEach((node, i) => vectors.set(node.vector, i * dimensions));
+
+    return {
+      backend: this.name,
+      version: FORMAT_VERSION,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      dimensions: this.dimensions,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes.map(node => [node.id, node.level, node.deleted ? 1 : 0, node.neighbors]),
+      vectors: Buffer.from(vectors.buffer).toString('base64'),
+    };
+  }
+
+  /**
+   * Restore a persisted graph (search parameters from options override the file)
+   */
+  static fromJSON(data, options = {}) {
+    if (data.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported HNSW index format version: ${data.version}`);
+    }
+
+    const index = new HnswIndex({
+      m: data.m,
+      efConstruction: data.efConstruction,
+      efSearch: data.efSearch,
+      ...options,
+    });
+
+    const buffer = Buffer.from(data.vectors, 'base64');
+    const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    const dimensions = data.dimensions || 0;
+
+    if (vectors.length !== data.nodes.length * dimensions) {
+      throw new Error('HNSW index vectors do not match its nodes');
+    }
+
+    index.dimensions = data.dimensions;
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    data.nodes.forEach(([id, level, deleted, neighbors], i) => {
+      index.nodes.push({
+        id,
+        vector: vectors.subarray(i * dimensions, (i + 1) * dimensions),
+        level,
+        neighbors,
+        deleted: !!deleted,
+      });
+      if (deleted) {
+        index.deletedCount++;
+      } else {
+        index.idToNode.set(id, i);
+      }
+    });
+
+    return index;
+  }
+}
+
+module.exports = HnswIndex;
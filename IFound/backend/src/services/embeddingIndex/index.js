@@ -0,0 +1,361 @@
+/**
+ * Embedding Index Service
+ *
+ * Approximate nearest-neighbour search over VisualDNA.neural_embedding so
+ * smart search doesn't cosine-scan every record.
+ *
+ * Backend (EMBEDDING_INDEX_BACKEND):
+ * - hnsw (default): in-process HNSW graph persisted to EMBEDDING_INDEX_PATH
+ * - brute: exact linear scan held in memory
+ *
+ * Keeping in sync:
+ * - VisualDNA save/destroy hooks update the index in this process
+ * - Every EMBEDDING_INDEX_SYNC_INTERVAL_MS a search first pulls rows updated
+ *   since the last sync (changes made by job workers, bulk updates such as
+ *   expired cases leaving the candidate pool) and
+ *   prunes IDs whose rows were deleted (e.g. cascades from case deletion)
+ * - Loading from disk resumes from the saved sync point; a missing or
+ *   unreadable file triggers a rebuild from the database
+ *
+ * If the index can't be used, search falls back to a brute-force scan of the
+ * database (neuralEmbeddingService.findSimilar), so callers never see errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { VisualDNA } = require('../../models');
+const { findSimilar } = require('../neuralEmbeddingService');
+const logger = require('../../config/logger');
+const VectorIndex = require('./VectorIndex');
+const HnswIndex = require('./hnswIndex');
+const BruteForceIndex = require('./bruteForceIndex');
+
+const BACKEND = process.env.EMBEDDING_INDEX_BACKEND || 'hnsw';
+const INDEX_PATH = process.env.EMBEDDING_INDEX_PATH
+  || path.join(process.cwd(), '.cache', 'embedding-index', 'visual-dna.json');
+const SYNC_INTERVAL_MS = parseInt(process.env.EMBEDDING_INDEX_SYNC_INTERVAL_MS) || 30 * 1000;
+const SAVE_DELAY_MS = 5000;
+const SYNC_BATCH_SIZE = 500;
+// Rebuild the HNSW graph once this share of its nodes are deleted placeholders
+const MAX_DELETED_RATIO = 0.25;
+
+const HNSW_OPTIONS = {
+  m: parseInt(process.env.EMBEDDING_INDEX_HNSW_M) || 16,
+  efConstruction: parseInt(process.env.EMBEDDING_INDEX_HNSW_EF_CONSTRUCTION) || 200,
+  efSearch: parseInt(process.env.EMBEDDING_INDEX_HNSW_EF_SEARCH) || 64,
+};
+
+// Rows that belong in the index
+const INDEXABLE = {
+  processing_status: 'completed',
+  is_match_candidate: true,
+  neural_embedding: { [Op.ne]: null },
+};
+
+let index = null;
+let readyPromise = null;
+let syncPromise = null;
+let syncedAt = null; // updated_at of the newest row applied
+let lastSyncCheck = 0;
+let saveTimer = null;
+
+const isIndexable = (record) => record.processing_status === 'completed'
+  && record.is_match_candidate !== false
+  && record.neural_embedding?.length > 0;
+
+const createIndex = () => (BACKEND === 'brute' ? new BruteForceIndex() : new HnswIndex(HNSW_OPTIONS));
+
+/**
+ * Add or remove a record depending on whether it is searchable
+ */
+const applyRecord = (record) => {
+  try {
+    if (isIndexable(record)) {
+      return index.add(record.id, record.neural_embedding) !== false;
+    }
+    return index.remove(record.id) !== false;
+  } catch (error) {
+    // e.g. embeddings from a different model size
+    logger.warn(`[EmbeddingIndex] Skipped VisualDNA ${record.id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Persist the index (atomic rename so readers never see a partial file)
+ */
+const save = async () => {
+  if (!index) return;
+
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const data = JSON.stringify({
+    synced_at: syncedAt ? syncedAt.toISOString() : null,
+    index: index.toJSON(),
+  });
+
+  await fs.promises.mkdir(path.dirname(INDEX_PATH), { recursive: true });
+  const tempPath = `${INDEX_PATH}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, data);
+  await fs.promises.rename(tempPath, INDEX_PATH);
+
+  logger.debug(`[EmbeddingIndex] Saved ${index.size} vectors to ${INDEX_PATH}`);
+};
+
+const scheduleSave = () => {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    save().catch(error => logger.error('[EmbeddingIndex] Failed to save index:', error));
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+};
+
+/**
+ * Read the persisted index; null if absent, unreadable or built by another backend
+ */
+const loadFromDisk = async () => {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(INDEX_PATH, 'utf8'));
+    if (data.index?.backend !== BACKEND) {
+      return null;
+    }
+
+    const loaded = BACKEND === 'brute'
+      ? BruteForceIndex.fromJSON(data.index)
+      : HnswIndex.fromJSON(data.index, { efSearch: HNSW_OPTIONS.efSearch });
+
+    return { loaded, syncedAt: data.synced_at ? new Date(data.synced_at) : null };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`[EmbeddingIndex] Could not load ${INDEX_PATH}, rebuilding: ${error.message}`);
+    }
+    return null;
+  }
+};
+
+/**
+ * Apply rows updated since the last sync, in batches
+ * @returns {Promise<number>} - Number of index changes
+ */
+const pullUpdates = async () => {
+  let changes = 0;
+
+  for (;;) {
+    const where = syncedAt ? { updated_at: { [Op.gte]: syncedAt } } : INDEXABLE;
+    const rows = await VisualDNA.findAll({
+      where,
+      attributes: ['id', 'neural_embedding', 'processing_status', 'is_match_candidate', 'updatedAt'],
+      order: [['updated_at', 'ASC'], ['id', 'ASC']],
+      limit: SYNC_BATCH_SIZE,
+      raw: true,
+    });
+
+    for (const row of rows) {
+      if (applyRecord(row)) changes++;
+    }
+
+    const newest = rows.length ? new Date(rows[rows.length - 1].updatedAt) : null;
+    if (rows.length < SYNC_BATCH_SIZE) {
+      if (newest && (!syncedAt || newest > syncedAt)) syncedAt = newest;
+      return changes;
+    }
+
+    // A full batch sharing one timestamp can't advance the watermark; stop
+    // rather than loop forever (searches fall back to brute force)
+    if (syncedAt && newest <= syncedAt) {
+      throw new Error('Too many VisualDNA rows share one updated_at to sync incrementally');
+    }
+    syncedAt = newest;
+  }
+};
+
+/**
+ * Remove indexed IDs whose rows no longer exist or stopped being searchable
+ * (cascade deletes skip model hooks)
+ */
+const pruneDeleted = async () => {
+  const count = await VisualDNA.count({ where: INDEXABLE });
+  if (index.size <= count) return 0;
+
+  const rows = await VisualDNA.findAll({ where: INDEXABLE, attributes: ['id'], raw: true });
+  const live = new Set(rows.map(row => row.id));
+
+  let removed = 0;
+  for (const id of index.ids()) {
+    if (!live.has(id)) {
+      index.remove(id);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Catch up with the database and compact the graph if needed
+ */
+const sync = async () => {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      lastSyncCheck = Date.now();
+      const updated = await pullUpdates();
+      const pruned = await pruneDeleted();
+
+      if (index instanceof HnswIndex && index.deletedRatio > MAX_DELETED_RATIO) {
+        index = index.compact();
+        logger.info(`[EmbeddingIndex] Compacted HNSW graph to ${index.size} vectors`);
+      }
+
+      if (updated || pruned) {
+        logger.debug(`[EmbeddingIndex] Synced: ${updated} updated, ${pruned} pruned`);
+        scheduleSave();
+      }
+    })().finally(() => { syncPromise = null; });
+  }
+  return syncPromise;
+};
+
+/**
+ * Load or build the index (once per process)
+ */
+const init = () => {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      const startTime = Date.now();
+      const persisted = await loadFromDisk();
+
+      index = persisted ? persisted.loaded : createIndex();
+      syncedAt = persisted ? persisted.syncedAt : null;
+
+      try {
+        await sync();
+      } catch (error) {
+        if (!persisted) throw error;
+        logger.warn(`[EmbeddingIndex] Incremental sync failed, rebuilding: ${error.message}`);
+        index = createIndex();
+        syncedAt = null;
+        await sync();
+      }
+
+      logger.info(`[EmbeddingIndex] ${BACKEND} index ready with ${index.size} vectors in ${Date.now() - startTime}ms`);
+      return index;
+    })();
+
+    readyPromise.catch((error) => {
+      logger.error('[EmbeddingIndex] Failed to initialize:', error);
+      readyPromise = null;
+      index = null;
+    });
+  }
+  return readyPromise;
+};
+
+/**
+ * Exact search straight from the database
+ */
+const bruteForceSearch = async (embedding, { k, threshold }) => {
+  const rows = await VisualDNA.findAll({
+    where: INDEXABLE,
+    attributes: ['id', 'neural_embedding'],
+    raw: true,
+  });
+
+  return findSimilar(
+    embedding,
+    rows.map(row => ({ id: row.id, embedding: row.neural_embedding })),
+    threshold,
+    k
+  );
+};
+
+/**
+ * Find the VisualDNA records whose neural embeddings are most similar
+ *
+ * @param {number[]} embedding - Query embedding
+ * @param {Object} options - { k: max results, threshold: min cosine similarity }
+ * @returns {Promise<Array<{ id: string, similarity: number }>>} - Most similar first
+ */
+const search = async (embedding, { k = 50, threshold = 0 } = {}) => {
+  if (!embedding?.length) return [];
+
+  try {
+    await init();
+    if (Date.now() - lastSyncCheck >= SYNC_INTERVAL_MS) {
+      await sync();
+    }
+    return index.search(embedding, k, threshold);
+  } catch (error) {
+    logger.warn(`[EmbeddingIndex] Index search failed, using brute force: ${error.message}`);
+    return bruteForceSearch(embedding, { k, threshold });
+  }
+};
+
+/**
+ * Discard the index and rebuild it from the database
+ */
+const rebuild = async () => {
+  if (readyPromise) {
+    await readyPromise.catch(() => null);
+  }
+
+  const startTime = Date.now();
+  index = createIndex();
+  syncedAt = null;
+  readyPromise = Promise.resolve(index);
+
+  await sync();
+  await save();
+
+  logger.info(`[EmbeddingIndex] Rebuilt with ${index.size} vectors in ${Date.now() - startTime}ms`);
+  return getStatus();
+};
+
+/**
+ * Index state for the admin dashboard
+ */
+const getStatus = () => ({
+  backend: BACKEND,
+  ready: !!index,
+  size: index ? index.size : 0,
+  dimensions: index?.dimensions || null,
+  deleted_ratio: index instanceof HnswIndex ? Number(index.deletedRatio.toFixed(3)) : 0,
+  synced_at: syncedAt,
+  path: BACKEND === 'hnsw' ? INDEX_PATH : null,
+});
+
+/**
+ * Write pending changes (call on shutdown)
+ */
+const flush = async () => {
+  if (saveTimer) {
+    await save();
+  }
+};
+
+// Keep a loaded index current with changes made in this process. Rows
+// changed before the index loads are picked up by the initial sync.
+const onRecordSaved = (record) => {
+  if (!index) return;
+  if (applyRecord(record)) scheduleSave();
+};
+
+const onRecordDestroyed = (record) => {
+  if (!index) return;
+  if (index.remove(record.id)) scheduleSave();
+};
+
+VisualDNA.addHook('afterSave', 'embeddingIndex', onRecordSaved);
+VisualDNA.addHook('afterDestroy', 'embeddingIndex', onRecordDestroyed);
+
+module.exports = {
+  init,
+  search,
+  bruteForceSearch,
+  rebuild,
+  getStatus,
+  flush,
+  VectorIndex,
+  HnswIndex,
+  BruteForceIndex,
+};
@@ -0,0 +1,26 @@
+/**
+ * Exchange Rates Provider Interface
+ *
+ * Source of currency exchange rates. index.js handles caching and
+ * conversion; a provider only has to return a rate table.
+ *
+ * Rate tables are plain objects:
+ * { base: 'USD', rates: { USD: 1, CAD: 1.36, ... }, as_of: Date }
+ * where rates[code] is how much of that currency one unit of base buys.
+ */
+
+class RatesProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Current rate table
+   * @returns {Promise<Object>} - { base, rates, as_of }
+   */
+  async getRates() {
+    throw new Error(`${this.name} provider does not implement getRates()`);
+  }
+}
+
+module.exports = RatesProvider;
@@ -0,0 +1,38 @@
+/**
+ * HTTP Exchange Rates Provider
+ *
+ * Fetches { base, rates } JSON from EXCHANGE_RATES_URL (the shape served by
+ * openexchangerates.org, exchangerate.host and similar APIs).
+ */
+
+const axios = require('axios');
+const RatesProvider = require('./RatesProvider');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class HttpProvider extends RatesProvider {
+  constructor(url = process.env.EXCHANGE_RATES_URL) {
+    super('http');
+    if (!url) {
+      throw new Error('EXCHANGE_RATES_URL is not configured');
+    }
+    this.url = url;
+  }
+
+  async getRates() {
+    const response = await axios.get(this.url, { timeout: REQUEST_TIMEOUT_MS });
+    const { base, rates, timestamp } = response.data || {};
+
+    if (!base || !rates || typeof rates !== 'object') {
+      throw new Error('Exchange rates response is missing base or rates');
+    }
+
+    return {
+      base: base.toUpperCase(),
+      rates: { ...rates, [base.toUpperCase()]: 1 },
+      as_of: timestamp ? new Date(timestamp * 1000) : new Date(),
+    };
+  }
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,150 @@
+/**
+ * Exchange Rates Service
+ *
+ * Converts amounts between currencies so totals across regions can be
+ * reported in one currency (REPORTING_CURRENCY). Money itself is never
+ * converted: bounties, earnings and withdrawals stay in their own currency.
+ *
+ * Provider (EXCHANGE_RATES_PROVIDER):
+ * - static (default): built-in table, or EXCHANGE_RATES_STATIC; works offline
+ * - http: EXCHANGE_RATES_URL, refreshed every EXCHANGE_RATES_TTL_MS
+ *
+ * If a refresh fails the last good table is kept; if there has never been
+ * one, the static table is used so reports still render.
+ *
+ * Usage:
+ *   const rate = await exchangeRates.getRate('EUR', 'CAD');
+ *   const cad = await exchangeRates.convert(12.5, 'EUR', 'CAD');
+ *   const reported = await exchangeRates.normalize(12.5, 'EUR');
+ */
+
+const logger = require('../../config/logger');
+const { REPORTING_CURRENCY } = require('../../config/currencies');
+const RatesProvider = require('./RatesProvider');
+const StaticProvider = require('./staticProvider');
+const HttpProvider = require('./httpProvider');
+
+const TTL_MS = parseInt(process.env.EXCHANGE_RATES_TTL_MS) || 6 * 60 * 60 * 1000;
+
+const providers = {
+  static: () => new StaticProvider(),
+  http: () => new HttpProvider(),
+};
+
+let provider = null;
+let table = null;
+let fetchedAt = 0;
+let refreshPromise = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.EXCHANGE_RATES_PROVIDER || 'static';
+    if (!providers[name]) {
+      throw new Error(`Unknown exchange rates provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+/**
+ * Use a different provider (tests, custom integrations)
+ * @param {RatesProvider} nextProvider
+ */
+const setProvider = (nextProvider) => {
+  if (!(nextProvider instanceof RatesProvider)) {
+    throw new Error('Exchange rates provider must extend RatesProvider');
+  }
+  provider = nextProvider;
+  table = null;
+  fetchedAt = 0;
+};
+
+const refresh = async () => {
+  try {
+    table = await getProvider().getRates();
+    fetchedAt = Date.now();
+  } catch (error) {
+    logger.error(`Exchange rates refresh failed (${getProvider().name}):`, error);
+    // Try again on the next lookup instead of every call in between
+    fetchedAt = Date.now();
+    if (!table) {
+      table = await new StaticProvider().getRates();
+    }
+  }
+  return table;
+};
+
+/**
+ * Current rate table, refreshed when older than the TTL
+ */
+const getRates = async () => {
+  if (table && Date.now() - fetchedAt < TTL_MS) {
+    return table;
+  }
+
+  // Concurrent lookups share one refresh
+  refreshPromise = refreshPromise || refresh().finally(() => { refreshPromise = null; });
+  return refreshPromise;
+};
+
+/**
+ * Units of `to` one unit of `from` buys
+ */
+const getRate = async (from, to) => {
+  if (from === to) return 1;
+
+  const { rates } = await getRates();
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate for ${from} -> ${to}`);
+  }
+
+  return rates[to] / rates[from];
+};
+
+/**
+ * Convert an amount, rounded to the cent
+ */
+const convert = async (amount, from, to) => {
+  const rate = await getRate(from, to);
+  return Math.round(parseFloat(amount || 0) * rate * 100) / 100;
+};
+
+/**
+ * Convert an amount to the reporting currency
+ */
+const normalize = (amount, from) => convert(amount, from, REPORTING_CURRENCY);
+
+/**
+ * Sum { currency: amount } in the reporting currency
+ */
+const normalizeTotals = async (amountsByCurrency) => {
+  let total = 0;
+  for (const [currency, amount] of Object.entries(amountsByCurrency)) {
+    total += await normalize(amount, currency);
+  }
+  return Math.round(total * 100) / 100;
+};
+
+/**
+ * Provider and table age (admin dashboard)
+ */
+const getStatus = () => ({
+  provider: provider?.name || process.env.EXCHANGE_RATES_PROVIDER || 'static',
+  reporting_currency: REPORTING_CURRENCY,
+  base: table?.base || null,
+  as_of: table?.as_of || null,
+  fetched_at: fetchedAt ? new Date(fetchedAt) : null,
+});
+
+module.exports = {
+  getRates,
+  getRate,
+  convert,
+  normalize,
+  normalizeTotals,
+  setProvider,
+  getStatus,
+  RatesProvider,
+  StaticProvider,
+};
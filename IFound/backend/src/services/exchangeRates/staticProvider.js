@@ -0,0 +1,36 @@
+/**
+ * Static Exchange Rates Provider
+ *
+ * A fixed rate table for offline use and tests. EXCHANGE_RATES_STATIC can
+ * replace the built-in table with JSON of the same shape, e.g.
+ * {"base":"USD","rates":{"USD":1,"CAD":1.4}}
+ */
+
+const RatesProvider = require('./RatesProvider');
+
+// Approximate mid-market rates; only used when nothing better is configured
+const DEFAULT_TABLE = {
+  base: 'USD',
+  rates: {
+    USD: 1,
+    CAD: 1.36,
+    EUR: 0.92,
+    GBP: 0.79,
+    AUD: 1.52,
+  },
+};
+
+class StaticProvider extends RatesProvider {
+  constructor(table = null) {
+    super('static');
+    this.table = table
+      || (process.env.EXCHANGE_RATES_STATIC ? JSON.parse(process.env.EXCHANGE_RATES_STATIC) : DEFAULT_TABLE);
+    this.loadedAt = new Date();
+  }
+
+  async getRates() {
+    return { ...this.table, as_of: this.loadedAt };
+  }
+}
+
+module.exports = StaticProvider;
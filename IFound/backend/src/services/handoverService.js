@@ -0,0 +1,501 @@
+/**
+ * Handover Service
+ *
+ * Arranging and proving the in-person handover of an accepted claim:
+ *
+ * 1. Either party proposes up to MAX_SLOTS meetup slots (time + place),
+ *    posted in the chat as a handover_request message. A new proposal
+ *    supersedes any still pending.
+ * 2. The other party accepts one slot (or declines). The agreed meetup is
+ *    stored on claim.handover_location, announced with a location message,
+ *    and can be added to a calendar (.ics).
+ * 3. At the meetup the claimant opens a one-time code (shown as digits and
+ *    a QR code) and the finder enters or scans it. A valid code proves both
+ *    were there: the handover is confirmed for both parties and the claim
+ *    completes. Codes expire after HANDOVER_CODE_TTL_MINUTES and are
+ *    invalidated after MAX_CODE_ATTEMPTS wrong guesses.
+ *
+ * Only a SHA-256 hash of the code is stored.
+ */
+
+const crypto = require('crypto');
+const { Claim, Case, Message, Transaction, User, sequelize } = require('../models');
+const logger = require('../config/logger');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+const { publishMessage } = require('./chatSocketService');
+const { formatAmount } = require('../config/currencies');
+
+const CODE_TTL_MINUTES = parseInt(process.env.HANDOVER_CODE_TTL_MINUTES) || 30;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_SLOTS = 3;
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_DURATION_MINUTES = 240;
+
+const hashCode = (claimId, code) => crypto.createHash('sha256').update(`${claimId}:${code}`).digest('hex');
+
+const loadClaim = (claimId, options = {}) => Claim.findByPk(claimId, {
+  include: [{ model: Case, as: 'foundCase' }],
+  ...options,
+});
+
+/**
+ * Load a claim the user can arrange a handover for
+ * @returns {Promise<Object>} - { claim, isClaimant, isFinder } or { error }
+ */
+const loadForParty = async (claimId, userId) => {
+  const claim = await loadClaim(claimId);
+  if (!claim) return { error: { status: 404, message: 'Claim not found' } };
+
+  const isClaimant = claim.claimant_id === userId;
+  const isFinder = claim.foundCase.poster_id === userId;
+  if (!isClaimant && !isFinder) {
+    return { error: { status: 403, message: 'Not authorized to arrange this handover' } };
+  }
+
+  if (claim.status !== 'accepted') {
+    return { error: { status: 400, message: 'Claim must be accepted before arranging the handover' } };
+  }
+
+  return { claim, isClaimant, isFinder };
+};
+
+const describeSlot = (slot) => {
+  const when = new Date(slot.starts_at).toUTCString().replace(' GMT', ' UTC');
+  return `${when} at ${slot.location.name || slot.location.address}`;
+};
+
+/**
+ * Validate and normalise proposed slots
+ * @returns {Object} - { slots } or { error }
+ */
+const parseSlots = (slots) => {
+  if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_SLOTS) {
+    return { error: `Propose between 1 and ${MAX_SLOTS} meetup slots` };
+  }
+
+  const parsed = [];
+  for (const slot of slots) {
+    const startsAt = new Date(slot?.starts_at);
+    if (Number.isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+      return { error: 'Each slot needs a starts_at time in the future' };
+    }
+
+    const duration = parseInt(slot.duration_minutes) || DEFAULT_DURATION_MINUTES;
+    if (duration < 5 || duration > MAX_DURATION_MINUTES) {
+      return { error: `Meetups can last between 5 and ${MAX_DURATION_MINUTES} minutes` };
+    }
+
+    const address = slot.location?.address?.trim();
+    if (!address) {
+      return { error: 'Each slot needs a location address' };
+    }
+
+    const latitude = parseFloat(slot.location.latitude);
+    const longitude = parseFloat(slot.location.longitude);
+
+    parsed.push({
+      starts_at: startsAt.toISOString(),
+      ends_at: new Date(startsAt.getTime() + duration * 60 * 1000).toISOString(),
+      location: {
+        name: slot.location.name?.trim() || null,
+        address,
+        latitude: Number.isNaN(latitude) ? null : latitude,
+        longitude: Number.isNaN(longitude) ? null : longitude,
+      },
+    });
+  }
+
+  return { slots: parsed };
+};
+
+const postMessage = async (claim, senderId, fields) => {
+  const message = await Message.create({ claim_id: claim.id, sender_id: senderId, ...fields });
+  const created = await Message.findByPk(message.id, {
+    include: [{ model: User, as: 'sender', attributes: ['id', 'first_name', 'last_name', 'profile_photo_url'] }],
+  });
+
+  publishMessage(claim, created);
+  await notificationService.notifyNewMessage(claim, created);
+
+  return created;
+};
+
+/**
+ * Propose meetup slots
+ * @param {string} claimId
+ * @param {string} userId - Claimant or finder
+ * @param {Object} proposal - { slots: [{ starts_at, duration_minutes, location: { name, address, latitude, longitude } }], note }
+ * @returns {Promise<Object>} - { success, status?, message, proposal? }
+ */
+const proposeMeetup = async (claimId, userId, { slots, note } = {}) => {
+  const { claim, error } = await loadForParty(claimId, userId);
+  if (error) return { success: false, ...error };
+
+  const parsed = parseSlots(slots);
+  if (parsed.error) return { success: false, status: 400, message: parsed.error };
+
+  // Only one proposal is open at a time
+  const pending = await Message.findAll({
+    where: {
+      claim_id: claim.id,
+      message_type: 'handover_request',
+      metadata: { kind: 'meetup_proposal', status: 'pending' },
+    },
+  });
+  for (const previous of pending) {
+    await previous.update({ metadata: { ...previous.metadata, status: 'superseded' } });
+  }
+
+  const lines = parsed.slots.map((slot, index) => `${index + 1}. ${describeSlot(slot)}`);
+  const proposal = await postMessage(claim, userId, {
+    message_type: 'handover_request',
+    content: [`Proposed meetup times:`, ...lines, note?.trim()].filter(Boolean).join('\n'),
+    metadata: {
+      kind: 'meetup_proposal',
+      status: 'pending',
+      slots: parsed.slots,
+      note: note?.trim() || null,
+    },
+  });
+
+  return { success: true, message: 'Meetup proposed', proposal };
+};
+
+/**
+ * Accept one slot of a proposal, or decline it
+ * @param {string} claimId
+ * @param {string} userId - The party who didn't propose
+ * @param {string} messageId - The handover_request message
+ * @param {Object} response - { accept, slot_index }
+ */
+const respondToProposal = async (claimId, userId, messageId, { accept, slot_index: slotIndex = 0 } = {}) => {
+  const { claim, error } = await loadForParty(claimId, userId);
+  if (error) return { success: false, ...error };
+
+  const proposal = await Message.findOne({
+    where: { id: messageId, claim_id: claim.id, message_type: 'handover_request' },
+  });
+  if (!proposal || proposal.metadata?.kind !== 'meetup_proposal') {
+    return { success: false, status: 404, message: 'Meetup proposal not found' };
+  }
+
+  if (proposal.sender_id === userId) {
+    return { success: false, status: 400, message: 'The other party has to respond to your proposal' };
+  }
+
+  if (proposal.metadata.status !== 'pending') {
+    return { success: false, status: 409, message: `This proposal was already ${proposal.metadata.status}` };
+  }
+
+  if (!accept) {
+    await proposal.update({ metadata: { ...proposal.metadata, status: 'declined' } });
+    const reply = await postMessage(claim, userId, {
+      message_type: 'system',
+      content: 'Meetup proposal declined. Propose other times that suit you.',
+    });
+    return { success: true, message: 'Proposal declined', proposal, reply };
+  }
+
+  const slot = proposal.metadata.slots[parseInt(slotIndex)];
+  if (!slot) {
+    return { success: false, status: 400, message: 'Choose one of the proposed slots' };
+  }
+
+  if (new Date(slot.starts_at) <= new Date()) {
+    return { success: false, status: 400, message: 'That slot has already passed' };
+  }
+
+  await proposal.update({
+    metadata: { ...proposal.metadata, status: 'accepted', accepted_slot: parseInt(slotIndex) },
+  });
+
+  await claim.update({
+    handover_location: {
+      ...slot.location,
+      starts_at: slot.starts_at,
+      ends_at: slot.ends_at,
+      proposal_message_id: proposal.id,
+      agreed_at: new Date().toISOString(),
+    },
+  });
+
+  const reply = await postMessage(claim, userId, {
+    message_type: 'location',
+    content: `Meetup agreed: ${describeSlot(slot)}`,
+    metadata: { kind: 'meetup_agreed', proposal_message_id: proposal.id, ...slot },
+  });
+
+  logger.info(`Handover meetup agreed for claim ${claim.id}`);
+
+  return { success: true, message: 'Meetup agreed', proposal, reply, claim };
+};
+
+/**
+ * Issue the claimant a fresh one-time handover code
+ * Replaces any earlier code.
+ * @returns {Promise<Object>} - { success, code, qr_payload, expires_at }
+ */
+const issueCode = async (claimId, userId) => {
+  const { claim, isClaimant, error } = await loadForParty(claimId, userId);
+  if (error) return { success: false, ...error };
+
+  if (!isClaimant) {
+    return { success: false, status: 403, message: 'Only the claimant can show a handover code' };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+  await Claim.update({
+    handover_code_hash: hashCode(claim.id, code),
+    handover_code_expires_at: expiresAt,
+    handover_code_attempts: 0,
+  }, { where: { id: claim.id } });
+
+  logger.audit('handover_code_issued', userId, { claimId: claim.id });
+
+  return {
+    success: true,
+    message: 'Show this code to the finder at the handover',
+    code,
+    // Encoded as a QR code by the app; the finder's app scans it and calls verify
+    qr_payload: `ifound://handover?claim=${claim.id}&code=${code}`,
+    expires_at: expiresAt,
+  };
+};
+
+/**
+ * Complete a claim once both parties have confirmed the handover
+ * Archives the found item, credits the finder's fee and notifies both
+ * parties. The claim's confirmation flags must already be set.
+ * @param {Object} claim - Claim including foundCase
+ */
+const completeHandover = async (claim) => {
+  claim.status = 'completed';
+  claim.handover_completed_at = new Date();
+
+  // Archive the found case - remove from browsing
+  await Case.update(
+    {
+      status: 'archived',
+      resolved_at: new Date(),
+      resolved_by: claim.claimant_id,
+    },
+    { where: { id: claim.found_case_id } }
+  );
+
+  // Process bounty payment - create transaction for finder
+  const bountyAmount = parseFloat(claim.bounty_offered) || 0;
+  const platformCommission = bountyAmount > 0 ? paymentService.calculateCommission(bountyAmount) : 0;
+  const netAmount = bountyAmount - platformCommission;
+
+  // The finder's earnings, their ledger postings and the claim's payment
+  // reference commit together
+  const transaction = await sequelize.transaction(async (t) => {
+    let payment = null;
+
+    if (bountyAmount > 0) {
+      // Create transaction record for the finder's earnings (credits their
+      // available balance in the ledger)
+      payment = await Transaction.create({
+        case_id: claim.found_case_id,
+        finder_id: claim.foundCase.poster_id, // Finder is the one who posted the found item
+        poster_id: claim.claimant_id, // Claimant is the one who paid the bounty
+        transaction_type: 'bounty_payment',
+        amount: bountyAmount,
+        platform_commission: platformCommission,
+        net_amount: netAmount,
+        currency: claim.currency,
+        status: 'completed', // Mark as completed (funds available for withdrawal)
+        payment_method: 'stripe',
+        completed_at: new Date(),
+        metadata: {
+          claim_id: claim.id,
+          item_title: claim.foundCase.title,
+        },
+      }, { transaction: t });
+
+      // Update claim with payment transaction reference
+      claim.payment_transaction_id = payment.id;
+      claim.payment_status = 'completed';
+    }
+
+    await claim.save({ transaction: t });
+    return payment;
+  });
+
+  if (transaction) {
+    // Send system message about payment
+    await Message.create({
+      claim_id: claim.id,
+      sender_id: claim.foundCase.poster_id,
+      content: `Transaction completed! ${formatAmount(netAmount, claim.currency)} has been added to your earnings (after ${paymentService.getCommissionPercent()}% platform fee).`,
+      message_type: 'system',
+    });
+
+    logger.info(`Payment of ${formatAmount(netAmount, claim.currency)} created for finder on claim ${claim.id}`);
+
+    await notificationService.notifyTransactionCompleted(transaction);
+  }
+
+  logger.info(`Claim ${claim.id} completed - handover confirmed by both parties`);
+
+  for (const recipientId of [claim.claimant_id, claim.foundCase.poster_id]) {
+    await notificationService.notifyClaimUpdate('claim_completed', recipientId, claim, claim.foundCase.title);
+  }
+
+  return claim;
+};
+
+/**
+ * Finder enters or scans the claimant's code
+ * A valid code confirms the handover for both parties and completes the claim.
+ * @returns {Promise<Object>} - { success, status?, message, claim? }
+ */
+const verifyCode = async (claimId, userId, code) => {
+  const { isFinder, error } = await loadForParty(claimId, userId);
+  if (error) return { success: false, ...error };
+
+  if (!isFinder) {
+    return { success: false, status: 403, message: 'Only the finder can verify the handover code' };
+  }
+
+  const outcome = await sequelize.transaction(async (t) => {
+    const claim = await Claim.unscoped().findByPk(claimId, { transaction: t, lock: t.LOCK.UPDATE });
+
+    if (claim.status !== 'accepted') {
+      return { error: { status: 409, message: `Claim is ${claim.status}` } };
+    }
+
+    if (!claim.handover_code_hash || claim.handover_code_expires_at < new Date()) {
+      return { error: { status: 400, message: 'No valid handover code. Ask the claimant to open a new one.' } };
+    }
+
+    const expected = Buffer.from(claim.handover_code_hash, 'hex');
+    const given = Buffer.from(hashCode(claim.id, String(code || '').trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const attempts = claim.handover_code_attempts + 1;
+      const exhausted = attempts >= MAX_CODE_ATTEMPTS;
+
+      await claim.update({
+        handover_code_attempts: attempts,
+        ...(exhausted && { handover_code_hash: null, handover_code_expires_at: null }),
+      }, { transaction: t });
+
+      return {
+        error: {
+          status: 400,
+          message: exhausted
+            ? 'Too many wrong codes. Ask the claimant to open a new one.'
+            : `Invalid handover code. ${MAX_CODE_ATTEMPTS - attempts} attempt(s) left.`,
+        },
+      };
+    }
+
+    // Single use
+    await claim.update({
+      handover_code_hash: null,
+      handover_code_expires_at: null,
+      handover_code_attempts: 0,
+      handover_verified_at: new Date(),
+      handover_confirmed_by_claimant: true,
+      handover_confirmed_by_finder: true,
+    }, { transaction: t });
+
+    return {};
+  });
+
+  if (outcome.error) {
+    if (outcome.error.status === 400) {
+      logger.security('Handover code rejected', { claimId, userId, reason: outcome.error.message });
+    }
+    return { success: false, ...outcome.error };
+  }
+
+  const claim = await completeHandover(await loadClaim(claimId));
+  logger.audit('handover_verified', userId, { claimId });
+
+  return { success: true, message: 'Handover verified! The case has been resolved.', claim };
+};
+
+// RFC 5545 text escaping and 75-octet line folding
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut -= 1;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Calendar file for the agreed meetup
+ * @returns {Promise<Object>} - { success, ics, filename } or { success: false, ... }
+ */
+const buildCalendar = async (claimId, userId) => {
+  const claim = await loadClaim(claimId);
+  if (!claim) return { success: false, status: 404, message: 'Claim not found' };
+
+  if (claim.claimant_id !== userId && claim.foundCase.poster_id !== userId) {
+    return { success: false, status: 403, message: 'Not authorized to view this handover' };
+  }
+
+  const meetup = claim.handover_location;
+  if (!meetup?.starts_at) {
+    return { success: false, status: 404, message: 'No meetup has been agreed yet' };
+  }
+
+  const place = [meetup.name, meetup.address].filter(Boolean).join(', ');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//I Found!!//Handover//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:handover-${claim.id}@ifound`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(meetup.starts_at)}`,
+    `DTEND:${icsDate(meetup.ends_at || meetup.starts_at)}`,
+    `SUMMARY:${escapeText(`Handover: ${claim.foundCase.title}`)}`,
+    `LOCATION:${escapeText(place)}`,
+    ...(meetup.latitude != null && meetup.longitude != null ? [`GEO:${meetup.latitude};${meetup.longitude}`] : []),
+    `DESCRIPTION:${escapeText('Meet to hand over the item. The owner opens their handover code in I Found!! and the finder scans it to confirm.')}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'TRIGGER:-PT30M',
+    `DESCRIPTION:${escapeText(`Handover: ${claim.foundCase.title}`)}`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+
+  return {
+    success: true,
+    ics: `${lines.map(foldLine).join('\r\n')}\r\n`,
+    filename: `handover-${claim.id.slice(0, 8)}.ics`,
+  };
+};
+
+module.exports = {
+  proposeMeetup,
+  respondToProposal,
+  issueCode,
+  verifyCode,
+  completeHandover,
+  buildCalendar,
+};
@@ -0,0 +1,112 @@
+/**
+ * Job Queue Backend Interface
+ *
+ * Storage for the job queue (Postgres table or Redis). The queue in
+ * index.js owns scheduling, retries and handlers; a backend only has to
+ * move jobs between states atomically so several workers can share it.
+ *
+ * Jobs are plain objects:
+ * { id, type, payload, status, attempts, max_attempts, run_at, locked_at,
+ *   locked_by, last_error, result, created_at, updated_at, completed_at }
+ * status: pending | active | completed | dead
+ */
+
+class QueueBackend {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Connect / prepare storage
+   */
+  async init() {}
+
+  /**
+   * Release connections
+   */
+  async close() {}
+
+  /**
+   * Store a new pending job
+   * @param {Object} job - { type, payload, max_attempts, run_at }
+   * @returns {Promise<Object>} - Stored job
+   */
+  async add(job) {
+    throw new Error(`${this.name} backend does not implement add()`);
+  }
+
+  /**
+   * Atomically take the next due pending job of a type and mark it active
+   * (incrementing attempts). Two workers must never receive the same job.
+   * @param {string} type - Job type
+   * @param {string} workerId - Identifier of the claiming worker
+   * @returns {Promise<Object|null>}
+   */
+  async claim(type, workerId) {
+    throw new Error(`${this.name} backend does not implement claim()`);
+  }
+
+  /**
+   * Mark an active job completed
+   */
+  async complete(id, result) {
+    throw new Error(`${this.name} backend does not implement complete()`);
+  }
+
+  /**
+   * Return an active job to pending to run again at runAt
+   */
+  async retry(id, { error, runAt }) {
+    throw new Error(`${this.name} backend does not implement retry()`);
+  }
+
+  /**
+   * Move a job to the dead-letter state
+   */
+  async kill(id, error) {
+    throw new Error(`${this.name} backend does not implement kill()`);
+  }
+
+  /**
+   * Put a dead or completed job back in the queue with fresh attempts
+   * @returns {Promise<Object|null>} - The requeued job, or null if not found
+   */
+  async requeue(id) {
+    throw new Error(`${this.name} backend does not implement requeue()`);
+  }
+
+  /**
+   * Return active jobs whose lock is older than lockTimeoutMs to pending
+   * (their worker crashed or the server restarted mid-job)
+   * @returns {Promise<number>} - Number of jobs recovered
+   */
+  async recoverStalled(lockTimeoutMs) {
+    throw new Error(`${this.name} backend does not implement recoverStalled()`);
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    throw new Error(`${this.name} backend does not implement get()`);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - { status, type, offset, limit }
+   * @returns {Promise<{ total: number, jobs: Object[] }>}
+   */
+  async list(filters) {
+    throw new Error(`${this.name} backend does not implement list()`);
+  }
+
+  /**
+   * Job counts by type and status
+   * @returns {Promise<Object>} - { [type]: { pending, active, completed, dead } }
+   */
+  async stats() {
+    throw new Error(`${this.name} backend does not implement stats()`);
+  }
+}
+
+module.exports = QueueBackend;
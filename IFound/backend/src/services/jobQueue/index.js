@@ -0,0 +1,256 @@
+/**
+ * Job Queue Service
+ *
+ * Durable background jobs with retries, exponential backoff, per-type
+ * concurrency limits and a dead-letter state. Jobs survive restarts:
+ * anything left active by a crashed worker is returned to the queue once
+ * its lock times out.
+ *
+ * Storage backend (JOB_QUEUE_BACKEND):
+ * - postgres (default): the `jobs` table, no extra infrastructure
+ * - redis: REDIS_URL
+ *
+ * Usage:
+ *   jobQueue.registerHandler('photo.process', handler, { concurrency: 1, maxAttempts: 3, onDead });
+ *   await jobQueue.enqueue('photo.process', { photoId });
+ *   await jobQueue.start();   // begin polling (server.js / worker.js)
+ */
+
+const os = require('os');
+const logger = require('../../config/logger');
+const QueueBackend = require('./QueueBackend');
+const PostgresBackend = require('./postgresBackend');
+const RedisBackend = require('./redisBackend');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS) || 1000;
+// An active job older than this is assumed abandoned; keep it above the slowest job
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_QUEUE_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_QUEUE_BACKOFF_BASE_MS) || 5000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+const backends = {
+  postgres: () => new PostgresBackend(),
+  redis: () => new RedisBackend(),
+};
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let backendPromise = null;
+let pollTimer = null;
+let recoverTimer = null;
+let running = false;
+let polling = false;
+
+/**
+ * Get (and lazily initialize) the configured storage backend
+ */
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      const name = process.env.JOB_QUEUE_BACKEND || 'postgres';
+      if (!backends[name]) {
+        throw new Error(`Unknown job queue backend: ${name}`);
+      }
+      const backend = backends[name]();
+      await backend.init();
+      logger.info(`Job queue using ${name} backend`);
+      return backend;
+    })();
+
+    // Allow a later call to retry if the connection failed
+    backendPromise.catch(() => { backendPromise = null; });
+  }
+  return backendPromise;
+};
+
+/**
+ * Replace the storage backend (e.g. with a custom implementation)
+ */
+const setBackend = async (newBackend) => {
+  if (!(newBackend instanceof QueueBackend)) {
+    throw new Error('Job queue backends must extend QueueBackend');
+  }
+  if (backendPromise) {
+    const current = await backendPromise.catch(() => null);
+    if (current) await current.close();
+  }
+  await newBackend.init();
+  backendPromise = Promise.resolve(newBackend);
+};
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result; throw to retry
+ * @param {Object} options
+ * @param {number} options.concurrency - Max jobs of this type running at once in this process
+ * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+ * @param {Function} options.onDead - async (payload, job, error) called when a job is dead-lettered
+ */
+const registerHandler = (type, handler, { concurrency = 1, maxAttempts = 3, onDead = null } = {}) => {
+  handlers.set(type, {
+    handler,
+    concurrency: Math.max(1, concurrency),
+    maxAttempts,
+    onDead,
+    active: 0,
+  });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Registered job type
+ * @param {Object} payload - JSON-serializable job data
+ * @param {Object} options - { delayMs, maxAttempts }
+ * @returns {Promise<Object>} - Stored job
+ */
+const enqueue = async (type, payload = {}, { delayMs = 0, maxAttempts } = {}) => {
+  const queue = await getBackend();
+  const job = await queue.add({
+    type,
+    payload,
+    max_attempts: maxAttempts || handlers.get(type)?.maxAttempts || 3,
+    run_at: new Date(Date.now() + delayMs),
+  });
+
+  logger.debug(`Job ${job.id} (${type}) enqueued`);
+  return job;
+};
+
+/**
+ * Exponential backoff: 5s, 10s, 20s, ... (by default) capped at 30 minutes
+ */
+const getBackoffDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+/**
+ * Run one claimed job and record the outcome
+ */
+const runJob = async (queue, entry, job) => {
+  try {
+    const result = await entry.handler(job.payload, job);
+    await queue.complete(job.id, result);
+    logger.debug(`Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    const message = error?.message || String(error);
+
+    if (job.attempts < job.max_attempts) {
+      const delay = getBackoffDelay(job.attempts);
+      await queue.retry(job.id, { error: message, runAt: new Date(Date.now() + delay) });
+      logger.warn(`Job ${job.id} (${job.type}) failed attempt ${job.attempts}/${job.max_attempts}, retrying in ${delay}ms: ${message}`);
+      return;
+    }
+
+    await queue.kill(job.id, message);
+    logger.error(`Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts: ${message}`);
+
+    if (entry.onDead) {
+      await Promise.resolve(entry.onDead(job.payload, job, error))
+        .catch(hookError => logger.error(`onDead hook failed for job ${job.id}:`, hookError));
+    }
+  }
+};
+
+/**
+ * Claim as many jobs as each type's free concurrency allows
+ * Only one poll runs at a time so concurrency limits hold.
+ */
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const queue = await getBackend();
+
+    for (const [type, entry] of handlers) {
+      while (running && entry.active < entry.concurrency) {
+        const job = await queue.claim(type, workerId);
+        if (!job) break;
+
+        entry.active++;
+        runJob(queue, entry, job)
+          .catch(error => logger.error(`Job ${job.id} (${type}) could not be settled:`, error))
+          .finally(() => {
+            entry.active--;
+            // Pick up the next job right away instead of waiting for the timer
+            if (running) setImmediate(() => poll().catch(logPollError));
+          });
+      }
+    }
+  } finally {
+    polling = false;
+  }
+};
+
+const logPollError = (error) => logger.error('Job queue poll failed:', error);
+
+/**
+ * Start processing jobs in this process
+ */
+const start = async () => {
+  if (running) return;
+
+  const queue = await getBackend();
+  running = true;
+
+  const recovered = await queue.recoverStalled(LOCK_TIMEOUT_MS);
+  if (recovered > 0) {
+    logger.info(`Job queue recovered ${recovered} stalled jobs`);
+  }
+
+  pollTimer = setInterval(() => poll().catch(logPollError), POLL_INTERVAL_MS);
+  recoverTimer = setInterval(() => {
+    queue.recoverStalled(LOCK_TIMEOUT_MS).catch(error => logger.error('Job queue recovery failed:', error));
+  }, LOCK_TIMEOUT_MS);
+
+  logger.info(`Job queue worker ${workerId} started (${[...handlers.keys()].join(', ') || 'no handlers'})`);
+};
+
+/**
+ * Stop claiming new jobs (running jobs finish on their own)
+ */
+const stop = async () => {
+  running = false;
+  clearInterval(pollTimer);
+  clearInterval(recoverTimer);
+  pollTimer = null;
+  recoverTimer = null;
+};
+
+/**
+ * Admin helpers
+ */
+const listJobs = async (filters) => (await getBackend()).list(filters);
+const getJob = async (id) => (await getBackend()).get(id);
+const getStats = async () => (await getBackend()).stats();
+
+/**
+ * Put a dead (or completed) job back in the queue with fresh attempts
+ */
+const requeueJob = async (id) => {
+  const queue = await getBackend();
+  const job = await queue.get(id);
+
+  if (!job) {
+    return { error: 'Job not found', status: 404 };
+  }
+  if (job.status === 'pending' || job.status === 'active') {
+    return { error: `Job is already ${job.status}`, status: 400 };
+  }
+
+  return { job: await queue.requeue(id) };
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+  listJobs,
+  getJob,
+  getStats,
+  requeueJob,
+  setBackend,
+  getBackoffDelay,
+  QueueBackend,
+};
@@ -0,0 +1,167 @@
+/**
+ * Postgres Job Queue Backend
+ *
+ * Stores jobs in the `jobs` table (models/Job.js). Claims use
+ * SELECT ... FOR UPDATE SKIP LOCKED so any number of workers can poll
+ * the same table without handing out a job twice.
+ */
+
+const { Op, QueryTypes } = require('sequelize');
+const { Job, sequelize } = require('../../models');
+const QueueBackend = require('./QueueBackend');
+
+const JOB_STATUSES = ['pending', 'active', 'completed', 'dead'];
+
+const toPlain = (job) => (job ? job.get({ plain: true }) : null);
+
+class PostgresBackend extends QueueBackend {
+  constructor() {
+    super('postgres');
+  }
+
+  async add({ type, payload, max_attempts, run_at }) {
+    const job = await Job.create({
+      type,
+      payload,
+      max_attempts,
+      run_at: run_at || new Date(),
+    });
+    return toPlain(job);
+  }
+
+  async claim(type, workerId) {
+    const rows = await sequelize.query(`
+      UPDATE jobs
+      SET status = 'active',
+          attempts = attempts + 1,
+          locked_at = NOW(),
+          locked_by = :workerId,
+          updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE type = :type AND status = 'pending' AND run_at <= NOW()
+        ORDER BY run_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, {
+      replacements: { type, workerId },
+      type: QueryTypes.SELECT,
+    });
+
+    return rows[0] || null;
+  }
+
+  async complete(id, result) {
+    await Job.update(
+      {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        locked_at: null,
+        locked_by: null,
+        completed_at: new Date(),
+      },
+      { where: { id } }
+    );
+  }
+
+  async retry(id, { error, runAt }) {
+    await Job.update(
+      {
+        status: 'pending',
+        run_at: runAt,
+        last_error: error,
+        locked_at: null,
+        locked_by: null,
+      },
+      { where: { id } }
+    );
+  }
+
+  async kill(id, error) {
+    await Job.update(
+      {
+        status: 'dead',
+        last_error: error,
+        locked_at: null,
+        locked_by: null,
+      },
+      { where: { id } }
+    );
+  }
+
+  async requeue(id) {
+    const job = await Job.findByPk(id);
+    if (!job) {
+      return null;
+    }
+
+    await job.update({
+      status: 'pending',
+      attempts: 0,
+      run_at: new Date(),
+      locked_at: null,
+      locked_by: null,
+      completed_at: null,
+    });
+
+    return toPlain(job);
+  }
+
+  async recoverStalled(lockTimeoutMs) {
+    const [count] = await Job.update(
+      {
+        status: 'pending',
+        locked_at: null,
+        locked_by: null,
+        last_error: 'Worker stopped before the job finished',
+      },
+      {
+        where: {
+          status: 'active',
+          locked_at: { [Op.lt]: new Date(Date.now() - lockTimeoutMs) },
+        },
+      }
+    );
+    return count;
+  }
+
+  async get(id) {
+    return toPlain(await Job.findByPk(id));
+  }
+
+  async list({ status, type, offset = 0, limit = 20 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const { count, rows } = await Job.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      offset,
+      limit,
+    });
+
+    return { total: count, jobs: rows.map(toPlain) };
+  }
+
+  async stats() {
+    const rows = await Job.findAll({
+      attributes: ['type', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['type', 'status'],
+      raw: true,
+    });
+
+    const stats = {};
+    for (const row of rows) {
+      if (!stats[row.type]) {
+        stats[row.type] = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+      }
+      stats[row.type][row.status] = parseInt(row.count);
+    }
+    return stats;
+  }
+}
+
+module.exports = PostgresBackend;
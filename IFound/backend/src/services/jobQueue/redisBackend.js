@@ -0,0 +1,296 @@
+/**
+ * Redis Job Queue Backend
+ *
+ * Keys (prefix JOB_QUEUE_REDIS_PREFIX, default "ifound:jobs:"):
+ *   job:<id>          hash with the job fields (payload/result as JSON)
+ *   queue:<type>      sorted set of pending job IDs scored by run_at
+ *   active            sorted set of active job IDs scored by lock time
+ *   status:<status>   sorted set of job IDs per status scored by created_at (listing)
+ *
+ * Claims run as a Lua script so moving a job from queue to active is atomic
+ * across workers. Completed jobs beyond JOB_QUEUE_KEEP_COMPLETED are pruned.
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const QueueBackend = require('./QueueBackend');
+const logger = require('../../config/logger');
+
+const JOB_STATUSES = ['pending', 'active', 'completed', 'dead'];
+const KEEP_COMPLETED = parseInt(process.env.JOB_QUEUE_KEEP_COMPLETED) || 1000;
+
+// KEYS: queue:<type>, active, status:pending, status:active
+// ARGV: now (ms), job key prefix, worker id
+const CLAIM_SCRIPT = `
+  local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)
+  if #ids == 0 then
+    return nil
+  end
+  local id = ids[1]
+  local key = ARGV[2] .. id
+  local created = redis.call('HGET', key, 'created_at')
+  redis.call('ZREM', KEYS[1], id)
+  redis.call('ZADD', KEYS[2], ARGV[1], id)
+  redis.call('ZREM', KEYS[3], id)
+  redis.call('ZADD', KEYS[4], created, id)
+  redis.call('HINCRBY', key, 'attempts', 1)
+  redis.call('HSET', key, 'status', 'active', 'locked_at', ARGV[1], 'locked_by', ARGV[3], 'updated_at', ARGV[1])
+  return redis.call('HGETALL', key)
+`;
+
+const DATE_FIELDS = ['run_at', 'locked_at', 'created_at', 'updated_at', 'completed_at'];
+const JSON_FIELDS = ['payload', 'result'];
+const INT_FIELDS = ['attempts', 'max_attempts'];
+
+/**
+ * Convert a Redis hash (object or flat [k, v, ...] array) to a job object
+ */
+const parseJob = (hash) => {
+  if (!hash) return null;
+
+  let fields = hash;
+  if (Array.isArray(hash)) {
+    fields = {};
+    for (let i = 0; i < hash.length; i += 2) {
+      fields[hash[i]] = hash[i + 1];
+    }
+  }
+
+  if (!fields.id) return null;
+
+  const job = { ...fields };
+  for (const field of DATE_FIELDS) {
+    job[field] = fields[field] ? new Date(parseInt(fields[field])) : null;
+  }
+  for (const field of JSON_FIELDS) {
+    job[field] = fields[field] ? JSON.parse(fields[field]) : null;
+  }
+  for (const field of INT_FIELDS) {
+    job[field] = parseInt(fields[field]) || 0;
+  }
+  job.last_error = fields.last_error || null;
+  job.locked_by = fields.locked_by || null;
+  return job;
+};
+
+class RedisBackend extends QueueBackend {
+  constructor() {
+    super('redis');
+    this.prefix = process.env.JOB_QUEUE_REDIS_PREFIX || 'ifound:jobs:';
+    this.client = null;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  async init() {
+    if (this.client) return;
+
+    this.client = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      password: process.env.REDIS_PASSWORD || undefined,
+    });
+    this.client.on('error', error => logger.error('Job queue Redis error:', error));
+    await this.client.connect();
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+
+  /**
+   * Move a job ID between status sets and update its hash in one transaction
+   */
+  async transition(id, fromStatus, toStatus, fields, extra = (multi) => multi) {
+    const created = await this.client.hGet(this.key('job', id), 'created_at');
+    if (!created) return false;
+
+    const multi = this.client.multi()
+      .zRem(this.key('status', fromStatus), id)
+      .zAdd(this.key('status', toStatus), { score: parseInt(created), value: id })
+      .hSet(this.key('job', id), { ...fields, status: toStatus, updated_at: Date.now() });
+
+    await extra(multi).exec();
+    return true;
+  }
+
+  async add({ type, payload, max_attempts, run_at }) {
+    const now = Date.now();
+    const runAt = run_at ? new Date(run_at).getTime() : now;
+    const id = crypto.randomUUID();
+
+    await this.client.multi()
+      .hSet(this.key('job', id), {
+        id,
+        type,
+        payload: JSON.stringify(payload || {}),
+        status: 'pending',
+        attempts: 0,
+        max_attempts,
+        run_at: runAt,
+        created_at: now,
+        updated_at: now,
+      })
+      .zAdd(this.key('queue', type), { score: runAt, value: id })
+      .zAdd(this.key('status', 'pending'), { score: now, value: id })
+      .exec();
+
+    return this.get(id);
+  }
+
+  async claim(type, workerId) {
+    const result = await this.client.eval(CLAIM_SCRIPT, {
+      keys: [
+        this.key('queue', type),
+        this.key('active'),
+        this.key('status', 'pending'),
+        this.key('status', 'active'),
+      ],
+      arguments: [String(Date.now()), this.key('job', ''), workerId],
+    });
+
+    return parseJob(result);
+  }
+
+  async complete(id, result) {
+    await this.transition(id, 'active', 'completed', {
+      result: JSON.stringify(result === undefined ? null : result),
+      completed_at: Date.now(),
+      locked_at: '',
+      locked_by: '',
+    }, multi => multi.zRem(this.key('active'), id));
+
+    await this.pruneCompleted();
+  }
+
+  async retry(id, { error, runAt }) {
+    const type = await this.client.hGet(this.key('job', id), 'type');
+    const runAtMs = new Date(runAt).getTime();
+
+    await this.transition(id, 'active', 'pending', {
+      run_at: runAtMs,
+      last_error: error || '',
+      locked_at: '',
+      locked_by: '',
+    }, multi => multi
+      .zRem(this.key('active'), id)
+      .zAdd(this.key('queue', type), { score: runAtMs, value: id }));
+  }
+
+  async kill(id, error) {
+    await this.transition(id, 'active', 'dead', {
+      last_error: error || '',
+      locked_at: '',
+      locked_by: '',
+    }, multi => multi.zRem(this.key('active'), id));
+  }
+
+  async requeue(id) {
+    const job = await this.get(id);
+    if (!job) return null;
+
+    const now = Date.now();
+    await this.transition(id, job.status, 'pending', {
+      attempts: 0,
+      run_at: now,
+      locked_at: '',
+      locked_by: '',
+      completed_at: '',
+    }, multi => multi
+      .zRem(this.key('active'), id)
+      .zAdd(this.key('queue', job.type), { score: now, value: id }));
+
+    return this.get(id);
+  }
+
+  async recoverStalled(lockTimeoutMs) {
+    const stalled = await this.client.zRangeByScore(this.key('active'), '-inf', Date.now() - lockTimeoutMs);
+
+    for (const id of stalled) {
+      const type = await this.client.hGet(this.key('job', id), 'type');
+      if (!type) {
+        await this.client.zRem(this.key('active'), id);
+        continue;
+      }
+
+      await this.transition(id, 'active', 'pending', {
+        run_at: Date.now(),
+        last_error: 'Worker stopped before the job finished',
+        locked_at: '',
+        locked_by: '',
+      }, multi => multi
+        .zRem(this.key('active'), id)
+        .zAdd(this.key('queue', type), { score: Date.now(), value: id }));
+    }
+
+    return stalled.length;
+  }
+
+  async pruneCompleted() {
+    const excess = (await this.client.zCard(this.key('status', 'completed'))) - KEEP_COMPLETED;
+    if (excess <= 0) return;
+
+    const ids = await this.client.zRange(this.key('status', 'completed'), 0, excess - 1);
+    const multi = this.client.multi().zRem(this.key('status', 'completed'), ids);
+    for (const id of ids) {
+      multi.del(this.key('job', id));
+    }
+    await multi.exec();
+  }
+
+  async get(id) {
+    return parseJob(await this.client.hGetAll(this.key('job', id)));
+  }
+
+  async list({ status, type, offset = 0, limit = 20 } = {}) {
+    const statuses = status ? [status] : JOB_STATUSES;
+
+    // Gather IDs newest first across the requested status sets
+    const entries = [];
+    for (const s of statuses) {
+      const members = await this.client.zRangeWithScores(this.key('status', s), 0, -1);
+      entries.push(...members);
+    }
+    entries.sort((a, b) => b.score - a.score);
+
+    let jobs = [];
+    if (type) {
+      // Type isn't indexed per status; filter while loading
+      for (const { value } of entries) {
+        const job = await this.get(value);
+        if (job && job.type === type) jobs.push(job);
+      }
+      return { total: jobs.length, jobs: jobs.slice(offset, offset + limit) };
+    }
+
+    for (const { value } of entries.slice(offset, offset + limit)) {
+      const job = await this.get(value);
+      if (job) jobs.push(job);
+    }
+    return { total: entries.length, jobs };
+  }
+
+  async stats() {
+    const stats = {};
+
+    for (const status of JOB_STATUSES) {
+      const ids = await this.client.zRange(this.key('status', status), 0, -1);
+      for (const id of ids) {
+        const type = await this.client.hGet(this.key('job', id), 'type');
+        if (!type) continue;
+        if (!stats[type]) {
+          stats[type] = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+        }
+        stats[type][status]++;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = RedisBackend;
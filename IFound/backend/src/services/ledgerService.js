@@ -0,0 +1,431 @@
+/**
+ * Ledger Service
+ *
+ * Double-entry ledger behind every bounty and withdrawal. Each Transaction
+ * status maps to a position (what the transaction should hold in which
+ * accounts); whenever a transaction is saved, the difference between that
+ * position and what has already been posted for it is written as one
+ * balanced journal:
+ *
+ *   bounty_payment  escrow /    external -amount, poster_escrow +amount
+ *                   frozen
+ *                   completed   external -amount, finder_available +net,
+ *                               platform_commission +commission
+ *                   other       nothing (never funded, or refunded)
+ *   withdrawal      pending /   finder_available -amount,
+ *                   processing  finder_payout_pending +amount
+ *                   completed   finder_available -amount, external +amount
+ *                   other       nothing (rejected or failed: funds returned)
+ *
+ * So escrow -> completed moves the bounty out of escrow, and a refund or a
+ * rejected withdrawal reverses whatever was posted. Freezing a completed
+ * bounty (frozen_at, set by an open dispute) takes it back out of the
+ * finder's balance into escrow until the dispute is resolved. Postings run in the
+ * saving database transaction when it has one, so the status change and its
+ * ledger entries commit together.
+ *
+ * Accounts are per currency and a transaction posts in its own currency,
+ * so every currency balances on its own.
+ *
+ * Balances are sums of entries. The reconciliation report checks the
+ * ledger is balanced and that every transaction's entries match its status.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Transaction, LedgerAccount, LedgerEntry, User, sequelize } = require('../models');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const logger = require('../config/logger');
+
+// Saving any of these can change a transaction's position
+const LEDGER_FIELDS = ['transaction_type', 'status', 'amount', 'platform_commission', 'currency', 'finder_id', 'poster_id', 'frozen_at'];
+
+const PLATFORM_ACCOUNTS = ['platform_commission', 'external'];
+
+// Amounts are handled in cents so journals balance exactly
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+const accountCode = (accountType, userId, currency) => (
+  PLATFORM_ACCOUNTS.includes(accountType)
+    ? `${accountType}:${currency}`
+    : `${accountType}:${userId}:${currency}`
+);
+
+/**
+ * Cents each account should hold for a transaction in its current status,
+ * all in the transaction's currency
+ * @returns {Array<Object>} - [{ account_type, user_id, currency, cents }]
+ */
+const positionFor = (transaction) => legsFor(transaction)
+  .map(leg => ({ ...leg, currency: transaction.currency }));
+
+const legsFor = (transaction) => {
+  const amount = toCents(transaction.amount);
+  const commission = toCents(transaction.platform_commission);
+
+  if (transaction.transaction_type === 'bounty_payment') {
+    const frozen = transaction.frozen_at && transaction.status === 'completed';
+
+    if (transaction.status === 'escrow' || frozen) {
+      return [
+        { account_type: 'external', cents: -amount },
+        { account_type: 'poster_escrow', user_id: transaction.poster_id, cents: amount },
+      ];
+    }
+
+    if (transaction.status === 'completed') {
+      if (!transaction.finder_id) {
+        throw new Error(`Bounty ${transaction.id} cannot be completed without a finder`);
+      }
+
+      return [
+        { account_type: 'external', cents: -amount },
+        { account_type: 'finder_available', user_id: transaction.finder_id, cents: amount - commission },
+        { account_type: 'platform_commission', cents: commission },
+      ];
+    }
+  }
+
+  if (transaction.transaction_type === 'withdrawal') {
+    if (['pending', 'processing'].includes(transaction.status)) {
+      return [
+        { account_type: 'finder_available', user_id: transaction.finder_id, cents: -amount },
+        { account_type: 'finder_payout_pending', user_id: transaction.finder_id, cents: amount },
+      ];
+    }
+
+    if (transaction.status === 'completed') {
+      return [
+        { account_type: 'finder_available', user_id: transaction.finder_id, cents: -amount },
+        { account_type: 'external', cents: amount },
+      ];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Find or open a ledger account
+ * @param {string} accountType - One of LedgerAccount.ACCOUNT_TYPES
+ * @param {string|null} userId - Owner, for per-user accounts
+ * @param {Object} options - { currency, transaction, lock } to lock the account row
+ */
+const getAccount = async (accountType, userId, { currency = DEFAULT_CURRENCY, transaction, lock = false } = {}) => {
+  const code = accountCode(accountType, userId, currency);
+
+  const [account] = await LedgerAccount.findOrCreate({
+    where: { code },
+    defaults: {
+      code,
+      account_type: accountType,
+      user_id: PLATFORM_ACCOUNTS.includes(accountType) ? null : userId,
+      currency,
+    },
+    transaction,
+  });
+
+  if (!lock) return account;
+
+  return LedgerAccount.findByPk(account.id, { transaction, lock: transaction.LOCK.UPDATE });
+};
+
+/**
+ * Balance of an account in its currency (0 if it has never been posted to)
+ */
+const getBalance = async (accountType, userId = null, { currency = DEFAULT_CURRENCY, transaction } = {}) => {
+  const account = await LedgerAccount.findOne({
+    where: { code: accountCode(accountType, userId, currency) },
+    transaction,
+  });
+  if (!account) return 0;
+
+  const total = await LedgerEntry.sum('amount', {
+    where: { account_id: account.id },
+    transaction,
+  });
+
+  return parseFloat(total || 0);
+};
+
+/**
+ * A user's balances of one account type in every currency they hold
+ * @returns {Promise<Object>} - { CAD: 39, EUR: 12.5 }
+ */
+const getBalances = async (accountType, userId) => {
+  const rows = await LedgerEntry.findAll({
+    attributes: [[sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    include: [{
+      model: LedgerAccount,
+      as: 'account',
+      attributes: ['currency'],
+      where: { account_type: accountType, user_id: userId },
+    }],
+    group: ['account.id'],
+    raw: true,
+  });
+
+  return Object.fromEntries(rows.map(row => [row['account.currency'], parseFloat(row.total)]));
+};
+
+/**
+ * Post whatever a transaction's entries are missing for its current status
+ * Locks the transaction row, so concurrent syncs of one transaction can't
+ * post the same difference twice.
+ * @returns {Promise<string|null>} - Journal ID, or null if nothing changed
+ */
+const postTransaction = async (transactionId, t) => {
+  const transaction = await Transaction.findByPk(transactionId, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!transaction) return null;
+
+  const target = positionFor(transaction);
+
+  const posted = await LedgerEntry.findAll({
+    attributes: ['account_id', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    where: { transaction_id: transaction.id },
+    group: ['account_id'],
+    raw: true,
+    transaction: t,
+  });
+
+  const deltas = new Map(posted.map(row => [row.account_id, -toCents(row.total)]));
+  for (const leg of target) {
+    const account = await getAccount(leg.account_type, leg.user_id, { currency: leg.currency, transaction: t });
+    deltas.set(account.id, (deltas.get(account.id) || 0) + leg.cents);
+  }
+
+  const legs = [...deltas].filter(([, cents]) => cents !== 0);
+  if (legs.length === 0) return null;
+
+  const imbalance = legs.reduce((sum, [, cents]) => sum + cents, 0);
+  if (imbalance !== 0) {
+    throw new Error(`Ledger posting for transaction ${transaction.id} is unbalanced by ${fromCents(imbalance)}`);
+  }
+
+  // Lock in a fixed order so a withdrawal's balance check can't interleave
+  // with a posting, and concurrent postings can't deadlock
+  await LedgerAccount.findAll({
+    where: { id: { [Op.in]: legs.map(([accountId]) => accountId) } },
+    order: [['id', 'ASC']],
+    lock: t.LOCK.UPDATE,
+    transaction: t,
+  });
+
+  const journalId = crypto.randomUUID();
+  await LedgerEntry.bulkCreate(legs.map(([accountId, cents]) => ({
+    journal_id: journalId,
+    account_id: accountId,
+    transaction_id: transaction.id,
+    amount: fromCents(cents),
+    posted_for: transaction.status,
+  })), { transaction: t });
+
+  // total_earnings mirrors the bounties credited to the finder
+  if (transaction.transaction_type === 'bounty_payment' && transaction.finder_id) {
+    const earnings = await getAccount('finder_available', transaction.finder_id, {
+      currency: transaction.currency,
+      transaction: t,
+    });
+    const credited = deltas.get(earnings.id) || 0;
+    if (credited !== 0) {
+      await User.increment('total_earnings', {
+        by: credited / 100,
+        where: { id: transaction.finder_id },
+        transaction: t,
+      });
+    }
+  }
+
+  return journalId;
+};
+
+/**
+ * Sync a transaction's ledger entries with its status, inside t if given
+ */
+const syncTransaction = (transactionId, t = null) => (
+  t ? postTransaction(transactionId, t) : sequelize.transaction(inner => postTransaction(transactionId, inner))
+);
+
+const onTransactionSaved = async (transaction, options) => {
+  if (!LEDGER_FIELDS.some(field => transaction.changed(field))) return;
+
+  await syncTransaction(transaction.id, options.transaction);
+};
+
+/**
+ * Post every save that can move money to the ledger, in the saving
+ * database transaction. Called at startup by the server and the worker;
+ * registering again replaces the hook rather than posting twice.
+ */
+const registerHooks = () => {
+  Transaction.removeHook('afterSave', 'ledgerPosting');
+  Transaction.addHook('afterSave', 'ledgerPosting', onTransactionSaved);
+};
+
+/**
+ * Transactions whose entries don't match their status (changed outside the
+ * model, or saved before the ledger existed)
+ * @returns {Promise<Array>} - [{ transaction_id, transaction_type, status, expected|error, posted }]
+ */
+const findUnpostedTransactions = async () => {
+  const transactions = await Transaction.findAll({ attributes: ['id', ...LEDGER_FIELDS] });
+
+  // Net posted per transaction and account
+  const entries = await LedgerEntry.findAll({
+    attributes: ['transaction_id', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    include: [{ model: LedgerAccount, as: 'account', attributes: ['code'] }],
+    group: ['transaction_id', 'account.id'],
+    raw: true,
+  });
+
+  const postedByTransaction = new Map();
+  for (const row of entries) {
+    const cents = toCents(row.total);
+    if (cents === 0) continue;
+    const accounts = postedByTransaction.get(row.transaction_id) || {};
+    accounts[row['account.code']] = cents;
+    postedByTransaction.set(row.transaction_id, accounts);
+  }
+
+  const format = (position) => Object.fromEntries(Object.entries(position)
+    .map(([code, cents]) => [code, fromCents(cents)]));
+
+  const unposted = [];
+  for (const transaction of transactions) {
+    const posted = postedByTransaction.get(transaction.id) || {};
+
+    let expected;
+    try {
+      expected = Object.fromEntries(positionFor(transaction)
+        .filter(leg => leg.cents !== 0)
+        .map(leg => [accountCode(leg.account_type, leg.user_id, leg.currency), leg.cents]));
+    } catch (error) {
+      unposted.push({
+        transaction_id: transaction.id,
+        transaction_type: transaction.transaction_type,
+        status: transaction.status,
+        error: error.message,
+        posted: format(posted),
+      });
+      continue;
+    }
+
+    const codes = new Set([...Object.keys(expected), ...Object.keys(posted)]);
+    if ([...codes].every(code => expected[code] === posted[code])) continue;
+
+    unposted.push({
+      transaction_id: transaction.id,
+      transaction_type: transaction.transaction_type,
+      status: transaction.status,
+      expected: format(expected),
+      posted: format(posted),
+    });
+  }
+
+  return unposted;
+};
+
+/**
+ * Admin reconciliation report, per currency
+ * @returns {Promise<Object>} - { balanced, currencies: { CAD: { balanced, trial_balance, totals, commission } },
+ *   unbalanced_journals, unposted_transactions }
+ */
+const getReconciliationReport = async () => {
+  const totalsByType = await LedgerEntry.findAll({
+    attributes: [[sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    include: [{ model: LedgerAccount, as: 'account', attributes: ['account_type', 'currency'] }],
+    group: ['account.account_type', 'account.currency'],
+    raw: true,
+  });
+
+  // Fees on released bounties should all have reached the commission account
+  const commissionByCurrency = await Transaction.findAll({
+    attributes: ['currency', [sequelize.fn('SUM', sequelize.col('platform_commission')), 'total']],
+    where: { transaction_type: 'bounty_payment', status: 'completed' },
+    group: ['currency'],
+    raw: true,
+  });
+
+  const currencies = {};
+  const currencyReport = (currency) => {
+    currencies[currency] = currencies[currency] || {
+      totals: Object.fromEntries(LedgerAccount.ACCOUNT_TYPES.map(type => [type, 0])),
+      expectedCommission: 0,
+    };
+    return currencies[currency];
+  };
+
+  for (const row of totalsByType) {
+    currencyReport(row['account.currency']).totals[row['account.account_type']] = toCents(row.total);
+  }
+  for (const row of commissionByCurrency) {
+    currencyReport(row.currency).expectedCommission = toCents(row.total);
+  }
+
+  const unbalancedJournals = await LedgerEntry.findAll({
+    attributes: ['journal_id', 'transaction_id', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    group: ['journal_id', 'transaction_id'],
+    having: sequelize.where(sequelize.fn('SUM', sequelize.col('amount')), { [Op.ne]: 0 }),
+    raw: true,
+  });
+
+  const unpostedTransactions = await findUnpostedTransactions();
+
+  const report = Object.fromEntries(Object.entries(currencies).map(([currency, { totals, expectedCommission }]) => {
+    const trialBalance = Object.values(totals).reduce((sum, cents) => sum + cents, 0);
+
+    return [currency, {
+      balanced: trialBalance === 0 && expectedCommission === totals.platform_commission,
+      trial_balance: fromCents(trialBalance),
+      totals: Object.fromEntries(Object.entries(totals).map(([type, cents]) => [type, fromCents(cents)])),
+      commission: {
+        expected: fromCents(expectedCommission),
+        posted: fromCents(totals.platform_commission),
+      },
+    }];
+  }));
+
+  return {
+    balanced: Object.values(report).every(currency => currency.balanced)
+      && unbalancedJournals.length === 0
+      && unpostedTransactions.length === 0,
+    currencies: report,
+    unbalanced_journals: unbalancedJournals.map(row => ({
+      journal_id: row.journal_id,
+      transaction_id: row.transaction_id,
+      total: fromCents(toCents(row.total)),
+    })),
+    unposted_transactions: unpostedTransactions,
+  };
+};
+
+/**
+ * Post catch-up journals for every transaction out of step with the ledger
+ * @returns {Promise<number>} - Transactions repaired
+ */
+const repairUnpostedTransactions = async (adminId) => {
+  const unposted = await findUnpostedTransactions();
+  let repaired = 0;
+
+  for (const { transaction_id: transactionId } of unposted) {
+    try {
+      if (await syncTransaction(transactionId)) repaired++;
+    } catch (error) {
+      logger.error(`Ledger repair failed for transaction ${transactionId}:`, error);
+    }
+  }
+
+  logger.audit('ledger_repaired', adminId, { found: unposted.length, repaired });
+  return repaired;
+};
+
+module.exports = {
+  registerHooks,
+  getAccount,
+  getBalance,
+  getBalances,
+  syncTransaction,
+  getReconciliationReport,
+  repairUnpostedTransactions,
+};
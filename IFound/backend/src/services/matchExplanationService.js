@@ -0,0 +1,364 @@
+/**
+ * Match Explanation Service
+ *
+ * Breaks a PhotoMatch's score down into what each signal contributed, so
+ * admins and the people involved can see why two photos were matched:
+ *
+ *   signals      Points from each component score under the weights the
+ *                matcher applied (universalMatchingService.scoreBreakdown),
+ *                plus the location boost
+ *   ocr          Both photos' text with the words they share marked
+ *   identifiers  License plates / serial numbers that matched exactly
+ *   colors       Both photos' dominant colors as swatches
+ *   comparison   Both photos side by side with their swatches underneath
+ *
+ * Matches scored before the applied weights were recorded
+ * (match_details.scoring) are explained from the category weights and
+ * flagged as approximate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { PhotoMatch, Photo, Case, VisualDNA } = require('../models');
+const matchingService = require('./universalMatchingService');
+const geoUtils = require('../utils/geoUtils');
+const logger = require('../config/logger');
+
+const COMPARISON_DIR = path.join(__dirname, '../../uploads/match-comparisons');
+const COMPARISON_URL = '/uploads/match-comparisons';
+const PANEL_SIZE = 400;
+const PANEL_GAP = 16;
+const SWATCH_HEIGHT = 32;
+
+const SIGNAL_LABELS = {
+  dna: 'Image DNA',
+  neural: 'Neural similarity',
+  hash: 'Perceptual hash',
+  color: 'Color',
+  shape: 'Shape',
+  ocr: 'Text (OCR)',
+  identifiers: 'Identifiers',
+  visual: 'Visual features',
+  object: 'Detected objects',
+  location: 'Location',
+};
+
+// Older Visual DNA stores color names instead of hex values
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  pink: '#ffc0cb',
+  brown: '#8b4513',
+  gray: '#808080',
+  silver: '#c0c0c0',
+  gold: '#ffd700',
+  beige: '#f5f5dc',
+  navy: '#000080',
+  teal: '#008080',
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const matchInclude = [
+  { model: Photo, as: 'sourcePhoto', attributes: ['id', 'image_url', 'case_id', 'ai_metadata'] },
+  { model: Photo, as: 'targetPhoto', attributes: ['id', 'image_url', 'case_id', 'ai_metadata'] },
+  { model: Case, as: 'sourceCase', attributes: ['id', 'title', 'case_type', 'poster_id', 'search_radius'] },
+  { model: Case, as: 'targetCase', attributes: ['id', 'title', 'case_type', 'poster_id'] },
+];
+
+/**
+ * Per-signal contributions to the match score
+ */
+const buildSignals = (match) => {
+  const details = match.match_details || {};
+  const identifiers = match.matched_identifiers || {};
+  const scoring = details.scoring;
+
+  const scores = {
+    dnaScore: match.dna_score || 0,
+    hashScore: match.hash_score || 0,
+    colorScore: match.color_score || 0,
+    shapeScore: match.shape_score || 0,
+    ocrScore: match.ocr_score || 0,
+    visualScore: match.visual_score || 0,
+    objectScore: scoring?.objectScore ?? Math.round((details.objectSimilarity || 0) * 100),
+  };
+
+  const hasHighValueMatch = scores.dnaScore >= 85 ||
+    (identifiers.licensePlates?.length || 0) > 0 ||
+    (identifiers.serialNumbers?.length || 0) > 0;
+  const formula = scoring?.formula || matchingService.selectScoreFormula(scores, hasHighValueMatch);
+  const weights = scoring?.weights || details.weightsUsed || matchingService.CATEGORY_WEIGHTS.other;
+
+  const breakdown = matchingService.scoreBreakdown(scores, weights, formula);
+  const signals = [];
+
+  for (const contribution of breakdown.contributions) {
+    const neuralScore = details.imageDnaComparison?.neuralScore;
+
+    if (contribution.signal === 'dna' && neuralScore) {
+      // The DNA score blends the fingerprint (60%) with the neural embedding (40%)
+      const fingerprint = details.imageDnaComparison.overall || 0;
+      signals.push(
+        { signal: 'dna', score: fingerprint, weight: contribution.weight * 0.6, points: fingerprint * contribution.weight * 0.6 },
+        { signal: 'neural', score: neuralScore, weight: contribution.weight * 0.4, points: neuralScore * contribution.weight * 0.4 }
+      );
+      continue;
+    }
+
+    // Under the identifier formula the OCR score is the plate/serial match
+    const signal = contribution.signal === 'ocr' && formula === 'identifier' ? 'identifiers' : contribution.signal;
+    signals.push({ ...contribution, signal });
+  }
+
+  return {
+    formula,
+    baseScore: breakdown.overallScore,
+    approximate: !scoring,
+    signals: signals.map(s => ({
+      signal: s.signal,
+      label: SIGNAL_LABELS[s.signal],
+      score: s.score,
+      weight: Math.round(s.weight * 1000) / 1000,
+      points: round1(s.points),
+    })),
+  };
+};
+
+/**
+ * Location boost the match received
+ */
+const buildLocation = (match) => {
+  if (match.distance_miles === null || match.distance_miles === undefined) return null;
+
+  const distanceMiles = parseFloat(match.distance_miles);
+  const searchRadius = match.sourceCase.search_radius || 50;
+
+  return {
+    distance_miles: distanceMiles,
+    distance_text: geoUtils.formatDistance(distanceMiles),
+    search_radius: searchRadius,
+    score: match.location_score,
+    boost: geoUtils.calculateLocationBoost(distanceMiles, searchRadius),
+  };
+};
+
+/**
+ * Split OCR text into segments, marking the words both photos share
+ * (same tokenization as the matcher's word overlap) and matched identifiers
+ */
+const highlightText = (text, sharedWords, identifiers) => {
+  if (!text) return [];
+
+  return text.split(/(\s+)/).filter(Boolean).map(part => {
+    const normalized = part.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const match = sharedWords.has(part.toLowerCase()) ||
+      (normalized.length > 2 && identifiers.some(id => id.includes(normalized)));
+    return { text: part, match };
+  });
+};
+
+const wordsOf = (text) => new Set(
+  (text || '').toLowerCase().split(/\s+/).filter(w => w.length > 2)
+);
+
+const buildOcr = (sourceText, targetText, identifiers) => {
+  const sourceWords = wordsOf(sourceText);
+  const targetWords = wordsOf(targetText);
+  const sharedWords = new Set([...sourceWords].filter(w => targetWords.has(w)));
+
+  const identifierValues = [
+    ...(identifiers.licensePlates || []),
+    ...(identifiers.serialNumbers || []),
+  ].flatMap(m => [m.source, m.target])
+    .filter(Boolean)
+    .map(id => String(id).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+
+  return {
+    matched_tokens: [...sharedWords],
+    source: { text: sourceText || null, segments: highlightText(sourceText, sharedWords, identifierValues) },
+    target: { text: targetText || null, segments: highlightText(targetText, sharedWords, identifierValues) },
+  };
+};
+
+const toSwatches = (colors = [], shared = []) => (colors || []).map(color => ({
+  value: color,
+  hex: color.startsWith('#') ? color : (NAMED_COLORS[color.toLowerCase()] || '#9ca3af'),
+  shared: shared.includes(color),
+}));
+
+/**
+ * Local file behind a photo URL
+ */
+const resolvePhotoPath = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return null;
+  const filePath = path.join(__dirname, '../../', url);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+/**
+ * One side of the comparison: the photo fitted into a square panel with a
+ * strip of its dominant colors underneath
+ */
+const renderPanel = async (imagePath, swatches) => {
+  const photo = await sharp(imagePath)
+    .resize(PANEL_SIZE, PANEL_SIZE, { fit: 'contain', background: '#ffffff' })
+    .toBuffer();
+
+  const swatchWidth = swatches.length > 0 ? PANEL_SIZE / swatches.length : PANEL_SIZE;
+  const rects = swatches.map((s, i) =>
+    `<rect x="${i * swatchWidth}" y="0" width="${swatchWidth}" height="${SWATCH_HEIGHT}" fill="${s.hex}"/>`
+  ).join('');
+  const strip = Buffer.from(
+    `<svg width="${PANEL_SIZE}" height="${SWATCH_HEIGHT}" xmlns="http://www.w3.org/2000/svg">${rects}</svg>`
+  );
+
+  return [
+    { input: photo, top: 0 },
+    { input: strip, top: PANEL_SIZE },
+  ];
+};
+
+/**
+ * Side-by-side image of the two photos, regenerated when the match was
+ * re-scored since it was last drawn
+ * @returns {Promise<string|null>} - URL, or null when a photo file is missing
+ */
+const getComparisonImage = async (match, sourceSwatches, targetSwatches) => {
+  const sourcePath = resolvePhotoPath(match.sourcePhoto?.image_url);
+  const targetPath = resolvePhotoPath(match.targetPhoto?.image_url);
+  if (!sourcePath || !targetPath) return null;
+
+  const fileName = `${match.id}.jpg`;
+  const filePath = path.join(COMPARISON_DIR, fileName);
+  const version = new Date(match.updatedAt).getTime();
+
+  try {
+    const stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    if (!stat || stat.mtimeMs < version) {
+      fs.mkdirSync(COMPARISON_DIR, { recursive: true });
+
+      const [left, right] = await Promise.all([
+        renderPanel(sourcePath, sourceSwatches),
+        renderPanel(targetPath, targetSwatches),
+      ]);
+      const offset = PANEL_SIZE + PANEL_GAP;
+
+      // Written under a temporary name so a concurrent request never serves half a file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await sharp({
+        create: {
+          width: PANEL_SIZE * 2 + PANEL_GAP,
+          height: PANEL_SIZE + SWATCH_HEIGHT,
+          channels: 3,
+          background: '#ffffff',
+        },
+      })
+        .composite([
+          ...left.map(layer => ({ ...layer, left: 0 })),
+          ...right.map(layer => ({ ...layer, left: offset })),
+        ])
+        .jpeg({ quality: 85 })
+        .toFile(tempPath);
+      fs.renameSync(tempPath, filePath);
+    }
+  } catch (error) {
+    logger.warn(`[MatchExplanation] Comparison image failed for match ${match.id}:`, error.message);
+    return null;
+  }
+
+  return `${COMPARISON_URL}/${fileName}?v=${version}`;
+};
+
+const describePhoto = (photo, caseData) => ({
+  photo_id: photo.id,
+  image_url: photo.image_url,
+  case_id: caseData.id,
+  case_title: caseData.title,
+  case_type: caseData.case_type,
+});
+
+/**
+ * Explain a match to one of the people involved or an admin
+ * @param {string} matchId - PhotoMatch ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} - { success, explanation } or { success: false, status, message }
+ */
+const explainMatch = async (matchId, user) => {
+  const match = await PhotoMatch.findByPk(matchId, { include: matchInclude });
+  if (!match) return { success: false, status: 404, message: 'Match not found' };
+
+  const isInvolved = match.sourceCase.poster_id === user.id || match.targetCase.poster_id === user.id;
+  if (!isInvolved && user.user_type !== 'admin') {
+    return { success: false, status: 403, message: 'Not authorized to view this match' };
+  }
+
+  const [sourceDNA, targetDNA] = await Promise.all([
+    VisualDNA.findOne({ where: { photo_id: match.source_photo_id }, attributes: ['ocr_text', 'dominant_colors'] }),
+    VisualDNA.findOne({ where: { photo_id: match.target_photo_id }, attributes: ['ocr_text', 'dominant_colors'] }),
+  ]);
+
+  const details = match.match_details || {};
+  const identifiers = match.matched_identifiers || {};
+  const { formula, baseScore, approximate, signals } = buildSignals(match);
+
+  const location = buildLocation(match);
+  if (location) {
+    signals.push({
+      signal: 'location',
+      label: SIGNAL_LABELS.location,
+      score: location.score,
+      weight: null,
+      points: location.boost,
+    });
+  }
+  signals.sort((a, b) => b.points - a.points);
+
+  const sharedColors = identifiers.colors || details.matchingColors || [];
+  const sourceSwatches = toSwatches(sourceDNA?.dominant_colors, sharedColors);
+  const targetSwatches = toSwatches(targetDNA?.dominant_colors, sharedColors);
+
+  const explanation = {
+    match_id: match.id,
+    overall_score: match.overall_score,
+    base_score: baseScore,
+    match_type: match.match_type,
+    formula,
+    approximate,
+    signals,
+    location,
+    ocr: buildOcr(
+      sourceDNA?.ocr_text || match.sourcePhoto.ai_metadata?.ocr?.text,
+      targetDNA?.ocr_text || match.targetPhoto.ai_metadata?.ocr?.text,
+      identifiers
+    ),
+    identifiers: {
+      license_plates: identifiers.licensePlates || [],
+      serial_numbers: identifiers.serialNumbers || [],
+      document_ids: identifiers.documentIds || [],
+    },
+    colors: {
+      source: sourceSwatches,
+      target: targetSwatches,
+      shared: sharedColors,
+    },
+    reasons: details.matchReasons || [],
+    source: describePhoto(match.sourcePhoto, match.sourceCase),
+    target: describePhoto(match.targetPhoto, match.targetCase),
+    comparison_image_url: await getComparisonImage(match, sourceSwatches, targetSwatches),
+  };
+
+  return { success: true, explanation };
+};
+
+module.exports = {
+  explainMatch,
+  SIGNAL_LABELS,
+};
@@ -0,0 +1,292 @@
+/**
+ * Model Rollout Service
+ *
+ * Evaluates a candidate category-weights config against the active one
+ * before it is promoted.
+ *
+ * - shadow: every match the active config finds is also scored with the
+ *   candidate weights; users only ever see the active scores
+ * - split: a stable slice of users (rollout_percent, by the owner of the
+ *   photo being matched) is served by the candidate, the rest by the active
+ *   config, and each match records the other side's score as well
+ *
+ * PhotoMatch rows carry weights_config_id / shadow_config_id / shadow_score,
+ * so once owners confirm or reject matches (MatchFeedback) both configs can
+ * be scored against the same verdicts.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ModelConfig, PhotoMatch, MatchFeedback } = require('../models');
+const weightConfigService = require('./weightConfigService');
+const { computeMetrics } = require('./weightTrainingService');
+const logger = require('../config/logger');
+
+const CONFIG_NAME = 'all_category_weights';
+const MAX_SPLIT_PERCENT = 50;
+const REPORT_MATCH_LIMIT = 20000;
+
+/**
+ * Stable bucket (0-99) per user and candidate, so a user stays on one side
+ * for the whole rollout and different candidates get different slices
+ */
+const bucketFor = (configId, userId) => {
+  const digest = crypto.createHash('sha1').update(`${configId}:${userId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+};
+
+/**
+ * Which side serves this user
+ * @returns {string} - 'active' or 'candidate'
+ */
+const assignArm = (candidate, userId) => {
+  if (candidate.mode !== 'split' || !userId) return 'active';
+  return bucketFor(candidate.id, userId) < candidate.percent ? 'candidate' : 'active';
+};
+
+/**
+ * Weights for one match search
+ * @param {string} userId - Owner of the photo being matched
+ * @param {Object} defaults - Built-in category weights (fill categories a config lacks)
+ * @returns {Promise<Object>} - { serving: { configId, weights }, shadow: same or null, arm }
+ */
+const resolveWeights = async (userId, defaults) => {
+  const { active, candidate } = await weightConfigService.loadMatchingWeights();
+  const activeSide = { configId: active?.id || null, weights: { ...defaults, ...active?.weights } };
+
+  if (!candidate) return { serving: activeSide, shadow: null, arm: null };
+
+  const candidateSide = { configId: candidate.id, weights: { ...defaults, ...candidate.weights } };
+  const arm = assignArm(candidate, userId);
+
+  return arm === 'candidate'
+    ? { serving: candidateSide, shadow: activeSide, arm }
+    : { serving: activeSide, shadow: candidateSide, arm };
+};
+
+/**
+ * Start (or change) the rollout of a candidate
+ * Any other running rollout of the same config name is stopped.
+ * @param {string} id - ModelConfig ID
+ * @param {Object} options - { mode: 'shadow' | 'split', percent }
+ * @param {string} adminId
+ */
+const startRollout = async (id, { mode, percent } = {}, adminId) => {
+  if (!['shadow', 'split'].includes(mode)) {
+    return { success: false, status: 400, message: 'mode must be shadow or split' };
+  }
+
+  const share = mode === 'split' ? parseInt(percent) : 0;
+  if (mode === 'split' && !(share >= 1 && share <= MAX_SPLIT_PERCENT)) {
+    return {
+      success: false,
+      status: 400,
+      message: `percent must be between 1 and ${MAX_SPLIT_PERCENT} (promote the config to serve everyone)`,
+    };
+  }
+
+  const config = await ModelConfig.findByPk(id);
+  if (!config) return { success: false, status: 404, message: 'Config not found' };
+
+  if (config.config_name !== CONFIG_NAME) {
+    return { success: false, status: 400, message: `Only ${CONFIG_NAME} configs can be rolled out` };
+  }
+  if (config.is_active) {
+    return { success: false, status: 409, message: 'This config is already active' };
+  }
+
+  await ModelConfig.update(
+    { rollout_mode: null, rollout_percent: 0 },
+    { where: { config_name: CONFIG_NAME, id: { [Op.ne]: id }, rollout_mode: { [Op.ne]: null } } }
+  );
+  await config.update({
+    rollout_mode: mode,
+    rollout_percent: share,
+    rollout_started_at: config.rollout_mode ? config.rollout_started_at : new Date(),
+  });
+
+  weightConfigService.invalidateCache('matching_weights');
+  logger.audit('model_rollout_started', adminId, { configId: id, version: config.version, mode, percent: share });
+
+  return { success: true, message: mode === 'shadow' ? 'Shadow evaluation started' : `Serving ${share}% of users`, config };
+};
+
+/**
+ * Stop a rollout; matches already recorded stay in its report
+ */
+const stopRollout = async (id, adminId) => {
+  const config = await ModelConfig.findByPk(id);
+  if (!config) return { success: false, status: 404, message: 'Config not found' };
+  if (!config.rollout_mode) return { success: false, status: 409, message: 'This config is not being rolled out' };
+
+  await config.update({ rollout_mode: null, rollout_percent: 0 });
+
+  weightConfigService.invalidateCache('matching_weights');
+  logger.audit('model_rollout_stopped', adminId, { configId: id, version: config.version });
+
+  return { success: true, message: 'Rollout stopped', config };
+};
+
+/**
+ * Verdict for a match from its feedback: any rejection wins
+ * @returns {number|null} - 1 confirmed, 0 rejected, null no verdict yet
+ */
+const verdictOf = (feedback) => {
+  const types = feedback.map(f => f.feedback_type);
+  if (types.includes('rejected')) return 0;
+  if (types.includes('confirmed')) return 1;
+  return null;
+};
+
+const mean = (values) => (values.length > 0
+  ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+  : null);
+
+/**
+ * Compare a candidate with the config it ran against, on matches with feedback
+ *
+ * Both configs are judged on the same matches: a match counts as predicted
+ * when that config's score reaches HIGH_CONFIDENCE. In a split rollout the
+ * confirmation rate of matches each side actually served is reported too.
+ */
+const getRolloutReport = async (id) => {
+  const config = await ModelConfig.findByPk(id);
+  if (!config) return { success: false, status: 404, message: 'Config not found' };
+
+  const [thresholds, matches] = await Promise.all([
+    weightConfigService.loadThresholds(),
+    PhotoMatch.findAll({
+      where: {
+        [Op.or]: [{ weights_config_id: id }, { shadow_config_id: id }],
+        rollout_arm: { [Op.ne]: null },
+      },
+      attributes: ['id', 'overall_score', 'shadow_score', 'rollout_arm', 'weights_config_id', 'created_at'],
+      include: [{ model: MatchFeedback, as: 'feedback', attributes: ['feedback_type'], required: false }],
+      order: [['created_at', 'DESC']],
+      limit: REPORT_MATCH_LIMIT,
+    }),
+  ]);
+
+  const threshold = thresholds.HIGH_CONFIDENCE;
+  const labelled = [];
+  const served = { active: { matches: 0, confirmed: 0, rejected: 0 }, candidate: { matches: 0, confirmed: 0, rejected: 0 } };
+
+  for (const match of matches) {
+    const candidateServed = match.weights_config_id === id;
+    const side = candidateServed ? 'candidate' : 'active';
+    const verdict = verdictOf(match.feedback);
+
+    served[side].matches++;
+    if (verdict === 1) served[side].confirmed++;
+    if (verdict === 0) served[side].rejected++;
+
+    if (verdict === null || match.shadow_score === null) continue;
+    labelled.push({
+      label: verdict,
+      active: candidateServed ? match.shadow_score : match.overall_score,
+      candidate: candidateServed ? match.overall_score : match.shadow_score,
+    });
+  }
+
+  const sideReport = (side) => ({
+    ...computeMetrics(labelled.map(m => ({ label: m.label, predicted: m[side] >= threshold }))),
+    mean_score_confirmed: mean(labelled.filter(m => m.label === 1).map(m => m[side])),
+    mean_score_rejected: mean(labelled.filter(m => m.label === 0).map(m => m[side])),
+    served: {
+      ...served[side],
+      confirmation_rate: served[side].confirmed + served[side].rejected > 0
+        ? Math.round((served[side].confirmed / (served[side].confirmed + served[side].rejected)) * 1000) / 1000
+        : null,
+    },
+  });
+
+  return {
+    success: true,
+    report: {
+      config_id: id,
+      version: config.version,
+      rollout_mode: config.rollout_mode,
+      rollout_percent: config.rollout_percent,
+      rollout_started_at: config.rollout_started_at,
+      threshold,
+      matches: matches.length,
+      with_feedback: labelled.length,
+      active: sideReport('active'),
+      candidate: sideReport('candidate'),
+    },
+  };
+};
+
+/**
+ * Active config, running candidate (with its report) and candidates that
+ * could be rolled out
+ */
+const getRolloutStatus = async () => {
+  const [active, running, candidates] = await Promise.all([
+    ModelConfig.getActiveConfig(CONFIG_NAME),
+    ModelConfig.findOne({
+      where: { config_name: CONFIG_NAME, is_active: false, rollout_mode: { [Op.ne]: null } },
+      order: [['rollout_started_at', 'DESC']],
+    }),
+    ModelConfig.findAll({
+      where: { config_name: CONFIG_NAME, is_active: false },
+      attributes: { exclude: ['config_data'] },
+      order: [['version', 'DESC']],
+      limit: 10,
+    }),
+  ]);
+
+  const report = running ? (await getRolloutReport(running.id)).report : null;
+
+  return { active, candidate: running, report, candidates };
+};
+
+/**
+ * Promote a candidate to active (ends its rollout)
+ */
+const promote = async (id, adminId) => {
+  const config = await ModelConfig.findByPk(id, { attributes: ['id', 'config_name'] });
+  if (!config) return { success: false, status: 404, message: 'Config not found' };
+  if (config.config_name !== CONFIG_NAME) {
+    return { success: false, status: 400, message: `Only ${CONFIG_NAME} configs can be promoted here` };
+  }
+
+  const result = await weightConfigService.activateConfig(id, adminId);
+  if (!result.success) return result;
+
+  logger.audit('model_config_promoted', adminId, {
+    configId: id,
+    version: result.config.version,
+    previousConfigId: result.previous?.id || null,
+  });
+
+  return { success: true, message: `Version ${result.config.version} is now active`, config: result.config };
+};
+
+/**
+ * Put the previously active weights (or another config, e.g. thresholds) back
+ */
+const rollback = async (adminId, configName = CONFIG_NAME) => {
+  const result = await weightConfigService.rollbackConfig(configName, adminId);
+  if (!result.success) return result;
+
+  logger.audit('model_config_rolled_back', adminId, {
+    configName,
+    configId: result.config.id,
+    version: result.config.version,
+    fromConfigId: result.previous?.id || null,
+  });
+
+  return { success: true, message: `Rolled back to version ${result.config.version}`, config: result.config };
+};
+
+module.exports = {
+  assignArm,
+  resolveWeights,
+  startRollout,
+  stopRollout,
+  getRolloutReport,
+  getRolloutStatus,
+  promote,
+  rollback,
+};
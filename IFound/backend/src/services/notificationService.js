@@ -1,4 +1,124 @@
 const nodemailer = require('nodemailer');
+const { Notification, User, Case } = require('../models');
+const logger = require('../config/logger');
+const pushService = require('./push');
+const { formatDistance } = require('../utils/geoUtils');
+const { formatAmount } = require('../config/currencies');
+
+// Notification type -> user.settings.notifications category switch
+const NOTIFICATION_CATEGORIES = {
+  match_found: 'matches',
+  claim_received: 'claims',
+  claim_on_hold: 'claims',
+  claim_accepted: 'claims',
+  claim_rejected: 'claims',
+  claim_cancelled: 'claims',
+  claim_question: 'claims',
+  claim_answer: 'claims',
+  claim_completed: 'claims',
+  claim_dispute: 'claims',
+  new_message: 'messages',
+  transaction_completed: 'payments',
+  withdrawal_update: 'payments',
+};
+
+// Inbox copy for claim lifecycle events
+const CLAIM_NOTIFICATIONS = {
+  claim_received: (item) => ({
+    title: 'New claim on your found item',
+    body: `Someone says "${item}" belongs to them. Review their claim.`,
+    email: true,
+  }),
+  claim_on_hold: (item) => ({
+    title: 'Your claim is being checked',
+    body: `We're running a quick check on your claim for "${item}" before it goes to the finder.`,
+  }),
+  claim_accepted: (item) => ({
+    title: 'Your claim was accepted',
+    body: `The finder accepted your claim for "${item}". Chat is now open to arrange the handover.`,
+    email: true,
+  }),
+  claim_rejected: (item) => ({
+    title: 'Your claim was not accepted',
+    body: `The finder did not accept your claim for "${item}".`,
+    email: true,
+  }),
+  claim_cancelled: (item) => ({
+    title: 'A claim was cancelled',
+    body: `The claimant cancelled their claim for "${item}".`,
+  }),
+  claim_question: (item) => ({
+    title: 'The finder has a question',
+    body: `Answer a verification question about "${item}" to continue your claim.`,
+  }),
+  claim_answer: (item) => ({
+    title: 'Verification question answered',
+    body: `The claimant answered your question about "${item}".`,
+  }),
+  claim_completed: (item) => ({
+    title: 'Handover complete',
+    body: `The handover of "${item}" has been confirmed by both parties.`,
+  }),
+};
+
+// Inbox/email copy for claim disputes, keyed by event
+const DISPUTE_NOTIFICATIONS = {
+  opened: (item) => ({
+    title: 'A dispute was opened',
+    body: `A dispute was opened on the claim for "${item}". Any finder's fee is on hold until our team reviews it.`,
+  }),
+  evidence_added: (item) => ({
+    title: 'New dispute evidence',
+    body: `New evidence was added to the dispute about "${item}".`,
+  }),
+  under_review: (item) => ({
+    title: 'Your dispute is being reviewed',
+    body: `Our team is reviewing the dispute about "${item}".`,
+  }),
+  resolved: (item, dispute) => ({
+    title: 'Dispute resolved',
+    body: `The dispute about "${item}" was resolved in favour of the ${dispute.ruling}.`
+      + (dispute.payment_action === 'refund' ? ' The finder\'s fee was refunded.' : '')
+      + (dispute.payment_action === 'release' ? ' The finder\'s fee was released to the finder.' : ''),
+  }),
+};
+
+// Inbox/email copy for withdrawal status changes, keyed by the new status
+const WITHDRAWAL_NOTIFICATIONS = {
+  processing: (amount) => ({
+    title: 'Withdrawal approved',
+    body: `Your withdrawal of ${amount} was approved and the payout is on its way.`,
+  }),
+  completed: (amount, withdrawal) => ({
+    title: 'Withdrawal paid',
+    body: `Your withdrawal of ${amount} has been paid out.`
+      + (withdrawal.metadata?.payout_reference ? ` Reference: ${withdrawal.metadata.payout_reference}.` : ''),
+  }),
+  cancelled: (amount, withdrawal) => ({
+    title: 'Withdrawal not approved',
+    body: `Your withdrawal of ${amount} was not approved: ${withdrawal.metadata?.rejection_reason || 'no reason given'}. The funds are back in your available balance.`,
+  }),
+  failed: (amount, withdrawal) => ({
+    title: 'Withdrawal failed',
+    body: `Your withdrawal of ${amount} could not be paid out: ${withdrawal.failure_reason || 'unknown error'}. The funds are back in your available balance.`,
+  }),
+};
+
+// Inbox/email copy for case expiry, keyed by event
+const CASE_LIFECYCLE_NOTIFICATIONS = {
+  case_expiring: (caseData) => ({
+    title: 'Your case expires soon',
+    body: `"${caseData.title}" expires on ${new Date(caseData.expires_at).toLocaleDateString()}. Renew it to keep it visible to finders.`,
+  }),
+  case_expired: (caseData) => ({
+    title: 'Your case has expired',
+    body: `"${caseData.title}" has expired and is no longer shown to finders.`,
+  }),
+  case_archived: (caseData) => ({
+    title: 'Your case was archived',
+    body: `"${caseData.title}" was archived after its claim saw no activity.`,
+  }),
+};
 
 class NotificationService {
   constructor() {
@@ -11,7 +131,7 @@ class NotificationService {
     try {
       if (process.env.SMTP_HOST && process.env.SMTP_USER) {
         // Use real SMTP
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
           host: process.env.SMTP_HOST,
           port: parseInt(process.env.SMTP_PORT) || 587,
           secure: false,
@@ -23,7 +143,7 @@ class NotificationService {
       } else {
         // Use Ethereal for testing (https://ethereal.email)
         const testAccount = await nodemailer.createTestAccount();
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
           host: 'smtp.ethereal.email',
           port: 587,
           secure: false,
@@ -92,6 +212,71 @@ class NotificationService {
     });
   }
 
+  /**
+   * Send email address verification link
+   * @param {Object} user - Recipient
+   * @param {string} verifyUrl - Signed verification link
+   * @param {string} expiresIn - How long the link is valid, e.g. '24h'
+   */
+  async sendVerificationEmail(user, verifyUrl, expiresIn) {
+    const html = `
+      <h1>Verify Your Email</h1>
+      <p>Hi ${user.first_name || 'there'},</p>
+      <p>Please confirm that <strong>${user.email}</strong> is your email address so you can post cases on I Found!!</p>
+      <p><a href="${verifyUrl}" style="display:inline-block;padding:12px 24px;background:#2563EB;color:#fff;border-radius:6px;text-decoration:none">Verify Email</a></p>
+      <p style="font-size:12px;color:#666">This link expires in ${expiresIn}. If you didn't create an account, you can ignore this email.</p>
+      <p>Best regards,<br>The I Found!! Team</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Verify your email - I Found!!',
+      html,
+      text: `Hi ${user.first_name || 'there'}, verify your email address for I Found!!: ${verifyUrl}\n\nThis link expires in ${expiresIn}.`,
+    });
+  }
+
+  /**
+   * Send password reset link
+   */
+  async sendPasswordResetEmail(user, resetUrl, expiresInMinutes) {
+    const html = `
+      <h1>Reset Your Password</h1>
+      <p>Hi ${user.first_name || 'there'},</p>
+      <p>We received a request to reset the password for your I Found!! account.</p>
+      <p><a href="${resetUrl}" style="display:inline-block;padding:12px 24px;background:#2563EB;color:#fff;border-radius:6px;text-decoration:none">Reset Password</a></p>
+      <p style="font-size:12px;color:#666">This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask to reset your password, you can ignore this email.</p>
+      <p>Best regards,<br>The I Found!! Team</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Reset your password - I Found!!',
+      html,
+      text: `Hi ${user.first_name || 'there'}, reset your I Found!! password: ${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes.`,
+    });
+  }
+
+  /**
+   * Confirm a completed password reset
+   */
+  async sendPasswordChangedEmail(user) {
+    const html = `
+      <h1>Your Password Was Changed</h1>
+      <p>Hi ${user.first_name || 'there'},</p>
+      <p>The password for your I Found!! account was just reset, and you have been signed out on all your devices.</p>
+      <p>If this wasn't you, please contact support immediately.</p>
+      <p>Best regards,<br>The I Found!! Team</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Your password was changed - I Found!!',
+      html,
+      text: 'The password for your I Found!! account was just reset. If this wasn\'t you, please contact support immediately.',
+    });
+  }
+
   /**
    * Send case created notification
    */
@@ -100,7 +285,7 @@ class NotificationService {
       <h1>Your Case Has Been Posted</h1>
       <p>Hi ${user.first_name},</p>
       <p>Your case <strong>"${caseData.title}"</strong> has been successfully posted.</p>
-      <p><strong>Bounty Amount:</strong> $${caseData.bounty_amount}</p>
+      <p><strong>Bounty Amount:</strong> ${formatAmount(caseData.bounty_amount, caseData.currency)}</p>
       <p><strong>Case Type:</strong> ${caseData.case_type}</p>
       <p>We'll notify you when someone submits a tip.</p>
       <p>Best regards,<br>The I Found!! Team</p>
@@ -146,7 +331,7 @@ class NotificationService {
       <h1>Congratulations! Your Tip Was Verified! 🎉</h1>
       <p>Hi ${finder.first_name},</p>
       <p>Great news! Your tip for <strong>"${caseData.title}"</strong> has been verified.</p>
-      <p><strong>Bounty Earned:</strong> $${bountyAmount.toFixed(2)}</p>
+      <p><strong>Bounty Earned:</strong> ${formatAmount(bountyAmount, caseData.currency)}</p>
       <p>The bounty will be processed and transferred to your account.</p>
       <p>Thank you for helping make a difference!</p>
       <p>Best regards,<br>The I Found!! Team</p>
@@ -156,7 +341,7 @@ class NotificationService {
       to: finder.email,
       subject: 'Your Tip Was Verified! - I Found!!',
       html,
-      text: `Your tip was verified! You earned $${bountyAmount.toFixed(2)}`,
+      text: `Your tip was verified! You earned ${formatAmount(bountyAmount, caseData.currency)}`,
     });
   }
 
@@ -182,34 +367,468 @@ class NotificationService {
 
   /**
    * Send nearby case alert
+   * @param {Object} user - Recipient
+   * @param {Object} caseData - The new case
+   * @param {Object} options - { searchName, distanceMiles, unsubscribeUrl }
    */
-  async sendNearbyCaseAlert(user, caseData) {
+  async sendNearbyCaseAlert(user, caseData, { searchName, distanceMiles, unsubscribeUrl } = {}) {
+    const distance = distanceMiles != null ? ` (${formatDistance(distanceMiles)})` : '';
+    const footer = searchName && unsubscribeUrl
+      ? `<p style="font-size:12px;color:#666">You received this because of your saved search "${searchName}". <a href="${unsubscribeUrl}">Unsubscribe from these alerts</a>.</p>`
+      : '';
     const html = `
       <h1>New Case in Your Area</h1>
       <p>Hi ${user.first_name},</p>
-      <p>A new ${caseData.case_type.replace('_', ' ')} case has been posted near you:</p>
+      <p>A new ${caseData.case_type.replace('_', ' ')} case has been posted near you${distance}:</p>
       <p><strong>${caseData.title}</strong></p>
-      <p><strong>Bounty:</strong> $${caseData.bounty_amount}</p>
+      <p><strong>Bounty:</strong> ${formatAmount(caseData.bounty_amount, caseData.currency)}</p>
       <p><strong>Priority:</strong> ${caseData.priority_level}</p>
       <p>Check the app to see if you can help!</p>
       <p>Best regards,<br>The I Found!! Team</p>
+      ${footer}
     `;
 
     return this.sendEmail({
       to: user.email,
       subject: 'New Case Near You - I Found!!',
       html,
-      text: `New case near you: "${caseData.title}" - $${caseData.bounty_amount} bounty`,
+      text: `New case near you: "${caseData.title}" - ${formatAmount(caseData.bounty_amount, caseData.currency)} bounty`
+        + (unsubscribeUrl ? `\n\nUnsubscribe: ${unsubscribeUrl}` : ''),
+    });
+  }
+
+  /**
+   * Send a digest of new cases matching a saved search
+   * @param {Object} user - Recipient
+   * @param {Object} search - SavedSearch
+   * @param {Array} cases - Matching cases, each optionally with distance_miles
+   * @param {string} unsubscribeUrl - One-click unsubscribe link
+   */
+  async sendCaseAlertDigest(user, search, cases, unsubscribeUrl) {
+    const items = cases.map((caseData) => {
+      const distance = caseData.distance_miles != null ? ` - ${formatDistance(caseData.distance_miles)}` : '';
+      return `<li><strong>${caseData.title}</strong> - ${formatAmount(caseData.bounty_amount, caseData.currency)} bounty${distance}</li>`;
+    }).join('');
+
+    const html = `
+      <h1>New Cases for "${search.name}"</h1>
+      <p>Hi ${user.first_name},</p>
+      <p>${cases.length} new case${cases.length === 1 ? '' : 's'} matched your saved search:</p>
+      <ul>${items}</ul>
+      <p>Check the app to see if you can help!</p>
+      <p>Best regards,<br>The I Found!! Team</p>
+      <p style="font-size:12px;color:#666"><a href="${unsubscribeUrl}">Unsubscribe from these alerts</a>.</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `${cases.length} New Case${cases.length === 1 ? '' : 's'} for "${search.name}" - I Found!!`,
+      html,
+      text: cases.map(c => `- ${c.title} (${formatAmount(c.bounty_amount, c.currency)})`).join('\n')
+        + `\n\nUnsubscribe: ${unsubscribeUrl}`,
+    });
+  }
+
+  /**
+   * Send a withdrawal status email
+   * @param {Object} user - Finder
+   * @param {Object} withdrawal - Withdrawal transaction
+   * @param {Object} copy - { title, body } from WITHDRAWAL_NOTIFICATIONS
+   */
+  async sendWithdrawalStatusEmail(user, withdrawal, { title, body }) {
+    const amount = formatAmount(withdrawal.amount, withdrawal.currency);
+    const html = `
+      <h1>${title}</h1>
+      <p>Hi ${user.first_name || 'there'},</p>
+      <p>${body}</p>
+      <p><strong>Amount:</strong> ${amount}</p>
+      <p><strong>Status:</strong> ${withdrawal.status}</p>
+      <p><strong>Requested:</strong> ${new Date(withdrawal.createdAt).toLocaleDateString()}</p>
+      <p>Best regards,<br>The I Found!! Team</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `${title} - I Found!!`,
+      html,
+      text: `${title}: ${body}`,
+    });
+  }
+
+  /**
+   * Send a case expiry warning or expiry notice
+   * @param {Object} user - Poster
+   * @param {Object} caseData - Case
+   * @param {Object} copy - { title, body } from CASE_LIFECYCLE_NOTIFICATIONS
+   * @param {Object} options - { renewUrl, refunded }
+   */
+  async sendCaseLifecycleEmail(user, caseData, { title, body }, { renewUrl = null, refunded = false } = {}) {
+    const html = `
+      <h1>${title}</h1>
+      <p>Hi ${user.first_name || 'there'},</p>
+      <p>${body}</p>
+      ${refunded ? '<p>The bounty you paid has been refunded to your original payment method.</p>' : ''}
+      ${renewUrl ? `<p><a href="${renewUrl}" style="display:inline-block;padding:12px 24px;background:#2563EB;color:#fff;border-radius:6px;text-decoration:none">Renew Case</a></p>` : ''}
+      <p>Best regards,<br>The I Found!! Team</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `${title} - I Found!!`,
+      html,
+      text: `${title}: ${body}${renewUrl ? `\n\nRenew: ${renewUrl}` : ''}`,
+    });
+  }
+
+  /**
+   * Send a generic notification email built from an inbox entry
+   */
+  async sendNotificationEmail(user, notification) {
+    const html = `
+      <h1>${notification.title}</h1>
+      <p>Hi ${user.first_name || 'there'},</p>
+      <p>${notification.body || ''}</p>
+      <p>Open the app to see the details.</p>
+      <p>Best regards,<br>The I Found!! Team</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `${notification.title} - I Found!!`,
+      html,
+      text: `${notification.title}: ${notification.body || ''}`,
     });
   }
 
   /**
-   * Send push notification (placeholder for future implementation)
+   * Whether a user accepts notification emails
+   */
+  wantsEmail(user) {
+    return user.settings?.notifications?.email !== false
+      && process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false';
+  }
+
+  /**
+   * Record an in-app notification and fan it out to push/email
+   *
+   * Honors user.settings.notifications: a category switched off (matches,
+   * claims, messages, payments) suppresses the notification entirely, while
+   * the push/email flags gate those channels. Never throws, so callers can
+   * notify without risking the request that triggered it.
+   */
+  async notify(userId, { type, title, body = null, data = {}, email = false }) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user || !user.is_active) {
+        return null;
+      }
+
+      const prefs = user.settings?.notifications || {};
+      const category = NOTIFICATION_CATEGORIES[type];
+      if (category && prefs[category] === false) {
+        return null;
+      }
+
+      const sendPush = prefs.push !== false;
+      const sendMail = email && this.wantsEmail(user);
+
+      const notification = await Notification.create({
+        user_id: userId,
+        type,
+        title,
+        body,
+        data,
+        delivery: { push: sendPush, email: sendMail },
+      });
+
+      // Live inbox update for connected clients (required lazily: the socket
+      // service depends on this one for chat message notifications)
+      require('./chatSocketService').emitToUser(userId, 'notification', notification.toJSON());
+
+      if (sendPush) {
+        await this.sendPushNotification(userId, {
+          title,
+          body,
+          data: { ...data, type, notification_id: notification.id },
+        }).catch(error => logger.error(`Push notification failed for user ${userId}:`, error));
+      }
+
+      if (sendMail) {
+        // Email delivery is slow; don't hold up the caller
+        this.sendNotificationEmail(user, notification)
+          .catch(error => logger.error(`Notification email failed for user ${userId}:`, error));
+      }
+
+      return notification;
+    } catch (error) {
+      logger.error(`Failed to create ${type} notification for user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Notify the posters on both sides of newly created PhotoMatch records
+   */
+  async notifyMatchesFound(matches) {
+    for (const match of matches) {
+      const [sourceCase, targetCase] = await Promise.all([
+        Case.findByPk(match.source_case_id),
+        Case.findByPk(match.target_case_id),
+      ]);
+
+      if (!sourceCase || !targetCase) continue;
+
+      const score = Math.round(parseFloat(match.overall_score));
+      const sides = [[sourceCase, targetCase], [targetCase, sourceCase]];
+
+      for (const [ownCase, otherCase] of sides) {
+        // Both cases posted by the same user - one notification is enough
+        if (ownCase === targetCase && sourceCase.poster_id === targetCase.poster_id) continue;
+
+        await this.notify(ownCase.poster_id, {
+          type: 'match_found',
+          title: 'Possible match found',
+          body: `"${otherCase.title}" is a ${score}% match for your case "${ownCase.title}".`,
+          data: {
+            match_id: match.id,
+            case_id: ownCase.id,
+            matched_case_id: otherCase.id,
+            score,
+          },
+          email: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Notify one party of a claim state change
+   * @param {string} type - One of the claim_* notification types
+   * @param {string} recipientId - User to notify
+   * @param {Object} claim - Claim instance
+   * @param {string} itemTitle - Title of the found item case
+   */
+  async notifyClaimUpdate(type, recipientId, claim, itemTitle) {
+    const { title, body, email = false } = CLAIM_NOTIFICATIONS[type](itemTitle);
+
+    return this.notify(recipientId, {
+      type,
+      title,
+      body,
+      data: {
+        claim_id: claim.id,
+        case_id: claim.found_case_id,
+        status: claim.status,
+      },
+      email,
+    });
+  }
+
+  /**
+   * Tell both parties of a claim about a dispute event
+   * @param {Object} dispute - Dispute instance
+   * @param {string} event - opened, evidence_added, under_review or resolved
+   * @param {Object} claim - Claim including foundCase
+   * @param {string|null} actorId - User who caused the event (not notified)
+   */
+  async notifyDisputeUpdate(dispute, event, claim, actorId = null) {
+    const copy = DISPUTE_NOTIFICATIONS[event](claim.foundCase.title, dispute);
+    const recipients = [claim.claimant_id, claim.foundCase.poster_id]
+      .filter(userId => userId !== actorId);
+
+    return Promise.all(recipients.map(userId => this.notify(userId, {
+      type: 'claim_dispute',
+      ...copy,
+      data: {
+        dispute_id: dispute.id,
+        claim_id: claim.id,
+        event,
+        status: dispute.status,
+      },
+      email: event === 'opened' || event === 'resolved',
+    })));
+  }
+
+  /**
+   * Notify the other party of a chat message
+   * @param {Object} claim - Claim instance including foundCase
+   * @param {Object} message - Stored Message
+   */
+  async notifyNewMessage(claim, message) {
+    const recipientId = message.sender_id === claim.claimant_id
+      ? claim.foundCase.poster_id
+      : claim.claimant_id;
+
+    const preview = message.content.length > 140
+      ? `${message.content.slice(0, 137)}...`
+      : message.content;
+
+    return this.notify(recipientId, {
+      type: 'new_message',
+      title: `New message about "${claim.foundCase.title}"`,
+      body: preview,
+      data: {
+        claim_id: claim.id,
+        message_id: message.id,
+      },
+    });
+  }
+
+  /**
+   * Notify the finder that a bounty transaction completed
+   */
+  async notifyTransactionCompleted(transaction) {
+    if (!transaction.finder_id) {
+      return null;
+    }
+
+    const amount = parseFloat(transaction.net_amount).toFixed(2);
+
+    return this.notify(transaction.finder_id, {
+      type: 'transaction_completed',
+      title: 'Payment received',
+      body: `${formatAmount(amount, transaction.currency)} has been added to your earnings.`,
+      data: {
+        transaction_id: transaction.id,
+        case_id: transaction.case_id,
+        amount,
+        currency: transaction.currency,
+      },
+      email: true,
+    });
+  }
+
+  /**
+   * Tell the finder their withdrawal changed status
+   * The email goes out even if notification emails are switched off: it is
+   * a receipt for money leaving (or returning to) their balance.
+   * @param {Object} withdrawal - Withdrawal transaction, already updated
+   */
+  async notifyWithdrawalUpdate(withdrawal) {
+    const copyFor = WITHDRAWAL_NOTIFICATIONS[withdrawal.status];
+    if (!copyFor || !withdrawal.finder_id) {
+      return null;
+    }
+
+    const amount = parseFloat(withdrawal.amount).toFixed(2);
+    const copy = copyFor(formatAmount(amount, withdrawal.currency), withdrawal);
+
+    const notification = await this.notify(withdrawal.finder_id, {
+      type: 'withdrawal_update',
+      ...copy,
+      data: {
+        transaction_id: withdrawal.id,
+        status: withdrawal.status,
+        amount,
+        currency: withdrawal.currency,
+      },
+    });
+
+    const user = await User.findByPk(withdrawal.finder_id);
+    if (user && process.env.ENABLE_EMAIL_NOTIFICATIONS !== 'false') {
+      this.sendWithdrawalStatusEmail(user, withdrawal, copy)
+        .catch(error => logger.error(`Withdrawal email failed for user ${withdrawal.finder_id}:`, error));
+    }
+
+    return notification;
+  }
+
+  /**
+   * Tell a poster their case is about to expire, has expired, or was archived
+   * @param {Object} caseData - Case
+   * @param {string} event - case_expiring, case_expired or case_archived
+   * @param {Object} options - { renewUrl, refunded }
+   */
+  async notifyCaseLifecycle(caseData, event, { renewUrl = null, refunded = false } = {}) {
+    const copy = CASE_LIFECYCLE_NOTIFICATIONS[event](caseData);
+
+    const notification = await this.notify(caseData.poster_id, {
+      type: event === 'case_expiring' ? 'case_expiring' : 'case_expired',
+      ...copy,
+      data: { case_id: caseData.id, event, refunded },
+    });
+
+    // Own template so the warning can carry the one-click renew link
+    const user = await User.findByPk(caseData.poster_id);
+    if (user && this.wantsEmail(user)) {
+      this.sendCaseLifecycleEmail(user, caseData, copy, { renewUrl, refunded })
+        .catch(error => logger.error(`Case lifecycle email failed for user ${caseData.poster_id}:`, error));
+    }
+
+    return notification;
+  }
+
+  /**
+   * Alert a saved-search owner about one new matching case
+   * The inbox entry and push go through notify(); the email uses the
+   * nearby-case template so it can carry the unsubscribe link.
+   * @param {Object} search - SavedSearch
+   * @param {Object} caseData - The new case
+   * @param {Object} options - { distanceMiles, unsubscribeUrl }
+   */
+  async notifyCaseAlert(search, caseData, { distanceMiles, unsubscribeUrl }) {
+    const notification = await this.notify(search.user_id, {
+      type: 'case_alert',
+      title: `New case matches "${search.name}"`,
+      body: distanceMiles != null
+        ? `"${caseData.title}" was just posted (${formatDistance(distanceMiles)}).`
+        : `"${caseData.title}" was just posted.`,
+      data: {
+        case_id: caseData.id,
+        saved_search_id: search.id,
+      },
+    });
+
+    if (notification) {
+      const user = await User.findByPk(search.user_id);
+      if (user && this.wantsEmail(user)) {
+        this.sendNearbyCaseAlert(user, caseData, {
+          searchName: search.name,
+          distanceMiles,
+          unsubscribeUrl,
+        }).catch(error => logger.error(`Case alert email failed for user ${search.user_id}:`, error));
+      }
+    }
+
+    return notification;
+  }
+
+  /**
+   * Alert a saved-search owner about the cases collected since the last digest
+   * @param {Object} search - SavedSearch
+   * @param {Array} cases - Matching cases, each optionally with distance_miles
+   * @param {string} unsubscribeUrl - One-click unsubscribe link
+   */
+  async notifyCaseAlertDigest(search, cases, unsubscribeUrl) {
+    const notification = await this.notify(search.user_id, {
+      type: 'case_alert',
+      title: `${cases.length} new case${cases.length === 1 ? '' : 's'} for "${search.name}"`,
+      body: cases.slice(0, 3).map(c => c.title).join(', ') + (cases.length > 3 ? ', ...' : ''),
+      data: {
+        case_ids: cases.map(c => c.id),
+        saved_search_id: search.id,
+      },
+    });
+
+    if (notification) {
+      const user = await User.findByPk(search.user_id);
+      if (user && this.wantsEmail(user)) {
+        this.sendCaseAlertDigest(user, search, cases, unsubscribeUrl)
+          .catch(error => logger.error(`Case alert digest failed for user ${search.user_id}:`, error));
+      }
+    }
+
+    return notification;
+  }
+
+  /**
+   * Send push notification to every registered device of a user
+   * @param {string} userId - Recipient
+   * @param {Object} notification - { title, body, data }
    */
   async sendPushNotification(userId, notification) {
-    // TODO: Implement Firebase Cloud Messaging
-    console.log(`📱 Push notification to user ${userId}:`, notification);
-    return { success: true, message: 'Push notification queued' };
+    const result = await pushService.sendToUser(userId, notification);
+    return { success: result.sent > 0, ...result };
   }
 }
 
@@ -0,0 +1,119 @@
+/**
+ * Password Reset Service
+ *
+ * Emails single-use password reset links. Only a SHA-256 hash of each token
+ * is stored, so a leaked database can't be used to reset passwords. A reset
+ * revokes every session and bumps password_changed_at, which signs the user
+ * out everywhere.
+ */
+
+const crypto = require('crypto');
+const { User } = require('../models');
+const notificationService = require('./notificationService');
+const { revokeAllSessions } = require('./sessionService');
+const logger = require('../config/logger');
+
+const TOKEN_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Link for the reset email
+ * Opens the reset screen, which posts the token to /auth/reset-password.
+ */
+const getResetUrl = (token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+  return `${baseUrl}/reset-password?token=${token}`;
+};
+
+/**
+ * Email a reset link if the address belongs to an active account
+ * Issuing a new link replaces any earlier one. Callers respond the same way
+ * either way so this can't be used to find out who has an account.
+ * @returns {Promise<object>} - { sent, token? }
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({
+    where: { email: String(email).toLowerCase() },
+  });
+
+  if (!user || !user.is_active || user.is_suspended) {
+    return { sent: false };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  user.password_reset_token_hash = hashToken(token);
+  user.password_reset_expires_at = new Date(Date.now() + TOKEN_EXPIRES_MINUTES * 60 * 1000);
+  await user.save();
+
+  // Email delivery is slow; don't hold up the caller
+  notificationService.sendPasswordResetEmail(user, getResetUrl(token), TOKEN_EXPIRES_MINUTES)
+    .catch(error => logger.error(`Password reset email failed for user ${user.id}:`, error));
+
+  logger.audit('password_reset_requested', user.id, { email: user.email });
+
+  return { sent: true, token };
+};
+
+/**
+ * Set a new password using a reset token
+ * @returns {Promise<object>} - { success, status?, message }
+ */
+const resetPassword = async (token, newPassword) => {
+  if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return {
+      success: false,
+      status: 400,
+      message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+    };
+  }
+
+  const tokenHash = hashToken(String(token));
+  const user = await User.findOne({
+    where: { password_reset_token_hash: tokenHash },
+  });
+
+  if (!user || user.password_reset_expires_at < new Date()) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Reset link is invalid or has expired. Please request a new one.',
+    };
+  }
+
+  // Claim the token before using it so two concurrent requests can't both
+  // redeem it
+  const [claimed] = await User.update(
+    { password_reset_token_hash: null, password_reset_expires_at: null },
+    { where: { id: user.id, password_reset_token_hash: tokenHash } }
+  );
+
+  if (!claimed) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Reset link is invalid or has expired. Please request a new one.',
+    };
+  }
+
+  user.password_hash = newPassword; // Will be hashed by User model hook
+  user.password_changed_at = new Date();
+  await user.save();
+  await revokeAllSessions(user.id, { reason: 'password_reset' });
+
+  notificationService.sendPasswordChangedEmail(user)
+    .catch(error => logger.error(`Password changed email failed for user ${user.id}:`, error));
+
+  logger.audit('password_reset', user.id, { email: user.email });
+
+  return { success: true, message: 'Password reset successfully. Please log in with your new password.' };
+};
+
+module.exports = {
+  hashToken,
+  requestPasswordReset,
+  resetPassword,
+};
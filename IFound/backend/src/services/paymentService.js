@@ -1,15 +1,19 @@
 const logger = require('../config/logger');
-const { Transaction, User, Case } = require('../models');
+const { Transaction, User, Case, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const notificationService = require('./notificationService');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
 
 // Payment configuration
 const PAYMENT_CONFIG = {
   MIN_BOUNTY_AMOUNT: 10, // Minimum $10 bounty
   MAX_BOUNTY_AMOUNT: 100000, // Maximum $100,000 bounty
-  PLATFORM_FEE_PERCENT: 10, // 10% platform fee
-  CURRENCY: 'usd',
+  // Platform fee taken from every bounty (must match the apps' PLATFORM_FEE_PERCENT)
+  PLATFORM_FEE_PERCENT: parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE) || 2.5,
 };
 
+const REFUNDABLE_STATUSES = ['escrow', 'completed'];
+
 // Initialize Stripe only if properly configured
 const isStripeConfigured = () => {
   const key = process.env.STRIPE_SECRET_KEY;
@@ -57,6 +61,17 @@ class PaymentService {
     return parsedAmount;
   }
 
+  /**
+   * Platform fee on a bounty amount, rounded to the cent
+   */
+  calculateCommission(amount) {
+    return Math.round(parseFloat(amount) * PAYMENT_CONFIG.PLATFORM_FEE_PERCENT) / 100;
+  }
+
+  getCommissionPercent() {
+    return PAYMENT_CONFIG.PLATFORM_FEE_PERCENT;
+  }
+
   /**
    * Create payment intent for bounty (escrow)
    */
@@ -65,6 +80,7 @@ class PaymentService {
       // Validate the bounty amount
       const validatedAmount = this.validateBountyAmount(caseData.bounty_amount);
       const amountInCents = Math.round(validatedAmount * 100);
+      const currency = (caseData.currency || DEFAULT_CURRENCY).toLowerCase();
 
       // Log payment attempt
       logger.audit('payment_attempt', posterId, {
@@ -79,7 +95,7 @@ class PaymentService {
         return {
           id: `pi_test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
           amount: amountInCents,
-          currency: PAYMENT_CONFIG.CURRENCY,
+          currency,
           status: 'succeeded',
           test_mode: true,
         };
@@ -89,7 +105,7 @@ class PaymentService {
 
       const paymentIntent = await stripe.paymentIntents.create({
         amount: amountInCents,
-        currency: PAYMENT_CONFIG.CURRENCY,
+        currency,
         metadata: {
           case_id: caseData.id,
           poster_id: posterId,
@@ -130,6 +146,10 @@ class PaymentService {
         throw new Error('Transaction not in escrow status');
       }
 
+      if (!transaction.finder_id) {
+        throw new Error('Bounty has no finder to release to');
+      }
+
       logger.audit('bounty_release_attempt', releasedBy, {
         transactionId,
         finderId: transaction.finder_id,
@@ -140,9 +160,10 @@ class PaymentService {
       if (this.testMode) {
         transaction.status = 'completed';
         transaction.completed_at = new Date();
-        await transaction.save();
+        await sequelize.transaction(t => transaction.save({ transaction: t }));
 
         logger.info('Test mode: bounty released', { transactionId });
+        await notificationService.notifyTransactionCompleted(transaction);
         return {
           id: `tr_test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
           amount: transaction.net_amount * 100,
@@ -163,7 +184,7 @@ class PaymentService {
       // Create transfer to finder
       const transfer = await stripe.transfers.create({
         amount: Math.round(parseFloat(transaction.net_amount) * 100),
-        currency: PAYMENT_CONFIG.CURRENCY,
+        currency: transaction.currency.toLowerCase(),
         destination: finder.stripe_account_id,
         metadata: {
           transaction_id: transactionId,
@@ -176,7 +197,7 @@ class PaymentService {
       transaction.stripe_transfer_id = transfer.id;
       transaction.status = 'completed';
       transaction.completed_at = new Date();
-      await transaction.save();
+      await sequelize.transaction(t => transaction.save({ transaction: t }));
 
       logger.audit('bounty_released', releasedBy, {
         transactionId,
@@ -185,6 +206,8 @@ class PaymentService {
         amount: transaction.net_amount,
       });
 
+      await notificationService.notifyTransactionCompleted(transaction);
+
       return transfer;
     } catch (error) {
       logger.errorWithContext(error, {
@@ -192,23 +215,83 @@ class PaymentService {
         transactionId,
       });
 
-      // Update transaction as failed
+      // Record the failure; the bounty is still held, so it stays in escrow
+      // (and in the poster's escrow account) until a release succeeds
       try {
-        const transaction = await Transaction.findByPk(transactionId);
-        if (transaction) {
-          transaction.status = 'failed';
-          transaction.failed_at = new Date();
-          transaction.failure_reason = error.message;
-          await transaction.save();
-        }
+        await Transaction.update(
+          { failed_at: new Date(), failure_reason: error.message },
+          { where: { id: transactionId, status: 'escrow' } }
+        );
       } catch (updateError) {
-        logger.error('Failed to update transaction status', { transactionId, error: updateError.message });
+        logger.error('Failed to record release failure', { transactionId, error: updateError.message });
       }
 
       throw error;
     }
   }
 
+  /**
+   * Pay out an approved withdrawal from the finder's connected account
+   * metadata.transaction_id lets the Stripe webhook match payout events
+   * back to the withdrawal.
+   */
+  async createWithdrawalPayout(withdrawal, approvedBy) {
+    try {
+      const amountInCents = Math.round(parseFloat(withdrawal.amount) * 100);
+
+      logger.audit('withdrawal_payout_attempt', approvedBy, {
+        transactionId: withdrawal.id,
+        finderId: withdrawal.finder_id,
+        amount: withdrawal.amount,
+      });
+
+      // In test mode, simulate an instant payout
+      if (this.testMode) {
+        logger.info('Test mode: withdrawal paid out', { transactionId: withdrawal.id });
+        return {
+          id: `po_test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          amount: amountInCents,
+          status: 'paid',
+          test_mode: true,
+        };
+      }
+
+      const finder = await User.findByPk(withdrawal.finder_id);
+
+      if (!finder?.stripe_account_id) {
+        throw new Error('Finder does not have a connected Stripe account');
+      }
+
+      const stripe = getStripeClient();
+
+      const payout = await stripe.payouts.create({
+        amount: amountInCents,
+        currency: withdrawal.currency.toLowerCase(),
+        description: 'I Found!! earnings withdrawal',
+        metadata: {
+          transaction_id: withdrawal.id,
+          platform: 'ifound',
+        },
+      }, {
+        stripeAccount: finder.stripe_account_id,
+      });
+
+      logger.audit('withdrawal_payout_created', approvedBy, {
+        transactionId: withdrawal.id,
+        payoutId: payout.id,
+        amount: withdrawal.amount,
+      });
+
+      return payout;
+    } catch (error) {
+      logger.errorWithContext(error, {
+        action: 'createWithdrawalPayout',
+        transactionId: withdrawal.id,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Refund payment
    */
@@ -220,6 +303,11 @@ class PaymentService {
         throw new Error('Transaction not found');
       }
 
+      // Only money we are holding (escrow) or paid out (completed) goes back
+      if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+        throw new Error(`Cannot refund a ${transaction.status} transaction`);
+      }
+
       // Validate reason
       if (!reason || reason.trim().length < 10) {
         throw new Error('Refund reason must be at least 10 characters');
@@ -236,7 +324,7 @@ class PaymentService {
         transaction.status = 'refunded';
         transaction.refunded_at = new Date();
         transaction.refund_reason = reason;
-        await transaction.save();
+        await sequelize.transaction(t => transaction.save({ transaction: t }));
 
         logger.info('Test mode: refund processed', { transactionId });
         return {
@@ -268,7 +356,7 @@ class PaymentService {
       transaction.status = 'refunded';
       transaction.refunded_at = new Date();
       transaction.refund_reason = reason;
-      await transaction.save();
+      await sequelize.transaction(t => transaction.save({ transaction: t }));
 
       logger.audit('refund_processed', refundedBy, {
         transactionId,
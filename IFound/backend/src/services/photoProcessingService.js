@@ -0,0 +1,190 @@
+/**
+ * Photo Processing Service
+ *
+ * AI pipeline for uploaded photos, run as durable jobs on the job queue:
+ *
+ *   photo.process     face/object/similarity features + OCR, marks the photo completed
+ *     -> photo.visual_dna   Visual DNA extraction
+ *     -> photo.match        match search + notifications
+ *
+ * Each step retries with backoff. When photo.process exhausts its attempts
+ * the photo is marked failed with upload_error.
+ *
+ * Concurrency per step is limited (PHOTO_JOB_CONCURRENCY, default 1) because
+ * the TensorFlow/transformers models are memory hungry.
+ */
+
+const path = require('path');
+const { Photo } = require('../models');
+const jobQueue = require('./jobQueue');
+const faceRecognitionService = require('./faceRecognitionService');
+const objectDetectionService = require('./objectDetectionService');
+const imageSimilarityService = require('./imageSimilarityService');
+const visualDNAService = require('./visualDNAService');
+const ocrService = require('./ocrService');
+const matchingService = require('./universalMatchingService');
+const notificationService = require('./notificationService');
+const logger = require('../config/logger');
+
+const JOB_TYPES = {
+  PROCESS: 'photo.process',
+  VISUAL_DNA: 'photo.visual_dna',
+  MATCH: 'photo.match',
+};
+
+const CONCURRENCY = parseInt(process.env.PHOTO_JOB_CONCURRENCY) || 1;
+const MAX_ATTEMPTS = parseInt(process.env.PHOTO_JOB_MAX_ATTEMPTS) || 3;
+
+/**
+ * Path of the stored upload (payloads from older jobs may omit photoPath)
+ */
+const resolvePhotoPath = (photo, photoPath) => photoPath || path.join(__dirname, '../../', photo.image_url);
+
+/**
+ * Queue AI processing for an uploaded photo
+ */
+const enqueuePhotoProcessing = (photo, photoPath) => jobQueue.enqueue(JOB_TYPES.PROCESS, {
+  photoId: photo.id,
+  photoPath: resolvePhotoPath(photo, photoPath),
+});
+
+/**
+ * Run face/object/similarity models and OCR on a photo
+ * Throws on failure so the job is retried.
+ */
+async function processPhotoWithAI({ photoId, photoPath }) {
+  const photo = await Photo.findByPk(photoId);
+  if (!photo) {
+    // Deleted while queued
+    return { skipped: 'photo not found' };
+  }
+
+  const imagePath = resolvePhotoPath(photo, photoPath);
+  logger.info(`Processing photo ${photo.id} with AI...`);
+
+  // Process photo with all AI services in parallel (including OCR)
+  const [faceResult, objectResult, imageResult, ocrResult] = await Promise.all([
+    faceRecognitionService.processPhoto(imagePath),
+    objectDetectionService.processPhoto(imagePath),
+    imageSimilarityService.processPhoto(imagePath),
+    ocrService.extractText(imagePath).catch(err => {
+      logger.warn(`OCR processing failed for photo ${photo.id}:`, err.message);
+      return { text: '', confidence: 0, identifiers: {}, processingTimeMs: 0 };
+    }),
+  ]);
+
+  // Update photo with AI results
+  photo.face_detected = faceResult.faceDetected || false;
+  photo.face_vector = faceResult.descriptor || null;
+  photo.ai_confidence_score = faceResult.confidence || null;
+
+  photo.ai_metadata = {
+    faces_count: faceResult.facesCount || 0,
+    objects_detected: objectResult.objects?.map(o => o.class) || [],
+    colors: objectResult.colors?.map(c => c.hex) || [],
+    primary_object: objectResult.primaryObject || null,
+    dominant_color: objectResult.dominantColor || null,
+    // OCR data
+    ocr: {
+      text: ocrResult.text || '',
+      confidence: ocrResult.confidence || 0,
+      identifiers: ocrResult.identifiers || {},
+      processingTimeMs: ocrResult.processingTimeMs || 0,
+      hasText: (ocrResult.text || '').trim().length > 0,
+    },
+  };
+
+  // Store image features for similarity search
+  photo.image_features = imageResult.features || null;
+  photo.upload_status = 'completed';
+  photo.upload_error = null;
+
+  await photo.save();
+
+  logger.info(`Photo ${photo.id} AI processing completed (OCR confidence: ${ocrResult.confidence}%)`);
+
+  // Follow-up steps run as their own jobs so each retries independently
+  const payload = { photoId: photo.id, caseId: photo.case_id, photoPath: imagePath };
+  await jobQueue.enqueue(JOB_TYPES.VISUAL_DNA, payload);
+  await jobQueue.enqueue(JOB_TYPES.MATCH, payload);
+
+  return { ocrConfidence: ocrResult.confidence || 0 };
+}
+
+/**
+ * Mark a photo failed once processing has been dead-lettered
+ */
+async function markPhotoFailed({ photoId }, job, error) {
+  const photo = await Photo.findByPk(photoId);
+  if (!photo) return;
+
+  photo.upload_status = 'failed';
+  photo.upload_error = `${error?.message || error} (after ${job.attempts} attempts)`;
+  await photo.save();
+}
+
+/**
+ * Extract and store Visual DNA for a processed photo
+ */
+async function extractVisualDNA({ photoId, caseId, photoPath }) {
+  if (!await Photo.count({ where: { id: photoId } })) {
+    return { skipped: 'photo not found' };
+  }
+
+  logger.info(`Extracting Visual DNA for photo ${photoId}...`);
+
+  const result = await visualDNAService.processAndSaveVisualDNA(photoId, caseId, photoPath);
+
+  logger.info(`Visual DNA extracted for photo ${photoId}`, {
+    entityType: result.entity_type,
+    processingTime: result.processing_time_ms,
+  });
+
+  return { entityType: result.entity_type };
+}
+
+/**
+ * Search for matches for a processed photo and notify both posters
+ */
+async function findMatchesForPhoto({ photoId, caseId, photoPath }) {
+  if (!await Photo.count({ where: { id: photoId } })) {
+    return { skipped: 'photo not found' };
+  }
+
+  logger.info(`Searching for matches for photo ${photoId}...`);
+
+  const matches = await matchingService.findMatchesForPhoto(photoId, caseId, photoPath);
+
+  if (matches.length > 0) {
+    logger.info(`Found ${matches.length} potential matches for photo ${photoId}`);
+    await notificationService.notifyMatchesFound(matches);
+  } else {
+    logger.info(`No matches found for photo ${photoId}`);
+  }
+
+  return { matches: matches.length };
+}
+
+jobQueue.registerHandler(JOB_TYPES.PROCESS, processPhotoWithAI, {
+  concurrency: CONCURRENCY,
+  maxAttempts: MAX_ATTEMPTS,
+  onDead: markPhotoFailed,
+});
+
+jobQueue.registerHandler(JOB_TYPES.VISUAL_DNA, extractVisualDNA, {
+  concurrency: CONCURRENCY,
+  maxAttempts: MAX_ATTEMPTS,
+});
+
+jobQueue.registerHandler(JOB_TYPES.MATCH, findMatchesForPhoto, {
+  concurrency: CONCURRENCY,
+  maxAttempts: MAX_ATTEMPTS,
+});
+
+module.exports = {
+  enqueuePhotoProcessing,
+  processPhotoWithAI,
+  extractVisualDNA,
+  findMatchesForPhoto,
+  JOB_TYPES,
+};
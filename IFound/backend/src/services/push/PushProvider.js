@@ -0,0 +1,46 @@
+/**
+ * Push Provider Interface
+ *
+ * Every push backend (FCM, APNs, loopback) extends this class.
+ * `send` must never throw for a per-device failure; it resolves with
+ * { success, id?, error?, invalidToken? } so fan-out can continue and
+ * dead tokens can be deactivated.
+ */
+
+class PushProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether credentials for this provider are present
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Deliver one message to one device
+   * @param {Object} device - DeviceToken instance ({ token, platform, provider })
+   * @param {Object} message - { title, body, data }
+   * @returns {Promise<{success: boolean, id?: string, error?: string, invalidToken?: boolean}>}
+   */
+  async send(device, message) {
+    throw new Error(`${this.name} provider does not implement send()`);
+  }
+}
+
+/**
+ * Push payload data must be flat string key/values (FCM requirement)
+ */
+const stringifyData = (data = {}) => {
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    result[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return result;
+};
+
+module.exports = PushProvider;
+module.exports.stringifyData = stringifyData;
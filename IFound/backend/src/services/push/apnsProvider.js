@@ -0,0 +1,124 @@
+/**
+ * Apple Push Notification service Provider
+ *
+ * Token-based (.p8) authentication over HTTP/2, configured with
+ * APNS_KEY_ID / APNS_TEAM_ID / APNS_PRIVATE_KEY / APNS_BUNDLE_ID.
+ * Set APNS_PRODUCTION=true to use the production gateway.
+ */
+
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const PushProvider = require('./PushProvider');
+
+const PRODUCTION_HOST = 'https://api.push.apple.com';
+const SANDBOX_HOST = 'https://api.sandbox.push.apple.com';
+
+// Provider tokens may be reused for up to an hour
+const PROVIDER_TOKEN_TTL = 50 * 60 * 1000;
+
+// APNs reasons meaning the token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+class ApnsProvider extends PushProvider {
+  constructor() {
+    super('apns');
+    this.keyId = process.env.APNS_KEY_ID;
+    this.teamId = process.env.APNS_TEAM_ID;
+    this.privateKey = (process.env.APNS_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    this.bundleId = process.env.APNS_BUNDLE_ID;
+    this.host = process.env.APNS_PRODUCTION === 'true' ? PRODUCTION_HOST : SANDBOX_HOST;
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  isConfigured() {
+    return Boolean(this.keyId && this.teamId && this.bundleId && this.privateKey.includes('PRIVATE KEY'));
+  }
+
+  getProviderToken() {
+    if (this.providerToken && Date.now() - this.providerTokenIssuedAt < PROVIDER_TOKEN_TTL) {
+      return this.providerToken;
+    }
+
+    this.providerToken = jwt.sign(
+      { iss: this.teamId, iat: Math.floor(Date.now() / 1000) },
+      this.privateKey,
+      { algorithm: 'ES256', header: { alg: 'ES256', kid: this.keyId } }
+    );
+    this.providerTokenIssuedAt = Date.now();
+    return this.providerToken;
+  }
+
+  send(device, { title, body, data = {} }) {
+    return new Promise((resolve) => {
+      let client;
+      try {
+        client = http2.connect(this.host);
+      } catch (error) {
+        return resolve({ success: false, error: error.message });
+      }
+
+      client.on('error', (error) => {
+        client.close();
+        resolve({ success: false, error: error.message });
+      });
+
+      const payload = JSON.stringify({
+        aps: {
+          alert: { title, body: body || '' },
+          sound: 'default',
+        },
+        ...data,
+      });
+
+      const request = client.request({
+        ':method': 'POST',
+        ':path': `/3/device/${device.token}`,
+        authorization: `bearer ${this.getProviderToken()}`,
+        'apns-topic': this.bundleId,
+        'apns-push-type': 'alert',
+        'content-type': 'application/json',
+      });
+
+      let status = 0;
+      let apnsId = null;
+      let responseBody = '';
+
+      request.setEncoding('utf8');
+      request.setTimeout(10000, () => request.close(http2.constants.NGHTTP2_CANCEL));
+      request.on('response', (headers) => {
+        status = headers[':status'];
+        apnsId = headers['apns-id'] || null;
+      });
+      request.on('data', (chunk) => { responseBody += chunk; });
+      request.on('end', () => {
+        client.close();
+
+        if (status === 200) {
+          return resolve({ success: true, id: apnsId });
+        }
+
+        let reason = `HTTP ${status}`;
+        try {
+          reason = JSON.parse(responseBody).reason || reason;
+        } catch (e) {
+          // Non-JSON body, keep the status code
+        }
+
+        resolve({
+          success: false,
+          error: reason,
+          invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason),
+        });
+      });
+      request.on('error', (error) => {
+        client.close();
+        resolve({ success: false, error: error.message });
+      });
+
+      request.end(payload);
+    });
+  }
+}
+
+module.exports = ApnsProvider;
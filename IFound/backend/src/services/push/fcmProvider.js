@@ -0,0 +1,101 @@
+/**
+ * Firebase Cloud Messaging Provider
+ *
+ * Sends through the FCM HTTP v1 API using the service account configured in
+ * FIREBASE_PROJECT_ID / FIREBASE_CLIENT_EMAIL / FIREBASE_PRIVATE_KEY.
+ * OAuth access tokens are minted from the service account and cached.
+ */
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const PushProvider = require('./PushProvider');
+const { stringifyData } = require('./PushProvider');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = ['UNREGISTERED', 'INVALID_ARGUMENT'];
+
+class FcmProvider extends PushProvider {
+  constructor() {
+    super('fcm');
+    this.projectId = process.env.FIREBASE_PROJECT_ID;
+    this.clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
+    // Keys stored in .env usually have escaped newlines
+    this.privateKey = (process.env.FIREBASE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return Boolean(this.projectId && this.clientEmail && this.privateKey.includes('PRIVATE KEY'));
+  }
+
+  async getAccessToken() {
+    // Refresh a minute before expiry
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: FCM_SCOPE,
+        aud: TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: 'RS256' }
+    );
+
+    const { data } = await axios.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion,
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 10000 }
+    );
+
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + data.expires_in * 1000;
+    return this.accessToken;
+  }
+
+  async send(device, { title, body, data }) {
+    try {
+      const accessToken = await this.getAccessToken();
+
+      const { data: result } = await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        {
+          message: {
+            token: device.token,
+            notification: { title, body: body || '' },
+            data: stringifyData(data),
+          },
+        },
+        {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 10000,
+        }
+      );
+
+      return { success: true, id: result.name };
+    } catch (error) {
+      const fcmError = error.response?.data?.error;
+      const errorCode = fcmError?.details?.find(d => d.errorCode)?.errorCode || fcmError?.status;
+
+      return {
+        success: false,
+        error: fcmError?.message || error.message,
+        invalidToken: INVALID_TOKEN_CODES.includes(errorCode),
+      };
+    }
+  }
+}
+
+module.exports = FcmProvider;
@@ -0,0 +1,139 @@
+/**
+ * Push Notification Service
+ *
+ * Device registration and fan-out of push messages to every active device
+ * of a user. Delivery goes through a pluggable provider per device:
+ *
+ * - ENABLE_PUSH_NOTIFICATIONS=true: the device's own provider (fcm/apns)
+ * - otherwise: the loopback provider, which records messages locally
+ *
+ * Tokens the provider reports as dead are deactivated automatically.
+ */
+
+const { DeviceToken } = require('../../models');
+const logger = require('../../config/logger');
+const PushProvider = require('./PushProvider');
+const FcmProvider = require('./fcmProvider');
+const ApnsProvider = require('./apnsProvider');
+const LoopbackProvider = require('./loopbackProvider');
+
+const providers = {
+  fcm: new FcmProvider(),
+  apns: new ApnsProvider(),
+  loopback: new LoopbackProvider(),
+};
+
+const isLiveDelivery = () => process.env.ENABLE_PUSH_NOTIFICATIONS === 'true';
+
+/**
+ * Resolve the provider that should deliver to a device
+ */
+const getProviderFor = (device) => {
+  if (!isLiveDelivery()) {
+    return providers.loopback;
+  }
+  return providers[device.provider] || null;
+};
+
+/**
+ * Replace a provider (e.g. with a custom implementation or a test double)
+ */
+const registerProvider = (name, provider) => {
+  if (!(provider instanceof PushProvider)) {
+    throw new Error('Push providers must extend PushProvider');
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Register (or re-register) a device token for a user
+ * A token moves to the new user if the device signs into another account.
+ */
+const registerDevice = async (userId, { token, platform, provider, device_name, app_version }) => {
+  // Firebase issues FCM tokens on iOS too; raw APNs tokens must say so explicitly
+  const resolvedProvider = provider || 'fcm';
+
+  const [device, created] = await DeviceToken.findOrCreate({
+    where: { token },
+    defaults: {
+      user_id: userId,
+      token,
+      platform,
+      provider: resolvedProvider,
+      device_name: device_name || null,
+      app_version: app_version || null,
+      last_seen_at: new Date(),
+    },
+  });
+
+  if (!created) {
+    device.user_id = userId;
+    device.platform = platform;
+    device.provider = resolvedProvider;
+    if (device_name !== undefined) device.device_name = device_name;
+    if (app_version !== undefined) device.app_version = app_version;
+    device.is_active = true;
+    device.last_error = null;
+    device.last_seen_at = new Date();
+    await device.save();
+  }
+
+  return device;
+};
+
+/**
+ * Remove a device token belonging to a user (sign-out)
+ */
+const unregisterDevice = async (userId, token) => {
+  return DeviceToken.destroy({ where: { user_id: userId, token } });
+};
+
+/**
+ * Send a message to every active device of a user
+ * @returns {Promise<{devices: number, sent: number, failed: number}>}
+ */
+const sendToUser = async (userId, message) => {
+  const devices = await DeviceToken.findAll({
+    where: { user_id: userId, is_active: true },
+  });
+
+  const results = await Promise.all(devices.map(async (device) => {
+    const provider = getProviderFor(device);
+
+    if (!provider || !provider.isConfigured()) {
+      logger.warn(`Push provider '${device.provider}' not configured, skipping device ${device.id}`);
+      return { success: false };
+    }
+
+    const result = await provider.send(device, message);
+
+    if (!result.success) {
+      logger.warn(`Push via ${provider.name} failed for device ${device.id}: ${result.error}`);
+      device.last_error = result.error ? String(result.error).slice(0, 255) : null;
+      if (result.invalidToken) {
+        device.is_active = false;
+      }
+      await device.save();
+    }
+
+    return result;
+  }));
+
+  const sent = results.filter(r => r.success).length;
+
+  return {
+    devices: devices.length,
+    sent,
+    failed: devices.length - sent,
+  };
+};
+
+module.exports = {
+  registerDevice,
+  unregisterDevice,
+  sendToUser,
+  registerProvider,
+  getProviderFor,
+  loopbackProvider: providers.loopback,
+  PushProvider,
+};
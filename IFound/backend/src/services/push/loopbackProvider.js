@@ -0,0 +1,69 @@
+/**
+ * Loopback Push Provider
+ *
+ * Local stand-in for FCM/APNs used in development and tests.
+ * Messages are kept in memory (inspect with getSent()) and, when
+ * PUSH_LOOPBACK_FILE is set, appended to that file as JSON lines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PushProvider = require('./PushProvider');
+
+// Keep memory bounded in long-running dev servers
+const MAX_STORED_MESSAGES = 500;
+
+class LoopbackProvider extends PushProvider {
+  constructor() {
+    super('loopback');
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(device, { title, body, data = {} }) {
+    const entry = {
+      id: `loopback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      user_id: device.user_id,
+      token: device.token,
+      provider: device.provider,
+      platform: device.platform,
+      title,
+      body,
+      data,
+      sent_at: new Date().toISOString(),
+    };
+
+    this.sent.push(entry);
+    if (this.sent.length > MAX_STORED_MESSAGES) {
+      this.sent.shift();
+    }
+
+    const file = process.env.PUSH_LOOPBACK_FILE;
+    if (file) {
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    return { success: true, id: entry.id };
+  }
+
+  /**
+   * Messages delivered so far, optionally filtered by user
+   */
+  getSent(userId = null) {
+    return userId ? this.sent.filter(m => m.user_id === userId) : [...this.sent];
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = LoopbackProvider;
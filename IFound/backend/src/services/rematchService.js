@@ -0,0 +1,207 @@
+/**
+ * Rematch Service
+ *
+ * Matching normally runs once, when a photo is uploaded. This re-scores
+ * existing photos in the background so older cases pick up the matches
+ * they'd get today:
+ *
+ * - category weights activated or rolled back -> whole catalogue
+ * - a case's category or location edited      -> that case
+ * - Visual DNA re-extracted (reprocessOutdated) -> the affected cases
+ * - admin request                              -> selected cases or the catalogue
+ *
+ * A run (RematchRun) is worked through by 'match.rematch' jobs, each taking
+ * the next BATCH_SIZE photos after the run's cursor and queueing the next
+ * batch. universalMatchingService.matchPhoto re-scores open matches in place,
+ * so photos redone after a retry don't create duplicates. New matches are
+ * notified like those found on upload.
+ *
+ * The catalogue is matched from the lost-item side: each comparison covers
+ * the pair, so going over found items as well would score everything twice.
+ */
+
+const path = require('path');
+const { Op } = require('sequelize');
+const { RematchRun, Photo, Case } = require('../models');
+const jobQueue = require('./jobQueue');
+const matchingService = require('./universalMatchingService');
+const notificationService = require('./notificationService');
+const logger = require('../config/logger');
+
+const JOB_TYPE = 'match.rematch';
+const BATCH_SIZE = parseInt(process.env.REMATCH_BATCH_SIZE) || 20;
+const UNFINISHED_STATUSES = ['pending', 'running'];
+
+/**
+ * Photos a run covers (finished uploads only)
+ */
+const photoQuery = ({ scope, case_ids }) => ({
+  where: { upload_status: 'completed' },
+  include: [{
+    model: Case,
+    as: 'case',
+    attributes: [],
+    where: scope === 'catalogue'
+      ? { status: 'active', case_type: 'lost_item' }
+      : { id: case_ids },
+  }],
+});
+
+/**
+ * Run with its progress as a percentage
+ */
+const withProgress = (run) => {
+  const data = run.toJSON();
+  if (run.status === 'completed') {
+    data.progress = 100;
+  } else {
+    data.progress = run.total_photos > 0
+      ? Math.min(100, Math.round((run.processed_photos / run.total_photos) * 100))
+      : 0;
+  }
+  return data;
+};
+
+/**
+ * Start a re-matching run
+ *
+ * A new catalogue run supersedes unfinished ones (they would finish with a
+ * mix of old and new weights). A case run is skipped when a pending run
+ * already covers the same cases.
+ * @param {Object} options - { caseIds, reason, requestedBy }; without caseIds the whole catalogue
+ * @returns {Promise<Object>} - { success, run } or { success: false, status, message }
+ */
+const startRun = async ({ caseIds = null, reason = 'manual', requestedBy = null } = {}) => {
+  const scope = caseIds ? 'cases' : 'catalogue';
+
+  if (scope === 'cases') {
+    if (!Array.isArray(caseIds) || caseIds.length === 0) {
+      return { success: false, status: 400, message: 'case_ids must be a non-empty list' };
+    }
+
+    const pending = await RematchRun.findAll({ where: { scope: 'cases', status: 'pending' } });
+    const covering = pending.find(run => caseIds.every(id => run.case_ids.includes(id)));
+    if (covering) return { success: true, run: covering, existing: true };
+  } else {
+    await RematchRun.update(
+      { status: 'cancelled', completed_at: new Date(), last_error: 'Superseded by a newer catalogue run' },
+      { where: { scope: 'catalogue', status: UNFINISHED_STATUSES } }
+    );
+  }
+
+  const caseIdList = caseIds ? [...new Set(caseIds)] : [];
+  const totalPhotos = await Photo.count(photoQuery({ scope, case_ids: caseIdList }));
+
+  const run = await RematchRun.create({
+    scope,
+    case_ids: caseIdList,
+    reason,
+    requested_by: requestedBy,
+    total_photos: totalPhotos,
+  });
+
+  await jobQueue.enqueue(JOB_TYPE, { runId: run.id });
+
+  logger.info(`[Rematch] Queued ${scope} run ${run.id} (${reason}, ${totalPhotos} photos)`);
+  return { success: true, run };
+};
+
+/**
+ * Re-score the next batch of a run's photos, then queue the batch after it
+ */
+const processBatch = async ({ runId }) => {
+  const run = await RematchRun.findByPk(runId);
+  if (!run || !UNFINISHED_STATUSES.includes(run.status)) {
+    return { skipped: run ? `run ${run.status}` : 'run not found' };
+  }
+
+  if (run.status === 'pending') {
+    await run.update({ status: 'running', started_at: new Date() });
+  }
+
+  const query = photoQuery(run);
+  if (run.cursor) query.where.id = { [Op.gt]: run.cursor };
+
+  const photos = await Photo.findAll({
+    ...query,
+    attributes: ['id', 'case_id', 'image_url'],
+    order: [['id', 'ASC']],
+    limit: BATCH_SIZE,
+  });
+
+  for (const photo of photos) {
+    // Stopped by an admin or superseded while this batch was running
+    const current = await RematchRun.findByPk(run.id, { attributes: ['status'] });
+    if (current.status !== 'running') return { stopped: current.status };
+
+    try {
+      const imagePath = path.join(__dirname, '../../', photo.image_url);
+      const { created, updated } = await matchingService.matchPhoto(photo.id, photo.case_id, imagePath);
+
+      if (created.length > 0) {
+        await notificationService.notifyMatchesFound(created);
+      }
+      run.matches_created += created.length;
+      run.matches_updated += updated.length;
+    } catch (error) {
+      // One bad photo (e.g. missing file) shouldn't stop the run
+      logger.warn(`[Rematch] Photo ${photo.id} failed in run ${run.id}:`, error.message);
+      run.failed_photos += 1;
+      run.last_error = `Photo ${photo.id}: ${error.message}`;
+    }
+
+    run.processed_photos += 1;
+    run.cursor = photo.id;
+    await run.save();
+  }
+
+  if (photos.length < BATCH_SIZE) {
+    await run.update({ status: 'completed', completed_at: new Date() });
+    logger.info(`[Rematch] Run ${run.id} completed: ${run.processed_photos} photos, ${run.matches_created} new matches, ${run.matches_updated} re-scored`);
+    return { completed: true, processed: run.processed_photos };
+  }
+
+  await jobQueue.enqueue(JOB_TYPE, { runId: run.id });
+  return { completed: false, processed: run.processed_photos };
+};
+
+/**
+ * Mark a run failed once its batch job has been dead-lettered
+ */
+const markRunFailed = async ({ runId }, job, error) => {
+  await RematchRun.update(
+    { status: 'failed', completed_at: new Date(), last_error: `${error?.message || error} (after ${job.attempts} attempts)` },
+    { where: { id: runId, status: UNFINISHED_STATUSES } }
+  );
+};
+
+/**
+ * Stop a run; matches already re-scored keep their new scores
+ */
+const cancelRun = async (id, adminId) => {
+  const run = await RematchRun.findByPk(id);
+  if (!run) return { success: false, status: 404, message: 'Run not found' };
+  if (!UNFINISHED_STATUSES.includes(run.status)) {
+    return { success: false, status: 409, message: `This run is already ${run.status}` };
+  }
+
+  await run.update({ status: 'cancelled', completed_at: new Date() });
+  logger.audit('rematch_run_cancelled', adminId, { runId: id, processed: run.processed_photos });
+
+  return { success: true, message: 'Run cancelled', run };
+};
+
+jobQueue.registerHandler(JOB_TYPE, processBatch, {
+  concurrency: 1,
+  maxAttempts: 3,
+  onDead: markRunFailed,
+});
+
+module.exports = {
+  startRun,
+  processBatch,
+  cancelRun,
+  withProgress,
+  JOB_TYPE,
+  BATCH_SIZE,
+};
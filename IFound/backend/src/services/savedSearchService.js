@@ -0,0 +1,264 @@
+/**
+ * Saved Search Service
+ *
+ * Matches newly created cases against users' saved searches and delivers
+ * alerts, either instantly or collected into daily/weekly digests.
+ * Every alert email carries a signed one-click unsubscribe link.
+ */
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { SavedSearch, Case, sequelize } = require('../models');
+const notificationService = require('./notificationService');
+const scheduler = require('./scheduler');
+const logger = require('../config/logger');
+const { haversineDistance, extractCoordinates } = require('../utils/geoUtils');
+
+const ALERT_FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+const DIGEST_INTERVALS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// How often the scheduler looks for digests that are due
+const DIGEST_CHECK_INTERVAL_MS = parseInt(process.env.ALERT_DIGEST_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Cases listed in one digest (newest first)
+const MAX_DIGEST_CASES = 20;
+
+const UNSUBSCRIBE_PURPOSE = 'saved_search_unsubscribe';
+
+/**
+ * Create a signed token that disables alerts for one saved search
+ */
+const createUnsubscribeToken = (search) => jwt.sign(
+  { saved_search_id: search.id, purpose: UNSUBSCRIBE_PURPOSE },
+  process.env.JWT_SECRET
+);
+
+/**
+ * Public unsubscribe link for alert emails
+ */
+const getUnsubscribeUrl = (search) => {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const apiVersion = process.env.API_VERSION || 'v1';
+  return `${baseUrl}/api/${apiVersion}/saved-searches/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(search))}`;
+};
+
+/**
+ * Disable alerts for the saved search named in an unsubscribe token
+ * @returns {Promise<object|null>} - The updated SavedSearch, or null if the token is invalid
+ */
+const unsubscribe = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== UNSUBSCRIBE_PURPOSE) {
+    return null;
+  }
+
+  const search = await SavedSearch.findByPk(payload.saved_search_id);
+  if (!search) {
+    return null;
+  }
+
+  if (search.alerts_enabled) {
+    search.alerts_enabled = false;
+    search.pending_case_ids = [];
+    await search.save();
+    logger.info(`Saved search ${search.id} unsubscribed via email link`);
+  }
+
+  return search;
+};
+
+/**
+ * Check a case against one saved search
+ * @returns {object|null} - { distanceMiles } when the case matches, otherwise null
+ */
+const matchSearch = (search, caseData) => {
+  if (search.case_type && search.case_type !== caseData.case_type) {
+    return null;
+  }
+
+  if (search.item_category && search.item_category !== caseData.item_category) {
+    return null;
+  }
+
+  if (search.min_bounty != null && parseFloat(caseData.bounty_amount) < parseFloat(search.min_bounty)) {
+    return null;
+  }
+
+  if (search.keywords?.length) {
+    const text = `${caseData.title || ''} ${caseData.description || ''}`.toLowerCase();
+    if (!search.keywords.every(keyword => text.includes(keyword.toLowerCase()))) {
+      return null;
+    }
+  }
+
+  let distanceMiles = null;
+  if (search.latitude != null && search.longitude != null) {
+    const coords = extractCoordinates(caseData);
+    if (!coords) {
+      return null;
+    }
+
+    distanceMiles = haversineDistance(search.latitude, search.longitude, coords.lat, coords.lng);
+    if (distanceMiles > search.radius_miles) {
+      return null;
+    }
+  }
+
+  return { distanceMiles };
+};
+
+/**
+ * Evaluate a newly created case against every enabled saved search
+ * Instant subscribers are alerted now (once per user even if several of
+ * their searches match); digest subscribers get the case queued.
+ * Never throws.
+ * @param {object} caseData - The new Case
+ * @returns {Promise<number>} - Number of searches matched
+ */
+const evaluateNewCase = async (caseData) => {
+  try {
+    if (caseData.status !== 'active') {
+      return 0;
+    }
+
+    // Cheap criteria in SQL; keywords and distance are checked per search
+    const searches = await SavedSearch.findAll({
+      where: {
+        alerts_enabled: true,
+        user_id: { [Op.ne]: caseData.poster_id },
+        case_type: { [Op.or]: [{ [Op.is]: null }, caseData.case_type] },
+        item_category: caseData.item_category
+          ? { [Op.or]: [{ [Op.is]: null }, caseData.item_category] }
+          : { [Op.is]: null },
+        min_bounty: { [Op.or]: [{ [Op.is]: null }, { [Op.lte]: caseData.bounty_amount }] },
+      },
+    });
+
+    const alertedUsers = new Set();
+    let matched = 0;
+
+    for (const search of searches) {
+      const match = matchSearch(search, caseData);
+      if (!match) continue;
+      matched++;
+
+      if (search.alert_frequency === 'instant') {
+        if (alertedUsers.has(search.user_id)) continue;
+        alertedUsers.add(search.user_id);
+
+        await notificationService.notifyCaseAlert(search, caseData, {
+          distanceMiles: match.distanceMiles,
+          unsubscribeUrl: getUnsubscribeUrl(search),
+        });
+        await search.update({ last_alerted_at: new Date() });
+      } else {
+        // Append atomically; concurrent case creation may hit the same search
+        await SavedSearch.update(
+          {
+            pending_case_ids: sequelize.literal(
+              `pending_case_ids || ${sequelize.escape(JSON.stringify([caseData.id]))}::jsonb`
+            ),
+          },
+          { where: { id: search.id } }
+        );
+      }
+    }
+
+    if (matched > 0) {
+      logger.info(`Case ${caseData.id} matched ${matched} saved searches`);
+    }
+
+    return matched;
+  } catch (error) {
+    logger.error(`Failed to evaluate saved searches for case ${caseData.id}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Send every daily/weekly digest that is due
+ * @param {Date} now - Reference time (for tests)
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVALS_MS)) {
+    const searches = await SavedSearch.findAll({
+      where: {
+        alerts_enabled: true,
+        alert_frequency: frequency,
+        [Op.or]: [
+          { last_alerted_at: null },
+          { last_alerted_at: { [Op.lte]: new Date(now.getTime() - interval) } },
+        ],
+      },
+    });
+
+    for (const search of searches) {
+      const caseIds = [...new Set(search.pending_case_ids || [])];
+      if (caseIds.length === 0) continue;
+
+      // Skip cases resolved or removed since they were queued
+      const cases = await Case.findAll({
+        where: { id: caseIds, status: 'active' },
+        order: [['created_at', 'DESC']],
+        limit: MAX_DIGEST_CASES,
+      });
+
+      if (cases.length > 0) {
+        const digestCases = cases.map((caseData) => {
+          const match = matchSearch(search, caseData);
+          return {
+            ...caseData.toJSON(),
+            distance_miles: match?.distanceMiles != null ? Math.round(match.distanceMiles * 100) / 100 : null,
+          };
+        });
+
+        await notificationService.notifyCaseAlertDigest(search, digestCases, getUnsubscribeUrl(search));
+        sent++;
+      }
+
+      // Remove only what was read; cases queued meanwhile wait for the next digest
+      await SavedSearch.update(
+        {
+          pending_case_ids: sequelize.literal(
+            `pending_case_ids - ${sequelize.escape(`{${caseIds.join(',')}}`)}::text[]`
+          ),
+          last_alerted_at: now,
+        },
+        { where: { id: search.id } }
+      );
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} saved search digests`);
+  }
+
+  return sent;
+};
+
+// Sent from whichever server or worker holds the task's lock, so each digest
+// goes out once however many processes are running
+scheduler.registerTask('saved_searches.digests', () => sendDigests(), { intervalMs: DIGEST_CHECK_INTERVAL_MS });
+
+module.exports = {
+  evaluateNewCase,
+  matchSearch,
+  sendDigests,
+  unsubscribe,
+  getUnsubscribeUrl,
+  createUnsubscribeToken,
+  ALERT_FREQUENCIES,
+};
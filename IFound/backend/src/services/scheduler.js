@@ -0,0 +1,148 @@
+/**
+ * Scheduler
+ *
+ * Runs periodic maintenance tasks (case expiry sweeps and the like) on a
+ * fixed interval. Each run holds a Postgres advisory lock named after the
+ * task, so when several API servers and workers all run the scheduler only
+ * one of them executes a given task at a time; the others skip that tick.
+ *
+ * Usage:
+ *   scheduler.registerTask('cases.lifecycle', sweepCaseLifecycle, { intervalMs: 60 * 60 * 1000 });
+ *   scheduler.start();              // server.js / worker.js
+ *   await scheduler.runTask(name);  // run now (admin trigger, tests)
+ */
+
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+
+const tasks = new Map();
+
+let running = false;
+
+/**
+ * Register a periodic task
+ * @param {string} name - Unique task name (also the advisory lock key)
+ * @param {Function} fn - async () => result; result is kept for getStatus()
+ * @param {Object} options
+ * @param {number} options.intervalMs - Time between runs
+ * @param {boolean} options.runOnStart - Also run shortly after start()
+ */
+const registerTask = (name, fn, { intervalMs, runOnStart = true } = {}) => {
+  if (!intervalMs || intervalMs <= 0) {
+    throw new Error(`Scheduled task ${name} needs a positive intervalMs`);
+  }
+
+  tasks.set(name, {
+    fn,
+    intervalMs,
+    runOnStart,
+    timer: null,
+    inProgress: false,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastResult: null,
+    lastError: null,
+  });
+};
+
+/**
+ * Run a task now, unless it is already running here or in another process
+ * @returns {Promise<object>} - { ran, result?, error? }
+ */
+const runTask = async (name) => {
+  const task = tasks.get(name);
+  if (!task) {
+    throw new Error(`Unknown scheduled task: ${name}`);
+  }
+
+  if (task.inProgress) {
+    return { ran: false };
+  }
+
+  task.inProgress = true;
+  const startTime = Date.now();
+
+  try {
+    // The transaction only holds the lock; the task uses its own connections
+    const outcome = await sequelize.transaction(async (transaction) => {
+      const [[{ locked }]] = await sequelize.query(
+        'SELECT pg_try_advisory_xact_lock(hashtext(:key)) AS locked',
+        { replacements: { key: `scheduler:${name}` }, transaction }
+      );
+
+      if (!locked) {
+        return { ran: false };
+      }
+
+      return { ran: true, result: await task.fn() };
+    });
+
+    if (outcome.ran) {
+      task.lastRunAt = new Date(startTime);
+      task.lastDurationMs = Date.now() - startTime;
+      task.lastResult = outcome.result ?? null;
+      task.lastError = null;
+      logger.debug(`Scheduled task ${name} finished in ${task.lastDurationMs}ms`);
+    }
+
+    return outcome;
+  } catch (error) {
+    task.lastRunAt = new Date(startTime);
+    task.lastDurationMs = Date.now() - startTime;
+    task.lastError = error.message;
+    logger.error(`Scheduled task ${name} failed:`, error);
+    return { ran: true, error: error.message };
+  } finally {
+    task.inProgress = false;
+  }
+};
+
+/**
+ * Start running every registered task on its interval
+ */
+const start = () => {
+  if (running) return;
+  running = true;
+
+  for (const [name, task] of tasks) {
+    task.timer = setInterval(() => runTask(name), task.intervalMs);
+    // Don't keep the process alive just for maintenance
+    task.timer.unref();
+
+    if (task.runOnStart) {
+      setTimeout(() => runTask(name), 0).unref();
+    }
+  }
+
+  logger.info(`Scheduler started (${[...tasks.keys()].join(', ') || 'no tasks'})`);
+};
+
+const stop = () => {
+  running = false;
+  for (const task of tasks.values()) {
+    clearInterval(task.timer);
+    task.timer = null;
+  }
+};
+
+/**
+ * Last outcome of each task in this process (admin dashboard)
+ */
+const getStatus = () => [...tasks].map(([name, task]) => ({
+  name,
+  interval_ms: task.intervalMs,
+  in_progress: task.inProgress,
+  last_run_at: task.lastRunAt,
+  last_duration_ms: task.lastDurationMs,
+  last_result: task.lastResult,
+  last_error: task.lastError,
+}));
+
+module.exports = {
+  registerTask,
+  runTask,
+  start,
+  stop,
+  getStatus,
+  hasTask: (name) => tasks.has(name),
+};
@@ -0,0 +1,217 @@
+/**
+ * Session Service
+ *
+ * Issues access/refresh token pairs tied to a per-device UserSession.
+ * Refresh tokens are single use: each refresh swaps in a new one and only
+ * its hash is stored. If an already rotated token comes back, someone else
+ * holds a copy, so the session (the whole token family) is revoked and both
+ * parties have to log in again.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, UserSession } = require('../models');
+const logger = require('../config/logger');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const INVALID_REFRESH_TOKEN = { success: false, status: 403, message: 'Invalid refresh token' };
+
+// Generate JWT access token
+const generateAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+);
+
+// Generate refresh token; jti keeps tokens unique within the same second
+const generateRefreshToken = (userId, sessionId) => {
+  const refreshToken = jwt.sign(
+    { userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+  );
+
+  return {
+    refreshToken,
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+};
+
+const describeDevice = (req) => ({
+  device_name: req.body?.device_name ? String(req.body.device_name).slice(0, 100) : null,
+  user_agent: req.get('user-agent')?.slice(0, 500) || null,
+  ip_address: req.ip || null,
+});
+
+/**
+ * Start a new session for a user who just logged in or registered
+ * @returns {Promise<object>} - { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, expiresAt } = generateRefreshToken(user.id, sessionId);
+
+  const session = await UserSession.create({
+    id: sessionId,
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    expires_at: expiresAt,
+    ...describeDevice(req),
+  });
+
+  return {
+    token: generateAccessToken(user.id, sessionId),
+    refreshToken,
+    session,
+  };
+};
+
+// End the live chat connections of revoked sessions (required lazily: the
+// socket service authenticates through this one)
+const disconnectSockets = (userId, filter) => {
+  require('./chatSocketService').disconnectSessions(userId, filter);
+};
+
+const revokeForReuse = async (session, req) => {
+  await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: 'token_reuse' },
+    { where: { id: session.id, revoked_at: null } }
+  );
+  disconnectSockets(session.user_id, { sessionId: session.id });
+
+  logger.security('Refresh token reuse detected, session revoked', {
+    userId: session.user_id,
+    sessionId: session.id,
+    ip: req.ip,
+  });
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @returns {Promise<object>} - { success, status?, message?, token?, refreshToken? }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return INVALID_REFRESH_TOKEN;
+  }
+
+  // Tokens issued before sessions existed carry no sid and can't be revoked,
+  // so they are no longer accepted
+  const session = decoded.sid ? await UserSession.findByPk(decoded.sid) : null;
+  if (!session || session.user_id !== decoded.userId || !session.isActive()) {
+    return INVALID_REFRESH_TOKEN;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.refresh_token_hash) {
+    await revokeForReuse(session, req);
+    return INVALID_REFRESH_TOKEN;
+  }
+
+  const user = await User.findByPk(session.user_id);
+  if (!user || !user.is_active || user.is_suspended) {
+    return INVALID_REFRESH_TOKEN;
+  }
+
+  const next = generateRefreshToken(user.id, session.id);
+
+  // Conditional on the presented hash so two concurrent refreshes with the
+  // same token can't both succeed; the loser is treated as reuse
+  const { user_agent, ip_address } = describeDevice(req);
+  const [rotated] = await UserSession.update(
+    {
+      refresh_token_hash: hashToken(next.refreshToken),
+      expires_at: next.expiresAt,
+      last_used_at: new Date(),
+      user_agent,
+      ip_address,
+    },
+    { where: { id: session.id, refresh_token_hash: presentedHash, revoked_at: null } }
+  );
+
+  if (!rotated) {
+    await revokeForReuse(session, req);
+    return INVALID_REFRESH_TOKEN;
+  }
+
+  return {
+    success: true,
+    token: generateAccessToken(user.id, session.id),
+    refreshToken: next.refreshToken,
+  };
+};
+
+/**
+ * Whether an access token's session is still signed in
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await UserSession.findByPk(sessionId, {
+    attributes: ['id', 'revoked_at', 'expires_at'],
+  });
+
+  return !!session && session.isActive();
+};
+
+/**
+ * Active sessions for a user, most recently used first
+ */
+const listSessions = (userId) => UserSession.findAll({
+  where: {
+    user_id: userId,
+    revoked_at: null,
+    expires_at: { [Op.gt]: new Date() },
+  },
+  order: [['last_used_at', 'DESC']],
+});
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} - false if no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  const [revoked] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { id: sessionId, user_id: userId, revoked_at: null } }
+  );
+
+  if (revoked > 0) {
+    disconnectSockets(userId, { sessionId });
+  }
+
+  return revoked > 0;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping the current one
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { exceptSessionId = null, reason = 'user_revoked' } = {}) => {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [revoked] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where }
+  );
+
+  disconnectSockets(userId, { exceptSessionId });
+
+  return revoked;
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
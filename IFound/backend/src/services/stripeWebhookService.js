@@ -0,0 +1,336 @@
+/**
+ * Stripe Webhook Service
+ *
+ * Verifies Stripe webhook signatures and reconciles Transaction rows with
+ * what actually happened in Stripe:
+ *
+ *   payment_intent.processing       bounty payment pending -> processing
+ *   payment_intent.succeeded        bounty payment -> escrow
+ *   payment_intent.payment_failed   bounty payment -> failed (failed_at, failure_reason)
+ *   payment_intent.canceled         bounty payment -> cancelled
+ *   charge.refunded                 full refund -> refunded; partial refund recorded in metadata
+ *   charge.dispute.*                dispute recorded in metadata; a lost dispute -> refunded
+ *   payout.created / updated        withdrawal -> processing, stripe_payout_id set
+ *   payout.paid                     withdrawal -> completed
+ *   payout.failed / canceled        withdrawal -> failed
+ *
+ * Idempotency: each event ID is recorded in stripe_events in the same
+ * database transaction as its changes, so redeliveries are acknowledged
+ * without being applied twice. Transitions are also guarded by the current
+ * status, so out-of-order events can't move a transaction backwards.
+ *
+ * Finders are notified when a payout completes or fails their withdrawal.
+ */
+
+const Stripe = require('stripe');
+const { Op } = require('sequelize');
+const { Transaction, StripeEvent, sequelize } = require('../models');
+const logger = require('../config/logger');
+const notificationService = require('./notificationService');
+
+// Max age (seconds) of a signed payload, guards against replayed requests
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Verify the Stripe-Signature header and parse the event
+ * Throws Stripe's StripeSignatureVerificationError if the signature is invalid.
+ *
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} - Stripe event
+ */
+const constructEvent = (rawBody, signature) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+
+  return Stripe.webhooks.constructEvent(rawBody, signature, secret, SIGNATURE_TOLERANCE_SECONDS);
+};
+
+/**
+ * Apply changes only if the transaction is in one of the allowed statuses
+ * @returns {Promise<string>} - New status, or 'unchanged'
+ */
+const transition = async (transaction, allowedFrom, changes, t) => {
+  if (!allowedFrom.includes(transaction.status)) {
+    return 'unchanged';
+  }
+
+  await transaction.update(changes, { transaction: t });
+  return changes.status || 'updated';
+};
+
+const mergeMetadata = (transaction, values) => ({ ...(transaction.metadata || {}), ...values });
+
+const findPaymentTransaction = (paymentIntentId, t) => {
+  if (!paymentIntentId) return null;
+
+  return Transaction.findOne({
+    where: {
+      stripe_payment_intent_id: paymentIntentId,
+      transaction_type: 'bounty_payment',
+    },
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+};
+
+const findPayoutTransaction = (payout, t) => {
+  const conditions = [{ stripe_payout_id: payout.id }];
+  if (payout.metadata?.transaction_id) {
+    conditions.push({ id: payout.metadata.transaction_id });
+  }
+
+  return Transaction.findOne({
+    where: {
+      transaction_type: 'withdrawal',
+      [Op.or]: conditions,
+    },
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+};
+
+// Charges reference their payment intent by ID (or expanded object)
+const paymentIntentIdOf = (object) => (
+  typeof object.payment_intent === 'string' ? object.payment_intent : object.payment_intent?.id
+);
+
+/**
+ * Event handlers: (stripeObject, t) => { transaction, outcome }
+ */
+const onPaymentIntentProcessing = async (paymentIntent, t) => {
+  const transaction = await findPaymentTransaction(paymentIntent.id, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  const outcome = await transition(transaction, ['pending'], { status: 'processing' }, t);
+  return { transaction, outcome };
+};
+
+const onPaymentIntentSucceeded = async (paymentIntent, t) => {
+  const transaction = await findPaymentTransaction(paymentIntent.id, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  // A failed attempt can still succeed on retry with the same payment intent
+  const outcome = await transition(transaction, ['pending', 'processing', 'failed'], {
+    status: 'escrow',
+    failure_reason: null,
+    metadata: mergeMetadata(transaction, { amount_received: paymentIntent.amount_received / 100 }),
+  }, t);
+  return { transaction, outcome };
+};
+
+const onPaymentIntentFailed = async (paymentIntent, t) => {
+  const transaction = await findPaymentTransaction(paymentIntent.id, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  const error = paymentIntent.last_payment_error;
+  const outcome = await transition(transaction, ['pending', 'processing'], {
+    status: 'failed',
+    failed_at: new Date(),
+    failure_reason: error?.message || error?.code || 'Payment failed',
+  }, t);
+  return { transaction, outcome };
+};
+
+const onPaymentIntentCanceled = async (paymentIntent, t) => {
+  const transaction = await findPaymentTransaction(paymentIntent.id, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  const outcome = await transition(transaction, ['pending', 'processing', 'failed'], {
+    status: 'cancelled',
+    failure_reason: paymentIntent.cancellation_reason || 'Payment cancelled',
+  }, t);
+  return { transaction, outcome };
+};
+
+const onChargeRefunded = async (charge, t) => {
+  const transaction = await findPaymentTransaction(paymentIntentIdOf(charge), t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  const metadata = mergeMetadata(transaction, { amount_refunded: charge.amount_refunded / 100 });
+
+  if (charge.amount_refunded < charge.amount) {
+    await transaction.update({ metadata }, { transaction: t });
+    return { transaction, outcome: 'partially_refunded' };
+  }
+
+  // refundPayment() already marks refunds it starts; this catches refunds
+  // issued from the Stripe dashboard
+  const outcome = await transition(transaction, ['pending', 'processing', 'escrow', 'completed', 'failed'], {
+    status: 'refunded',
+    refunded_at: new Date(),
+    refund_reason: transaction.refund_reason || charge.refunds?.data?.[0]?.reason || 'Refunded in Stripe',
+    metadata,
+  }, t);
+  return { transaction, outcome };
+};
+
+const onDisputeUpdated = async (dispute, t) => {
+  const transaction = await findPaymentTransaction(paymentIntentIdOf(dispute), t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  await transaction.update({
+    metadata: mergeMetadata(transaction, {
+      dispute: {
+        id: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: dispute.amount / 100,
+      },
+    }),
+  }, { transaction: t });
+
+  logger.security('Stripe charge disputed', {
+    transactionId: transaction.id,
+    disputeId: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+  });
+
+  return { transaction, outcome: `dispute_${dispute.status}` };
+};
+
+const onDisputeClosed = async (dispute, t) => {
+  const result = await onDisputeUpdated(dispute, t);
+  if (!result.transaction || dispute.status !== 'lost') return result;
+
+  // A lost dispute returns the funds to the cardholder
+  const outcome = await transition(result.transaction, ['pending', 'processing', 'escrow', 'completed'], {
+    status: 'refunded',
+    refunded_at: new Date(),
+    refund_reason: `Chargeback lost (${dispute.reason})`,
+  }, t);
+  return { transaction: result.transaction, outcome };
+};
+
+const onPayoutUpdated = async (payout, t) => {
+  const transaction = await findPayoutTransaction(payout, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  if (!transaction.stripe_payout_id) {
+    await transaction.update({ stripe_payout_id: payout.id }, { transaction: t });
+  }
+
+  const outcome = await transition(transaction, ['pending'], { status: 'processing' }, t);
+  return { transaction, outcome };
+};
+
+const onPayoutPaid = async (payout, t) => {
+  const transaction = await findPayoutTransaction(payout, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  const outcome = await transition(transaction, ['pending', 'processing'], {
+    status: 'completed',
+    stripe_payout_id: payout.id,
+    completed_at: payout.arrival_date ? new Date(payout.arrival_date * 1000) : new Date(),
+  }, t);
+  return { transaction, outcome };
+};
+
+const onPayoutFailed = async (payout, t) => {
+  const transaction = await findPayoutTransaction(payout, t);
+  if (!transaction) return { transaction: null, outcome: 'transaction_not_found' };
+
+  // Stripe can report a payout failed after first reporting it paid
+  const outcome = await transition(transaction, ['pending', 'processing', 'completed'], {
+    status: 'failed',
+    stripe_payout_id: payout.id,
+    failed_at: new Date(),
+    failure_reason: payout.failure_message || payout.failure_code || `Payout ${payout.status}`,
+  }, t);
+  return { transaction, outcome };
+};
+
+const HANDLERS = {
+  'payment_intent.processing': onPaymentIntentProcessing,
+  'payment_intent.succeeded': onPaymentIntentSucceeded,
+  'payment_intent.payment_failed': onPaymentIntentFailed,
+  'payment_intent.canceled': onPaymentIntentCanceled,
+  'charge.refunded': onChargeRefunded,
+  'charge.dispute.created': onDisputeUpdated,
+  'charge.dispute.updated': onDisputeUpdated,
+  'charge.dispute.closed': onDisputeClosed,
+  'payout.created': onPayoutUpdated,
+  'payout.updated': onPayoutUpdated,
+  'payout.paid': onPayoutPaid,
+  'payout.failed': onPayoutFailed,
+  'payout.canceled': onPayoutFailed,
+};
+
+/**
+ * Apply a verified Stripe event exactly once
+ *
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object>} - { duplicate, status, outcome, transactionId }
+ */
+const processEvent = async (event) => {
+  let applied = null;
+
+  const result = await sequelize.transaction(async (t) => {
+    // Concurrent deliveries of one event block on the primary key until the
+    // first commits (or rolls back, letting the retry apply it)
+    const [record, created] = await StripeEvent.findOrCreate({
+      where: { id: event.id },
+      defaults: {
+        type: event.type,
+        livemode: !!event.livemode,
+        payload: event,
+      },
+      transaction: t,
+    });
+
+    if (!created) {
+      return {
+        duplicate: true,
+        status: record.status,
+        outcome: record.outcome,
+        transactionId: record.transaction_id,
+      };
+    }
+
+    const handler = HANDLERS[event.type];
+    const { transaction, outcome } = handler
+      ? await handler(event.data.object, t)
+      : { transaction: null, outcome: 'unhandled_type' };
+
+    await record.update({
+      status: transaction ? 'processed' : 'ignored',
+      outcome,
+      transaction_id: transaction?.id || null,
+      processed_at: new Date(),
+    }, { transaction: t });
+
+    applied = { transaction, outcome };
+
+    return {
+      duplicate: false,
+      status: record.status,
+      outcome,
+      transactionId: record.transaction_id,
+    };
+  });
+
+  if (!result.duplicate && result.transactionId) {
+    logger.audit('stripe_event_applied', 'stripe', {
+      eventId: event.id,
+      type: event.type,
+      transactionId: result.transactionId,
+      outcome: result.outcome,
+    });
+  }
+
+  // Only once committed, so a rolled-back event never notifies
+  if (applied?.transaction?.transaction_type === 'withdrawal' && ['completed', 'failed'].includes(applied.outcome)) {
+    await notificationService.notifyWithdrawalUpdate(applied.transaction);
+  }
+
+  return result;
+};
+
+module.exports = {
+  constructEvent,
+  processEvent,
+  HANDLED_EVENT_TYPES: Object.keys(HANDLERS),
+};
@@ -32,6 +32,7 @@ const imageDnaService = require('./imageDnaService');
 const neuralEmbeddingService = require('./neuralEmbeddingService');
 const logger = require('../config/logger');
 const geoUtils = require('../utils/geoUtils');
+const modelRolloutService = require('./modelRolloutService');
 
 /**
  * Ensure value is a proper flat JavaScript array of floats for Sequelize ARRAY(FLOAT)
@@ -473,9 +474,9 @@ const calculateShapeConfidence = (visualDNA) => {
  * Adjusts weights based on what features are actually available
  * This is the key to matching items WITHOUT text!
  */
-const calculateDynamicWeights = (features, categoryHint = 'other') => {
+const calculateDynamicWeights = (features, categoryHint = 'other', categoryWeights = CATEGORY_WEIGHTS) => {
   // Start with category-based weights
-  let weights = { ...CATEGORY_WEIGHTS[categoryHint] } || { ...CATEGORY_WEIGHTS.other };
+  let weights = { ...(categoryWeights[categoryHint] || categoryWeights.other) };
 
   // If NO text/identifiers found, redistribute OCR weight to visual features
   if (!features.hasText && !features.hasIdentifiers) {
@@ -526,6 +527,68 @@ const calculateDynamicWeights = (features, categoryHint = 'other') => {
   return weights;
 };
 
+/**
+ * Pick how a pair's overall score is put together. A strong Image DNA match
+ * or an exact identifier (license plate, serial number) overrides the
+ * category weights.
+ * @returns {string} - image_dna | identifier | dna_blend | category_weights
+ */
+const selectScoreFormula = (scores, hasHighValueMatch) => {
+  if (scores.dnaScore >= 85) return 'image_dna';
+  if (hasHighValueMatch) return 'identifier';
+  if (scores.dnaScore > 0) return 'dna_blend';
+  return 'category_weights';
+};
+
+/**
+ * Weight of each signal (dna, hash, color, shape, ocr, visual, object) under a formula
+ */
+const formulaWeights = (formula, weights) => {
+  const categoryWeights = {
+    hash: weights.HASH || 0.15,
+    color: weights.COLOR || 0.20,
+    shape: weights.SHAPE || 0.15,
+    ocr: weights.OCR || 0.15,
+    visual: weights.VISUAL_FEATURES || 0.20,
+    object: weights.DETECTED_OBJECTS || 0.15,
+  };
+
+  switch (formula) {
+    case 'image_dna':
+      return { dna: 0.50, hash: 0.15, color: 0.15, shape: 0.10, visual: 0.10 };
+    case 'identifier':
+      return { hash: 0.10, color: 0.10, shape: 0.05, ocr: 0.55, visual: 0.10, object: 0.10 };
+    case 'dna_blend':
+      // DNA gets significant weight, the category weights share the rest (see scoreBreakdown)
+      return { dna: 0.30, ...categoryWeights };
+    default:
+      return categoryWeights;
+  }
+};
+
+/**
+ * Overall score of a pair and what each signal contributed to it
+ * @param {Object} scores - { dnaScore, hashScore, colorScore, shapeScore, ocrScore, visualScore, objectScore }
+ * @param {Object} weights - Category weights applied to the pair
+ * @param {string} formula - From selectScoreFormula
+ * @returns {Object} - { formula, overallScore, contributions: [{ signal, score, weight, points }] }
+ */
+const scoreBreakdown = (scores, weights, formula) => {
+  const contributions = Object.entries(formulaWeights(formula, weights)).map(([signal, weight]) => {
+    const score = scores[`${signal}Score`] || 0;
+    const share = formula === 'dna_blend' && signal !== 'dna' ? 0.70 : 1;
+    return { signal, score, weight: weight * share, points: score * weight * share };
+  });
+
+  const total = Math.round(contributions.reduce((sum, c) => sum + c.points, 0));
+
+  return {
+    formula,
+    overallScore: Math.min(100, Math.max(0, total)),
+    contributions,
+  };
+};
+
 /**
  * Detect pattern type from image (solid, striped, spotted, etc.)
  * Critical for matching pets, clothing, bags
@@ -649,11 +712,20 @@ const detectPatternType = async (imagePath) => {
   }
 };
 
+// Matches still waiting on the owners; confirmed/rejected/expired ones keep
+// the scores they were decided on
+const OPEN_MATCH_STATUSES = ['pending', 'notified', 'viewed'];
+
 /**
- * Find potential matches for a newly uploaded photo
- * Uses all available matching strategies based on item category
+ * Score a photo against the opposite side of the catalogue
+ * Uses all available matching strategies based on item category.
+ *
+ * Safe to re-run (re-matching, reprocessing): open matches already recorded
+ * for the pair, in either direction, are re-scored in place instead of
+ * being duplicated.
+ * @returns {Promise<Object>} - { created, updated } PhotoMatch records
  */
-const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
+const matchPhoto = async (photoId, caseId, imagePath) => {
   const startTime = Date.now();
   logger.info(`[UniversalMatch] Starting match search for photo ${photoId}`);
 
@@ -689,9 +761,16 @@ const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
       }
     }
 
+    // Category weights: the active config, or a candidate for users in its
+    // rollout slice; a candidate being evaluated is scored alongside
+    const rollout = await modelRolloutService.resolveWeights(sourceCase.poster_id, CATEGORY_WEIGHTS);
+
     // DYNAMIC WEIGHT CALCULATION - analyze what features are actually available
     const availableFeatures = analyzeAvailableFeatures(sourceVisualDNA);
-    const weights = calculateDynamicWeights(availableFeatures, itemCategory);
+    const weights = calculateDynamicWeights(availableFeatures, itemCategory, rollout.serving.weights);
+    const shadowWeights = rollout.shadow
+      ? calculateDynamicWeights(availableFeatures, itemCategory, rollout.shadow.weights)
+      : null;
 
     logger.info(`[UniversalMatch] Category: ${itemCategory}${autoDetectedCategory ? ' (auto)' : ''}, Entity: ${sourceVisualDNA.entity_type}`);
     logger.info(`[UniversalMatch] Available features: hasText=${availableFeatures.hasText}, hasIdentifiers=${availableFeatures.hasIdentifiers}, hasStrongColors=${availableFeatures.hasStrongColors}, looksLikePet=${availableFeatures.looksLikePet}`);
@@ -710,20 +789,40 @@ const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
 
     logger.info(`[UniversalMatch] Found ${candidatePhotos.length} candidates to compare`);
 
+    // Pairs already recorded for this photo, keyed by the other photo
+    const existingMatches = await PhotoMatch.findAll({
+      where: { [Op.or]: [{ source_photo_id: photoId }, { target_photo_id: photoId }] },
+    });
+    const existingByPhoto = new Map(existingMatches.map(m => [
+      m.source_photo_id === photoId ? m.target_photo_id : m.source_photo_id,
+      m,
+    ]));
+
     // Compare each candidate using multi-dimensional matching
     const matches = [];
     for (const candidate of candidatePhotos) {
+      // Copies: the comparison adjusts weights per pair (asymmetric OCR)
       const matchResult = await comparePhotosComprehensive(
         sourceVisualDNA,
         candidate,
-        weights
+        { ...weights }
       );
 
-      if (matchResult.overallScore >= THRESHOLDS.OVERALL_MATCH_MIN) {
+      const existing = existingByPhoto.get(candidate.photo_id);
+      if (existing && !OPEN_MATCH_STATUSES.includes(existing.status)) continue;
+
+      // Open matches are re-scored even if they now fall below the minimum
+      if (matchResult.overallScore >= THRESHOLDS.OVERALL_MATCH_MIN || existing) {
+        const shadowResult = shadowWeights
+          ? await comparePhotosComprehensive(sourceVisualDNA, candidate, { ...shadowWeights })
+          : null;
+
         matches.push({
           targetPhotoId: candidate.photo_id,
           targetCaseId: candidate.case_id,
           ...matchResult,
+          shadowScore: shadowResult?.overallScore ?? null,
+          existing,
         });
       }
     }
@@ -734,9 +833,14 @@ const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
     // Get source case search radius for location boost
     const searchRadius = sourceCase.search_radius || 50;
 
-    // Create match records (top 10 only to avoid noise)
+    // Update every recorded match; create new records for the top 10 only to avoid noise
     const createdMatches = [];
-    for (const match of matches.slice(0, 10)) {
+    const updatedMatches = [];
+    const toSave = [
+      ...matches.filter(m => m.existing),
+      ...matches.filter(m => !m.existing).slice(0, 10),
+    ];
+    for (const match of toSave) {
       try {
         // Get target case for location comparison
         const targetCase = await Case.findByPk(match.targetCaseId);
@@ -776,11 +880,7 @@ const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
           ...(locationReason ? [locationReason] : []),
         ];
 
-        const record = await PhotoMatch.create({
-          source_photo_id: photoId,
-          source_case_id: caseId,
-          target_photo_id: match.targetPhotoId,
-          target_case_id: match.targetCaseId,
+        const scores = {
           overall_score: boostedScore,
           dna_score: match.dnaScore, // NEW: Image DNA score
           hash_score: match.hashScore,
@@ -799,6 +899,26 @@ const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
             locationBoost: locationBoost, // Track location boost applied
           },
           matched_identifiers: match.matchedIdentifiers,
+          weights_config_id: rollout.serving.configId,
+          rollout_arm: rollout.arm,
+          shadow_config_id: rollout.shadow?.configId ?? null,
+          shadow_score: match.shadowScore !== null ? Math.min(100, match.shadowScore + locationBoost) : null,
+        };
+
+        if (match.existing) {
+          // Keeps its direction, status and feedback
+          await match.existing.update(scores);
+          updatedMatches.push(match.existing);
+          logger.debug(`[UniversalMatch] Re-scored match ${match.existing.id}: ${boostedScore}%`);
+          continue;
+        }
+
+        const record = await PhotoMatch.create({
+          source_photo_id: photoId,
+          source_case_id: caseId,
+          target_photo_id: match.targetPhotoId,
+          target_case_id: match.targetCaseId,
+          ...scores,
           status: boostedScore >= THRESHOLDS.HIGH_CONFIDENCE ? 'pending' : 'pending',
         });
 
@@ -814,15 +934,24 @@ const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
     }
 
     const duration = Date.now() - startTime;
-    logger.info(`[UniversalMatch] Completed in ${duration}ms. Found ${createdMatches.length} matches.`);
+    logger.info(`[UniversalMatch] Completed in ${duration}ms. Found ${createdMatches.length} matches, re-scored ${updatedMatches.length}.`);
 
-    return createdMatches;
+    return { created: createdMatches, updated: updatedMatches };
   } catch (error) {
     logger.error(`[UniversalMatch] Failed for photo ${photoId}:`, error);
     throw error;
   }
 };
 
+/**
+ * Find potential matches for a newly uploaded photo
+ * @returns {Promise<Array>} - New PhotoMatch records (to notify about)
+ */
+const findMatchesForPhoto = async (photoId, caseId, imagePath) => {
+  const { created } = await matchPhoto(photoId, caseId, imagePath);
+  return created;
+};
+
 /**
  * Extract comprehensive fingerprints for matching
  * Includes Image DNA, color, visual features, object detection, and OCR
@@ -1810,51 +1939,14 @@ const comparePhotosComprehensive = async (source, target, weights) => {
   }
 
   // Calculate overall score using category-specific weights
-  let overallScore;
-
-  // NEW: If we have a high DNA score, use it as the primary indicator
-  if (scores.dnaScore >= 85) {
-    // Image DNA is highly reliable - use it as primary score
-    overallScore = Math.round(
-      scores.dnaScore * 0.50 +
-      scores.hashScore * 0.15 +
-      scores.colorScore * 0.15 +
-      scores.shapeScore * 0.10 +
-      scores.visualScore * 0.10
-    );
+  const formula = selectScoreFormula(scores, hasHighValueMatch);
+  if (formula === 'image_dna') {
     matchType = 'image_dna';
-  } else if (hasHighValueMatch && matchType !== 'image_dna') {
-    // High-value matches (license plate, serial) get boosted
-    overallScore = Math.min(100, Math.round(
-      scores.hashScore * 0.1 +
-      scores.colorScore * 0.1 +
-      scores.shapeScore * 0.05 +
-      scores.ocrScore * 0.55 +
-      scores.visualScore * 0.1 +
-      scores.objectScore * 0.1
-    ));
-  } else if (scores.dnaScore > 0) {
-    // Blend DNA score with category-specific weights
-    overallScore = Math.round(
-      scores.dnaScore * 0.30 + // DNA gets significant weight
-      scores.hashScore * (weights.HASH || 0.15) * 0.70 +
-      scores.colorScore * (weights.COLOR || 0.20) * 0.70 +
-      scores.shapeScore * (weights.SHAPE || 0.15) * 0.70 +
-      scores.ocrScore * (weights.OCR || 0.15) * 0.70 +
-      scores.visualScore * (weights.VISUAL_FEATURES || 0.20) * 0.70 +
-      scores.objectScore * (weights.DETECTED_OBJECTS || 0.15) * 0.70
-    );
-  } else {
-    // No DNA available - use category-specific weights
-    overallScore = Math.round(
-      scores.hashScore * (weights.HASH || 0.15) +
-      scores.colorScore * (weights.COLOR || 0.20) +
-      scores.shapeScore * (weights.SHAPE || 0.15) +
-      scores.ocrScore * (weights.OCR || 0.15) +
-      scores.visualScore * (weights.VISUAL_FEATURES || 0.20) +
-      scores.objectScore * (weights.DETECTED_OBJECTS || 0.15)
-    );
   }
+  const { overallScore } = scoreBreakdown(scores, weights, formula);
+
+  // Weights as applied to this pair (after the asymmetric OCR adjustment), for explanations
+  details.scoring = { formula, weights: { ...weights }, objectScore: scores.objectScore };
 
   // Determine match type if not already set
   if (!hasHighValueMatch) {
@@ -1983,7 +2075,7 @@ const comparePhotosComprehensive = async (source, target, weights) => {
   matchReasons.sort((a, b) => b.score - a.score);
 
   return {
-    overallScore: Math.min(100, Math.max(0, overallScore)),
+    overallScore,
     dnaScore: scores.dnaScore, // NEW: Image DNA score
     hashScore: scores.hashScore,
     colorScore: scores.colorScore,
@@ -2244,10 +2336,13 @@ const submitMatchFeedback = async (matchId, userId, feedback, isSourceUser, reje
 
 module.exports = {
   findMatchesForPhoto,
+  matchPhoto,
   getMatchesForCase,
   getPendingMatchesForUser,
   submitMatchFeedback,
   extractComprehensiveFingerprints,
+  selectScoreFormula,
+  scoreBreakdown,
   THRESHOLDS,
   CATEGORY_WEIGHTS,
 };
@@ -2,6 +2,7 @@
  * Visual DNA Matching Service
  *
  * Implements the 3-stage cascade matching algorithm:
+ * - Stage 0: Neural neighbours - ANN lookup of similar embeddings (embeddingIndex)
  * - Stage 1: Hash Filter (< 50ms) - Quick elimination using perceptual hashes
  * - Stage 2: Feature Match (< 500ms) - Cosine similarity on embeddings
  * - Stage 3: Deep Verification (< 2s) - Detailed comparison with match reasons
@@ -13,6 +14,7 @@ const Case = require('../models/Case');
 const Photo = require('../models/Photo');
 const hashingService = require('./hashingService');
 const faceRecognitionService = require('./faceRecognitionService');
+const embeddingIndex = require('./embeddingIndex');
 const logger = require('../config/logger');
 
 // Matching thresholds - Designed for real-world conditions
@@ -21,6 +23,8 @@ const THRESHOLDS = {
   HASH_DISTANCE: 25,       // Max Hamming distance for hash match (lenient for angle/crop variance)
   HASH_DISTANCE_STRICT: 12, // Strict threshold for high-confidence matches
   FEATURE_SIMILARITY: 0.35, // Min cosine similarity for feature match (35%)
+  NEURAL_SIMILARITY: 0.5,  // Min neural embedding similarity to count as a neighbour
+  NEURAL_CANDIDATES: 100,  // Nearest neighbours taken from the embedding index
   FACE_SIMILARITY: 50,     // Min face similarity percentage
   FINAL_CONFIDENCE: 30,    // Min overall confidence to return (lowered for broader matching)
   LABEL_MATCH_BOOST: 15,   // Bonus for matching detected objects/labels
@@ -57,6 +61,8 @@ const cosineSimilarity = (vec1, vec2) => {
 const hashFilter = async (queryDNA, options = {}) => {
   const startTime = Date.now();
   const maxCandidates = options.maxCandidates || 100;
+  // VisualDNA ID -> similarity from the embedding index (Stage 0)
+  const neuralScores = options.neuralScores || new Map();
 
   try {
     // Get all Visual DNA records
@@ -148,12 +154,20 @@ const hashFilter = async (queryDNA, options = {}) => {
         }
       }
 
+      // Strategy 6: Neural embedding neighbours (angle/lighting invariant)
+      const neuralSimilarity = Math.round((neuralScores.get(record.id) || 0) * 100);
+      if (neuralSimilarity > 0) {
+        score += neuralSimilarity;
+        matchReasons.push(`neural:${neuralSimilarity}%`);
+      }
+
       // Include if any meaningful match found
       if (score > 0 || matchReasons.length > 0) {
         candidates.push({
           record,
           hashDistance: hashSimilarity > 0 ? Math.round((1 - hashSimilarity/100) * 64) : 64,
           hashSimilarity: hashSimilarity,
+          neuralSimilarity,
           broadScore: score,
           matchReasons,
         });
@@ -194,6 +208,7 @@ const featureMatch = async (queryDNA, candidates, options = {}) => {
     for (const candidate of candidates) {
       const scores = {
         hashSimilarity: candidate.hashSimilarity,
+        neuralSimilarity: candidate.neuralSimilarity || 0,
         faceSimilarity: 0,
         colorSimilarity: 0,
         entityMatch: false,
@@ -225,6 +240,11 @@ const featureMatch = async (queryDNA, candidates, options = {}) => {
       // Calculate combined feature score
       let featureScore = candidate.hashSimilarity;
 
+      // Neural similarity already came from the embedding index
+      if (scores.neuralSimilarity > 0) {
+        featureScore = (featureScore + scores.neuralSimilarity * 2) / 3;
+      }
+
       // Weight face similarity heavily for persons
       if (scores.faceSimilarity > 0) {
         featureScore = (featureScore + scores.faceSimilarity * 2) / 3;
@@ -292,6 +312,16 @@ const deepVerification = async (queryDNA, matches, options = {}) => {
         });
       }
 
+      // Deep feature similarity
+      if (match.scores.neuralSimilarity > 70) {
+        reasons.push({
+          type: 'neural',
+          label: 'Same object (deep visual features)',
+          score: match.scores.neuralSimilarity,
+          weight: 2,
+        });
+      }
+
       // Hash similarity reason
       if (match.scores.hashSimilarity > 80) {
         reasons.push({
@@ -393,6 +423,7 @@ const deepVerification = async (queryDNA, matches, options = {}) => {
           match_reasons: reasons.map(r => r.label),
           detailed_scores: {
             hash: match.scores.hashSimilarity,
+            neural: match.scores.neuralSimilarity,
             face: match.scores.faceSimilarity,
             color: match.scores.colorSimilarity,
             feature: match.featureScore,
@@ -461,8 +492,17 @@ const cascadeSearch = async (queryDNA, options = {}) => {
   const startTime = Date.now();
 
   try {
+    // Stage 0: Nearest neighbours by neural embedding
+    const stage0Start = Date.now();
+    const neighbours = await embeddingIndex.search(queryDNA.neural_embedding, {
+      k: THRESHOLDS.NEURAL_CANDIDATES,
+      threshold: THRESHOLDS.NEURAL_SIMILARITY,
+    });
+    const neuralScores = new Map(neighbours.map(n => [n.id, n.similarity]));
+    const stage0Time = Date.now() - stage0Start;
+
     // Stage 1: Hash filter
-    const stage1 = await hashFilter(queryDNA, { maxCandidates: 100 });
+    const stage1 = await hashFilter(queryDNA, { maxCandidates: 100, neuralScores });
 
     if (stage1.candidates.length === 0) {
       return {
@@ -471,8 +511,9 @@ const cascadeSearch = async (queryDNA, options = {}) => {
         message: 'No similar images found',
         metadata: {
           total_scanned: stage1.scanned,
+          neural_neighbours: neighbours.length,
           processing_time_ms: Date.now() - startTime,
-          stages: { hash_filter: stage1.timeMs },
+          stages: { neural_search: stage0Time, hash_filter: stage1.timeMs },
         },
       };
     }
@@ -487,9 +528,11 @@ const cascadeSearch = async (queryDNA, options = {}) => {
         message: 'No matches passed feature verification',
         metadata: {
           total_scanned: stage1.scanned,
+          neural_neighbours: neighbours.length,
           candidates_after_hash: stage1.candidates.length,
           processing_time_ms: Date.now() - startTime,
           stages: {
+            neural_search: stage0Time,
             hash_filter: stage1.timeMs,
             feature_match: stage2.timeMs,
           },
@@ -530,11 +573,13 @@ const cascadeSearch = async (queryDNA, options = {}) => {
       message: `Found ${results.length} potential matches`,
       metadata: {
         total_scanned: stage1.scanned,
+        neural_neighbours: neighbours.length,
         candidates_after_hash: stage1.candidates.length,
         candidates_after_features: stage2.matches.length,
         final_matches: stage3.results.length,
         processing_time_ms: Date.now() - startTime,
         stages: {
+          neural_search: stage0Time,
           hash_filter: stage1.timeMs,
           feature_match: stage2.timeMs,
           deep_verification: stage3.timeMs,
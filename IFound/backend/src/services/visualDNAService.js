@@ -4,7 +4,7 @@
  * Orchestrates the extraction of multi-layered visual fingerprints.
  * Combines:
  * - Layer 1: Perceptual hashes (fast filtering)
- * - Layer 2: Deep features (face, object, color embeddings)
+ * - Layer 2: Deep features (face, object, color, neural embeddings)
  * - Layer 3: Content features (OCR, detected objects)
  */
 
@@ -12,7 +12,9 @@ const hashingService = require('./hashingService');
 const ocrService = require('./ocrService');
 const faceRecognitionService = require('./faceRecognitionService');
 const objectDetectionService = require('./objectDetectionService');
+const neuralEmbeddingService = require('./neuralEmbeddingService');
 const VisualDNA = require('../models/VisualDNA');
+const rematchService = require('./rematchService');
 const logger = require('../config/logger');
 const sharp = require('sharp');
 const fs = require('fs');
@@ -94,6 +96,7 @@ const extractVisualDNA = async (imagePath, options = {}) => {
       colorResult,
       ocrResult,
       qualityResult,
+      embeddingResult,
     ] = await Promise.all([
       // Layer 1: Hashes
       hashingService.computeAllHashes(imageBuffer).catch(err => {
@@ -131,6 +134,9 @@ const extractVisualDNA = async (imagePath, options = {}) => {
         logger.warn('Quality assessment failed:', err.message);
         return { score: 50 };
       }),
+
+      // Layer 2: Neural embedding (indexed for nearest-neighbour search)
+      neuralEmbeddingService.generateEmbedding(imagePath),
     ]);
 
     // Extract dominant colors separately
@@ -156,6 +162,8 @@ const extractVisualDNA = async (imagePath, options = {}) => {
       object_features: null, // Reserved for future CNN features
       color_signature: colorResult || null,
       texture_features: null, // Reserved for future texture analysis
+      neural_embedding: embeddingResult?.embedding || null,
+      neural_embedding_hash: embeddingResult?.embeddingHash || null,
 
       // Layer 3: Content
       ocr_text: ocrResult?.text || null,
@@ -183,6 +191,7 @@ const extractVisualDNA = async (imagePath, options = {}) => {
       hasHashes: !!hashResult,
       hasFace: !!faceResult?.faceDetected,
       hasOCR: !!ocrResult?.text,
+      hasEmbedding: !!embeddingResult?.embedding,
       objectCount: visualDNA.detected_objects.length,
     });
 
@@ -376,6 +385,8 @@ const batchExtract = async (photos) => {
 
 /**
  * Re-extract Visual DNA for photos with failed or outdated algorithms
+ * The affected cases are re-matched; matching re-extracts DNA that isn't
+ * completed before comparing.
  */
 const reprocessOutdated = async () => {
   const outdated = await VisualDNA.findAll({
@@ -406,6 +417,11 @@ const reprocessOutdated = async () => {
     }));
   }
 
+  const caseIds = [...new Set(outdated.map(record => record.case_id))];
+  if (caseIds.length > 0) {
+    await rematchService.startRun({ caseIds, reason: 'visual_dna' });
+  }
+
   return outdated.length;
 };
 
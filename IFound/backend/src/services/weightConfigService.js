@@ -5,7 +5,8 @@
  * Caches weights in memory for performance, with TTL-based invalidation.
  */
 
-const { ModelConfig } = require('../models');
+const { Op } = require('sequelize');
+const { ModelConfig, sequelize } = require('../models');
 const logger = require('../config/logger');
 
 // In-memory cache for weights
@@ -156,6 +157,40 @@ const loadThresholds = async () => {
   });
 };
 
+/**
+ * Category weights for the matcher: the active config plus any candidate
+ * being rolled out next to it (see modelRolloutService)
+ * @returns {Promise<Object>} - { active, candidate }, each { id, version, weights } or null;
+ *                              the candidate also has { mode, percent }
+ */
+const loadMatchingWeights = async () => {
+  return getCachedValue('matching_weights', async () => {
+    try {
+      const [active, candidate] = await Promise.all([
+        ModelConfig.getActiveConfig('all_category_weights'),
+        ModelConfig.findOne({
+          where: { config_name: 'all_category_weights', is_active: false, rollout_mode: { [Op.ne]: null } },
+          order: [['rollout_started_at', 'DESC']],
+        }),
+      ]);
+
+      return {
+        active: active && { id: active.id, version: active.version, weights: active.config_data },
+        candidate: candidate && {
+          id: candidate.id,
+          version: candidate.version,
+          weights: candidate.config_data,
+          mode: candidate.rollout_mode,
+          percent: candidate.rollout_percent,
+        },
+      };
+    } catch (error) {
+      logger.warn('[WeightConfig] Error loading matching weights, using defaults:', error.message);
+      return { active: null, candidate: null };
+    }
+  });
+};
+
 /**
  * Force reload weights from database (invalidate cache)
  */
@@ -187,6 +222,7 @@ const saveWeights = async (configName, configType, weights, trainingMetrics = {}
     // Invalidate cache
     invalidateCache(configName);
     invalidateCache('all_category_weights');
+    invalidateCache('matching_weights');
 
     logger.info(`[WeightConfig] Saved new ${configName} v${config.version}`);
     return config;
@@ -196,6 +232,263 @@ const saveWeights = async (configName, configType, weights, trainingMetrics = {}
   }
 };
 
+/**
+ * Save weights as an inactive candidate (e.g. from a training run)
+ * Nothing changes in matching until the candidate is approved.
+ */
+const saveCandidate = async (configName, configType, weights, trainingMetrics = {}) => {
+  const config = await ModelConfig.createCandidate(configName, configType, weights, trainingMetrics);
+  logger.info(`[WeightConfig] Saved candidate ${configName} v${config.version}`);
+  return config;
+};
+
+/**
+ * Make a stored config the active one for its name
+ * Ends any rollout of it and records who approved it.
+ * @returns {Promise<Object>} - { success, config, previous } or { success: false, status, message }
+ */
+const activateConfig = async (id, adminId) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const config = await ModelConfig.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!config) return { success: false, status: 404, message: 'Config not found' };
+    if (config.is_active) return { success: false, status: 409, message: 'This config is already active' };
+
+    const previous = await ModelConfig.findOne({
+      where: { config_name: config.config_name, is_active: true },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (previous) await previous.update({ is_active: false }, { transaction });
+
+    await config.update({
+      is_active: true,
+      approved_by: adminId,
+      approved_at: new Date(),
+      rollout_mode: null,
+      rollout_percent: 0,
+    }, { transaction });
+
+    return { success: true, config, previous };
+  });
+
+  if (result.success) {
+    hotReloadWeights();
+    logger.info(`[WeightConfig] Activated ${result.config.config_name} v${result.config.version}`);
+
+    // Existing matches were scored with the old weights
+    if (result.config.config_name === 'all_category_weights') {
+      // Required here: rematchService -> matching -> modelRolloutService -> this module
+      const rematchService = require('./rematchService');
+      const rematch = await rematchService.startRun({ reason: 'config_change', requestedBy: adminId });
+      result.rematchRun = rematch.run;
+    }
+  }
+  return result;
+};
+
+/**
+ * Reactivate the config the active one replaced
+ * @returns {Promise<Object>} - Same shape as activateConfig
+ */
+const rollbackConfig = async (configName, adminId) => {
+  const active = await ModelConfig.getActiveConfig(configName);
+  if (!active) return { success: false, status: 404, message: `No active ${configName} config` };
+
+  if (!active.parent_config_id) {
+    return { success: false, status: 400, message: 'There is no earlier version to roll back to' };
+  }
+
+  return activateConfig(active.parent_config_id, adminId);
+};
+
+// Signals every weight set has to cover
+const WEIGHT_KEYS = Object.keys(DEFAULT_CATEGORY_WEIGHTS.other);
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+const METRIC_FIELDS = [
+  'training_accuracy', 'validation_accuracy', 'test_accuracy',
+  'precision', 'recall', 'f1_score', 'training_samples',
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+/**
+ * Check one set of signal weights
+ * Zero isn't allowed: the matcher reads a 0 weight as unset and uses its default.
+ * @returns {string|null} - Problem, or null if valid
+ */
+const checkWeightSet = (weights, label) => {
+  if (!isPlainObject(weights)) return `${label} must be an object of signal weights`;
+
+  const missing = WEIGHT_KEYS.filter(key => !(key in weights));
+  if (missing.length > 0) return `${label} is missing ${missing.join(', ')}`;
+
+  const unknown = Object.keys(weights).filter(key => !WEIGHT_KEYS.includes(key));
+  if (unknown.length > 0) return `${label} has unknown signals: ${unknown.join(', ')}`;
+
+  const invalid = WEIGHT_KEYS.find(key => typeof weights[key] !== 'number' || !(weights[key] > 0 && weights[key] <= 1));
+  if (invalid) return `${label}.${invalid} must be a number above 0 and at most 1`;
+
+  const sum = WEIGHT_KEYS.reduce((total, key) => total + weights[key], 0);
+  if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) return `${label} weights sum to ${sum.toFixed(3)}, not 1`;
+
+  return null;
+};
+
+const checkThresholds = (data) => {
+  if (!isPlainObject(data)) return 'Thresholds must be an object';
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'CATEGORY_MATCH_THRESHOLDS') {
+      if (!isPlainObject(value)) return 'CATEGORY_MATCH_THRESHOLDS must map categories to scores';
+      const invalid = Object.keys(value).find(category => !isScore(value[category]));
+      if (invalid) return `CATEGORY_MATCH_THRESHOLDS.${invalid} must be a number between 0 and 100`;
+      continue;
+    }
+    if (!(key in DEFAULT_THRESHOLDS)) return `Unknown threshold: ${key}`;
+    if (!isScore(value)) return `${key} must be a number between 0 and 100`;
+  }
+
+  const merged = { ...DEFAULT_THRESHOLDS, ...data };
+  if (merged.OVERALL_MATCH_MIN > merged.HIGH_CONFIDENCE) {
+    return 'OVERALL_MATCH_MIN cannot be above HIGH_CONFIDENCE';
+  }
+  if (merged.HIGH_CONFIDENCE > merged.VERY_HIGH_CONFIDENCE) {
+    return 'HIGH_CONFIDENCE cannot be above VERY_HIGH_CONFIDENCE';
+  }
+
+  return null;
+};
+
+/**
+ * Validate config_data for its config type
+ * @returns {string|null} - Problem, or null if valid
+ */
+const validateConfigData = (configType, data) => {
+  switch (configType) {
+    case 'category_weights': {
+      if (!isPlainObject(data) || Object.keys(data).length === 0) {
+        return 'Category weights must map each category to its signal weights';
+      }
+      for (const [category, weights] of Object.entries(data)) {
+        const problem = checkWeightSet(weights, category);
+        if (problem) return problem;
+      }
+      return null;
+    }
+    case 'weights':
+      return checkWeightSet(data, 'weights');
+    case 'thresholds':
+      return checkThresholds(data);
+    default:
+      return isPlainObject(data) ? null : 'config_data must be an object';
+  }
+};
+
+/**
+ * Copy a config (optionally with changes) into a new inactive version
+ * @param {string} id - Config to copy
+ * @param {Object} changes - { configData, notes }
+ */
+const cloneConfig = async (id, { configData, notes } = {}, adminId) => {
+  const source = await ModelConfig.findByPk(id);
+  if (!source) return { success: false, status: 404, message: 'Config not found' };
+
+  const data = configData === undefined ? source.config_data : configData;
+  const problem = validateConfigData(source.config_type, data);
+  if (problem) return { success: false, status: 400, message: problem };
+
+  const config = await ModelConfig.createCandidate(source.config_name, source.config_type, data, {
+    notes: notes || `Copied from v${source.version}`,
+  });
+
+  logger.audit('model_config_cloned', adminId, { configId: config.id, sourceConfigId: id, version: config.version });
+  logger.info(`[WeightConfig] Saved ${config.config_name} v${config.version} (copy of v${source.version})`);
+
+  return { success: true, message: `Saved as version ${config.version}`, config };
+};
+
+/**
+ * Edit a candidate in place
+ * Configs that have been active or are being rolled out have matches scored
+ * with them, so those are cloned instead.
+ */
+const updateCandidate = async (id, { configData, notes } = {}, adminId) => {
+  const config = await ModelConfig.findByPk(id);
+  if (!config) return { success: false, status: 404, message: 'Config not found' };
+
+  if (config.is_active || config.approved_at || config.rollout_mode) {
+    return {
+      success: false,
+      status: 409,
+      message: 'This version has been used for matching. Save a copy to change it.',
+    };
+  }
+
+  const updates = {};
+  if (configData !== undefined) {
+    const problem = validateConfigData(config.config_type, configData);
+    if (problem) return { success: false, status: 400, message: problem };
+    updates.config_data = configData;
+  }
+  if (notes !== undefined) updates.notes = notes;
+
+  await config.update(updates);
+  logger.audit('model_config_updated', adminId, { configId: id, version: config.version, fields: Object.keys(updates) });
+
+  return { success: true, message: `Version ${config.version} updated`, config };
+};
+
+const flattenConfig = (data, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(data || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) flattenConfig(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+};
+
+/**
+ * Value-by-value differences between two versions of a config
+ * @returns {Promise<Object>} - { success, diff: { from, to, changes, metrics } }
+ */
+const diffConfigs = async (fromId, toId) => {
+  const [from, to] = await Promise.all([ModelConfig.findByPk(fromId), ModelConfig.findByPk(toId)]);
+  if (!from || !to) return { success: false, status: 404, message: 'Config not found' };
+
+  if (from.config_name !== to.config_name) {
+    return { success: false, status: 400, message: 'Only versions of the same config can be compared' };
+  }
+
+  const before = flattenConfig(from.config_data);
+  const after = flattenConfig(to.config_data);
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  const changes = paths
+    .filter(path => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map(path => ({
+      path,
+      from: before[path] ?? null,
+      to: after[path] ?? null,
+      delta: typeof before[path] === 'number' && typeof after[path] === 'number'
+        ? Math.round((after[path] - before[path]) * 10000) / 10000
+        : null,
+    }));
+
+  const metrics = METRIC_FIELDS.reduce((acc, field) => {
+    acc[field] = { from: from[field], to: to[field] };
+    return acc;
+  }, {});
+
+  const summary = (config) => ({ id: config.id, version: config.version, is_active: config.is_active });
+
+  return {
+    success: true,
+    diff: { config_name: from.config_name, from: summary(from), to: summary(to), changes, metrics },
+  };
+};
+
 /**
  * Get weight version info
  */
@@ -257,9 +550,17 @@ module.exports = {
   loadCategoryWeights,
   loadAllCategoryWeights,
   loadThresholds,
+  loadMatchingWeights,
   hotReloadWeights,
   invalidateCache,
   saveWeights,
+  saveCandidate,
+  activateConfig,
+  rollbackConfig,
+  validateConfigData,
+  cloneConfig,
+  updateCandidate,
+  diffConfigs,
   getWeightVersions,
   initializeDefaultWeights,
   DEFAULT_CATEGORY_WEIGHTS,
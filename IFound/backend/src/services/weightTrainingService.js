@@ -0,0 +1,416 @@
+/**
+ * Weight Training Service
+ *
+ * Learns per-category matching weights from TrainingPair feedback.
+ *
+ * Each pair carries the component scores the matcher produced
+ * (original_scores) and the owner's verdict. Per item category we fit a
+ * logistic regression of verdict on those scores, turn the coefficients
+ * into weights, pick the score threshold with the best F1 and measure the
+ * result against a held-out split. The output is saved as an inactive
+ * ModelConfig candidate next to the active weights' numbers on the same
+ * split, so an admin can compare before approving it.
+ *
+ * Run from the admin API (queued as a job) or `npm run train:weights`.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { TrainingPair } = require('../models');
+const trainingDataService = require('./trainingDataService');
+const weightConfigService = require('./weightConfigService');
+const jobQueue = require('./jobQueue');
+const logger = require('../config/logger');
+
+const JOB_TYPE = 'model.train_weights';
+
+// Weight key -> original_scores field. DETECTED_OBJECTS has no stored score,
+// so it keeps its current weight and the learned weights share the rest.
+const FEATURES = {
+  HASH: 'hash_score',
+  COLOR: 'color_score',
+  SHAPE: 'shape_score',
+  VISUAL_FEATURES: 'visual_score',
+  OCR: 'ocr_score',
+};
+const FEATURE_KEYS = Object.keys(FEATURES);
+
+const DEFAULTS = {
+  holdoutFraction: 0.2,
+  minConfirmed: 100,
+  minRejected: 100,
+  // Below this (or without 10 of each verdict) a category keeps its current weights
+  minCategoryPairs: 40,
+  maxPairs: 50000,
+};
+
+const MIN_CLASS_PAIRS = 10;
+
+// The matcher reads a 0 weight as unset (`weights.HASH || 0.15`), so every
+// signal keeps at least this share of the learned weight
+const MIN_WEIGHT = 0.01;
+
+// Gradient descent settings (features are scaled to 0-1)
+const ITERATIONS = 500;
+const LEARNING_RATE = 1;
+const L2 = 0.01;
+
+/**
+ * Stable train/holdout assignment, so re-running on the same pairs
+ * evaluates on the same split
+ */
+const isHoldout = (pairId, fraction) => {
+  const bucket = parseInt(crypto.createHash('md5').update(pairId).digest('hex').slice(0, 8), 16);
+  return bucket / 0xffffffff < fraction;
+};
+
+const toExample = (pair) => ({
+  id: pair.id,
+  category: pair.item_category || 'other',
+  label: pair.verdict === 'match' ? 1 : 0,
+  scores: Object.fromEntries(FEATURE_KEYS.map(key => [key, pair.original_scores?.[FEATURES[key]] ?? null])),
+});
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Fit a class-balanced, L2-regularized logistic regression
+ * @param {Array} examples - [{ scores, label }]
+ * @returns {Object} - { intercept, coefficients: { HASH, ... } }
+ */
+const fitLogisticRegression = (examples) => {
+  const rows = examples.map(e => FEATURE_KEYS.map(key => (e.scores[key] ?? 0) / 100));
+  const labels = examples.map(e => e.label);
+
+  // Weight each verdict equally however lopsided the feedback is
+  const positives = labels.filter(Boolean).length;
+  const classWeight = [
+    examples.length / (2 * Math.max(1, examples.length - positives)),
+    examples.length / (2 * Math.max(1, positives)),
+  ];
+
+  let intercept = 0;
+  const beta = new Array(FEATURE_KEYS.length).fill(0);
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    let gradIntercept = 0;
+    const grad = new Array(FEATURE_KEYS.length).fill(0);
+
+    for (let i = 0; i < rows.length; i++) {
+      const z = intercept + rows[i].reduce((sum, x, k) => sum + x * beta[k], 0);
+      const error = (sigmoid(z) - labels[i]) * classWeight[labels[i]];
+      gradIntercept += error;
+      for (let k = 0; k < beta.length; k++) grad[k] += error * rows[i][k];
+    }
+
+    intercept -= LEARNING_RATE * gradIntercept / rows.length;
+    for (let k = 0; k < beta.length; k++) {
+      beta[k] -= LEARNING_RATE * (grad[k] / rows.length + L2 * beta[k]);
+    }
+  }
+
+  return {
+    intercept,
+    coefficients: Object.fromEntries(FEATURE_KEYS.map((key, k) => [key, beta[k]])),
+  };
+};
+
+/**
+ * Turn coefficients into matcher weights
+ * Negative coefficients (a signal that argues against a match) are dropped:
+ * the matcher only adds weighted scores.
+ * @returns {Object|null} - Weights, or null if nothing predicts a match
+ */
+const coefficientsToWeights = (coefficients, baseWeights) => {
+  const positive = FEATURE_KEYS.map(key => Math.max(0, coefficients[key]));
+  const total = positive.reduce((sum, c) => sum + c, 0);
+  if (total === 0) return null;
+
+  const objectsWeight = baseWeights.DETECTED_OBJECTS || 0;
+  const shares = positive.map(c => Math.max(MIN_WEIGHT, c / total));
+  const shareTotal = shares.reduce((sum, c) => sum + c, 0);
+  const weights = Object.fromEntries(FEATURE_KEYS.map((key, k) => [
+    key,
+    Math.round((shares[k] / shareTotal) * (1 - objectsWeight) * 1000) / 1000,
+  ]));
+
+  // Absorb rounding so the weights still sum to 1
+  const drift = 1 - objectsWeight - Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const largest = FEATURE_KEYS.reduce((a, b) => (weights[a] >= weights[b] ? a : b));
+  weights[largest] = Math.round((weights[largest] + drift) * 1000) / 1000;
+
+  return { ...weights, DETECTED_OBJECTS: objectsWeight };
+};
+
+/**
+ * Weighted score (0-100) over the component scores a pair has
+ */
+const scoreExample = (example, weights) => {
+  let total = 0;
+  let weightSum = 0;
+  for (const key of FEATURE_KEYS) {
+    if (example.scores[key] === null) continue;
+    total += example.scores[key] * (weights[key] || 0);
+    weightSum += weights[key] || 0;
+  }
+  return weightSum > 0 ? total / weightSum : 0;
+};
+
+/**
+ * Precision / recall / F1 / accuracy for predictions
+ * @param {Array} results - [{ label, predicted }]
+ */
+const computeMetrics = (results) => {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  for (const { label, predicted } of results) {
+    if (predicted && label) tp++;
+    else if (predicted) fp++;
+    else if (label) fn++;
+    else tn++;
+  }
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0),
+    accuracy: round(results.length > 0 ? (tp + tn) / results.length : 0),
+    samples: results.length,
+  };
+};
+
+/**
+ * Score cutoff (whole points) with the best F1 on the given examples
+ */
+const bestThreshold = (examples, weightsFor) => {
+  const scored = examples.map(e => ({ label: e.label, score: scoreExample(e, weightsFor(e)) }));
+  let best = { threshold: 50, f1: -1 };
+
+  for (let threshold = 1; threshold <= 99; threshold++) {
+    const { f1 } = computeMetrics(scored.map(s => ({ label: s.label, predicted: s.score >= threshold })));
+    if (f1 > best.f1) best = { threshold, f1 };
+  }
+
+  return best.threshold;
+};
+
+/**
+ * Predict with per-category weights and thresholds
+ */
+const evaluate = (examples, weightsFor, thresholdFor) => computeMetrics(examples.map(e => ({
+  label: e.label,
+  predicted: scoreExample(e, weightsFor(e)) >= thresholdFor(e),
+})));
+
+const countLabels = (examples) => ({
+  match: examples.filter(e => e.label === 1).length,
+  no_match: examples.filter(e => e.label === 0).length,
+});
+
+const loadExamples = async (maxPairs) => {
+  const pairs = await TrainingPair.findAll({
+    where: {
+      verdict: { [Op.in]: ['match', 'no_match'] },
+      export_status: { [Op.ne]: 'excluded' },
+      original_scores: { [Op.ne]: null },
+    },
+    attributes: ['id', 'verdict', 'item_category', 'original_scores', 'export_status'],
+    order: [['created_at', 'DESC']],
+    limit: maxPairs,
+  });
+
+  return { pairs, examples: pairs.map(toExample) };
+};
+
+/**
+ * Run a training pass and save the result as a candidate
+ *
+ * Trains on all labelled pairs (newest first, up to maxPairs); pairs still
+ * pending export are marked exported under this run's batch id.
+ *
+ * @param {Object} options - holdoutFraction, minConfirmed, minRejected,
+ *                           minCategoryPairs, maxPairs, requestedBy
+ * @returns {Promise<Object>} - { success, weightsConfig, thresholdsConfig, report }
+ *                              or { success: false, status, message }
+ */
+const trainWeights = async (options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+
+  const ready = await trainingDataService.canStartTraining(settings.minConfirmed, settings.minRejected);
+  if (!ready) {
+    const stats = await trainingDataService.getTrainingStats();
+    return {
+      success: false,
+      status: 409,
+      message: `Not enough feedback yet: ${stats.matchPairs} confirmed and ${stats.noMatchPairs} rejected pairs `
+        + `(need ${settings.minConfirmed} and ${settings.minRejected})`,
+    };
+  }
+
+  const { pairs, examples } = await loadExamples(settings.maxPairs);
+  const pendingIds = pairs.filter(p => p.export_status === 'pending').map(p => p.id);
+  if (pendingIds.length === 0) {
+    return { success: false, status: 409, message: 'No new feedback since the last training run' };
+  }
+
+  const batchId = `train-${new Date().toISOString().replace(/[-:.]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+  const train = examples.filter(e => !isHoldout(e.id, settings.holdoutFraction));
+  const holdout = examples.filter(e => isHoldout(e.id, settings.holdoutFraction));
+
+  const [activeWeights, activeThresholds] = await Promise.all([
+    weightConfigService.loadAllCategoryWeights(),
+    weightConfigService.loadThresholds(),
+  ]);
+  const baseWeightsFor = (category) => activeWeights[category] || activeWeights.other;
+
+  // Fit each category with enough feedback; the rest keep their weights
+  const categories = [...new Set([...Object.keys(activeWeights), ...examples.map(e => e.category)])];
+  const candidateWeights = {};
+  const categoryReport = {};
+
+  for (const category of categories) {
+    const categoryTrain = train.filter(e => e.category === category);
+    const counts = countLabels(categoryTrain);
+    const base = baseWeightsFor(category);
+
+    if (categoryTrain.length < settings.minCategoryPairs
+      || counts.match < MIN_CLASS_PAIRS || counts.no_match < MIN_CLASS_PAIRS) {
+      if (activeWeights[category]) candidateWeights[category] = activeWeights[category];
+      categoryReport[category] = { status: 'kept', train: counts };
+      continue;
+    }
+
+    const model = fitLogisticRegression(categoryTrain);
+    const weights = coefficientsToWeights(model.coefficients, base);
+
+    if (!weights) {
+      candidateWeights[category] = base;
+      categoryReport[category] = { status: 'kept', reason: 'no_positive_signal', train: counts };
+      continue;
+    }
+
+    candidateWeights[category] = weights;
+    categoryReport[category] = {
+      status: 'trained',
+      train: counts,
+      coefficients: Object.fromEntries(Object.entries(model.coefficients).map(([k, v]) => [k, Math.round(v * 1000) / 1000])),
+    };
+  }
+
+  const candidateFor = (e) => candidateWeights[e.category] || candidateWeights.other || baseWeightsFor(e.category);
+  const activeFor = (e) => baseWeightsFor(e.category);
+
+  // Thresholds: per trained category, otherwise one over all pairs
+  const defaultThreshold = bestThreshold(train, candidateFor);
+  const categoryThresholds = { default: defaultThreshold };
+  for (const [category, entry] of Object.entries(categoryReport)) {
+    if (entry.status === 'trained') {
+      categoryThresholds[category] = bestThreshold(train.filter(e => e.category === category), candidateFor);
+      entry.threshold = categoryThresholds[category];
+    }
+  }
+  const thresholdFor = (e) => categoryThresholds[e.category] ?? defaultThreshold;
+
+  // The active weights get their own best threshold so the comparison is fair
+  const activeThreshold = bestThreshold(train, activeFor);
+
+  const trainingMetrics = evaluate(train, candidateFor, thresholdFor);
+  const holdoutMetrics = evaluate(holdout, candidateFor, thresholdFor);
+  const activeHoldoutMetrics = evaluate(holdout, activeFor, () => activeThreshold);
+
+  for (const [category, entry] of Object.entries(categoryReport)) {
+    const categoryHoldout = holdout.filter(e => e.category === category);
+    if (entry.status === 'trained' && categoryHoldout.length > 0) {
+      entry.holdout = evaluate(categoryHoldout, candidateFor, thresholdFor);
+    }
+  }
+
+  const trained = Object.keys(categoryReport).filter(c => categoryReport[c].status === 'trained');
+  const notes = `Trained ${trained.length} categor${trained.length === 1 ? 'y' : 'ies'} (${trained.join(', ') || 'none'}) `
+    + `on ${train.length} pairs, ${holdout.length} held out. `
+    + `Held-out F1 ${holdoutMetrics.f1} vs ${activeHoldoutMetrics.f1} for the active weights.`;
+
+  const metrics = {
+    training_accuracy: trainingMetrics.accuracy,
+    test_accuracy: holdoutMetrics.accuracy,
+    precision: holdoutMetrics.precision,
+    recall: holdoutMetrics.recall,
+    f1_score: holdoutMetrics.f1,
+    training_samples: train.length,
+    training_batch_id: batchId,
+    trained_at: new Date(),
+    notes,
+  };
+
+  const weightsConfig = await weightConfigService.saveCandidate(
+    'all_category_weights', 'category_weights', candidateWeights, metrics
+  );
+  const thresholdsConfig = await weightConfigService.saveCandidate(
+    'thresholds', 'thresholds', { ...activeThresholds, CATEGORY_MATCH_THRESHOLDS: categoryThresholds }, metrics
+  );
+
+  await trainingDataService.markPairsAsExported(pendingIds, batchId);
+
+  const report = {
+    batch_id: batchId,
+    pairs: { total: examples.length, train: train.length, holdout: holdout.length, new: pendingIds.length },
+    categories: categoryReport,
+    metrics: { training: trainingMetrics, holdout: holdoutMetrics, active_holdout: activeHoldoutMetrics },
+  };
+
+  logger.audit('model_weights_trained', settings.requestedBy || null, {
+    batchId,
+    weightsConfigId: weightsConfig.id,
+    thresholdsConfigId: thresholdsConfig.id,
+    f1: holdoutMetrics.f1,
+    activeF1: activeHoldoutMetrics.f1,
+  });
+
+  return {
+    success: true,
+    message: notes,
+    weightsConfig,
+    thresholdsConfig,
+    report,
+  };
+};
+
+/**
+ * Queue a training run (one at a time)
+ * @returns {Promise<Object>} - { success, job } or { success: false, status, message }
+ */
+const enqueueTraining = async (requestedBy, options = {}) => {
+  const stats = (await jobQueue.getStats())[JOB_TYPE];
+  if (stats && (stats.pending > 0 || stats.active > 0)) {
+    return { success: false, status: 409, message: 'A training run is already queued' };
+  }
+
+  const job = await jobQueue.enqueue(JOB_TYPE, { ...options, requestedBy });
+  return { success: true, job };
+};
+
+// A run that can't start (not enough feedback) completes with that result;
+// retrying wouldn't change it
+jobQueue.registerHandler(JOB_TYPE, async (payload) => {
+  const result = await trainWeights(payload);
+  if (!result.success) return { trained: false, message: result.message };
+
+  return {
+    trained: true,
+    weights_config_id: result.weightsConfig.id,
+    thresholds_config_id: result.thresholdsConfig.id,
+    report: result.report,
+  };
+}, { concurrency: 1, maxAttempts: 1 });
+
+module.exports = {
+  trainWeights,
+  enqueueTraining,
+  fitLogisticRegression,
+  coefficientsToWeights,
+  computeMetrics,
+  JOB_TYPE,
+};
@@ -0,0 +1,267 @@
+/**
+ * Withdrawal Service
+ *
+ * Admin processing of finder withdrawal requests:
+ *
+ *   pending    -- approve (payout) -->  processing  (Stripe payout created;
+ *                                                   the webhook completes or fails it)
+ *   pending    -- approve (manual) -->  completed   (paid outside Stripe, with a reference)
+ *   processing -- mark paid        -->  completed
+ *   processing -- fail             -->  failed
+ *   pending    -- reject           -->  cancelled
+ *
+ * Only pending, processing and completed withdrawals count against the
+ * finder's available balance, so rejecting or failing one returns the funds
+ * (each transition posts to the ledger, see ledgerService).
+ * The finder is notified on every transition.
+ *
+ * Each transition is a conditional update on the current status, so two
+ * admins acting on the same request can't both apply (or pay it out twice).
+ */
+
+const { Transaction, sequelize } = require('../models');
+const logger = require('../config/logger');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+
+const APPROVAL_METHODS = ['payout', 'manual'];
+
+const loadWithdrawal = (id) => Transaction.findOne({
+  where: { id, transaction_type: 'withdrawal' },
+});
+
+/**
+ * Apply changes if the withdrawal is still in the status it was loaded with
+ * The change and its ledger posting commit together.
+ * @returns {Promise<boolean>} - Whether this call made the change
+ */
+const transition = async (withdrawal, allowedFrom, changes) => {
+  if (!allowedFrom.includes(withdrawal.status)) {
+    return false;
+  }
+
+  const applied = await sequelize.transaction(async (t) => {
+    const current = await Transaction.findOne({
+      where: { id: withdrawal.id, status: withdrawal.status },
+      lock: t.LOCK.UPDATE,
+      transaction: t,
+    });
+    if (!current) return false;
+
+    await current.update(changes, { transaction: t });
+    return true;
+  });
+  if (!applied) {
+    return false;
+  }
+
+  await withdrawal.reload();
+  return true;
+};
+
+const conflict = (withdrawal) => ({
+  success: false,
+  status: 409,
+  message: `Withdrawal is ${withdrawal.status}`,
+});
+
+const notFound = () => ({ success: false, status: 404, message: 'Withdrawal not found' });
+
+const notify = (withdrawal) => notificationService.notifyWithdrawalUpdate(withdrawal)
+  .catch(error => logger.error(`Withdrawal notification failed for ${withdrawal.id}:`, error));
+
+/**
+ * Approve a pending withdrawal
+ *
+ * 'payout' sends the money through the payment provider; 'manual' records a
+ * payment the admin made another way (e-transfer, cheque) and needs its
+ * reference.
+ *
+ * @param {string} id - Withdrawal transaction ID
+ * @param {string} adminId - Approving admin
+ * @param {Object} options - { method, reference, notes }
+ * @returns {Promise<Object>} - { success, status?, message, withdrawal? }
+ */
+const approveWithdrawal = async (id, adminId, { method = 'payout', reference, notes } = {}) => {
+  if (!APPROVAL_METHODS.includes(method)) {
+    return { success: false, status: 400, message: `Method must be one of: ${APPROVAL_METHODS.join(', ')}` };
+  }
+
+  if (method === 'manual' && !reference?.trim()) {
+    return { success: false, status: 400, message: 'A payment reference is required for manual payouts' };
+  }
+
+  const withdrawal = await loadWithdrawal(id);
+  if (!withdrawal) return notFound();
+
+  const originalMetadata = withdrawal.metadata || {};
+  const approval = {
+    ...originalMetadata,
+    approved_by: adminId,
+    approved_at: new Date().toISOString(),
+    approval_method: method,
+    review_notes: notes || null,
+  };
+
+  if (method === 'manual') {
+    const applied = await transition(withdrawal, ['pending'], {
+      status: 'completed',
+      completed_at: new Date(),
+      metadata: { ...approval, payout_reference: reference.trim() },
+    });
+    if (!applied) return conflict(withdrawal);
+
+    logger.audit('withdrawal_paid_manually', adminId, {
+      transactionId: withdrawal.id,
+      amount: withdrawal.amount,
+      reference: reference.trim(),
+    });
+    await notify(withdrawal);
+
+    return { success: true, message: 'Withdrawal marked as paid', withdrawal };
+  }
+
+  // Claim the request before calling the provider
+  const claimed = await transition(withdrawal, ['pending'], {
+    status: 'processing',
+    metadata: approval,
+  });
+  if (!claimed) return conflict(withdrawal);
+
+  let payout;
+  try {
+    payout = await paymentService.createWithdrawalPayout(withdrawal, adminId);
+  } catch (error) {
+    // Nothing was sent; put the request back so it can be retried or rejected
+    await transition(withdrawal, ['processing'], { status: 'pending', metadata: originalMetadata });
+
+    return { success: false, status: 502, message: `Payout failed: ${error.message}` };
+  }
+
+  // The webhook may already have matched this payout by metadata.transaction_id
+  await Transaction.update({ stripe_payout_id: payout.id }, {
+    where: { id: withdrawal.id, stripe_payout_id: null },
+  });
+  await withdrawal.reload();
+
+  // Test-mode payouts settle immediately; real ones complete via the webhook
+  if (payout.status === 'paid') {
+    await transition(withdrawal, ['processing'], { status: 'completed', completed_at: new Date() });
+  }
+
+  logger.audit('withdrawal_approved', adminId, {
+    transactionId: withdrawal.id,
+    amount: withdrawal.amount,
+    payoutId: payout.id,
+  });
+  await notify(withdrawal);
+
+  return {
+    success: true,
+    message: withdrawal.status === 'completed' ? 'Withdrawal paid out' : 'Payout created',
+    withdrawal,
+  };
+};
+
+/**
+ * Mark a processing withdrawal as paid
+ * For payouts confirmed outside the webhook.
+ */
+const markWithdrawalPaid = async (id, adminId, reference) => {
+  if (!reference?.trim()) {
+    return { success: false, status: 400, message: 'A payment reference is required' };
+  }
+
+  const withdrawal = await loadWithdrawal(id);
+  if (!withdrawal) return notFound();
+
+  const applied = await transition(withdrawal, ['processing'], {
+    status: 'completed',
+    completed_at: new Date(),
+    metadata: {
+      ...(withdrawal.metadata || {}),
+      payout_reference: reference.trim(),
+      marked_paid_by: adminId,
+    },
+  });
+  if (!applied) return conflict(withdrawal);
+
+  logger.audit('withdrawal_marked_paid', adminId, {
+    transactionId: withdrawal.id,
+    amount: withdrawal.amount,
+    reference: reference.trim(),
+  });
+  await notify(withdrawal);
+
+  return { success: true, message: 'Withdrawal marked as paid', withdrawal };
+};
+
+/**
+ * Reject a pending withdrawal, returning the funds to the finder's balance
+ */
+const rejectWithdrawal = async (id, adminId, reason) => {
+  if (!reason?.trim()) {
+    return { success: false, status: 400, message: 'A rejection reason is required' };
+  }
+
+  const withdrawal = await loadWithdrawal(id);
+  if (!withdrawal) return notFound();
+
+  const applied = await transition(withdrawal, ['pending'], {
+    status: 'cancelled',
+    metadata: {
+      ...(withdrawal.metadata || {}),
+      rejected_by: adminId,
+      rejected_at: new Date().toISOString(),
+      rejection_reason: reason.trim(),
+    },
+  });
+  if (!applied) return conflict(withdrawal);
+
+  logger.audit('withdrawal_rejected', adminId, {
+    transactionId: withdrawal.id,
+    amount: withdrawal.amount,
+    reason: reason.trim(),
+  });
+  await notify(withdrawal);
+
+  return { success: true, message: 'Withdrawal rejected', withdrawal };
+};
+
+/**
+ * Fail a processing withdrawal whose payout didn't arrive, returning the
+ * funds to the finder's balance
+ */
+const failWithdrawal = async (id, adminId, reason) => {
+  if (!reason?.trim()) {
+    return { success: false, status: 400, message: 'A failure reason is required' };
+  }
+
+  const withdrawal = await loadWithdrawal(id);
+  if (!withdrawal) return notFound();
+
+  const applied = await transition(withdrawal, ['processing'], {
+    status: 'failed',
+    failed_at: new Date(),
+    failure_reason: reason.trim(),
+    metadata: { ...(withdrawal.metadata || {}), failed_by: adminId },
+  });
+  if (!applied) return conflict(withdrawal);
+
+  logger.audit('withdrawal_failed', adminId, {
+    transactionId: withdrawal.id,
+    amount: withdrawal.amount,
+    reason: reason.trim(),
+  });
+  await notify(withdrawal);
+
+  return { success: true, message: 'Withdrawal marked as failed', withdrawal };
+};
+
+module.exports = {
+  approveWithdrawal,
+  markWithdrawalPaid,
+  rejectWithdrawal,
+  failWithdrawal,
+  APPROVAL_METHODS,
+};
@@ -3,11 +3,17 @@
  *
  * Contains helpers for calculating distances between coordinates
  * and applying location-based score boosts to matches.
+ * Also provides geohash encoding used to index case locations for
+ * radius search.
  */
 
 // Earth's radius in miles
 const EARTH_RADIUS_MILES = 3958.8;
 
+// Geohash base32 alphabet and the precision stored on cases
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9;
+
 /**
  * Calculate the Haversine distance between two coordinates
  * @param {number} lat1 - Latitude of point 1
@@ -210,6 +216,152 @@ const formatDistance = (miles) => {
   return `${Math.round(miles)} mi away`;
 };
 
+/**
+ * Encode coordinates as a geohash
+ * Nearby points share a common prefix, so a prefix match on an indexed
+ * column finds every point inside a cell.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters (default 9, ~5m cells)
+ * @returns {string} Geohash
+ */
+const encodeGeohash = (lat, lng, precision = GEOHASH_PRECISION) => {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) {
+        charIndex = charIndex * 2 + 1;
+        lngMin = mid;
+      } else {
+        charIndex *= 2;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) {
+        charIndex = charIndex * 2 + 1;
+        latMin = mid;
+      } else {
+        charIndex *= 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Decode a geohash to its bounding box
+ *
+ * @param {string} hash - Geohash
+ * @returns {{ minLat: number, maxLat: number, minLng: number, maxLng: number }}
+ */
+const decodeGeohashBounds = (hash) => {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash character: ${char}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const bitSet = (value >> bit) & 1;
+      if (evenBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (bitSet) lngMin = mid;
+        else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (bitSet) latMin = mid;
+        else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat: latMin, maxLat: latMax, minLng: lngMin, maxLng: lngMax };
+};
+
+/**
+ * Get the geohash cells covering a search circle
+ *
+ * Picks the finest precision whose cells are at least as large as the
+ * radius, then returns the center cell and its 8 neighbours. Any point
+ * within the radius is guaranteed to fall in one of them.
+ *
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} radiusMiles - Search radius in miles
+ * @returns {string[] | null} Cell prefixes, or null if the radius is too large to narrow down
+ */
+const getGeohashCoverage = (lat, lng, radiusMiles) => {
+  const degLatMiles = (Math.PI / 180) * EARTH_RADIUS_MILES;
+  let precision = 0;
+
+  for (let p = 1; p <= GEOHASH_PRECISION; p++) {
+    const bounds = decodeGeohashBounds(encodeGeohash(lat, lng, p));
+    const heightMiles = (bounds.maxLat - bounds.minLat) * degLatMiles;
+    // Cells narrow toward the poles; measure width at the edge nearest one
+    const edgeLat = Math.max(Math.abs(bounds.minLat), Math.abs(bounds.maxLat));
+    const widthMiles = (bounds.maxLng - bounds.minLng) * degLatMiles * Math.cos(edgeLat * (Math.PI / 180));
+
+    if (heightMiles < radiusMiles || widthMiles < radiusMiles) {
+      break;
+    }
+    precision = p;
+  }
+
+  if (precision === 0) {
+    return null;
+  }
+
+  const center = decodeGeohashBounds(encodeGeohash(lat, lng, precision));
+  const cellHeight = center.maxLat - center.minLat;
+  const cellWidth = center.maxLng - center.minLng;
+  const centerLat = (center.minLat + center.maxLat) / 2;
+  const centerLng = (center.minLng + center.maxLng) / 2;
+
+  const cells = new Set();
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const cellLat = centerLat + dLat * cellHeight;
+      if (cellLat < -90 || cellLat > 90) continue;
+
+      // Wrap across the antimeridian
+      let cellLng = centerLng + dLng * cellWidth;
+      if (cellLng >= 180) cellLng -= 360;
+      if (cellLng < -180) cellLng += 360;
+
+      cells.add(encodeGeohash(cellLat, cellLng, precision));
+    }
+  }
+
+  return [...cells];
+};
+
 module.exports = {
   haversineDistance,
   calculateLocationBoost,
@@ -217,5 +369,9 @@ module.exports = {
   extractCoordinates,
   calculateCaseDistance,
   formatDistance,
+  encodeGeohash,
+  decodeGeohashBounds,
+  getGeohashCoverage,
   EARTH_RADIUS_MILES,
+  GEOHASH_PRECISION,
 };
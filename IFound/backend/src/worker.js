@@ -0,0 +1,46 @@
+/**
+ * Background Job Worker
+ *
+ * Processes queued jobs (AI photo processing) and scheduled maintenance
+ * (case expiry sweeps) without serving HTTP.
+ * Run one or more alongside API servers started with JOB_WORKER_ENABLED=false
+ * to keep model inference off the request path.
+ */
+
+require('dotenv').config();
+
+const { testConnection } = require('./config/database');
+const jobQueue = require('./services/jobQueue');
+const scheduler = require('./services/scheduler');
+const logger = require('./config/logger');
+require('./services/photoProcessingService'); // registers photo job handlers
+require('./services/caseLifecycleService'); // registers case expiry sweeps
+require('./services/savedSearchService'); // registers saved search digests
+require('./services/claimVerificationService'); // registers proof photo analysis jobs
+require('./services/weightTrainingService'); // registers weight training jobs
+require('./services/rematchService'); // registers re-matching jobs
+require('./services/ledgerService').registerHooks(); // posts transaction saves to the ledger
+
+const startWorker = async () => {
+  try {
+    await testConnection();
+    await jobQueue.start();
+    scheduler.start();
+    logger.info('Job worker started');
+  } catch (error) {
+    logger.error('Failed to start job worker', { error: error.message, stack: error.stack });
+    process.exit(1);
+  }
+};
+
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping job worker`);
+  await jobQueue.stop();
+  scheduler.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker();
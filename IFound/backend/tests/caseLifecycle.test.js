@@ -0,0 +1,225 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Claim, Message, Photo, VisualDNA, Transaction, Notification, sequelize } = require('../src/models');
+const caseLifecycleService = require('../src/services/caseLifecycleService');
+const scheduler = require('../src/services/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Case Lifecycle', () => {
+  let adminToken;
+  let posterToken;
+  let posterId;
+  let otherToken;
+  let otherId;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const createCase = (overrides = {}) => Case.create({
+    poster_id: posterId,
+    case_type: 'lost_item',
+    title: 'Lost leather wallet',
+    description: 'Brown leather wallet with a zip pocket',
+    bounty_amount: 40,
+    item_category: 'other',
+    expires_at: new Date(Date.now() + 20 * DAY_MS),
+    ...overrides,
+  });
+
+  // Model.update skips updates that only set updatedAt, so age rows directly
+  const makeIdle = (model, id, days) => sequelize.getQueryInterface().bulkUpdate(
+    model.getTableName(),
+    { updated_at: new Date(Date.now() - days * DAY_MS) },
+    { id }
+  );
+
+  const createVisualDNA = async (caseId) => {
+    const photo = await Photo.create({ case_id: caseId, image_url: '/uploads/photos/test.jpg' });
+    return VisualDNA.create({ photo_id: photo.id, case_id: caseId, processing_status: 'completed' });
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('lifecycle-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+    response = await register('lifecycle-poster@example.com', 'Poster');
+    posterToken = response.body.data.token;
+    posterId = response.body.data.user.id;
+
+    response = await register('lifecycle-other@example.com', 'Other');
+    otherToken = response.body.data.token;
+    otherId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Transaction.destroy({ where: {} });
+    await Message.destroy({ where: {} });
+    await Claim.destroy({ where: {} });
+    await VisualDNA.destroy({ where: {} });
+    await Photo.destroy({ where: {} });
+    await Case.destroy({ where: {} });
+    await Notification.destroy({ where: {} });
+  });
+
+  describe('sweep', () => {
+    it('should warn the poster once before the case expires', async () => {
+      const lostCase = await createCase({ expires_at: new Date(Date.now() + 2 * DAY_MS) });
+
+      let result = await caseLifecycleService.sweepCaseLifecycle();
+      expect(result.warned).toBe(1);
+
+      result = await caseLifecycleService.sweepCaseLifecycle();
+      expect(result.warned).toBe(0);
+
+      const notifications = await Notification.findAll({ where: { user_id: posterId, type: 'case_expiring' } });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].data.case_id).toBe(lostCase.id);
+    });
+
+    it('should expire overdue cases, drop them from matching and refund escrow', async () => {
+      const lostCase = await createCase({ expires_at: new Date(Date.now() - DAY_MS) });
+      const dna = await createVisualDNA(lostCase.id);
+      const bounty = await Transaction.create({
+        case_id: lostCase.id,
+        poster_id: posterId,
+        transaction_type: 'bounty_payment',
+        amount: 40,
+        platform_commission: 4,
+        net_amount: 36,
+        status: 'escrow',
+      });
+
+      const result = await caseLifecycleService.sweepCaseLifecycle();
+
+      expect(result).toMatchObject({ expired: 1, refunded: 1 });
+      expect((await lostCase.reload()).status).toBe('expired');
+      expect((await dna.reload()).is_match_candidate).toBe(false);
+      expect((await bounty.reload()).status).toBe('refunded');
+
+      const notification = await Notification.findOne({ where: { user_id: posterId, type: 'case_expired' } });
+      expect(notification).not.toBeNull();
+    });
+
+    it('should archive claimed cases that went stale', async () => {
+      const claimed = await createCase({ status: 'claimed' });
+      const recent = await createCase({ status: 'claimed' });
+      await makeIdle(Case, claimed.id, 45);
+
+      const result = await caseLifecycleService.sweepCaseLifecycle();
+
+      expect(result.archived).toBe(1);
+      expect((await claimed.reload()).status).toBe('archived');
+      expect((await recent.reload()).status).toBe('claimed');
+    });
+
+    it('should keep claimed cases whose claim is still being discussed', async () => {
+      const claimed = await createCase({ case_type: 'found_item', status: 'claimed' });
+      const claim = await Claim.create({
+        found_case_id: claimed.id,
+        claimant_id: otherId,
+        verification_description: 'Brown wallet with a zip pocket',
+        bounty_offered: 0,
+        status: 'accepted',
+      });
+      await makeIdle(Case, claimed.id, 45);
+      await makeIdle(Claim, claim.id, 45);
+
+      await Message.create({ claim_id: claim.id, sender_id: otherId, content: 'Can we meet on Friday?' });
+
+      let result = await caseLifecycleService.sweepCaseLifecycle();
+      expect(result.archived).toBe(0);
+      expect((await claimed.reload()).status).toBe('claimed');
+
+      await Message.update(
+        { createdAt: new Date(Date.now() - 45 * DAY_MS) },
+        { where: { claim_id: claim.id }, silent: true }
+      );
+
+      result = await caseLifecycleService.sweepCaseLifecycle();
+      expect(result.archived).toBe(1);
+    });
+
+    it('should be exposed to admins as a scheduled task', async () => {
+      await createCase({ expires_at: new Date(Date.now() - DAY_MS) });
+
+      const runResponse = await request(app)
+        .post('/api/v1/admin/scheduler/cases.lifecycle/run')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(runResponse.status).toBe(200);
+      expect(runResponse.body.data.result.expired).toBe(1);
+
+      const statusResponse = await request(app)
+        .get('/api/v1/admin/scheduler')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const task = statusResponse.body.data.tasks.find(t => t.name === 'cases.lifecycle');
+      expect(task.last_run_at).not.toBeNull();
+      expect(scheduler.hasTask('cases.unknown')).toBe(false);
+    });
+  });
+
+  describe('POST /api/v1/cases/:id/renew', () => {
+    it('should let the poster bring back an expired case', async () => {
+      const lostCase = await createCase({ status: 'expired', expires_at: new Date(Date.now() - DAY_MS) });
+      const dna = await createVisualDNA(lostCase.id);
+      await dna.update({ is_match_candidate: false });
+
+      const response = await request(app)
+        .post(`/api/v1/cases/${lostCase.id}/renew`)
+        .set('Authorization', `Bearer ${posterToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.case.status).toBe('active');
+      expect(new Date(response.body.data.case.expires_at).getTime()).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+      expect((await dna.reload()).is_match_candidate).toBe(true);
+    });
+
+    it('should not let anyone else renew the case', async () => {
+      const lostCase = await createCase();
+
+      const response = await request(app)
+        .post(`/api/v1/cases/${lostCase.id}/renew`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/cases/:id/renew', () => {
+    it('should renew the case from the email link', async () => {
+      const lostCase = await createCase({ expires_at: new Date(Date.now() + 2 * DAY_MS) });
+      const token = caseLifecycleService.createRenewalToken(lostCase);
+
+      const response = await request(app)
+        .get(`/api/v1/cases/${lostCase.id}/renew`)
+        .query({ token });
+
+      expect(response.status).toBe(200);
+      expect(new Date((await lostCase.reload()).expires_at).getTime()).toBeGreaterThan(Date.now() + 31 * DAY_MS);
+    });
+
+    it('should reject a link for a different case', async () => {
+      const lostCase = await createCase();
+      const otherCase = await createCase();
+      const token = caseLifecycleService.createRenewalToken(otherCase);
+
+      const response = await request(app)
+        .get(`/api/v1/cases/${lostCase.id}/renew`)
+        .query({ token });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -20,6 +20,9 @@ describe('Cases API', () => {
 
     token = response.body.data.token;
     userId = response.body.data.user.id;
+
+    // Posting cases requires a verified email
+    await User.update({ verification_status: 'email_verified' }, { where: { id: userId } });
   });
 
   afterAll(async () => {
@@ -127,6 +130,61 @@ describe('Cases API', () => {
     });
   });
 
+  describe('GET /api/v1/cases location search', () => {
+    beforeAll(async () => {
+      const location = (city, latitude, longitude) => ({ city, latitude, longitude });
+
+      await Case.bulkCreate([
+        { title: 'Lost in Manhattan', last_seen_location: location('New York', 40.7128, -74.006) },
+        { title: 'Lost in Brooklyn', last_seen_location: location('Brooklyn', 40.6782, -73.9442) },
+        { title: 'Lost in Boston', last_seen_location: location('Boston', 42.3601, -71.0589) },
+      ].map((data) => ({
+        ...data,
+        poster_id: userId,
+        case_type: 'lost_item',
+        description: 'Geo test case',
+        bounty_amount: 50,
+        status: 'active',
+      })), { individualHooks: true });
+    });
+
+    it('should index coordinates from last_seen_location', async () => {
+      const caseData = await Case.findOne({ where: { title: 'Lost in Boston' } });
+
+      expect(caseData.latitude).toBeCloseTo(42.3601);
+      expect(caseData.geohash).toMatch(/^drt/);
+    });
+
+    it('should only return cases within the radius, nearest first', async () => {
+      const response = await request(app)
+        .get('/api/v1/cases')
+        .query({ latitude: 40.7128, longitude: -74.006, radius: 25 });
+
+      expect(response.status).toBe(200);
+      const titles = response.body.data.cases.map(c => c.title);
+      expect(titles).toEqual(['Lost in Manhattan', 'Lost in Brooklyn']);
+      expect(response.body.data.cases[0].distance_miles).toBe(0);
+      expect(response.body.data.cases[1].distance_miles).toBeGreaterThan(3);
+      expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    it('should widen results with a larger radius', async () => {
+      const response = await request(app)
+        .get('/api/v1/cases')
+        .query({ latitude: 40.7128, longitude: -74.006, radius: 250 });
+
+      expect(response.body.data.cases.map(c => c.title)).toContain('Lost in Boston');
+    });
+
+    it('should reject invalid coordinates', async () => {
+      const response = await request(app)
+        .get('/api/v1/cases')
+        .query({ latitude: 120, longitude: -74.006 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /api/v1/cases/:id', () => {
     let caseId;
 
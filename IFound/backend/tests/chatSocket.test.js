@@ -0,0 +1,165 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const http = require('http');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { io: connect } = require('socket.io-client');
+const app = require('../src/server');
+const { Case, Claim, Message, sequelize } = require('../src/models');
+const { initializeChatSocket, CHAT_NAMESPACE } = require('../src/services/chatSocketService');
+
+describe('Chat Socket', () => {
+  let server;
+  let baseUrl;
+  let claimantToken;
+  let claimantId;
+  let finderToken;
+  let outsiderToken;
+  let claim;
+  const sockets = [];
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const connectAs = (token) => new Promise((resolve, reject) => {
+    const socket = connect(`${baseUrl}${CHAT_NAMESPACE}`, {
+      auth: { token },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false,
+    });
+    sockets.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  const emit = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+  const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('chat-claimant@example.com', 'Claimant');
+    claimantToken = response.body.data.token;
+    claimantId = response.body.data.user.id;
+
+    response = await register('chat-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    const finderId = response.body.data.user.id;
+
+    response = await register('chat-outsider@example.com', 'Outsider');
+    outsiderToken = response.body.data.token;
+
+    const foundCase = await Case.create({
+      poster_id: finderId,
+      case_type: 'found_item',
+      title: 'Found green scarf',
+      description: 'Green wool scarf left at the cafe',
+      bounty_amount: 0,
+      item_category: 'other',
+    });
+
+    claim = await Claim.create({
+      found_case_id: foundCase.id,
+      claimant_id: claimantId,
+      verification_description: 'Green wool scarf with a tassel missing',
+      bounty_offered: 0,
+      status: 'accepted',
+      chat_enabled: true,
+    });
+
+    server = http.createServer(app);
+    initializeChatSocket(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await new Promise(resolve => server.close(resolve));
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Message.destroy({ where: {} });
+  });
+
+  it('should refuse connections without a valid access token', async () => {
+    await expect(connectAs('not-a-token')).rejects.toThrow('Invalid token');
+  });
+
+  it('should only let the claim\'s parties join its chat', async () => {
+    const finder = await connectAs(finderToken);
+    const outsider = await connectAs(outsiderToken);
+
+    expect(await emit(finder, 'join_claim', { claimId: claim.id })).toMatchObject({ success: true });
+    expect(await emit(outsider, 'join_claim', { claimId: claim.id })).toEqual({
+      success: false,
+      message: 'You do not have access to this chat',
+    });
+  });
+
+  it('should store a message and broadcast it to the room', async () => {
+    const claimant = await connectAs(claimantToken);
+    const finder = await connectAs(finderToken);
+    await emit(claimant, 'join_claim', { claimId: claim.id });
+    await emit(finder, 'join_claim', { claimId: claim.id });
+
+    const received = nextEvent(finder, 'new_message');
+    const ack = await emit(claimant, 'send_message', { claimId: claim.id, content: '  Is it still at the cafe?  ' });
+
+    expect(ack.success).toBe(true);
+    expect(ack.data.message).toMatchObject({ content: 'Is it still at the cafe?', message_type: 'text', sender_id: claimantId });
+
+    const event = await received;
+    expect(event).toMatchObject({ claimId: claim.id, message: { id: ack.data.message.id } });
+    expect(await Message.count({ where: { claim_id: claim.id } })).toBe(1);
+  });
+
+  it('should not let outsiders send messages to a claim', async () => {
+    const outsider = await connectAs(outsiderToken);
+
+    const ack = await emit(outsider, 'send_message', { claimId: claim.id, content: 'Hello' });
+
+    expect(ack).toEqual({ success: false, message: 'You do not have access to this chat' });
+    expect(await Message.count()).toBe(0);
+  });
+
+  it('should only accept text and chat image messages from users', async () => {
+    const finder = await connectAs(finderToken);
+    const send = (extra) => emit(finder, 'send_message', { claimId: claim.id, content: 'Meet here', ...extra });
+
+    expect((await send({ message_type: 'handover_request', metadata: { kind: 'meetup_proposal' } })).success).toBe(false);
+    expect((await send({ message_type: 'system' })).success).toBe(false);
+    expect((await send({ message_type: 'image', metadata: { file_url: 'https://example.com/x.png' } })).success).toBe(false);
+    expect(await Message.count()).toBe(0);
+
+    const text = await send({ metadata: { kind: 'meetup_proposal' } });
+    expect(text.data.message.metadata).toBeNull();
+
+    const image = await send({ message_type: 'image', metadata: { file_url: '/uploads/chat/scarf.jpg', status: 'accepted' } });
+    expect(image.data.message.metadata).toEqual({ file_url: '/uploads/chat/scarf.jpg', file_name: null });
+  });
+
+  it('should disconnect the sockets of a revoked session', async () => {
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'chat-outsider@example.com', password: 'password123' });
+    const laptopToken = login.body.data.token;
+
+    const laptop = await connectAs(laptopToken);
+    const phone = await connectAs(outsiderToken);
+    const disconnected = nextEvent(laptop, 'disconnect');
+
+    const response = await request(app)
+      .delete(`/api/v1/auth/sessions/${jwt.decode(laptopToken).sid}`)
+      .set('Authorization', `Bearer ${outsiderToken}`);
+    expect(response.status).toBe(200);
+
+    expect(await disconnected).toBe('io server disconnect');
+    expect(phone.connected).toBe(true);
+    await expect(connectAs(laptopToken)).rejects.toThrow('Session has ended');
+  });
+});
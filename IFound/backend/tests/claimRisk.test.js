@@ -0,0 +1,228 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Claim, RiskAssessment, Notification, sequelize } = require('../src/models');
+const claimRiskService = require('../src/services/claimRiskService');
+
+describe('Claim Fraud Risk', () => {
+  let claimantToken;
+  let claimantId;
+  let finderToken;
+  let finderId;
+  let adminToken;
+  let adminId;
+  let foundCases;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const claim = (caseId) => request(app)
+    .post('/api/v1/claims')
+    .set('Authorization', `Bearer ${claimantToken}`)
+    .send({ found_case_id: caseId, verification_description: 'Black umbrella with a wooden handle', bounty_offered: 0 });
+
+  // Five recent claims on other items push the velocity signal to its maximum
+  const seedRecentClaims = () => Promise.all(foundCases.slice(1).map(foundCase => Claim.create({
+    found_case_id: foundCase.id,
+    claimant_id: claimantId,
+    verification_description: 'Black umbrella with a wooden handle',
+    bounty_offered: 0,
+  })));
+
+  const holdClaim = async () => {
+    await seedRecentClaims();
+    const created = await claim(foundCases[0].id);
+    return RiskAssessment.findOne({ where: { claim_id: created.body.data.claim.id } });
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('risk-claimant@example.com', 'Claimant');
+    claimantToken = response.body.data.token;
+    claimantId = response.body.data.user.id;
+
+    response = await register('risk-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+
+    response = await register('risk-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    adminId = response.body.data.user.id;
+    await User.update({ user_type: 'admin' }, { where: { id: adminId } });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Notification.destroy({ where: {} });
+    await RiskAssessment.destroy({ where: {} });
+    await Claim.destroy({ where: {} });
+    await Case.destroy({ where: {} });
+
+    foundCases = await Promise.all([1, 2, 3, 4, 5, 6].map(n => Case.create({
+      poster_id: finderId,
+      case_type: 'found_item',
+      title: `Found black umbrella #${n}`,
+      description: 'Black umbrella left on the bus',
+      bounty_amount: 0,
+      item_category: 'other',
+    })));
+  });
+
+  it('should let a low-risk claim through to the finder', async () => {
+    const created = await claim(foundCases[0].id);
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.claim.status).toBe('pending');
+
+    const assessment = await RiskAssessment.findOne({ where: { claim_id: created.body.data.claim.id } });
+    expect(assessment.decision).toBe('allowed');
+    expect(assessment.signals.map(s => s.signal)).toEqual(['new_account', 'unverified']);
+  });
+
+  it('should hold a risky claim and hide it from the finder', async () => {
+    await seedRecentClaims();
+    const created = await claim(foundCases[0].id);
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.claim.status).toBe('on_hold');
+
+    const assessment = await RiskAssessment.findOne({ where: { claim_id: created.body.data.claim.id } });
+    expect(assessment.decision).toBe('held');
+    expect(assessment.score).toBeGreaterThanOrEqual(claimRiskService.HOLD_THRESHOLD);
+    expect(assessment.signals[0]).toMatchObject({ signal: 'velocity', points: 30 });
+
+    const forFinder = await request(app)
+      .get(`/api/v1/claims/case/${foundCases[0].id}`)
+      .set('Authorization', `Bearer ${finderToken}`);
+    expect(forFinder.body.data.claims).toHaveLength(0);
+
+    const direct = await request(app)
+      .get(`/api/v1/claims/${created.body.data.claim.id}`)
+      .set('Authorization', `Bearer ${finderToken}`);
+    expect(direct.status).toBe(404);
+
+    expect(await Notification.count({ where: { user_id: finderId, type: 'claim_received' } })).toBe(0);
+    expect(await Notification.count({ where: { user_id: claimantId, type: 'claim_on_hold' } })).toBe(1);
+  });
+
+  describe('admin review', () => {
+    it('should list held claims and release one to the finder', async () => {
+      const assessment = await holdClaim();
+
+      const queue = await request(app)
+        .get('/api/v1/admin/risk/claims')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(queue.status).toBe(200);
+      expect(queue.body.data.assessments.map(a => a.id)).toEqual([assessment.id]);
+
+      const response = await request(app)
+        .put(`/api/v1/admin/risk/claims/${assessment.id}/release`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes: 'Known commuter, lost several items' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.assessment).toMatchObject({ decision: 'released', reviewed_by: adminId });
+      expect((await Claim.findByPk(assessment.claim_id)).status).toBe('pending');
+      expect(await Notification.count({ where: { user_id: finderId, type: 'claim_received' } })).toBe(1);
+
+      const again = await request(app)
+        .put(`/api/v1/admin/risk/claims/${assessment.id}/release`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    it('should require notes to reject and count the rejection later', async () => {
+      const assessment = await holdClaim();
+      const reject = (notes) => request(app)
+        .put(`/api/v1/admin/risk/claims/${assessment.id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes });
+
+      expect((await reject('no')).status).toBe(400);
+
+      const response = await reject('Same umbrella claimed from six listings');
+      expect(response.status).toBe(200);
+
+      const rejected = await Claim.findByPk(assessment.claim_id);
+      expect(rejected.status).toBe('rejected');
+      expect(rejected.rejection_reason).toBe('Failed fraud review');
+      expect(await Notification.count({ where: { user_id: claimantId, type: 'claim_rejected' } })).toBe(1);
+
+      const detail = await request(app)
+        .get(`/api/v1/admin/risk/claims/${assessment.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(detail.body.data.claimant.claims.rejected).toBe(1);
+
+      // Every other listing already has a claim from them
+      const another = await Case.create({
+        poster_id: finderId,
+        case_type: 'found_item',
+        title: 'Found black umbrella #7',
+        description: 'Black umbrella left on the bus',
+        bounty_amount: 0,
+        item_category: 'other',
+      });
+      const next = await Claim.create({
+        found_case_id: another.id,
+        claimant_id: claimantId,
+        verification_description: 'Black umbrella with a wooden handle',
+        bounty_offered: 0,
+      });
+      const later = await claimRiskService.assessClaim(next);
+
+      // Counted once, through the fraud review, not again as a rejected claim
+      expect(later.signals.find(s => s.signal === 'rejections')).toMatchObject({
+        points: 25,
+        detail: '1 rejected in fraud review',
+      });
+    });
+
+    it('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/risk/claims')
+        .set('Authorization', `Bearer ${finderToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  it('should flag accounts sharing a public IP address', async () => {
+    const network = { ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0' };
+
+    const other = await Claim.create({
+      found_case_id: foundCases[0].id,
+      claimant_id: adminId,
+      verification_description: 'Black umbrella with a wooden handle',
+      bounty_offered: 0,
+    });
+    await claimRiskService.assessClaim(other, network);
+
+    const mine = await Claim.create({
+      found_case_id: foundCases[0].id,
+      claimant_id: claimantId,
+      verification_description: 'Black umbrella with a wooden handle',
+      bounty_offered: 0,
+    });
+    const assessment = await claimRiskService.assessClaim(mine, network);
+
+    expect(assessment.signals.map(s => s.signal)).toEqual(
+      expect.arrayContaining(['shared_network', 'shared_device'])
+    );
+
+    // Loopback and private ranges are shared by everyone behind a proxy
+    const local = await Claim.create({
+      found_case_id: foundCases[1].id,
+      claimant_id: claimantId,
+      verification_description: 'Black umbrella with a wooden handle',
+      bounty_offered: 0,
+    });
+    const fromLocal = await claimRiskService.assessClaim(local, { ipAddress: '127.0.0.1', userAgent: 'Mozilla/5.0' });
+    expect(fromLocal.signals.map(s => s.signal)).not.toContain('shared_network');
+  });
+});
@@ -0,0 +1,147 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Claim, sequelize } = require('../src/models');
+
+describe('Claim Verification Scoring', () => {
+  let claimantToken;
+  let claimantId;
+  let finderToken;
+  let finderId;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const postFoundItem = (secretDetails) => request(app)
+    .post('/api/v1/cases')
+    .set('Authorization', `Bearer ${finderToken}`)
+    .send({
+      case_type: 'found_item',
+      title: 'Found brown leather wallet',
+      description: 'Brown leather wallet found near the library',
+      bounty_amount: 0,
+      item_category: 'other',
+      secret_details: secretDetails,
+    });
+
+  const claim = (caseId, description) => request(app)
+    .post('/api/v1/claims')
+    .set('Authorization', `Bearer ${claimantToken}`)
+    .send({ found_case_id: caseId, verification_description: description, bounty_offered: 0 });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('verify-claimant@example.com', 'Claimant');
+    claimantToken = response.body.data.token;
+    claimantId = response.body.data.user.id;
+
+    response = await register('verify-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+
+    await User.update({ verification_status: 'email_verified' }, { where: { id: [claimantId, finderId] } });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Claim.destroy({ where: {} });
+    await Case.destroy({ where: {} });
+  });
+
+  it('should keep secret details out of public case responses', async () => {
+    const created = await postFoundItem({
+      details: ['Library card in the front pocket'],
+      serial_fragments: ['7Q2X'],
+    });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.case.secret_details.serial_fragments).toEqual(['7Q2X']);
+
+    const response = await request(app).get(`/api/v1/cases/${created.body.data.case.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.case.secret_details).toBeUndefined();
+  });
+
+  it('should reject secret details on lost items and too-short serial fragments', async () => {
+    let response = await postFoundItem({ serial_fragments: ['7Q'] });
+    expect(response.status).toBe(400);
+
+    response = await request(app)
+      .post('/api/v1/cases')
+      .set('Authorization', `Bearer ${finderToken}`)
+      .send({
+        case_type: 'lost_item',
+        title: 'Lost wallet',
+        description: 'Lost my wallet near the library',
+        bounty_amount: 0,
+        secret_details: { details: ['Library card'] },
+      });
+    expect(response.status).toBe(400);
+  });
+
+  it('should score a claim for the finder without showing it to the claimant', async () => {
+    const { body } = await postFoundItem({
+      details: ['Library card in the front pocket', 'Scratch across the back'],
+      serial_fragments: ['7Q2X'],
+    });
+    const caseId = body.data.case.id;
+
+    const created = await claim(caseId, 'My brown wallet, my library card is in the front pocket. Card number ends 7Q2X');
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.claim.verification_score).toBeUndefined();
+
+    const forFinder = await request(app)
+      .get(`/api/v1/claims/case/${caseId}`)
+      .set('Authorization', `Bearer ${finderToken}`);
+
+    const [scored] = forFinder.body.data.claims;
+    expect(scored.verification_score).toBe(68);
+    expect(scored.verification_breakdown.signals.details).toMatchObject({ matched: 1, total: 2 });
+    expect(scored.verification_breakdown.signals.serials).toMatchObject({ matched: 1, total: 1 });
+    expect(JSON.stringify(scored.verification_breakdown)).not.toContain('Scratch');
+
+    const mine = await request(app)
+      .get('/api/v1/claims/my-claims')
+      .set('Authorization', `Bearer ${claimantToken}`);
+    expect(mine.body.data.claims[0].verification_breakdown).toBeUndefined();
+  });
+
+  it('should re-score when the claimant answers a question', async () => {
+    const { body } = await postFoundItem({ details: ['Library card in the front pocket', 'Scratch across the back'] });
+    const created = await claim(body.data.case.id, 'Brown wallet with my library card in the front pocket');
+    const claimId = created.body.data.claim.id;
+
+    expect((await Claim.findByPk(claimId)).verification_score).toBe(50);
+
+    await request(app)
+      .post(`/api/v1/claims/${claimId}/questions`)
+      .set('Authorization', `Bearer ${finderToken}`)
+      .send({ question: 'Any damage on it?' });
+
+    const response = await request(app)
+      .put(`/api/v1/claims/${claimId}/questions/0`)
+      .set('Authorization', `Bearer ${claimantToken}`)
+      .send({ answer: 'A long scratch across the back' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.claim.verification_score).toBeUndefined();
+    expect((await Claim.findByPk(claimId)).verification_score).toBe(100);
+  });
+
+  it('should leave claims unscored when the item has no secret details', async () => {
+    const { body } = await postFoundItem(undefined);
+    const created = await claim(body.data.case.id, 'Brown wallet with my library card in the front pocket');
+
+    const stored = await Claim.findByPk(created.body.data.claim.id);
+    expect(stored.verification_score).toBeNull();
+    expect(stored.verification_breakdown.status).toBe('no_secret_details');
+  });
+});
@@ -0,0 +1,183 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Transaction, Notification, sequelize } = require('../src/models');
+const ledgerService = require('../src/services/ledgerService');
+const exchangeRates = require('../src/services/exchangeRates');
+const notificationService = require('../src/services/notificationService');
+
+describe('Currencies', () => {
+  let posterToken;
+  let posterId;
+  let finderToken;
+  let finderId;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const createCaseRequest = (overrides = {}) => request(app)
+    .post('/api/v1/cases')
+    .set('Authorization', `Bearer ${posterToken}`)
+    .send({
+      case_type: 'lost_item',
+      title: 'Lost blue umbrella',
+      description: 'Blue folding umbrella with a wooden handle',
+      item_category: 'other',
+      bounty_amount: 30,
+      ...overrides,
+    });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    exchangeRates.setProvider(new exchangeRates.StaticProvider());
+
+    let response = await register('currency-poster@example.com', 'Poster');
+    posterToken = response.body.data.token;
+    posterId = response.body.data.user.id;
+    await User.update({ verification_status: 'email_verified' }, { where: { id: posterId } });
+
+    response = await register('currency-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Transaction.destroy({ where: {} });
+  });
+
+  describe('POST /api/v1/cases', () => {
+    it('should store the case in the requested currency', async () => {
+      const response = await createCaseRequest({ currency: 'eur' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.case.currency).toBe('EUR');
+    });
+
+    it('should cap the bounty per currency', async () => {
+      // 40 is within the CAD cap but over the EUR one
+      let response = await createCaseRequest({ bounty_amount: 40, currency: 'EUR' });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('EUR');
+
+      response = await createCaseRequest({ bounty_amount: 40 });
+      expect(response.status).toBe(201);
+      expect(response.body.data.case.currency).toBe('CAD');
+    });
+
+    it('should reject unsupported currencies', async () => {
+      const response = await createCaseRequest({ currency: 'JPY' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('earnings and withdrawals', () => {
+    let caseId;
+
+    beforeAll(async () => {
+      const lostCase = await Case.create({
+        poster_id: posterId,
+        case_type: 'lost_item',
+        title: 'Lost passport holder',
+        description: 'Black leather passport holder',
+        bounty_amount: 20,
+        currency: 'EUR',
+        item_category: 'documents',
+      });
+      caseId = lostCase.id;
+    });
+
+    const createEarning = (currency, amount, commission = 0) => Transaction.create({
+      case_id: caseId,
+      poster_id: posterId,
+      finder_id: finderId,
+      transaction_type: 'bounty_payment',
+      amount,
+      platform_commission: commission,
+      currency,
+      status: 'completed',
+      completed_at: new Date(),
+    });
+
+    it('should derive the net amount in the earning\'s own currency', async () => {
+      const earning = await createEarning('EUR', 20, 1.5);
+
+      expect(earning.net_amount).toBe('18.50');
+      expect(await ledgerService.getBalance('finder_available', finderId, { currency: 'EUR' })).toBe(18.5);
+      expect(await ledgerService.getBalance('platform_commission', null, { currency: 'EUR' })).toBe(1.5);
+
+      await notificationService.notifyTransactionCompleted(earning);
+      const notification = await Notification.findOne({ where: { user_id: finderId, type: 'transaction_completed' } });
+      expect(notification.body).toBe('€18.50 EUR has been added to your earnings.');
+    });
+
+    it('should keep balances separate per currency', async () => {
+      await createEarning('EUR', 20);
+      await createEarning('CAD', 10);
+
+      expect(await ledgerService.getBalance('finder_available', finderId, { currency: 'EUR' })).toBe(20);
+      expect(await ledgerService.getBalances('finder_available', finderId)).toEqual({ CAD: 10, EUR: 20 });
+
+      const response = await request(app)
+        .get('/api/v1/payments/earnings')
+        .query({ currency: 'EUR' })
+        .set('Authorization', `Bearer ${finderToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toMatchObject({ currency: 'EUR', available_balance: '20.00' });
+      expect(response.body.data.balances.map(b => b.currency)).toEqual(['CAD', 'EUR']);
+      // 20 EUR at the built-in rates is 29.57 CAD
+      expect(response.body.data.total_available).toEqual({ amount: '39.57', currency: 'CAD' });
+    });
+
+    it('should withdraw from the requested currency only', async () => {
+      await createEarning('EUR', 20);
+      await createEarning('CAD', 10);
+
+      let response = await request(app)
+        .post('/api/v1/payments/withdraw')
+        .set('Authorization', `Bearer ${finderToken}`)
+        .send({ amount: 15, currency: 'CAD' });
+      expect(response.status).toBe(400);
+
+      response = await request(app)
+        .post('/api/v1/payments/withdraw')
+        .set('Authorization', `Bearer ${finderToken}`)
+        .send({ amount: 15, currency: 'EUR' });
+      expect(response.status).toBe(201);
+      expect(response.body.data.withdrawal.currency).toBe('EUR');
+
+      expect(await ledgerService.getBalance('finder_available', finderId, { currency: 'EUR' })).toBe(5);
+      expect(await ledgerService.getBalance('finder_available', finderId, { currency: 'CAD' })).toBe(10);
+    });
+  });
+
+  describe('exchangeRates', () => {
+    it('should convert through the base currency', async () => {
+      expect(await exchangeRates.convert(100, 'USD', 'CAD')).toBe(136);
+      expect(await exchangeRates.convert(136, 'CAD', 'USD')).toBe(100);
+      expect(await exchangeRates.normalizeTotals({ CAD: 10, USD: 10 })).toBe(23.6);
+    });
+
+    it('should use a custom provider', async () => {
+      class FixedProvider extends exchangeRates.RatesProvider {
+        constructor() { super('fixed'); }
+        async getRates() {
+          return { base: 'CAD', rates: { CAD: 1, EUR: 0.5 }, as_of: new Date() };
+        }
+      }
+
+      exchangeRates.setProvider(new FixedProvider());
+      expect(await exchangeRates.convert(10, 'EUR', 'CAD')).toBe(20);
+      expect(exchangeRates.getStatus().provider).toBe('fixed');
+
+      exchangeRates.setProvider(new exchangeRates.StaticProvider());
+    });
+  });
+});
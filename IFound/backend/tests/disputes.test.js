@@ -0,0 +1,251 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Claim, Transaction, Dispute, Notification, sequelize } = require('../src/models');
+const ledgerService = require('../src/services/ledgerService');
+const paymentService = require('../src/services/paymentService');
+
+describe('Claim Disputes', () => {
+  let adminToken;
+  let claimantToken;
+  let claimantId;
+  let finderToken;
+  let finderId;
+  let otherToken;
+  let foundCaseId;
+  const uploadedFiles = [];
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const createClaim = async (status = 'completed') => {
+    const claim = await Claim.create({
+      found_case_id: foundCaseId,
+      claimant_id: claimantId,
+      verification_description: 'Black wallet with my library card inside',
+      bounty_offered: status === 'completed' ? 20 : 0,
+      status,
+    });
+
+    if (status !== 'completed') return claim;
+
+    const bounty = await Transaction.create({
+      case_id: foundCaseId,
+      finder_id: finderId,
+      poster_id: claimantId,
+      transaction_type: 'bounty_payment',
+      amount: 20,
+      platform_commission: 0.5,
+      net_amount: 19.5,
+      status: 'completed',
+      completed_at: new Date(),
+    });
+    return claim.update({ payment_transaction_id: bounty.id, payment_status: 'completed' });
+  };
+
+  const openDispute = (claimId, token = claimantToken) => request(app)
+    .post(`/api/v1/claims/${claimId}/dispute`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      reason: 'item_not_received',
+      description: 'The finder confirmed the handover but never showed up',
+    });
+
+  const resolve = (disputeId, body) => request(app)
+    .put(`/api/v1/admin/disputes/${disputeId}/resolve`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('dispute-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+    response = await register('dispute-claimant@example.com', 'Claimant');
+    claimantToken = response.body.data.token;
+    claimantId = response.body.data.user.id;
+
+    response = await register('dispute-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+
+    response = await register('dispute-other@example.com', 'Other');
+    otherToken = response.body.data.token;
+
+    const foundCase = await Case.create({
+      poster_id: finderId,
+      case_type: 'found_item',
+      title: 'Found black wallet',
+      description: 'Black wallet found at the bus stop',
+      bounty_amount: 0,
+      item_category: 'other',
+    });
+    foundCaseId = foundCase.id;
+  });
+
+  afterAll(async () => {
+    uploadedFiles.forEach(file => fs.rmSync(file, { force: true }));
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Dispute.destroy({ where: {} });
+    await Claim.destroy({ where: {} });
+    await Transaction.destroy({ where: {} });
+    await Notification.destroy({ where: {} });
+  });
+
+  describe('POST /api/v1/claims/:claimId/dispute', () => {
+    it('should freeze the bounty and notify the other party', async () => {
+      const claim = await createClaim();
+      expect(await ledgerService.getBalance('finder_available', finderId)).toBe(19.5);
+
+      const response = await openDispute(claim.id);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.dispute.timeline[0].event).toBe('opened');
+      expect((await claim.reload()).status).toBe('disputed');
+
+      const bounty = await Transaction.findByPk(claim.payment_transaction_id);
+      expect(bounty.frozen_at).not.toBeNull();
+      expect(await ledgerService.getBalance('finder_available', finderId)).toBe(0);
+      expect(await ledgerService.getBalance('poster_escrow', claimantId)).toBe(20);
+
+      const notification = await Notification.findOne({ where: { user_id: finderId, type: 'claim_dispute' } });
+      expect(notification.data.dispute_id).toBe(response.body.data.dispute.id);
+    });
+
+    it('should block payment changes and a second dispute while open', async () => {
+      const claim = await createClaim();
+      await openDispute(claim.id);
+
+      let response = await openDispute(claim.id, finderToken);
+      expect(response.status).toBe(409);
+
+      response = await request(app)
+        .post(`/api/v1/payments/refund/${claim.payment_transaction_id}`)
+        .set('Authorization', `Bearer ${claimantToken}`)
+        .send({ reason: 'Trying to skip the dispute' });
+      expect(response.status).toBe(409);
+    });
+
+    it('should only let the claimant or finder dispute', async () => {
+      const claim = await createClaim();
+
+      const response = await openDispute(claim.id, otherToken);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should accept evidence uploads from either party', async () => {
+      const claim = await createClaim();
+      await openDispute(claim.id);
+
+      const response = await request(app)
+        .post(`/api/v1/claims/${claim.id}/dispute/evidence`)
+        .set('Authorization', `Bearer ${finderToken}`)
+        .field('note', 'Photo of the owner signing for the wallet')
+        .attach('evidence', Buffer.from('fake image'), { filename: 'handover.png', contentType: 'image/png' });
+
+      expect(response.status).toBe(200);
+      uploadedFiles.push(...response.body.data.dispute.evidence.map(e => path.join(__dirname, '..', e.url)));
+      expect(response.body.data.dispute.evidence).toHaveLength(1);
+      expect(response.body.data.dispute.evidence[0].uploaded_by).toBe(finderId);
+      expect(response.body.data.dispute.timeline.map(e => e.event)).toEqual(['opened', 'evidence_added']);
+    });
+  });
+
+  describe('admin adjudication', () => {
+    it('should release the bounty when ruling for the finder', async () => {
+      const claim = await createClaim();
+      const { body } = await openDispute(claim.id);
+
+      const response = await resolve(body.data.dispute.id, {
+        ruling: 'finder',
+        notes: 'Handover photo shows the owner collecting the wallet',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dispute).toMatchObject({ status: 'resolved', payment_action: 'release' });
+      expect((await claim.reload()).status).toBe('completed');
+      expect((await Transaction.findByPk(claim.payment_transaction_id)).frozen_at).toBeNull();
+      expect(await ledgerService.getBalance('finder_available', finderId)).toBe(19.5);
+    });
+
+    it('should refund the bounty when ruling for the claimant', async () => {
+      const claim = await createClaim();
+      const { body } = await openDispute(claim.id);
+
+      const response = await resolve(body.data.dispute.id, {
+        ruling: 'claimant',
+        notes: 'Finder could not show the item was handed over',
+      });
+
+      expect(response.status).toBe(200);
+      expect((await claim.reload()).payment_status).toBe('refunded');
+      expect((await Transaction.findByPk(claim.payment_transaction_id)).status).toBe('refunded');
+      expect(await ledgerService.getBalance('finder_available', finderId)).toBe(0);
+      expect(await ledgerService.getBalance('poster_escrow', claimantId)).toBe(0);
+
+      const notifications = await Notification.count({ where: { type: 'claim_dispute', data: { event: 'resolved' } } });
+      expect(notifications).toBe(2);
+
+      const again = await resolve(body.data.dispute.id, { ruling: 'finder', notes: 'Changed my mind about this' });
+      expect(again.status).toBe(409);
+    });
+
+    it('should reverse a handover bounty in the ledger when Stripe is live', async () => {
+      const claim = await createClaim();
+      const { body } = await openDispute(claim.id);
+
+      // Handover bounties have no payment intent, so nothing may reach Stripe
+      paymentService.testMode = false;
+      try {
+        const response = await resolve(body.data.dispute.id, {
+          ruling: 'claimant',
+          notes: 'Finder could not show the item was handed over',
+        });
+        expect(response.status).toBe(200);
+      } finally {
+        paymentService.testMode = true;
+      }
+
+      const bounty = await Transaction.findByPk(claim.payment_transaction_id);
+      expect(bounty).toMatchObject({ status: 'refunded', frozen_at: null });
+      expect(await ledgerService.getBalance('finder_available', finderId)).toBe(0);
+      expect((await ledgerService.getReconciliationReport()).balanced).toBe(true);
+
+      await expect(paymentService.refundPayment(bounty.id, 'Refunding this a second time', null))
+        .rejects.toThrow('Cannot refund a refunded transaction');
+    });
+
+    it('should reopen a wrongly rejected claim', async () => {
+      const claim = await createClaim('rejected');
+      const response = await request(app)
+        .post(`/api/v1/claims/${claim.id}/dispute`)
+        .set('Authorization', `Bearer ${claimantToken}`)
+        .send({ reason: 'wrongful_rejection', description: 'I described the library card name exactly' });
+      expect(response.status).toBe(201);
+
+      await resolve(response.body.data.dispute.id, { ruling: 'claimant', notes: 'Description matches the card inside' });
+
+      await claim.reload();
+      expect(claim.status).toBe('accepted');
+      expect(claim.chat_enabled).toBe(true);
+    });
+
+    it('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/disputes')
+        .set('Authorization', `Bearer ${finderToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
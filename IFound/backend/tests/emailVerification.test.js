@@ -0,0 +1,166 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/server');
+const { User, sequelize } = require('../src/models');
+const { createVerificationToken } = require('../src/services/emailVerificationService');
+
+describe('Email Verification API', () => {
+  let token;
+  let userId;
+
+  const accessTokenFor = (user) => jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+
+  const createUser = (email, overrides = {}) => User.create({
+    email,
+    password_hash: 'password123',
+    first_name: 'Verify',
+    last_name: 'User',
+    ...overrides,
+  });
+
+  const verify = (verificationToken) => request(app)
+    .post('/api/v1/auth/verify-email')
+    .send({ token: verificationToken });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        email: 'verify@example.com',
+        password: 'password123',
+        first_name: 'Verify',
+        last_name: 'User',
+      });
+
+    token = response.body.data.token;
+    userId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const postCase = () => request(app)
+    .post('/api/v1/cases')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      case_type: 'lost_item',
+      title: 'Lost green scarf',
+      description: 'Green wool scarf left on the bus',
+      bounty_amount: 20,
+      item_category: 'other',
+    });
+
+  describe('POST /api/v1/auth/verify-email', () => {
+    it('should send a verification email on registration', async () => {
+      const user = await User.findByPk(userId);
+
+      expect(user.verification_status).toBe('unverified');
+      expect(user.verification_email_sent_at).not.toBeNull();
+
+      const response = await postCase();
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should verify the email and allow posting cases', async () => {
+      const user = await User.findByPk(userId);
+
+      const response = await verify(createVerificationToken(user));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.verification_status).toBe('email_verified');
+      await user.reload();
+      expect(user.email_verified_at).not.toBeNull();
+
+      expect((await postCase()).status).toBe(201);
+    });
+
+    it('should accept a link that was already used', async () => {
+      const user = await User.findByPk(userId);
+
+      const response = await verify(createVerificationToken(user));
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Email already verified');
+    });
+
+    it('should reject an expired link', async () => {
+      const user = await createUser('expired@example.com');
+      const expired = jwt.sign(
+        { userId: user.id, email: user.email, purpose: 'email_verification', exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET
+      );
+
+      const response = await verify(expired);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/expired/);
+      await user.reload();
+      expect(user.verification_status).toBe('unverified');
+    });
+
+    it('should reject tokens signed for something else', async () => {
+      const user = await createUser('purpose@example.com');
+
+      const response = await verify(jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET));
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not accept a verification link as a login', async () => {
+      const user = await createUser('not-a-login@example.com');
+
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${createVerificationToken(user)}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject a link sent to a previous address', async () => {
+      const user = await createUser('old-address@example.com');
+      const oldToken = createVerificationToken(user);
+      await user.update({ email: 'new-address@example.com' });
+
+      const response = await verify(oldToken);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/v1/auth/resend-verification', () => {
+    it('should not reveal whether an address is registered', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should throttle repeated requests', async () => {
+      const user = await createUser('throttle@example.com', { verification_email_sent_at: new Date() });
+
+      const response = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${accessTokenFor(user)}`);
+
+      expect(response.status).toBe(429);
+    });
+
+    it('should send a new email once the cooldown has passed', async () => {
+      const sentAt = new Date(Date.now() - 5 * 60 * 1000);
+      const user = await createUser('resend@example.com', { verification_email_sent_at: sentAt });
+
+      const response = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${accessTokenFor(user)}`);
+
+      expect(response.status).toBe(200);
+      await user.reload();
+      expect(user.verification_email_sent_at.getTime()).toBeGreaterThan(sentAt.getTime());
+    });
+  });
+});
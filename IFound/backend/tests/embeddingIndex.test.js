@@ -0,0 +1,171 @@
+const os = require('os');
+const path = require('path');
+
+process.env.EMBEDDING_INDEX_PATH = path.join(os.tmpdir(), `ifound-embedding-index-${process.pid}.json`);
+process.env.EMBEDDING_INDEX_SYNC_INTERVAL_MS = '1';
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Photo, VisualDNA, sequelize } = require('../src/models');
+const embeddingIndex = require('../src/services/embeddingIndex');
+const { HnswIndex, BruteForceIndex } = embeddingIndex;
+
+// Seeded RNG so graph construction is repeatable
+const seededRandom = (seed = 7) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const randomVectors = (count, dims, random) =>
+  Array.from({ length: count }, () => Array.from({ length: dims }, () => random() - 0.5));
+
+const axisVector = (axis, dims = 8) => Array.from({ length: dims }, (_, i) => (i === axis ? 1 : 0.05));
+
+describe('Embedding Index', () => {
+  describe('HnswIndex', () => {
+    const random = seededRandom();
+    const vectors = randomVectors(500, 32, random);
+    let index;
+
+    beforeAll(() => {
+      index = new HnswIndex({ random });
+      vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+    });
+
+    it('should find the same neighbours as a brute-force scan', () => {
+      const brute = new BruteForceIndex();
+      vectors.forEach((vector, i) => brute.add(`v${i}`, vector));
+
+      let found = 0;
+      for (const query of randomVectors(20, 32, random)) {
+        const expected = brute.search(query, 10, -1).map(r => r.id);
+        const actual = new Set(index.search(query, 10, -1).map(r => r.id));
+        found += expected.filter(id => actual.has(id)).length;
+      }
+
+      expect(found / 200).toBeGreaterThanOrEqual(0.95);
+    });
+
+    it('should return cosine similarity and respect the threshold', () => {
+      const [best] = index.search(vectors[42], 1);
+
+      expect(best.id).toBe('v42');
+      expect(best.similarity).toBeCloseTo(1, 5);
+      expect(index.search(vectors[42], 10, 0.99).map(r => r.id)).toEqual(['v42']);
+    });
+
+    it('should stop returning removed vectors', () => {
+      const copy = HnswIndex.fromJSON(index.toJSON());
+
+      expect(copy.remove('v42')).toBe(true);
+      expect(copy.has('v42')).toBe(false);
+      expect(copy.search(vectors[42], 5, -1).map(r => r.id)).not.toContain('v42');
+      expect(copy.compact().size).toBe(499);
+    });
+
+    it('should survive a save/load round trip', () => {
+      const restored = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+
+      expect(restored.size).toBe(500);
+      expect(restored.search(vectors[7], 3)).toEqual(index.search(vectors[7], 3));
+    });
+
+    it('should reject embeddings of a different size', () => {
+      expect(() => index.add('other-model', [1, 2, 3])).toThrow(/dimension/);
+    });
+  });
+
+  describe('VisualDNA sync', () => {
+    let adminToken;
+    let caseId;
+
+    const createVisualDNA = async (embedding, status = 'completed') => {
+      const photo = await Photo.create({ case_id: caseId, image_url: '/uploads/photos/test.jpg' });
+      return VisualDNA.create({
+        photo_id: photo.id,
+        case_id: caseId,
+        neural_embedding: embedding,
+        processing_status: status,
+      });
+    };
+
+    beforeAll(async () => {
+      await sequelize.sync({ force: true });
+
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ email: 'index-admin@example.com', password: 'password123', first_name: 'Index', last_name: 'Admin' });
+      adminToken = response.body.data.token;
+      await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+      const lostCase = await Case.create({
+        poster_id: response.body.data.user.id,
+        case_type: 'lost_item',
+        title: 'Lost blue backpack',
+        description: 'Blue backpack with a red zipper',
+        bounty_amount: 20,
+        item_category: 'other',
+      });
+      caseId = lostCase.id;
+
+      await createVisualDNA(axisVector(0));
+      await embeddingIndex.init();
+    });
+
+    afterAll(async () => {
+      await embeddingIndex.flush();
+      fs.rmSync(process.env.EMBEDDING_INDEX_PATH, { force: true });
+      await sequelize.close();
+    });
+
+    it('should index records created after loading', async () => {
+      const record = await createVisualDNA(axisVector(1));
+
+      const [best] = await embeddingIndex.search(axisVector(1), { k: 1 });
+
+      expect(best.id).toBe(record.id);
+    });
+
+    it('should skip records that are not completed', async () => {
+      const record = await createVisualDNA(axisVector(2), 'processing');
+
+      let results = await embeddingIndex.search(axisVector(2), { k: 5, threshold: 0.9 });
+      expect(results).toHaveLength(0);
+
+      await record.update({ processing_status: 'completed' });
+      results = await embeddingIndex.search(axisVector(2), { k: 5, threshold: 0.9 });
+      expect(results.map(r => r.id)).toEqual([record.id]);
+    });
+
+    it('should drop records deleted without hooks', async () => {
+      const record = await createVisualDNA(axisVector(3));
+      expect((await embeddingIndex.search(axisVector(3), { k: 1 }))[0].id).toBe(record.id);
+
+      // Bulk delete skips instance hooks, like a cascade from the case
+      await VisualDNA.destroy({ where: { id: record.id } });
+
+      const results = await embeddingIndex.search(axisVector(3), { k: 5, threshold: 0.9 });
+      expect(results).toHaveLength(0);
+    });
+
+    it('should match the brute-force fallback', async () => {
+      const query = axisVector(1);
+
+      const fromIndex = await embeddingIndex.search(query, { k: 3 });
+      const fromDatabase = await embeddingIndex.bruteForceSearch(query, { k: 3, threshold: 0 });
+
+      expect(fromIndex.map(r => r.id)).toEqual(fromDatabase.map(r => r.id));
+    });
+
+    it('should rebuild from the database via the admin API', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/embedding-index/rebuild')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.index.size).toBe(3);
+      expect(fs.existsSync(process.env.EMBEDDING_INDEX_PATH)).toBe(true);
+    });
+  });
+});
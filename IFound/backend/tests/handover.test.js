@@ -0,0 +1,261 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { Case, Claim, Message, Transaction, sequelize } = require('../src/models');
+
+describe('Claim Handover', () => {
+  let claimantToken;
+  let claimantId;
+  let finderToken;
+  let finderId;
+  let foundCaseId;
+  let claim;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const propose = (token = finderToken) => request(app)
+    .post(`/api/v1/claims/${claim.id}/handover/proposals`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      slots: [
+        { starts_at: tomorrow(), location: { name: 'Union Station', address: '65 Front St W, Toronto', latitude: 43.645, longitude: -79.38 } },
+        { starts_at: tomorrow(), duration_minutes: 45, location: { address: 'Public library, main entrance' } },
+      ],
+      note: 'Either works for me',
+    });
+
+  const issueCode = () => request(app)
+    .post(`/api/v1/claims/${claim.id}/handover/code`)
+    .set('Authorization', `Bearer ${claimantToken}`);
+
+  const verify = (code) => request(app)
+    .post(`/api/v1/claims/${claim.id}/handover/verify`)
+    .set('Authorization', `Bearer ${finderToken}`)
+    .send({ code });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('handover-claimant@example.com', 'Claimant');
+    claimantToken = response.body.data.token;
+    claimantId = response.body.data.user.id;
+
+    response = await register('handover-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Message.destroy({ where: {} });
+    await Claim.destroy({ where: {} });
+    await Transaction.destroy({ where: {} });
+    await Case.destroy({ where: {} });
+
+    const foundCase = await Case.create({
+      poster_id: finderId,
+      case_type: 'found_item',
+      title: 'Found blue backpack',
+      description: 'Blue backpack left on the streetcar',
+      bounty_amount: 0,
+      item_category: 'other',
+    });
+    foundCaseId = foundCase.id;
+
+    claim = await Claim.create({
+      found_case_id: foundCaseId,
+      claimant_id: claimantId,
+      verification_description: 'Blue backpack with a laptop sticker',
+      bounty_offered: 20,
+      status: 'accepted',
+      chat_enabled: true,
+    });
+  });
+
+  describe('meetup proposals', () => {
+    it('should post a proposal and let the other party accept a slot', async () => {
+      const proposed = await propose();
+
+      expect(proposed.status).toBe(201);
+      const proposal = proposed.body.data.proposal;
+      expect(proposal.message_type).toBe('handover_request');
+      expect(proposal.metadata).toMatchObject({ kind: 'meetup_proposal', status: 'pending' });
+      expect(proposal.metadata.slots).toHaveLength(2);
+
+      const response = await request(app)
+        .put(`/api/v1/claims/${claim.id}/handover/proposals/${proposal.id}/accept`)
+        .set('Authorization', `Bearer ${claimantToken}`)
+        .send({ slot_index: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reply.message_type).toBe('location');
+
+      await claim.reload();
+      expect(claim.handover_location).toMatchObject({
+        address: 'Public library, main entrance',
+        proposal_message_id: proposal.id,
+      });
+      expect(new Date(claim.handover_location.ends_at) - new Date(claim.handover_location.starts_at)).toBe(45 * 60 * 1000);
+    });
+
+    it('should not let the proposer accept their own proposal', async () => {
+      const { body } = await propose();
+
+      const response = await request(app)
+        .put(`/api/v1/claims/${claim.id}/handover/proposals/${body.data.proposal.id}/accept`)
+        .set('Authorization', `Bearer ${finderToken}`)
+        .send({ slot_index: 0 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should supersede a pending proposal and reject past slots', async () => {
+      const first = await propose();
+      await propose(claimantToken);
+
+      const previous = await Message.findByPk(first.body.data.proposal.id);
+      expect(previous.metadata.status).toBe('superseded');
+
+      const response = await request(app)
+        .post(`/api/v1/claims/${claim.id}/handover/proposals`)
+        .set('Authorization', `Bearer ${finderToken}`)
+        .send({ slots: [{ starts_at: '2020-01-01T10:00:00Z', location: { address: 'Somewhere' } }] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('handover code', () => {
+    it('should complete the claim when the finder enters the code', async () => {
+      const issued = await issueCode();
+
+      expect(issued.status).toBe(201);
+      expect(issued.body.data.code).toMatch(/^\d{6}$/);
+      expect(issued.body.data.qr_payload).toBe(`ifound://handover?claim=${claim.id}&code=${issued.body.data.code}`);
+
+      const response = await verify(issued.body.data.code);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.claim.status).toBe('completed');
+      expect(response.body.data.claim.handover_code_hash).toBeUndefined();
+
+      await claim.reload();
+      expect(claim.handover_confirmed_by_claimant).toBe(true);
+      expect(claim.handover_confirmed_by_finder).toBe(true);
+      expect(claim.handover_verified_at).not.toBeNull();
+      expect(claim.payment_transaction_id).not.toBeNull();
+      expect((await Case.findByPk(foundCaseId)).status).toBe('archived');
+
+      // Single use
+      expect((await verify(issued.body.data.code)).status).toBe(400);
+    });
+
+    it('should invalidate the code after too many wrong guesses', async () => {
+      const issued = await issueCode();
+      const wrong = issued.body.data.code === '000000' ? '111111' : '000000';
+
+      let response;
+      for (let attempt = 0; attempt < 5; attempt++) {
+        response = await verify(wrong);
+        expect(response.status).toBe(400);
+      }
+      expect(response.body.message).toMatch(/Too many wrong codes/);
+
+      response = await verify(issued.body.data.code);
+      expect(response.status).toBe(400);
+      expect((await claim.reload()).status).toBe('accepted');
+    });
+
+    it('should only let the claimant open and the finder verify a code', async () => {
+      let response = await request(app)
+        .post(`/api/v1/claims/${claim.id}/handover/code`)
+        .set('Authorization', `Bearer ${finderToken}`);
+      expect(response.status).toBe(403);
+
+      const issued = await issueCode();
+      response = await request(app)
+        .post(`/api/v1/claims/${claim.id}/handover/verify`)
+        .set('Authorization', `Bearer ${claimantToken}`)
+        .send({ code: issued.body.data.code });
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/v1/claims/:claimId/confirm-handover', () => {
+    const confirm = (token, body = {}) => request(app)
+      .put(`/api/v1/claims/${claim.id}/confirm-handover`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    it('should not complete the claim without the handover code', async () => {
+      expect((await confirm(claimantToken)).status).toBe(400);
+      expect((await confirm(finderToken)).status).toBe(400);
+      expect((await confirm(finderToken, { code: '000000' })).status).toBe(400);
+
+      await claim.reload();
+      expect(claim.status).toBe('accepted');
+      expect(claim.payment_transaction_id).toBeNull();
+    });
+
+    it('should complete the claim with the claimant\'s code', async () => {
+      const issued = await issueCode();
+
+      expect((await confirm(claimantToken, { code: issued.body.data.code })).status).toBe(403);
+
+      const response = await confirm(finderToken, { code: issued.body.data.code });
+      expect(response.status).toBe(200);
+      expect(response.body.data.claim.status).toBe('completed');
+    });
+  });
+
+  it('should not accept handover messages sent as chat', async () => {
+    const response = await request(app)
+      .post(`/api/v1/messages/claim/${claim.id}`)
+      .set('Authorization', `Bearer ${finderToken}`)
+      .send({
+        content: 'Meet me here',
+        message_type: 'handover_request',
+        metadata: { kind: 'meetup_proposal', status: 'pending', slots: [{ starts_at: 'whenever' }] },
+      });
+
+    expect(response.status).toBe(400);
+    expect(await Message.count({ where: { claim_id: claim.id } })).toBe(0);
+  });
+
+  describe('GET /api/v1/claims/:claimId/handover/calendar.ics', () => {
+    it('should export the agreed meetup', async () => {
+      const { body } = await propose();
+      await request(app)
+        .put(`/api/v1/claims/${claim.id}/handover/proposals/${body.data.proposal.id}/accept`)
+        .set('Authorization', `Bearer ${claimantToken}`)
+        .send({ slot_index: 0 });
+
+      const response = await request(app)
+        .get(`/api/v1/claims/${claim.id}/handover/calendar.ics`)
+        .set('Authorization', `Bearer ${finderToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/calendar/);
+      expect(response.text).toContain('BEGIN:VEVENT\r\n');
+      expect(response.text).toContain(`UID:handover-${claim.id}@ifound`);
+      expect(response.text).toContain('LOCATION:Union Station\\, 65 Front St W\\, Toronto');
+      expect(response.text).toContain('GEO:43.645;-79.38');
+    });
+
+    it('should 404 before a meetup is agreed', async () => {
+      const response = await request(app)
+        .get(`/api/v1/claims/${claim.id}/handover/calendar.ics`)
+        .set('Authorization', `Bearer ${claimantToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+process.env.JOB_QUEUE_POLL_INTERVAL_MS = '20';
+process.env.JOB_QUEUE_BACKOFF_BASE_MS = '10';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Job, sequelize } = require('../src/models');
+const jobQueue = require('../src/services/jobQueue');
+
+const waitForJob = async (id, status, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = await jobQueue.getJob(id);
+    if (job.status === status) return job;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${id} did not reach ${status}`);
+};
+
+describe('Job Queue', () => {
+  let adminToken;
+  let userToken;
+  const deadLettered = [];
+  let flakyCalls = 0;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'jobs-admin@example.com', password: 'password123', first_name: 'Jobs', last_name: 'Admin' });
+    adminToken = response.body.data.token;
+    await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+    response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'jobs-user@example.com', password: 'password123', first_name: 'Jobs', last_name: 'User' });
+    userToken = response.body.data.token;
+
+    jobQueue.registerHandler('test.echo', async (payload) => ({ echoed: payload.value }));
+    jobQueue.registerHandler('test.flaky', async () => {
+      flakyCalls++;
+      if (flakyCalls < 3) throw new Error(`Flaky failure ${flakyCalls}`);
+      return { calls: flakyCalls };
+    }, { maxAttempts: 3 });
+    jobQueue.registerHandler('test.broken', async () => {
+      throw new Error('Always broken');
+    }, {
+      maxAttempts: 2,
+      onDead: async (payload) => { deadLettered.push(payload.id); },
+    });
+
+    await jobQueue.start();
+  });
+
+  afterAll(async () => {
+    await jobQueue.stop();
+    await sequelize.close();
+  });
+
+  it('should run a job and store its result', async () => {
+    const job = await jobQueue.enqueue('test.echo', { value: 42 });
+
+    const done = await waitForJob(job.id, 'completed');
+
+    expect(done.result).toEqual({ echoed: 42 });
+    expect(done.attempts).toBe(1);
+  });
+
+  it('should retry a failing job with backoff', async () => {
+    const job = await jobQueue.enqueue('test.flaky', {});
+
+    const done = await waitForJob(job.id, 'completed');
+
+    expect(done.attempts).toBe(3);
+    expect(done.last_error).toBe('Flaky failure 2');
+  });
+
+  it('should dead-letter a job after its last attempt', async () => {
+    const job = await jobQueue.enqueue('test.broken', { id: 'broken-1' });
+
+    const dead = await waitForJob(job.id, 'dead');
+
+    expect(dead.attempts).toBe(2);
+    expect(dead.last_error).toBe('Always broken');
+    expect(deadLettered).toContain('broken-1');
+  });
+
+  it('should return stalled jobs to the queue', async () => {
+    const stalled = await Job.create({
+      type: 'test.echo',
+      payload: { value: 'stalled' },
+      status: 'active',
+      attempts: 1,
+      locked_at: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    const PostgresBackend = require('../src/services/jobQueue/postgresBackend');
+    const recovered = await new PostgresBackend().recoverStalled(10 * 60 * 1000);
+
+    expect(recovered).toBe(1);
+    const done = await waitForJob(stalled.id, 'completed');
+    expect(done.result).toEqual({ echoed: 'stalled' });
+  });
+
+  describe('Admin endpoints', () => {
+    it('should list jobs for admins only', async () => {
+      let response = await request(app)
+        .get('/api/v1/admin/jobs?status=completed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.jobs.every(job => job.status === 'completed')).toBe(true);
+      expect(response.body.data.pagination.total).toBeGreaterThan(0);
+
+      response = await request(app)
+        .get('/api/v1/admin/jobs')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should re-enqueue a dead job', async () => {
+      const job = await jobQueue.enqueue('test.broken', { id: 'broken-2' });
+      await waitForJob(job.id, 'dead');
+
+      const response = await request(app)
+        .post(`/api/v1/admin/jobs/${job.id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.job.attempts).toBe(0);
+
+      const deadAgain = await waitForJob(job.id, 'dead');
+      expect(deadAgain.attempts).toBe(2);
+    });
+
+    it('should report stats by type and status', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/jobs/stats')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.stats['test.echo'].completed).toBeGreaterThan(0);
+    });
+  });
+});
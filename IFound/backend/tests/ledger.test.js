@@ -0,0 +1,168 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Transaction, LedgerEntry, sequelize } = require('../src/models');
+const ledgerService = require('../src/services/ledgerService');
+
+describe('Escrow Ledger', () => {
+  let adminToken;
+  let posterToken;
+  let posterId;
+  let finderToken;
+  let finderId;
+  let caseId;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const createBounty = (overrides = {}) => Transaction.create({
+    case_id: caseId,
+    poster_id: posterId,
+    finder_id: finderId,
+    transaction_type: 'bounty_payment',
+    amount: 40,
+    platform_commission: 1,
+    status: 'escrow',
+    ...overrides,
+  });
+
+  const reconciliation = async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/ledger/reconciliation')
+      .set('Authorization', `Bearer ${adminToken}`);
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('ledger-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+    response = await register('ledger-poster@example.com', 'Poster');
+    posterToken = response.body.data.token;
+    posterId = response.body.data.user.id;
+
+    response = await register('ledger-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+
+    const lostCase = await Case.create({
+      poster_id: posterId,
+      case_type: 'lost_item',
+      title: 'Lost silver bracelet',
+      description: 'Silver bracelet with a heart charm',
+      bounty_amount: 40,
+      item_category: 'jewelry',
+    });
+    caseId = lostCase.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Transaction.destroy({ where: {} });
+    await User.update({ total_earnings: 0 }, { where: { id: finderId } });
+  });
+
+  it('should hold a funded bounty in the poster\'s escrow account', async () => {
+    await createBounty();
+
+    expect(await ledgerService.getBalance('poster_escrow', posterId)).toBe(40);
+    expect(await ledgerService.getBalance('finder_available', finderId)).toBe(0);
+
+    const report = await reconciliation();
+    expect(report.balanced).toBe(true);
+    expect(report.currencies.CAD.totals.external).toBe('-40.00');
+  });
+
+  it('should move a released bounty to the finder and the platform', async () => {
+    const bounty = await createBounty();
+
+    const response = await request(app)
+      .post(`/api/v1/payments/release/${bounty.id}`)
+      .set('Authorization', `Bearer ${posterToken}`);
+
+    expect(response.status).toBe(200);
+    expect(await ledgerService.getBalance('poster_escrow', posterId)).toBe(0);
+    expect(await ledgerService.getBalance('finder_available', finderId)).toBe(39);
+    expect(await ledgerService.getBalance('platform_commission')).toBe(1);
+    expect(parseFloat((await User.findByPk(finderId)).total_earnings)).toBe(39);
+
+    const report = await reconciliation();
+    expect(report.balanced).toBe(true);
+    expect(report.currencies.CAD.commission).toEqual({ expected: '1.00', posted: '1.00' });
+  });
+
+  it('should reverse the escrow posting on refund', async () => {
+    const bounty = await createBounty();
+
+    const response = await request(app)
+      .post(`/api/v1/payments/refund/${bounty.id}`)
+      .set('Authorization', `Bearer ${posterToken}`)
+      .send({ reason: 'Found the bracelet myself' });
+
+    expect(response.status).toBe(200);
+    expect(await ledgerService.getBalance('poster_escrow', posterId)).toBe(0);
+
+    const entries = await LedgerEntry.findAll({ where: { transaction_id: bounty.id } });
+    expect(entries.map(e => e.posted_for).sort()).toEqual(['escrow', 'escrow', 'refunded', 'refunded']);
+  });
+
+  it('should reserve withdrawals against the available balance', async () => {
+    await createBounty({ status: 'completed', completed_at: new Date() });
+
+    let response = await request(app)
+      .post('/api/v1/payments/withdraw')
+      .set('Authorization', `Bearer ${finderToken}`)
+      .send({ amount: 50 });
+    expect(response.status).toBe(400);
+
+    response = await request(app)
+      .post('/api/v1/payments/withdraw')
+      .set('Authorization', `Bearer ${finderToken}`)
+      .send({ amount: 30 });
+    expect(response.status).toBe(201);
+
+    response = await request(app)
+      .get('/api/v1/payments/earnings')
+      .set('Authorization', `Bearer ${finderToken}`);
+
+    expect(response.body.data.summary.available_balance).toBe('9.00');
+    expect(response.body.data.summary.pending_withdrawals).toBe('30.00');
+  });
+
+  it('should report and repair transactions changed outside the ledger', async () => {
+    const bounty = await createBounty();
+    // Bulk updates skip model hooks, so nothing is posted
+    await Transaction.update({ status: 'completed' }, { where: { id: bounty.id } });
+
+    let report = await reconciliation();
+    expect(report.balanced).toBe(false);
+    expect(report.unposted_transactions.map(t => t.transaction_id)).toEqual([bounty.id]);
+
+    const response = await request(app)
+      .post('/api/v1/admin/ledger/repair')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.repaired).toBe(1);
+
+    report = await reconciliation();
+    expect(report.balanced).toBe(true);
+    expect(await ledgerService.getBalance('finder_available', finderId)).toBe(39);
+  });
+
+  it('should be admin only', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/ledger/reconciliation')
+      .set('Authorization', `Bearer ${finderToken}`);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,201 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Photo, VisualDNA, PhotoMatch, sequelize } = require('../src/models');
+const geoUtils = require('../src/utils/geoUtils');
+
+describe('Match Explanations', () => {
+  let ownerToken;
+  let finderToken;
+  let outsiderToken;
+  let adminToken;
+  let lostPhoto;
+  let foundPhoto;
+  let lostCase;
+  let foundCase;
+
+  const photoDir = path.join(__dirname, '../uploads/photos');
+  const photoFiles = [];
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const addPhoto = async (caseId, color) => {
+    const fileName = `explain-${caseId}.jpg`;
+    fs.mkdirSync(photoDir, { recursive: true });
+    await sharp({ create: { width: 120, height: 80, channels: 3, background: color } })
+      .jpeg()
+      .toFile(path.join(photoDir, fileName));
+    photoFiles.push(path.join(photoDir, fileName));
+
+    return Photo.create({ case_id: caseId, image_url: `/uploads/photos/${fileName}`, upload_status: 'completed' });
+  };
+
+  const createMatch = (attrs) => PhotoMatch.create({
+    source_photo_id: lostPhoto.id,
+    source_case_id: lostCase.id,
+    target_photo_id: foundPhoto.id,
+    target_case_id: foundCase.id,
+    ...attrs,
+  });
+
+  const explain = (matchId, token) => request(app)
+    .get(`/api/v1/matches/${matchId}/explanation`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('explain-owner@example.com', 'Owner');
+    ownerToken = response.body.data.token;
+    const ownerId = response.body.data.user.id;
+
+    response = await register('explain-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    const finderId = response.body.data.user.id;
+
+    response = await register('explain-outsider@example.com', 'Outsider');
+    outsiderToken = response.body.data.token;
+
+    response = await register('explain-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+    lostCase = await Case.create({
+      poster_id: ownerId,
+      case_type: 'lost_item',
+      title: 'Lost red phone',
+      description: 'Red phone with a cracked screen',
+      bounty_amount: 0,
+      search_radius: 20,
+    });
+    foundCase = await Case.create({
+      poster_id: finderId,
+      case_type: 'found_item',
+      title: 'Found red phone',
+      description: 'Found on the bus',
+      bounty_amount: 0,
+    });
+
+    lostPhoto = await addPhoto(lostCase.id, '#cc2222');
+    foundPhoto = await addPhoto(foundCase.id, '#dd3333');
+
+    await VisualDNA.create({
+      photo_id: lostPhoto.id,
+      case_id: lostCase.id,
+      ocr_text: 'Galaxy phone serial R58M123 owner Sam',
+      dominant_colors: ['red', '#202020'],
+    });
+    await VisualDNA.create({
+      photo_id: foundPhoto.id,
+      case_id: foundCase.id,
+      ocr_text: 'galaxy R58M123',
+      dominant_colors: ['red'],
+    });
+  });
+
+  afterAll(async () => {
+    photoFiles.forEach(file => fs.rmSync(file, { force: true }));
+    fs.rmSync(path.join(__dirname, '../uploads/match-comparisons'), { recursive: true, force: true });
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await PhotoMatch.destroy({ where: {} });
+  });
+
+  it('should break the score down by signal with the weights applied', async () => {
+    const boost = geoUtils.calculateLocationBoost(4, 20);
+    const match = await createMatch({
+      overall_score: 72 + boost,
+      dna_score: 0,
+      hash_score: 70,
+      color_score: 90,
+      shape_score: 60,
+      ocr_score: 50,
+      visual_score: 60,
+      location_score: 98,
+      distance_miles: 4,
+      match_details: {
+        matchReasons: [{ type: 'color', text: 'Matching colors: red', score: 90 }],
+        scoring: {
+          formula: 'category_weights',
+          weights: { HASH: 0.2, COLOR: 0.3, SHAPE: 0.1, OCR: 0.1, VISUAL_FEATURES: 0.2, DETECTED_OBJECTS: 0.1 },
+          objectScore: 80,
+        },
+      },
+      matched_identifiers: { licensePlates: [], serialNumbers: [], documentIds: [], colors: ['red'] },
+    });
+
+    const response = await explain(match.id, ownerToken);
+
+    expect(response.status).toBe(200);
+    const { explanation } = response.body.data;
+    expect(explanation).toMatchObject({ base_score: 72, formula: 'category_weights', approximate: false });
+    expect(explanation.location).toMatchObject({ distance_miles: 4, search_radius: 20, boost });
+
+    // Signal points add up to the stored score, strongest first
+    const total = explanation.signals.reduce((sum, s) => sum + s.points, 0);
+    expect(Math.round(total)).toBe(match.overall_score);
+    expect(explanation.signals[0]).toMatchObject({ signal: 'color', score: 90, weight: 0.3, points: 27 });
+    expect(explanation.signals.find(s => s.signal === 'location').points).toBe(boost);
+
+    expect(explanation.ocr.matched_tokens).toEqual(expect.arrayContaining(['galaxy', 'r58m123']));
+    expect(explanation.ocr.target.segments.filter(s => s.match).map(s => s.text)).toEqual(['galaxy', 'R58M123']);
+
+    expect(explanation.colors.source).toEqual([
+      { value: 'red', hex: '#ff0000', shared: true },
+      { value: '#202020', hex: '#202020', shared: false },
+    ]);
+
+    expect(explanation.comparison_image_url).toMatch(new RegExp(`^/uploads/match-comparisons/${match.id}\\.jpg\\?v=\\d+$`));
+    const image = await sharp(path.join(__dirname, '..', explanation.comparison_image_url.split('?')[0])).metadata();
+    expect(image.width).toBeGreaterThan(image.height);
+  });
+
+  it('should approximate matches scored before weights were recorded', async () => {
+    const match = await createMatch({
+      overall_score: 74,
+      dna_score: 0,
+      hash_score: 40,
+      color_score: 80,
+      shape_score: 50,
+      ocr_score: 100,
+      visual_score: 40,
+      match_type: 'serial_number',
+      match_details: { weightsUsed: { HASH: 0.15, COLOR: 0.2, SHAPE: 0.15, OCR: 0.15, VISUAL_FEATURES: 0.2, DETECTED_OBJECTS: 0.15 } },
+      matched_identifiers: { licensePlates: [], serialNumbers: [{ source: 'R58M123', target: 'R58M123', similarity: 100 }], documentIds: [] },
+    });
+
+    const response = await explain(match.id, finderToken);
+
+    expect(response.status).toBe(200);
+    const { explanation } = response.body.data;
+    expect(explanation).toMatchObject({ formula: 'identifier', approximate: true, location: null });
+    expect(explanation.signals[0]).toMatchObject({ signal: 'identifiers', weight: 0.55, points: 55 });
+    expect(explanation.identifiers.serial_numbers).toHaveLength(1);
+  });
+
+  it('should only explain matches to the people involved and admins', async () => {
+    const match = await createMatch({ overall_score: 50 });
+
+    expect((await explain(match.id, outsiderToken)).status).toBe(403);
+    expect((await explain(match.id, adminToken)).status).toBe(200);
+    expect((await explain('00000000-0000-0000-0000-000000000000', adminToken)).status).toBe(404);
+  });
+
+  it('should leave out the comparison image when a photo file is missing', async () => {
+    const missing = await Photo.create({ case_id: foundCase.id, image_url: '/uploads/photos/explain-missing.jpg' });
+    const match = await createMatch({ target_photo_id: missing.id, overall_score: 40 });
+
+    const response = await explain(match.id, ownerToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.explanation.comparison_image_url).toBeNull();
+  });
+});
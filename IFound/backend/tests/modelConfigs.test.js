@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, ModelConfig, sequelize } = require('../src/models');
+const weightConfigService = require('../src/services/weightConfigService');
+
+describe('Admin Model Configs', () => {
+  let adminToken;
+  let adminId;
+  let userToken;
+  let activeWeights;
+  let activeThresholds;
+
+  const petWeights = { HASH: 0.1, COLOR: 0.4, SHAPE: 0.1, VISUAL_FEATURES: 0.25, DETECTED_OBJECTS: 0.1, OCR: 0.05 };
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('configs-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    adminId = response.body.data.user.id;
+    await User.update({ user_type: 'admin' }, { where: { id: adminId } });
+
+    response = await register('configs-user@example.com', 'Regular');
+    userToken = response.body.data.token;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await ModelConfig.destroy({ where: {} });
+    await weightConfigService.initializeDefaultWeights();
+    weightConfigService.hotReloadWeights();
+
+    activeWeights = await ModelConfig.getActiveConfig('all_category_weights');
+    activeThresholds = await ModelConfig.getActiveConfig('thresholds');
+  });
+
+  it('should list versions with their metrics but not their data', async () => {
+    await weightConfigService.saveCandidate('all_category_weights', 'category_weights', activeWeights.config_data, { f1_score: 0.77 });
+
+    const response = await asAdmin(request(app).get('/api/v1/admin/model-configs'))
+      .query({ config_name: 'all_category_weights' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.config_names).toEqual(['all_category_weights', 'thresholds']);
+    expect(response.body.data.configs.map(c => c.version)).toEqual([2, 1]);
+    expect(response.body.data.configs[0].f1_score).toBe(0.77);
+    expect(response.body.data.configs[0]).not.toHaveProperty('config_data');
+  });
+
+  describe('editing', () => {
+    it('should reject weights that do not sum to 1', async () => {
+      const response = await asAdmin(request(app).post(`/api/v1/admin/model-configs/${activeWeights.id}/clone`))
+        .send({ config_data: { ...activeWeights.config_data, pet: { ...petWeights, COLOR: 0.6 } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/pet weights sum to 1.200/);
+      expect(await ModelConfig.count({ where: { config_name: 'all_category_weights' } })).toBe(1);
+    });
+
+    it('should save a copy with changes as an inactive version', async () => {
+      const response = await asAdmin(request(app).post(`/api/v1/admin/model-configs/${activeWeights.id}/clone`))
+        .send({ config_data: { ...activeWeights.config_data, pet: petWeights } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.config).toMatchObject({
+        version: 2,
+        is_active: false,
+        parent_config_id: activeWeights.id,
+        notes: 'Copied from v1',
+      });
+      expect(response.body.data.config.config_data.pet).toEqual(petWeights);
+    });
+
+    it('should edit a candidate in place but not a version used for matching', async () => {
+      const candidate = await weightConfigService.saveCandidate('thresholds', 'thresholds', activeThresholds.config_data);
+
+      let response = await asAdmin(request(app).put(`/api/v1/admin/model-configs/${candidate.id}`))
+        .send({ config_data: { ...activeThresholds.config_data, HIGH_CONFIDENCE: 70 }, notes: 'Fewer weak notifications' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.config.config_data.HIGH_CONFIDENCE).toBe(70);
+
+      response = await asAdmin(request(app).put(`/api/v1/admin/model-configs/${candidate.id}`))
+        .send({ config_data: { ...activeThresholds.config_data, HIGH_CONFIDENCE: 90 } });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/HIGH_CONFIDENCE cannot be above VERY_HIGH_CONFIDENCE/);
+
+      response = await asAdmin(request(app).put(`/api/v1/admin/model-configs/${activeThresholds.id}`))
+        .send({ notes: 'Changed' });
+      expect(response.status).toBe(409);
+    });
+  });
+
+  it('should diff two versions', async () => {
+    const candidate = await weightConfigService.saveCandidate(
+      'all_category_weights',
+      'category_weights',
+      { ...activeWeights.config_data, pet: petWeights },
+      { f1_score: 0.81 }
+    );
+
+    const response = await asAdmin(request(app).get('/api/v1/admin/model-configs/diff'))
+      .query({ from: activeWeights.id, to: candidate.id });
+
+    expect(response.status).toBe(200);
+    const { diff } = response.body.data;
+    expect(diff.from).toMatchObject({ version: 1, is_active: true });
+    expect(diff.changes).toContainEqual({ path: 'pet.COLOR', from: 0.3, to: 0.4, delta: 0.1 });
+    expect(diff.changes.every(change => change.path.startsWith('pet.'))).toBe(true);
+    expect(diff.metrics.f1_score).toEqual({ from: null, to: 0.81 });
+
+    const mixed = await asAdmin(request(app).get('/api/v1/admin/model-configs/diff'))
+      .query({ from: activeWeights.id, to: activeThresholds.id });
+    expect(mixed.status).toBe(400);
+  });
+
+  it('should activate with the approving admin and roll back', async () => {
+    const candidate = await weightConfigService.saveCandidate(
+      'thresholds', 'thresholds', { ...activeThresholds.config_data, HIGH_CONFIDENCE: 72 }
+    );
+    expect((await weightConfigService.loadThresholds()).HIGH_CONFIDENCE).toBe(65);
+
+    const activated = await asAdmin(request(app).post(`/api/v1/admin/model-configs/${candidate.id}/activate`));
+
+    expect(activated.status).toBe(200);
+    expect(activated.body.data.config).toMatchObject({ is_active: true, approved_by: adminId });
+    expect((await ModelConfig.findByPk(activeThresholds.id)).is_active).toBe(false);
+    expect((await weightConfigService.loadThresholds()).HIGH_CONFIDENCE).toBe(72);
+
+    const rolledBack = await asAdmin(request(app).post('/api/v1/admin/model-configs/rollback'))
+      .send({ config_name: 'thresholds' });
+
+    expect(rolledBack.status).toBe(200);
+    expect(rolledBack.body.data.config.id).toBe(activeThresholds.id);
+    expect((await weightConfigService.loadThresholds()).HIGH_CONFIDENCE).toBe(65);
+    // The weights were not touched
+    expect((await ModelConfig.getActiveConfig('all_category_weights')).id).toBe(activeWeights.id);
+  });
+
+  it('should be admin only', async () => {
+    const response = await request(app)
+      .post(`/api/v1/admin/model-configs/${activeWeights.id}/clone`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(response.status).toBe(403);
+  });
+});
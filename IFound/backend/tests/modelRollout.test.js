@@ -0,0 +1,180 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Photo, PhotoMatch, MatchFeedback, ModelConfig, sequelize } = require('../src/models');
+const weightConfigService = require('../src/services/weightConfigService');
+const modelRolloutService = require('../src/services/modelRolloutService');
+
+describe('Match Weight Rollout', () => {
+  let adminToken;
+  let adminId;
+  let userToken;
+  let active;
+  let candidate;
+
+  const weights = (color) => ({
+    other: { HASH: 0.2, COLOR: color, SHAPE: 0.15, VISUAL_FEATURES: 0.5 - color, DETECTED_OBJECTS: 0.1, OCR: 0.05 },
+  });
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('rollout-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    adminId = response.body.data.user.id;
+    await User.update({ user_type: 'admin' }, { where: { id: adminId } });
+
+    response = await register('rollout-user@example.com', 'Owner');
+    userToken = response.body.data.token;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await MatchFeedback.destroy({ where: {} });
+    await PhotoMatch.destroy({ where: {} });
+    await ModelConfig.destroy({ where: {} });
+    weightConfigService.hotReloadWeights();
+
+    active = await ModelConfig.create({
+      config_name: 'all_category_weights',
+      config_type: 'category_weights',
+      config_data: weights(0.25),
+      is_active: true,
+    });
+    candidate = await weightConfigService.saveCandidate('all_category_weights', 'category_weights', weights(0.4), { f1_score: 0.82 });
+  });
+
+  describe('starting a rollout', () => {
+    it('should score the candidate in shadow without serving it', async () => {
+      const result = await modelRolloutService.startRollout(candidate.id, { mode: 'shadow' }, adminId);
+      expect(result.success).toBe(true);
+
+      const resolved = await modelRolloutService.resolveWeights(adminId, {});
+      expect(resolved.arm).toBe('active');
+      expect(resolved.serving).toMatchObject({ configId: active.id, weights: active.config_data });
+      expect(resolved.shadow).toMatchObject({ configId: candidate.id, weights: candidate.config_data });
+    });
+
+    it('should serve a stable slice of users in a split', async () => {
+      await modelRolloutService.startRollout(candidate.id, { mode: 'split', percent: 50 }, adminId);
+      const { candidate: running } = await weightConfigService.loadMatchingWeights();
+
+      const arms = Array.from({ length: 200 }, (_, i) => modelRolloutService.assignArm(running, `user-${i}`));
+      const served = arms.filter(arm => arm === 'candidate').length;
+      expect(served).toBeGreaterThan(60);
+      expect(served).toBeLessThan(140);
+
+      // The same user always lands on the same side
+      expect(modelRolloutService.assignArm(running, 'user-7')).toBe(arms[7]);
+    });
+
+    it('should validate the mode, percentage and config', async () => {
+      let result = await modelRolloutService.startRollout(candidate.id, { mode: 'split', percent: 80 }, adminId);
+      expect(result.status).toBe(400);
+
+      result = await modelRolloutService.startRollout(active.id, { mode: 'shadow' }, adminId);
+      expect(result.status).toBe(409);
+
+      const thresholds = await weightConfigService.saveCandidate('thresholds', 'thresholds', { HIGH_CONFIDENCE: 70 });
+      result = await modelRolloutService.startRollout(thresholds.id, { mode: 'shadow' }, adminId);
+      expect(result.status).toBe(400);
+    });
+  });
+
+  it('should compare both configs against owner feedback', async () => {
+    await modelRolloutService.startRollout(candidate.id, { mode: 'shadow' }, adminId);
+
+    const ownerCase = await Case.create({
+      poster_id: adminId,
+      case_type: 'lost_item',
+      title: 'Lost grey cat',
+      description: 'Grey cat with a white chest',
+      bounty_amount: 0,
+    });
+    const photos = await Promise.all([0, 1, 2, 3, 4].map(i => Photo.create({ case_id: ownerCase.id, image_url: `/uploads/photos/cat-${i}.jpg` })));
+
+    // Candidate scores confirmed matches high and rejected ones low; active is the other way round
+    const seeded = [
+      { active: 50, shadow: 80, feedback: 'confirmed' },
+      { active: 55, shadow: 75, feedback: 'confirmed' },
+      { active: 70, shadow: 40, feedback: 'rejected' },
+      { active: 68, shadow: 45, feedback: null },
+    ];
+    for (const [i, entry] of seeded.entries()) {
+      const match = await PhotoMatch.create({
+        source_photo_id: photos[0].id,
+        source_case_id: ownerCase.id,
+        target_photo_id: photos[i + 1].id,
+        target_case_id: ownerCase.id,
+        overall_score: entry.active,
+        weights_config_id: active.id,
+        rollout_arm: 'active',
+        shadow_config_id: candidate.id,
+        shadow_score: entry.shadow,
+      });
+      if (entry.feedback) {
+        await MatchFeedback.create({ photo_match_id: match.id, user_id: adminId, is_source_user: true, feedback_type: entry.feedback });
+      }
+    }
+
+    const response = await request(app)
+      .get('/api/v1/admin/model-configs/rollout')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    const { report } = response.body.data;
+    expect(report).toMatchObject({ config_id: candidate.id, matches: 4, with_feedback: 3, threshold: 65 });
+    expect(report.candidate).toMatchObject({ precision: 1, recall: 1, f1: 1, mean_score_confirmed: 78 });
+    expect(report.active).toMatchObject({ precision: 0, recall: 0 });
+    expect(report.active.served.matches).toBe(4);
+  });
+
+  describe('promotion', () => {
+    it('should promote a candidate and roll it back', async () => {
+      await modelRolloutService.startRollout(candidate.id, { mode: 'split', percent: 10 }, adminId);
+
+      const promoted = await request(app)
+        .post(`/api/v1/admin/model-configs/${candidate.id}/promote`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(promoted.status).toBe(200);
+      expect(promoted.body.data.config).toMatchObject({ is_active: true, approved_by: adminId, rollout_mode: null });
+      expect((await ModelConfig.findByPk(active.id)).is_active).toBe(false);
+
+      const { active: serving, candidate: running } = await weightConfigService.loadMatchingWeights();
+      expect(serving.id).toBe(candidate.id);
+      expect(running).toBeNull();
+
+      const rolledBack = await request(app)
+        .post('/api/v1/admin/model-configs/rollback')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(rolledBack.status).toBe(200);
+      expect(rolledBack.body.data.config.id).toBe(active.id);
+      expect((await ModelConfig.getActiveConfig('all_category_weights')).id).toBe(active.id);
+    });
+
+    it('should not roll back past the first version', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/model-configs/rollback')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should be admin only', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/model-configs/${candidate.id}/promote`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+      expect((await ModelConfig.findByPk(candidate.id)).is_active).toBe(false);
+    });
+  });
+});
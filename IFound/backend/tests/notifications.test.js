@@ -0,0 +1,228 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Notification, DeviceToken, sequelize } = require('../src/models');
+const notificationService = require('../src/services/notificationService');
+const pushService = require('../src/services/push');
+
+describe('Notifications API', () => {
+  let token;
+  let userId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        email: 'inbox@example.com',
+        password: 'password123',
+        first_name: 'Inbox',
+        last_name: 'User',
+      });
+
+    token = response.body.data.token;
+    userId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Notification.destroy({ where: {} });
+    await DeviceToken.destroy({ where: {} });
+    pushService.loopbackProvider.clear();
+  });
+
+  describe('notificationService.notify', () => {
+    it('should record an inbox entry', async () => {
+      const notification = await notificationService.notify(userId, {
+        type: 'system',
+        title: 'Welcome',
+        body: 'Hello there',
+      });
+
+      expect(notification).not.toBeNull();
+      expect(notification.user_id).toBe(userId);
+      expect(notification.is_read).toBe(false);
+    });
+
+    it('should honor a disabled notification category', async () => {
+      const user = await User.findByPk(userId);
+      user.settings = {
+        ...user.settings,
+        notifications: { ...user.settings.notifications, messages: false },
+      };
+      await user.save();
+
+      const notification = await notificationService.notify(userId, {
+        type: 'new_message',
+        title: 'New message',
+      });
+
+      expect(notification).toBeNull();
+      expect(await Notification.count({ where: { user_id: userId } })).toBe(0);
+
+      user.settings = {
+        ...user.settings,
+        notifications: { ...user.settings.notifications, messages: true },
+      };
+      await user.save();
+    });
+  });
+
+  describe('Push delivery', () => {
+    beforeEach(async () => {
+      await pushService.registerDevice(userId, { token: 'push-test-token', platform: 'android' });
+    });
+
+    it('should push to registered devices', async () => {
+      const notification = await notificationService.notify(userId, { type: 'system', title: 'Pushed' });
+
+      const sent = pushService.loopbackProvider.getSent(userId);
+      expect(sent.length).toBe(1);
+      expect(sent[0]).toMatchObject({
+        token: 'push-test-token',
+        title: 'Pushed',
+        data: { type: 'system', notification_id: notification.id },
+      });
+    });
+
+    it('should not push a notification whose category is disabled', async () => {
+      const user = await User.findByPk(userId);
+      user.settings = {
+        ...user.settings,
+        notifications: { ...user.settings.notifications, messages: false },
+      };
+      await user.save();
+
+      await notificationService.notify(userId, { type: 'new_message', title: 'New message' });
+
+      expect(pushService.loopbackProvider.getSent(userId)).toEqual([]);
+
+      user.settings = {
+        ...user.settings,
+        notifications: { ...user.settings.notifications, messages: true },
+      };
+      await user.save();
+    });
+  });
+
+  describe('Push devices', () => {
+    it('should register a device token', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ token: 'device-token-1', platform: 'ios', device_name: 'Test phone' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.device).toMatchObject({ platform: 'ios', provider: 'fcm', is_active: true });
+
+      const devices = await request(app)
+        .get('/api/v1/notifications/devices')
+        .set('Authorization', `Bearer ${token}`);
+      expect(devices.body.data.devices.map(d => d.device_name)).toEqual(['Test phone']);
+    });
+
+    it('should reject an unknown platform', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ token: 'device-token-1', platform: 'blackberry' });
+
+      expect(response.status).toBe(400);
+      expect(await DeviceToken.count()).toBe(0);
+    });
+
+    it('should remove a device token', async () => {
+      await pushService.registerDevice(userId, { token: 'device-token-2', platform: 'android' });
+
+      let response = await request(app)
+        .delete('/api/v1/notifications/devices/device-token-2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(await DeviceToken.count()).toBe(0);
+
+      response = await request(app)
+        .delete('/api/v1/notifications/devices/device-token-2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/v1/notifications', () => {
+    it('should list my notifications', async () => {
+      await notificationService.notify(userId, { type: 'system', title: 'First' });
+      await notificationService.notify(userId, { type: 'system', title: 'Second' });
+
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.notifications.length).toBe(2);
+      expect(response.body.data.pagination).toHaveProperty('total', 2);
+    });
+
+    it('should filter by type and reject unknown types', async () => {
+      await notificationService.notify(userId, { type: 'system', title: 'System' });
+      await notificationService.notify(userId, { type: 'new_message', title: 'Message' });
+
+      let response = await request(app)
+        .get('/api/v1/notifications?type=system')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications.map(n => n.title)).toEqual(['System']);
+
+      response = await request(app)
+        .get('/api/v1/notifications?type=not_a_type')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unknown notification type: not_a_type');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/v1/notifications');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Read state', () => {
+    it('should mark one notification as read', async () => {
+      const notification = await notificationService.notify(userId, { type: 'system', title: 'Read me' });
+
+      const response = await request(app)
+        .put(`/api/v1/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notification.is_read).toBe(true);
+    });
+
+    it('should mark all as read and report the unread count', async () => {
+      await notificationService.notify(userId, { type: 'system', title: 'One' });
+      await notificationService.notify(userId, { type: 'system', title: 'Two' });
+
+      let response = await request(app)
+        .get('/api/v1/notifications/unread-count')
+        .set('Authorization', `Bearer ${token}`);
+      expect(response.body.data.unreadCount).toBe(2);
+
+      response = await request(app)
+        .put('/api/v1/notifications/read-all')
+        .set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(200);
+
+      response = await request(app)
+        .get('/api/v1/notifications/unread-count')
+        .set('Authorization', `Bearer ${token}`);
+      expect(response.body.data.unreadCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, sequelize } = require('../src/models');
+const { hashToken, requestPasswordReset } = require('../src/services/passwordResetService');
+const { createSession } = require('../src/services/sessionService');
+
+describe('Password Reset API', () => {
+  let user;
+
+  const reset = (token, newPassword = 'newPassword456') => request(app)
+    .post('/api/v1/auth/reset-password')
+    .send({ token, newPassword });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    user = await User.create({
+      email: 'forgetful@example.com',
+      password_hash: 'password123',
+      first_name: 'Forgetful',
+      last_name: 'User',
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('should store only a hash of the reset token', async () => {
+      const { sent, token } = await requestPasswordReset('Forgetful@example.com');
+
+      expect(sent).toBe(true);
+      await user.reload();
+      expect(user.password_reset_token_hash).toBe(hashToken(token));
+      expect(user.password_reset_token_hash).not.toBe(token);
+      expect(user.password_reset_expires_at.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not reveal whether an address is registered, and limit requests per address', async () => {
+      const forgot = () => request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      for (let i = 0; i < 3; i++) {
+        expect((await forgot()).status).toBe(200);
+      }
+
+      expect((await forgot()).status).toBe(429);
+    });
+  });
+
+  describe('POST /api/v1/auth/reset-password', () => {
+    it('should reset the password and sign out existing sessions', async () => {
+      const { token: oldAccessToken, refreshToken: oldRefreshToken } = await createSession(user, {
+        ip: '127.0.0.1',
+        get: () => 'jest',
+      });
+      const { token } = await requestPasswordReset(user.email);
+
+      const response = await reset(token);
+
+      expect(response.status).toBe(200);
+      await user.reload();
+      expect(await user.validatePassword('newPassword456')).toBe(true);
+      expect(user.password_reset_token_hash).toBeNull();
+
+      const refresh = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: oldRefreshToken });
+      expect(refresh.status).toBe(403);
+
+      const me = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${oldAccessToken}`);
+      expect(me.status).toBe(401);
+    });
+
+    it('should only accept a token once', async () => {
+      const { token } = await requestPasswordReset(user.email);
+
+      expect((await reset(token, 'anotherPassword789')).status).toBe(200);
+
+      const response = await reset(token, 'thirdPassword000');
+      expect(response.status).toBe(400);
+      await user.reload();
+      expect(await user.validatePassword('anotherPassword789')).toBe(true);
+    });
+
+    it('should reject an expired token', async () => {
+      const { token } = await requestPasswordReset(user.email);
+      await user.reload();
+      await user.update({ password_reset_expires_at: new Date(Date.now() - 1000) });
+
+      const response = await reset(token);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/expired/);
+    });
+
+    it('should reject a short password without using up the token', async () => {
+      const { token } = await requestPasswordReset(user.email);
+
+      expect((await reset(token, 'short')).status).toBe(400);
+      expect((await reset(token)).status).toBe(200);
+    });
+  });
+});
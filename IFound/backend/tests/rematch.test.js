@@ -0,0 +1,223 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Photo, ModelConfig, RematchRun, Job, sequelize } = require('../src/models');
+const rematchService = require('../src/services/rematchService');
+const weightConfigService = require('../src/services/weightConfigService');
+
+describe('Background Re-matching', () => {
+  let ownerToken;
+  let ownerId;
+  let adminToken;
+  let adminId;
+  let lostCase;
+  let otherLostCase;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  const createCase = (attrs) => Case.create({
+    poster_id: ownerId,
+    case_type: 'lost_item',
+    title: 'Lost blue backpack',
+    description: 'Blue backpack with a laptop sleeve',
+    bounty_amount: 0,
+    item_category: 'other',
+    ...attrs,
+  });
+
+  // Files don't exist, so matching these fails per photo without stopping the run
+  const addPhotos = (caseId, count, upload_status = 'completed') => Promise.all(
+    Array.from({ length: count }, (_, i) => Photo.create({
+      case_id: caseId,
+      image_url: `/uploads/photos/missing-${caseId}-${i}.jpg`,
+      upload_status,
+    }))
+  );
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('rematch-owner@example.com', 'Owner');
+    ownerToken = response.body.data.token;
+    ownerId = response.body.data.user.id;
+
+    response = await register('rematch-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    adminId = response.body.data.user.id;
+    await User.update({ user_type: 'admin' }, { where: { id: adminId } });
+
+    lostCase = await createCase();
+    otherLostCase = await createCase({ title: 'Lost black wallet' });
+    await addPhotos(lostCase.id, 3);
+    await addPhotos(lostCase.id, 1, 'failed');
+    await addPhotos(otherLostCase.id, 2);
+    await Case.create({
+      poster_id: adminId,
+      case_type: 'found_item',
+      title: 'Found blue backpack',
+      description: 'Found near the station',
+      bounty_amount: 0,
+    }).then(found => addPhotos(found.id, 2));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await RematchRun.destroy({ where: {} });
+    await Job.destroy({ where: {} });
+  });
+
+  describe('starting runs', () => {
+    it('should count the processed photos of the selected cases', async () => {
+      const { run } = await rematchService.startRun({ caseIds: [lostCase.id] });
+
+      expect(run).toMatchObject({ scope: 'cases', status: 'pending', total_photos: 3 });
+      expect(await Job.count({ where: { type: rematchService.JOB_TYPE } })).toBe(1);
+    });
+
+    it('should not queue cases already waiting in a pending run', async () => {
+      const first = await rematchService.startRun({ caseIds: [lostCase.id, otherLostCase.id] });
+      const second = await rematchService.startRun({ caseIds: [otherLostCase.id], reason: 'case_update' });
+
+      expect(second.existing).toBe(true);
+      expect(second.run.id).toBe(first.run.id);
+      expect(await RematchRun.count()).toBe(1);
+    });
+
+    it('should cover lost items in the catalogue and supersede older catalogue runs', async () => {
+      const first = await rematchService.startRun();
+      const second = await rematchService.startRun({ reason: 'config_change' });
+
+      expect(second.run.total_photos).toBe(5);
+      expect((await first.run.reload()).status).toBe('cancelled');
+    });
+  });
+
+  it('should work through a run and report progress', async () => {
+    const { run } = await rematchService.startRun({ caseIds: [lostCase.id] });
+
+    const result = await rematchService.processBatch({ runId: run.id });
+    expect(result.completed).toBe(true);
+
+    const response = await request(app)
+      .get(`/api/v1/admin/rematch/${run.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.run).toMatchObject({
+      status: 'completed',
+      processed_photos: 3,
+      failed_photos: 3,
+      matches_created: 0,
+      progress: 100,
+    });
+    expect(response.body.data.run.last_error).toMatch(/Image not found/);
+
+    // Finished runs ignore leftover jobs
+    expect(await rematchService.processBatch({ runId: run.id })).toEqual({ skipped: 'run completed' });
+  });
+
+  it('should pick up where an interrupted run stopped', async () => {
+    const { run } = await rematchService.startRun({ caseIds: [lostCase.id] });
+    const photos = await Photo.findAll({
+      where: { case_id: lostCase.id, upload_status: 'completed' },
+      order: [['id', 'ASC']],
+    });
+    await run.update({ status: 'running', cursor: photos[1].id, processed_photos: 2 });
+
+    await rematchService.processBatch({ runId: run.id });
+
+    await run.reload();
+    expect(run.processed_photos).toBe(3);
+    expect(run.failed_photos).toBe(1);
+  });
+
+  describe('admin endpoints', () => {
+    it('should start, list and cancel runs', async () => {
+      const started = await request(app)
+        .post('/api/v1/admin/rematch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ case_ids: [otherLostCase.id] });
+
+      expect(started.status).toBe(202);
+      expect(started.body.data.run).toMatchObject({ reason: 'manual', requested_by: adminId, progress: 0 });
+
+      const list = await request(app)
+        .get('/api/v1/admin/rematch')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(list.body.data.runs).toHaveLength(1);
+
+      const cancelled = await request(app)
+        .post(`/api/v1/admin/rematch/${started.body.data.run.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.data.run.status).toBe('cancelled');
+
+      const again = await request(app)
+        .post(`/api/v1/admin/rematch/${started.body.data.run.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    it('should validate case_ids and be admin only', async () => {
+      let response = await request(app)
+        .post('/api/v1/admin/rematch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ case_ids: 'all' });
+      expect(response.status).toBe(400);
+
+      response = await request(app)
+        .post('/api/v1/admin/rematch')
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('triggers', () => {
+    it('should re-match a case when its category or location changes', async () => {
+      let response = await request(app)
+        .put(`/api/v1/cases/${lostCase.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ title: 'Lost navy backpack' });
+      expect(response.status).toBe(200);
+      expect(await RematchRun.count()).toBe(0);
+
+      response = await request(app)
+        .put(`/api/v1/cases/${lostCase.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ item_category: 'electronics' });
+      expect(response.status).toBe(200);
+      expect(response.body.data.case.item_category).toBe('electronics');
+
+      const run = await RematchRun.findOne();
+      expect(run).toMatchObject({ scope: 'cases', reason: 'case_update', case_ids: [lostCase.id] });
+    });
+
+    it('should reject an unknown category', async () => {
+      const response = await request(app)
+        .put(`/api/v1/cases/${lostCase.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ item_category: 'furniture' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should re-match the catalogue when new weights are activated', async () => {
+      await weightConfigService.initializeDefaultWeights();
+      const active = await ModelConfig.getActiveConfig('all_category_weights');
+      const candidate = await weightConfigService.saveCandidate(
+        'all_category_weights', 'category_weights', active.config_data
+      );
+
+      const result = await weightConfigService.activateConfig(candidate.id, adminId);
+
+      expect(result.rematchRun).toMatchObject({ scope: 'catalogue', reason: 'config_change', requested_by: adminId });
+      expect(await RematchRun.count({ where: { status: 'pending' } })).toBe(1);
+    });
+  });
+});
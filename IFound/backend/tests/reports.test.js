@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, ContentReport, sequelize } = require('../src/models');
+
+const registerUser = async (email) => {
+  const response = await request(app)
+    .post('/api/v1/auth/register')
+    .send({
+      email,
+      password: 'password123',
+      first_name: 'Report',
+      last_name: 'User',
+    });
+
+  return {
+    token: response.body.data.token,
+    userId: response.body.data.user.id,
+  };
+};
+
+describe('Content Reports API', () => {
+  let poster;
+  let reporter;
+  let admin;
+  let caseId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    poster = await registerUser('poster@example.com');
+    reporter = await registerUser('reporter@example.com');
+    admin = await registerUser('moderator@example.com');
+    await User.update({ user_type: 'admin' }, { where: { id: admin.userId } });
+    await User.update({ verification_status: 'email_verified' }, { where: { id: poster.userId } });
+
+    const response = await request(app)
+      .post('/api/v1/cases')
+      .set('Authorization', `Bearer ${poster.token}`)
+      .send({
+        case_type: 'lost_item',
+        title: 'Lost wallet',
+        description: 'Brown leather wallet lost near the station',
+        bounty_amount: 50,
+        item_category: 'other',
+      });
+
+    caseId = response.body.data.case.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await ContentReport.destroy({ where: {} });
+  });
+
+  describe('POST /api/v1/reports', () => {
+    it('should queue a user report', async () => {
+      const response = await request(app)
+        .post('/api/v1/reports')
+        .set('Authorization', `Bearer ${reporter.token}`)
+        .send({ content_type: 'case', content_id: caseId, reason: 'spam', details: 'Duplicate post' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.report.status).toBe('pending');
+
+      const report = await ContentReport.findByPk(response.body.data.report.id);
+      expect(report.content_author_id).toBe(poster.userId);
+      expect(report.content_snapshot.title).toBe('Lost wallet');
+    });
+
+    it('should not duplicate an open report from the same user', async () => {
+      const send = () => request(app)
+        .post('/api/v1/reports')
+        .set('Authorization', `Bearer ${reporter.token}`)
+        .send({ content_type: 'case', content_id: caseId, reason: 'spam' });
+
+      await send();
+      await send();
+
+      expect(await ContentReport.count()).toBe(1);
+    });
+
+    it('should reject an unknown reason', async () => {
+      const response = await request(app)
+        .post('/api/v1/reports')
+        .set('Authorization', `Bearer ${reporter.token}`)
+        .send({ content_type: 'case', content_id: caseId, reason: 'boring' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/v1/reports')
+        .send({ content_type: 'case', content_id: caseId, reason: 'spam' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Admin queue', () => {
+    let reportId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/reports')
+        .set('Authorization', `Bearer ${reporter.token}`)
+        .send({ content_type: 'case', content_id: caseId, reason: 'selling' });
+
+      reportId = response.body.data.report.id;
+    });
+
+    it('should list pending reports for admins only', async () => {
+      let response = await request(app)
+        .get('/api/v1/admin/reports?status=pending')
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reports.length).toBe(1);
+      expect(response.body.data.pagination).toHaveProperty('total', 1);
+
+      response = await request(app)
+        .get('/api/v1/admin/reports')
+        .set('Authorization', `Bearer ${reporter.token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should assign and resolve a report by removing the content', async () => {
+      let response = await request(app)
+        .put(`/api/v1/admin/reports/${reportId}/assign`)
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.report.assigned_to).toBe(admin.userId);
+
+      response = await request(app)
+        .put(`/api/v1/admin/reports/${reportId}/resolve`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ action: 'content_removed', notes: 'Asking for payment' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.report.status).toBe('resolved');
+
+      const reportedCase = await Case.findByPk(caseId);
+      expect(reportedCase.status).toBe('suspended');
+
+      await reportedCase.update({ status: 'active' });
+    });
+
+    it('should dismiss a report without touching the content', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/reports/${reportId}/dismiss`)
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.report.action_taken).toBe('none');
+
+      const reportedCase = await Case.findByPk(caseId);
+      expect(reportedCase.status).toBe('active');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { Case, SavedSearch, Notification, sequelize } = require('../src/models');
+const savedSearchService = require('../src/services/savedSearchService');
+const scheduler = require('../src/services/scheduler');
+
+describe('Saved Searches API', () => {
+  let token;
+  let userId;
+  let posterId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        email: 'alerts@example.com',
+        password: 'password123',
+        first_name: 'Alert',
+        last_name: 'User',
+      });
+
+    token = response.body.data.token;
+    userId = response.body.data.user.id;
+
+    response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        email: 'finder@example.com',
+        password: 'password123',
+        first_name: 'Finder',
+        last_name: 'User',
+      });
+
+    posterId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await SavedSearch.destroy({ where: {} });
+    await Notification.destroy({ where: {} });
+  });
+
+  const createFoundCase = (overrides = {}) => Case.create({
+    poster_id: posterId,
+    case_type: 'found_item',
+    title: 'Found black wallet',
+    description: 'Black leather wallet found on a bench',
+    bounty_amount: 50,
+    item_category: 'other',
+    last_seen_location: { city: 'New York', latitude: 40.7128, longitude: -74.006 },
+    ...overrides,
+  });
+
+  describe('POST /api/v1/saved-searches', () => {
+    it('should save a search', async () => {
+      const response = await request(app)
+        .post('/api/v1/saved-searches')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'My wallet',
+          case_type: 'found_item',
+          keywords: 'Black, wallet',
+          latitude: 40.73,
+          longitude: -73.99,
+          radius_miles: 10,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.search.keywords).toEqual(['black', 'wallet']);
+      expect(response.body.data.search.alert_frequency).toBe('instant');
+    });
+
+    it('should validate the alert frequency', async () => {
+      const response = await request(app)
+        .post('/api/v1/saved-searches')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Bad', alert_frequency: 'hourly' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/v1/saved-searches')
+        .send({ name: 'Anything' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('New case alerts', () => {
+    it('should alert instant subscribers about a matching nearby case', async () => {
+      await SavedSearch.create({
+        user_id: userId,
+        name: 'My wallet',
+        keywords: ['wallet'],
+        latitude: 40.73,
+        longitude: -73.99,
+        radius_miles: 10,
+      });
+
+      const matched = await savedSearchService.evaluateNewCase(await createFoundCase());
+
+      expect(matched).toBe(1);
+      const notifications = await Notification.findAll({ where: { user_id: userId, type: 'case_alert' } });
+      expect(notifications.length).toBe(1);
+    });
+
+    it('should ignore cases outside the radius or missing keywords', async () => {
+      await SavedSearch.create({
+        user_id: userId,
+        name: 'Boston phone',
+        keywords: ['phone'],
+        latitude: 42.3601,
+        longitude: -71.0589,
+        radius_miles: 10,
+      });
+
+      const matched = await savedSearchService.evaluateNewCase(await createFoundCase());
+
+      expect(matched).toBe(0);
+      expect(await Notification.count({ where: { user_id: userId } })).toBe(0);
+    });
+
+    it('should queue digest subscribers and send one digest', async () => {
+      const search = await SavedSearch.create({
+        user_id: userId,
+        name: 'Wallets',
+        keywords: ['wallet'],
+        alert_frequency: 'daily',
+      });
+
+      await savedSearchService.evaluateNewCase(await createFoundCase());
+      await savedSearchService.evaluateNewCase(await createFoundCase({ title: 'Found brown wallet' }));
+
+      await search.reload();
+      expect(search.pending_case_ids.length).toBe(2);
+      expect(await Notification.count({ where: { user_id: userId } })).toBe(0);
+
+      // Sent by the scheduler under its lock, like every periodic job
+      expect(await scheduler.runTask('saved_searches.digests')).toEqual({ ran: true, result: 1 });
+
+      await search.reload();
+      expect(search.pending_case_ids).toEqual([]);
+      const notification = await Notification.findOne({ where: { user_id: userId } });
+      expect(notification.data.case_ids.length).toBe(2);
+
+      expect(await savedSearchService.sendDigests()).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/saved-searches/unsubscribe', () => {
+    it('should disable alerts with a valid token', async () => {
+      const search = await SavedSearch.create({ user_id: userId, name: 'Unsubscribe me' });
+      const unsubscribeToken = savedSearchService.createUnsubscribeToken(search);
+
+      const response = await request(app)
+        .get('/api/v1/saved-searches/unsubscribe')
+        .query({ token: unsubscribeToken });
+
+      expect(response.status).toBe(200);
+      await search.reload();
+      expect(search.alerts_enabled).toBe(false);
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/v1/saved-searches/unsubscribe')
+        .query({ token: 'not-a-token' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, UserSession, sequelize } = require('../src/models');
+
+describe('Sessions API', () => {
+  const login = async (deviceName) => {
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'sessions@example.com', password: 'password123', device_name: deviceName });
+
+    return response.body.data;
+  };
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/v1/auth/refresh')
+    .send({ refreshToken });
+
+  const getSessions = (token) => request(app)
+    .get('/api/v1/auth/sessions')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      email: 'sessions@example.com',
+      password_hash: 'password123',
+      first_name: 'Session',
+      last_name: 'User',
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('GET /api/v1/auth/sessions', () => {
+    it('should list each signed-in device and mark the current one', async () => {
+      await login('Pixel 8');
+      const { token } = await login('iPhone 15');
+
+      const response = await getSessions(token);
+
+      expect(response.status).toBe(200);
+      const names = response.body.data.sessions.map(s => s.device_name);
+      expect(names).toEqual(expect.arrayContaining(['Pixel 8', 'iPhone 15']));
+      const current = response.body.data.sessions.filter(s => s.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].device_name).toBe('iPhone 15');
+      expect(Date.parse(current[0].created_at)).toBeLessThanOrEqual(Date.now());
+      expect(response.body.data.sessions[0]).not.toHaveProperty('refresh_token_hash');
+    });
+  });
+
+  describe('POST /api/v1/auth/refresh', () => {
+    it('should rotate the refresh token and revoke the family when an old one is reused', async () => {
+      const { refreshToken } = await login('Tablet');
+
+      const first = await refresh(refreshToken);
+      expect(first.status).toBe(200);
+      expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+      // Replaying the rotated token
+      expect((await refresh(refreshToken)).status).toBe(403);
+
+      // The legitimate holder is signed out too
+      expect((await refresh(first.body.data.refreshToken)).status).toBe(403);
+      expect((await getSessions(first.body.data.token)).status).toBe(401);
+
+      const session = await UserSession.findOne({ where: { device_name: 'Tablet' } });
+      expect(session.revoked_reason).toBe('token_reuse');
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('should end the current session', async () => {
+      const { token, refreshToken } = await login('Laptop');
+
+      const response = await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect((await refresh(refreshToken)).status).toBe(403);
+      expect((await getSessions(token)).status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/v1/auth/sessions', () => {
+    it('should revoke another device', async () => {
+      const other = await login('Old phone');
+      const { token } = await login('New phone');
+      const otherSession = await UserSession.findOne({ where: { device_name: 'Old phone' } });
+
+      const revokeOther = () => request(app)
+        .delete(`/api/v1/auth/sessions/${otherSession.id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect((await revokeOther()).status).toBe(200);
+      expect((await refresh(other.refreshToken)).status).toBe(403);
+      expect((await revokeOther()).status).toBe(404);
+    });
+
+    it('should sign out every other device', async () => {
+      const { token } = await login('Desktop');
+
+      const response = await request(app)
+        .delete('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.revoked).toBeGreaterThan(0);
+
+      const sessions = await getSessions(token);
+      expect(sessions.status).toBe(200);
+      expect(sessions.body.data.sessions).toHaveLength(1);
+      expect(sessions.body.data.sessions[0].current).toBe(true);
+    });
+  });
+});
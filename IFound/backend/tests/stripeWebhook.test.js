@@ -0,0 +1,217 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Transaction, StripeEvent, sequelize } = require('../src/models');
+const { buildEvent, signPayload } = require('../scripts/stripe-webhook');
+
+describe('Stripe Webhook', () => {
+  let posterId;
+  let caseId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const poster = await User.create({
+      email: 'webhook-poster@example.com',
+      password_hash: 'password123',
+      first_name: 'Webhook',
+      last_name: 'Poster',
+    });
+    posterId = poster.id;
+
+    const lostCase = await Case.create({
+      poster_id: posterId,
+      case_type: 'lost_item',
+      title: 'Lost silver watch',
+      description: 'Silver watch with a leather strap',
+      bounty_amount: 50,
+      item_category: 'jewelry',
+    });
+    caseId = lostCase.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const send = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post('/api/v1/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signPayload(payload, secret))
+      .send(payload);
+  };
+
+  const createPayment = (overrides = {}) => Transaction.create({
+    case_id: caseId,
+    poster_id: posterId,
+    transaction_type: 'bounty_payment',
+    amount: 50,
+    platform_commission: 5,
+    net_amount: 45,
+    stripe_payment_intent_id: `pi_${Math.random().toString(36).slice(2)}`,
+    ...overrides,
+  });
+
+  const createWithdrawal = (overrides = {}) => Transaction.create({
+    case_id: caseId,
+    poster_id: posterId,
+    finder_id: posterId,
+    transaction_type: 'withdrawal',
+    amount: 30,
+    net_amount: 30,
+    status: 'processing',
+    ...overrides,
+  });
+
+  it('should reject an invalid signature', async () => {
+    const response = await send(buildEvent('payment_intent.succeeded'), 'whsec_wrong_secret');
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(await StripeEvent.count()).toBe(0);
+  });
+
+  it('should move a succeeded payment into escrow', async () => {
+    const payment = await createPayment();
+
+    const response = await send(buildEvent('payment_intent.succeeded', {
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: 50,
+    }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.outcome).toBe('escrow');
+    await payment.reload();
+    expect(payment.status).toBe('escrow');
+  });
+
+  it('should apply a redelivered event only once', async () => {
+    const payment = await createPayment();
+    const event = buildEvent('payment_intent.payment_failed', {
+      payment_intent: payment.stripe_payment_intent_id,
+    });
+
+    await send(event);
+    await payment.reload();
+    const failedAt = payment.failed_at;
+
+    // Retried by the poster, then the original failure is redelivered
+    await payment.update({ status: 'processing' });
+    const response = await send(event);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.duplicate).toBe(true);
+    await payment.reload();
+    expect(payment.status).toBe('processing');
+    expect(payment.failed_at).toEqual(failedAt);
+    expect(await StripeEvent.count({ where: { id: event.id } })).toBe(1);
+  });
+
+  it('should record why a payment failed', async () => {
+    const payment = await createPayment();
+
+    await send(buildEvent('payment_intent.payment_failed', {
+      payment_intent: payment.stripe_payment_intent_id,
+    }));
+
+    await payment.reload();
+    expect(payment.status).toBe('failed');
+    expect(payment.failed_at).not.toBeNull();
+    expect(payment.failure_reason).toBe('Your card has insufficient funds.');
+  });
+
+  it('should not move a transaction backwards', async () => {
+    const payment = await createPayment({ status: 'escrow' });
+
+    const response = await send(buildEvent('payment_intent.processing', {
+      payment_intent: payment.stripe_payment_intent_id,
+    }));
+
+    expect(response.body.data.outcome).toBe('unchanged');
+    await payment.reload();
+    expect(payment.status).toBe('escrow');
+  });
+
+  it('should mark a fully refunded charge as refunded', async () => {
+    const payment = await createPayment({ status: 'escrow' });
+
+    await send(buildEvent('charge.refunded', {
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: 50,
+    }));
+
+    await payment.reload();
+    expect(payment.status).toBe('refunded');
+    expect(payment.refunded_at).not.toBeNull();
+  });
+
+  it('should only record a partial refund', async () => {
+    const payment = await createPayment({ status: 'escrow' });
+
+    const response = await send(buildEvent('charge.refunded', {
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: 50,
+      amount_refunded: 20,
+    }));
+
+    expect(response.body.data.outcome).toBe('partially_refunded');
+    await payment.reload();
+    expect(payment.status).toBe('escrow');
+    expect(payment.metadata.amount_refunded).toBe(20);
+  });
+
+  it('should refund a payment when a dispute is lost', async () => {
+    const payment = await createPayment({ status: 'escrow' });
+
+    await send(buildEvent('charge.dispute.created', { payment_intent: payment.stripe_payment_intent_id }));
+    await payment.reload();
+    expect(payment.metadata.dispute.status).toBe('needs_response');
+    expect(payment.status).toBe('escrow');
+
+    await send(buildEvent('charge.dispute.closed', {
+      payment_intent: payment.stripe_payment_intent_id,
+      dispute_status: 'lost',
+    }));
+
+    await payment.reload();
+    expect(payment.status).toBe('refunded');
+    expect(payment.refund_reason).toBe('Chargeback lost (fraudulent)');
+  });
+
+  it('should complete a paid withdrawal', async () => {
+    const withdrawal = await createWithdrawal();
+
+    await send(buildEvent('payout.paid', { payout: 'po_paid_test', transaction_id: withdrawal.id }));
+
+    await withdrawal.reload();
+    expect(withdrawal.status).toBe('completed');
+    expect(withdrawal.stripe_payout_id).toBe('po_paid_test');
+    expect(withdrawal.completed_at).not.toBeNull();
+  });
+
+  it('should fail a withdrawal whose payout failed', async () => {
+    const withdrawal = await createWithdrawal({ stripe_payout_id: 'po_failed_test' });
+
+    await send(buildEvent('payout.failed', { payout: 'po_failed_test' }));
+
+    await withdrawal.reload();
+    expect(withdrawal.status).toBe('failed');
+    expect(withdrawal.failure_reason).toBe('The bank account has been closed.');
+  });
+
+  it('should acknowledge events for unknown transactions', async () => {
+    const event = buildEvent('payment_intent.succeeded', { payment_intent: 'pi_unknown' });
+
+    const response = await send(event);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('ignored');
+    expect(response.body.data.outcome).toBe('transaction_not_found');
+
+    const record = await StripeEvent.findByPk(event.id);
+    expect(record.status).toBe('ignored');
+  });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Photo, VisualDNA, TrainingPair, ModelConfig, Job, sequelize } = require('../src/models');
+const weightConfigService = require('../src/services/weightConfigService');
+const weightTrainingService = require('../src/services/weightTrainingService');
+
+describe('Match Weight Training', () => {
+  let adminToken;
+  let dnaIds;
+
+  // Seeded RNG so the synthetic feedback is the same every run
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const between = (min, max) => Math.round(min + random() * (max - min));
+
+  /**
+   * Pet matches are told apart by color, electronics by OCR; everything
+   * else is noise
+   */
+  const seedPairs = async () => {
+    const pairs = [];
+    const categories = [
+      ...Array.from({ length: 200 }, () => 'pet'),
+      ...Array.from({ length: 120 }, () => 'electronics'),
+    ];
+
+    categories.forEach((category, i) => {
+      const match = i % 2 === 0;
+      const strong = match ? between(70, 95) : between(10, 45);
+      pairs.push({
+        source_visual_dna_id: dnaIds[Math.floor(i / dnaIds.length)],
+        target_visual_dna_id: dnaIds[i % dnaIds.length],
+        verdict: match ? 'match' : 'no_match',
+        item_category: category,
+        original_scores: {
+          hash_score: between(20, 80),
+          color_score: category === 'pet' ? strong : between(20, 80),
+          shape_score: between(20, 80),
+          visual_score: between(20, 80),
+          ocr_score: category === 'electronics' ? strong : between(0, 20),
+        },
+      });
+    });
+
+    await TrainingPair.bulkCreate(pairs);
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'training-admin@example.com', password: 'password123', first_name: 'Admin', last_name: 'User' });
+    adminToken = response.body.data.token;
+    const adminId = response.body.data.user.id;
+    await User.update({ user_type: 'admin' }, { where: { id: adminId } });
+
+    const testCase = await Case.create({
+      poster_id: adminId,
+      case_type: 'lost_item',
+      title: 'Training fixtures',
+      description: 'Photos for training pair fixtures',
+      bounty_amount: 0,
+    });
+
+    // 20 photos give 400 distinct (source, target) pairs
+    const dnas = [];
+    for (let i = 0; i < 20; i++) {
+      const photo = await Photo.create({ case_id: testCase.id, image_url: `/uploads/photos/training-${i}.jpg` });
+      dnas.push(await VisualDNA.create({ photo_id: photo.id, case_id: testCase.id }));
+    }
+    dnaIds = dnas.map(dna => dna.id);
+
+    await weightConfigService.initializeDefaultWeights();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should refuse to train without enough feedback', async () => {
+    const result = await weightTrainingService.trainWeights();
+    expect(result).toMatchObject({ success: false, status: 409 });
+
+    const response = await request(app)
+      .post('/api/v1/admin/model-configs/training')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/Not enough feedback/);
+  });
+
+  describe('with feedback', () => {
+    beforeAll(async () => {
+      await seedPairs();
+    });
+
+    it('should save trained weights as an inactive candidate', async () => {
+      const active = await ModelConfig.getActiveConfig('all_category_weights');
+      const result = await weightTrainingService.trainWeights();
+
+      expect(result.success).toBe(true);
+      expect(result.report.categories.pet.status).toBe('trained');
+      expect(result.report.categories.electronics.status).toBe('trained');
+      expect(result.report.categories.jewelry.status).toBe('kept');
+
+      const candidate = await ModelConfig.findByPk(result.weightsConfig.id);
+      expect(candidate).toMatchObject({ is_active: false, version: 2, parent_config_id: active.id });
+      expect(candidate.f1_score).toBeGreaterThan(0.8);
+      expect(candidate.precision).not.toBeNull();
+      expect(candidate.recall).not.toBeNull();
+      expect(candidate.training_samples).toBe(result.report.pairs.train);
+
+      const pet = candidate.config_data.pet;
+      expect(Object.values(pet).reduce((sum, w) => sum + w, 0)).toBeCloseTo(1, 3);
+      expect(Math.max(...Object.values(pet))).toBe(pet.COLOR);
+      expect(candidate.config_data.electronics.OCR).toBeGreaterThan(candidate.config_data.electronics.COLOR);
+      expect(candidate.config_data.jewelry).toEqual(active.config_data.jewelry);
+
+      const thresholds = await ModelConfig.findByPk(result.thresholdsConfig.id);
+      expect(thresholds.is_active).toBe(false);
+      expect(thresholds.config_data.CATEGORY_MATCH_THRESHOLDS).toHaveProperty('pet');
+
+      // Matching keeps using the active weights until a candidate is approved
+      expect((await ModelConfig.getActiveConfig('all_category_weights')).id).toBe(active.id);
+
+      expect(await TrainingPair.count({ where: { export_status: 'pending' } })).toBe(0);
+      expect(await TrainingPair.count({ where: { training_batch_id: result.report.batch_id } })).toBe(320);
+    });
+
+    it('should not retrain without new feedback', async () => {
+      const result = await weightTrainingService.trainWeights();
+
+      expect(result).toMatchObject({ success: false, status: 409 });
+      expect(result.message).toMatch(/No new feedback/);
+    });
+
+    it('should queue one admin-triggered run at a time', async () => {
+      await Job.destroy({ where: {} });
+
+      const send = () => request(app)
+        .post('/api/v1/admin/model-configs/training')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ holdout_fraction: 0.25 });
+
+      const queued = await send();
+      expect(queued.status).toBe(202);
+      expect(queued.body.data.job).toMatchObject({ type: weightTrainingService.JOB_TYPE, status: 'pending' });
+      expect(queued.body.data.job.payload.holdoutFraction).toBe(0.25);
+
+      expect((await send()).status).toBe(409);
+
+      const status = await request(app)
+        .get('/api/v1/admin/model-configs/training')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(status.body.data.stats.readyForTraining).toBe(true);
+      expect(status.body.data.runs).toHaveLength(1);
+    });
+  });
+});
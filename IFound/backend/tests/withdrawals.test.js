@@ -0,0 +1,196 @@
+process.env.ENABLE_EMAIL_NOTIFICATIONS = 'false';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Case, Transaction, Notification, sequelize } = require('../src/models');
+
+describe('Admin Withdrawals API', () => {
+  let adminToken;
+  let finderToken;
+  let finderId;
+  let caseId;
+
+  const register = (email, first_name) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123', first_name, last_name: 'User' });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    let response = await register('payouts-admin@example.com', 'Admin');
+    adminToken = response.body.data.token;
+    await User.update({ user_type: 'admin' }, { where: { id: response.body.data.user.id } });
+
+    response = await register('payouts-finder@example.com', 'Finder');
+    finderToken = response.body.data.token;
+    finderId = response.body.data.user.id;
+
+    const lostCase = await Case.create({
+      poster_id: response.body.data.user.id,
+      case_type: 'lost_item',
+      title: 'Lost red umbrella',
+      description: 'Red umbrella with a wooden handle',
+      bounty_amount: 50,
+      item_category: 'other',
+    });
+    caseId = lostCase.id;
+
+    // $45 of earnings to withdraw from
+    await Transaction.create({
+      case_id: caseId,
+      poster_id: finderId,
+      finder_id: finderId,
+      transaction_type: 'bounty_payment',
+      amount: 50,
+      platform_commission: 5,
+      net_amount: 45,
+      status: 'completed',
+      completed_at: new Date(),
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Transaction.destroy({ where: { transaction_type: 'withdrawal' } });
+    await Notification.destroy({ where: {} });
+  });
+
+  const requestWithdrawal = async (amount = 20) => {
+    const response = await request(app)
+      .post('/api/v1/payments/withdraw')
+      .set('Authorization', `Bearer ${finderToken}`)
+      .send({ amount });
+    return response.body.data.withdrawal.id;
+  };
+
+  const adminPost = (path, body = {}) => request(app)
+    .post(`/api/v1/admin/withdrawals${path}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const availableBalance = async () => {
+    const response = await request(app)
+      .get('/api/v1/payments/earnings')
+      .set('Authorization', `Bearer ${finderToken}`);
+    return response.body.data.summary.available_balance;
+  };
+
+  describe('GET /api/v1/admin/withdrawals', () => {
+    it('should list pending withdrawals', async () => {
+      const id = await requestWithdrawal();
+
+      const response = await request(app)
+        .get('/api/v1/admin/withdrawals')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.withdrawals.map(w => w.id)).toEqual([id]);
+      expect(response.body.data.withdrawals[0].finder.email).toBe('payouts-finder@example.com');
+    });
+
+    it('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/withdrawals')
+        .set('Authorization', `Bearer ${finderToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/v1/admin/withdrawals/:id/approve', () => {
+    it('should pay out through the payment provider', async () => {
+      const id = await requestWithdrawal();
+
+      const response = await adminPost(`/${id}/approve`, { method: 'payout' });
+
+      expect(response.status).toBe(200);
+      // Test-mode payouts settle immediately
+      expect(response.body.data.withdrawal.status).toBe('completed');
+      expect(response.body.data.withdrawal.stripe_payout_id).toMatch(/^po_test_/);
+      expect(response.body.data.withdrawal.metadata.approval_method).toBe('payout');
+
+      const notification = await Notification.findOne({ where: { user_id: finderId } });
+      expect(notification.type).toBe('withdrawal_update');
+      expect(notification.data.status).toBe('completed');
+    });
+
+    it('should require a reference for manual payouts', async () => {
+      const id = await requestWithdrawal();
+
+      let response = await adminPost(`/${id}/approve`, { method: 'manual' });
+      expect(response.status).toBe(400);
+
+      response = await adminPost(`/${id}/approve`, { method: 'manual', reference: 'ET-12345' });
+      expect(response.status).toBe(200);
+      expect(response.body.data.withdrawal.status).toBe('completed');
+      expect(response.body.data.withdrawal.metadata.payout_reference).toBe('ET-12345');
+    });
+
+    it('should not approve a withdrawal twice', async () => {
+      const id = await requestWithdrawal();
+      await adminPost(`/${id}/approve`, { method: 'manual', reference: 'ET-1' });
+
+      const response = await adminPost(`/${id}/approve`, { method: 'payout' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/v1/admin/withdrawals/:id/reject', () => {
+    it('should return the funds to the finder', async () => {
+      const id = await requestWithdrawal(20);
+      expect(await availableBalance()).toBe('25.00');
+
+      let response = await adminPost(`/${id}/reject`);
+      expect(response.status).toBe(400);
+
+      response = await adminPost(`/${id}/reject`, { reason: 'Account details could not be verified' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.withdrawal.status).toBe('cancelled');
+      expect(await availableBalance()).toBe('45.00');
+
+      const notification = await Notification.findOne({ where: { user_id: finderId } });
+      expect(notification.body).toContain('Account details could not be verified');
+    });
+  });
+
+  describe('processing withdrawals', () => {
+    const processingWithdrawal = async () => {
+      const id = await requestWithdrawal();
+      await Transaction.update({ status: 'processing', stripe_payout_id: 'po_in_flight' }, { where: { id } });
+      return id;
+    };
+
+    it('should mark a payout as paid', async () => {
+      const id = await processingWithdrawal();
+
+      const response = await adminPost(`/${id}/mark-paid`, { reference: 'po_in_flight confirmed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.withdrawal.status).toBe('completed');
+    });
+
+    it('should mark a payout as failed and return the funds', async () => {
+      const id = await processingWithdrawal();
+
+      const response = await adminPost(`/${id}/fail`, { reason: 'Bank rejected the transfer' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.withdrawal.status).toBe('failed');
+      expect(response.body.data.withdrawal.failure_reason).toBe('Bank rejected the transfer');
+      expect(await availableBalance()).toBe('45.00');
+    });
+
+    it('should not reject a withdrawal that is already being paid out', async () => {
+      const id = await processingWithdrawal();
+
+      const response = await adminPost(`/${id}/reject`, { reason: 'Changed my mind' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -5,11 +5,22 @@ import { AuthProvider } from './src/context/AuthContext';
 import AppNavigator from './src/navigation/AppNavigator';
 import { theme } from './src/config/theme';
 
+// Open emailed links (/verify-email?token=..., /reset-password?token=...) in the app
+const linking = {
+  prefixes: ['ifound://', 'https://ifound.app'],
+  config: {
+    screens: {
+      VerifyEmail: 'verify-email',
+      ForgotPassword: 'reset-password',
+    },
+  },
+};
+
 export default function App() {
   return (
     <PaperProvider theme={theme}>
       <AuthProvider>
-        <NavigationContainer>
+        <NavigationContainer linking={linking}>
           <AppNavigator />
         </NavigationContainer>
       </AuthProvider>
@@ -1,9 +1,14 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { authAPI } from '../services/api';
+import { registerForPushNotifications, unregisterFromPushNotifications } from '../services/pushNotifications';
 
 const AuthContext = createContext({});
 
+// Shown in the signed-in devices list
+const DEVICE_NAME = Platform.OS === 'ios' ? 'iOS app' : 'Android app';
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -31,15 +36,18 @@ export const AuthProvider = ({ children }) => {
 
   const login = async (email, password) => {
     try {
-      const response = await authAPI.login({ email, password });
-      const { user, token } = response.data;
+      const response = await authAPI.login({ email, password, device_name: DEVICE_NAME });
+      const { user, token, refreshToken } = response.data;
 
       await AsyncStorage.setItem('token', token);
+      await AsyncStorage.setItem('refreshToken', refreshToken);
       await AsyncStorage.setItem('user', JSON.stringify(user));
 
       setToken(token);
       setUser(user);
 
+      registerForPushNotifications();
+
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message || 'Login failed' };
@@ -48,15 +56,18 @@ export const AuthProvider = ({ children }) => {
 
   const register = async (userData) => {
     try {
-      const response = await authAPI.register(userData);
-      const { user, token } = response.data;
+      const response = await authAPI.register({ ...userData, device_name: DEVICE_NAME });
+      const { user, token, refreshToken } = response.data;
 
       await AsyncStorage.setItem('token', token);
+      await AsyncStorage.setItem('refreshToken', refreshToken);
       await AsyncStorage.setItem('user', JSON.stringify(user));
 
       setToken(token);
       setUser(user);
 
+      registerForPushNotifications();
+
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message || 'Registration failed' };
@@ -65,7 +76,14 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      // Must run while the auth token is still stored
+      await unregisterFromPushNotifications();
+
+      // End the session server-side; still sign out locally if offline
+      await authAPI.logout().catch(() => {});
+
       await AsyncStorage.removeItem('token');
+      await AsyncStorage.removeItem('refreshToken');
       await AsyncStorage.removeItem('user');
 
       setToken(null);
@@ -91,6 +109,65 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await authAPI.verifyEmail(verificationToken);
+
+      // The link may be opened while signed out; only update a stored session
+      if (user && user.id === response.data.user.id) {
+        const updatedUser = { ...user, ...response.data.user };
+        await AsyncStorage.setItem('user', JSON.stringify(updatedUser));
+        setUser(updatedUser);
+      }
+
+      return { success: true, message: response.message };
+    } catch (error) {
+      return { success: false, error: error.message || 'Verification failed' };
+    }
+  };
+
+  const resendVerification = async (email) => {
+    try {
+      const response = await authAPI.resendVerification(email);
+      return { success: true, message: response.message };
+    } catch (error) {
+      return { success: false, error: error.message || 'Could not send verification email' };
+    }
+  };
+
+  const forgotPassword = async (email) => {
+    try {
+      const response = await authAPI.forgotPassword(email);
+      return { success: true, message: response.message };
+    } catch (error) {
+      return { success: false, error: error.message || 'Could not send reset email' };
+    }
+  };
+
+  const resetPassword = async (resetToken, newPassword) => {
+    try {
+      const response = await authAPI.resetPassword(resetToken, newPassword);
+      return { success: true, message: response.message };
+    } catch (error) {
+      return { success: false, error: error.message || 'Password reset failed' };
+    }
+  };
+
+  // Re-read the signed-in user, e.g. after verifying in a browser
+  const refreshUser = async () => {
+    try {
+      const response = await authAPI.getMe();
+      const updatedUser = response.data.user;
+
+      await AsyncStorage.setItem('user', JSON.stringify(updatedUser));
+      setUser(updatedUser);
+
+      return { success: true, user: updatedUser };
+    } catch (error) {
+      return { success: false, error: error.message || 'Could not refresh account' };
+    }
+  };
+
   const value = {
     user,
     token,
@@ -100,6 +177,11 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateUser,
+    verifyEmail,
+    resendVerification,
+    refreshUser,
+    forgotPassword,
+    resetPassword,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
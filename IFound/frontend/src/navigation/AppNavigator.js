@@ -8,6 +8,8 @@ import { useAuth } from '../context/AuthContext';
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
 import OnboardingScreen from '../screens/auth/OnboardingScreen';
+import VerifyEmailScreen from '../screens/auth/VerifyEmailScreen';
+import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
 
 // Main screens
 import HomeScreen from '../screens/home/HomeScreen';
@@ -21,6 +23,7 @@ import MapViewScreen from '../screens/map/MapViewScreen';
 import MySubmissionsScreen from '../screens/profile/MySubmissionsScreen';
 import MyCasesScreen from '../screens/profile/MyCasesScreen';
 import PaymentHistoryScreen from '../screens/payment/PaymentHistoryScreen';
+import SessionsScreen from '../screens/profile/SessionsScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -81,7 +84,7 @@ const MainTabNavigator = () => {
 };
 
 const AppNavigator = () => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, user } = useAuth();
 
   if (loading) {
     return null; // Or loading screen
@@ -95,10 +98,16 @@ const AppNavigator = () => {
           <Stack.Screen name="Onboarding" component={OnboardingScreen} />
           <Stack.Screen name="Login" component={LoginScreen} />
           <Stack.Screen name="Register" component={RegisterScreen} />
+          <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+          <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
         </>
       ) : (
         // Main App Stack
         <>
+          {/* Freshly registered or still-unverified users land on VerifyEmail first */}
+          {user?.verification_status === 'unverified' && (
+            <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+          )}
           <Stack.Screen name="MainTabs" component={MainTabNavigator} />
           <Stack.Screen name="CaseDetail" component={CaseDetailScreen} />
           <Stack.Screen name="CreateCase" component={CreateCaseScreen} />
@@ -107,6 +116,7 @@ const AppNavigator = () => {
           <Stack.Screen name="MyCases" component={MyCasesScreen} />
           <Stack.Screen name="MySubmissions" component={MySubmissionsScreen} />
           <Stack.Screen name="PaymentHistory" component={PaymentHistoryScreen} />
+          <Stack.Screen name="Sessions" component={SessionsScreen} />
         </>
       )}
     </Stack.Navigator>
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
+import { TextInput, Button, Title, Text, Snackbar } from 'react-native-paper';
+import { useAuth } from '../../context/AuthContext';
+import { colors } from '../../config/theme';
+
+// Accept the whole link from the email as well as the bare token
+const extractToken = (value) => {
+  const match = value.match(/[?&]token=([^&\s]+)/);
+  return match ? decodeURIComponent(match[1]) : value.trim();
+};
+
+const ForgotPasswordScreen = ({ navigation, route }) => {
+  const { forgotPassword, resetPassword } = useAuth();
+  // Opened from the link in the email: go straight to choosing a password
+  const [emailSent, setEmailSent] = useState(!!route.params?.token);
+  const [email, setEmail] = useState('');
+  const [link, setLink] = useState(route.params?.token || '');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleSendLink = async () => {
+    if (!email) {
+      setMessage('Enter the email address for your account');
+      return;
+    }
+
+    setLoading(true);
+    const result = await forgotPassword(email);
+    setLoading(false);
+
+    if (result.success) {
+      setEmailSent(true);
+    }
+    setMessage(result.success ? 'Check your inbox for a reset link' : result.error);
+  };
+
+  const handleReset = async () => {
+    const token = extractToken(link);
+
+    if (!token) {
+      setMessage('Paste the link from the reset email');
+      return;
+    }
+
+    if (password.length < 8) {
+      setMessage('Password must be at least 8 characters');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setMessage('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const result = await resetPassword(token, password);
+    setLoading(false);
+
+    if (result.success) {
+      setMessage(result.message);
+      setTimeout(() => navigation.navigate('Login'), 1500);
+    } else {
+      setMessage(result.error);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.content}>
+          <Title style={styles.title}>Reset Password</Title>
+
+          {!emailSent ? (
+            <>
+              <Text style={styles.subtitle}>
+                Enter your email and we'll send you a link to reset your password.
+              </Text>
+
+              <TextInput
+                label="Email"
+                value={email}
+                onChangeText={setEmail}
+                mode="outlined"
+                autoCapitalize="none"
+                keyboardType="email-address"
+                style={styles.input}
+              />
+
+              <Button
+                mode="contained"
+                onPress={handleSendLink}
+                loading={loading}
+                disabled={loading}
+                style={styles.button}
+              >
+                Send Reset Link
+              </Button>
+            </>
+          ) : (
+            <>
+              <Text style={styles.subtitle}>
+                Choose a new password. The reset link can only be used once.
+              </Text>
+
+              {!route.params?.token && (
+                <TextInput
+                  label="Paste the link from the email"
+                  value={link}
+                  onChangeText={setLink}
+                  mode="outlined"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  style={styles.input}
+                />
+              )}
+
+              <TextInput
+                label="New Password"
+                value={password}
+                onChangeText={setPassword}
+                mode="outlined"
+                secureTextEntry
+                style={styles.input}
+              />
+
+              <TextInput
+                label="Confirm New Password"
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                mode="outlined"
+                secureTextEntry
+                style={styles.input}
+              />
+
+              <Button
+                mode="contained"
+                onPress={handleReset}
+                loading={loading}
+                disabled={loading}
+                style={styles.button}
+              >
+                Reset Password
+              </Button>
+
+              <Button
+                mode="text"
+                onPress={() => setEmailSent(false)}
+                style={styles.linkButton}
+              >
+                Didn't get it? Send another link
+              </Button>
+            </>
+          )}
+
+          <Button
+            mode="text"
+            onPress={() => navigation.navigate('Login')}
+            style={styles.linkButton}
+          >
+            Back to login
+          </Button>
+        </View>
+      </ScrollView>
+
+      <Snackbar
+        visible={!!message}
+        onDismiss={() => setMessage('')}
+        duration={3000}
+      >
+        {message}
+      </Snackbar>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: colors.primary,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.text,
+    textAlign: 'center',
+    marginBottom: 32,
+  },
+  input: {
+    marginBottom: 16,
+  },
+  button: {
+    marginTop: 8,
+    paddingVertical: 8,
+  },
+  linkButton: {
+    marginTop: 16,
+  },
+});
+
+export default ForgotPasswordScreen;
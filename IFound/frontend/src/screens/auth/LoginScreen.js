@@ -65,6 +65,14 @@ const LoginScreen = ({ navigation }) => {
             Login
           </Button>
 
+          <Button
+            mode="text"
+            onPress={() => navigation.navigate('ForgotPassword')}
+            style={styles.linkButton}
+          >
+            Forgot password?
+          </Button>
+
           <Button
             mode="text"
             onPress={() => navigation.navigate('Register')}
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
+import { TextInput, Button, Title, Text, Snackbar, ActivityIndicator } from 'react-native-paper';
+import { useAuth } from '../../context/AuthContext';
+import { colors } from '../../config/theme';
+
+// Accept the whole link from the email as well as the bare token
+const extractToken = (value) => {
+  const match = value.match(/[?&]token=([^&\s]+)/);
+  return match ? decodeURIComponent(match[1]) : value.trim();
+};
+
+const VerifyEmailScreen = ({ navigation, route }) => {
+  const { user, isAuthenticated, verifyEmail, resendVerification, refreshUser } = useAuth();
+  const [link, setLink] = useState('');
+  const [email, setEmail] = useState('');
+  const [verifying, setVerifying] = useState(!!route.params?.token);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    // Opened from the link in the email
+    if (route.params?.token) {
+      handleVerify(route.params.token);
+    }
+  }, [route.params?.token]);
+
+  const finish = () => {
+    if (isAuthenticated) {
+      navigation.replace('MainTabs');
+    } else {
+      navigation.navigate('Login');
+    }
+  };
+
+  const handleVerify = async (token) => {
+    if (!token) {
+      setMessage('Paste the link from the verification email');
+      return;
+    }
+
+    setVerifying(true);
+    const result = await verifyEmail(token);
+    setVerifying(false);
+
+    if (result.success) {
+      setMessage(isAuthenticated ? result.message : `${result.message}. You can now log in.`);
+      setTimeout(finish, 1500);
+    } else {
+      setMessage(result.error);
+    }
+  };
+
+  const handleResend = async () => {
+    if (!isAuthenticated && !email) {
+      setMessage('Enter the email address you registered with');
+      return;
+    }
+
+    setLoading(true);
+    const result = await resendVerification(isAuthenticated ? undefined : email);
+    setLoading(false);
+
+    setMessage(result.success ? 'Verification email sent. Check your inbox.' : result.error);
+  };
+
+  const handleAlreadyVerified = async () => {
+    setLoading(true);
+    const result = await refreshUser();
+    setLoading(false);
+
+    if (!result.success) {
+      setMessage(result.error);
+    } else if (result.user.verification_status === 'unverified') {
+      setMessage('Your email is not verified yet. Tap the link in the email first.');
+    } else {
+      finish();
+    }
+  };
+
+  if (verifying) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+        <Text style={styles.subtitle}>Verifying your email...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.content}>
+          <Title style={styles.title}>Verify Your Email</Title>
+          <Text style={styles.subtitle}>
+            {isAuthenticated && user?.email
+              ? `We sent a verification link to ${user.email}. Tap it to start posting cases.`
+              : 'Tap the link in your verification email to start posting cases.'}
+          </Text>
+
+          <TextInput
+            label="Or paste the link here"
+            value={link}
+            onChangeText={setLink}
+            mode="outlined"
+            autoCapitalize="none"
+            autoCorrect={false}
+            style={styles.input}
+          />
+
+          <Button
+            mode="contained"
+            onPress={() => handleVerify(extractToken(link))}
+            disabled={loading}
+            style={styles.button}
+          >
+            Verify
+          </Button>
+
+          {isAuthenticated ? (
+            <Button
+              mode="outlined"
+              onPress={handleAlreadyVerified}
+              loading={loading}
+              disabled={loading}
+              style={styles.button}
+            >
+              I've verified my email
+            </Button>
+          ) : (
+            <TextInput
+              label="Email"
+              value={email}
+              onChangeText={setEmail}
+              mode="outlined"
+              autoCapitalize="none"
+              keyboardType="email-address"
+              style={[styles.input, styles.emailInput]}
+            />
+          )}
+
+          <Button
+            mode="text"
+            onPress={handleResend}
+            disabled={loading}
+            style={styles.linkButton}
+          >
+            Didn't get it? Resend email
+          </Button>
+
+          <Button
+            mode="text"
+            onPress={finish}
+            style={styles.linkButton}
+          >
+            {isAuthenticated ? 'Skip for now' : 'Back to login'}
+          </Button>
+        </View>
+      </ScrollView>
+
+      <Snackbar
+        visible={!!message}
+        onDismiss={() => setMessage('')}
+        duration={3000}
+      >
+        {message}
+      </Snackbar>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: colors.primary,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.text,
+    textAlign: 'center',
+    marginBottom: 32,
+  },
+  input: {
+    marginBottom: 16,
+  },
+  emailInput: {
+    marginTop: 24,
+    marginBottom: 0,
+  },
+  button: {
+    marginTop: 8,
+    paddingVertical: 8,
+  },
+  linkButton: {
+    marginTop: 16,
+  },
+});
+
+export default VerifyEmailScreen;
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Image, Dimensions, ActivityIndicator, TouchableOpacity } from 'react-native';
-import { Button, Card, Title, Paragraph, Chip, Divider, Text, Surface } from 'react-native-paper';
+import { Button, Card, Title, Paragraph, Chip, Divider, Text, Surface, ProgressBar } from 'react-native-paper';
 import { colors } from '../../config/theme';
-import { caseAPI, visualDnaAPI } from '../../services/api';
+import { API_URL } from '../../config/constants';
+import { caseAPI, visualDnaAPI, matchAPI } from '../../services/api';
 
 const { width } = Dimensions.get('window');
 
@@ -26,6 +27,12 @@ const COLOR_MAP = {
   TAN: '#D2B48C',
 };
 
+// Uploaded files are served next to the API
+const assetUrl = (url) => {
+  if (!url || url.startsWith('http')) return url;
+  return `${API_URL.replace(/\/api\/v1$/, '')}${url}`;
+};
+
 // Entity type icons
 const ENTITY_ICONS = {
   pet: 'paw',
@@ -40,6 +47,9 @@ const CaseDetailScreen = ({ navigation, route }) => {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [caseData, setCaseData] = useState(null);
   const [visualDNA, setVisualDNA] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [expandedMatchId, setExpandedMatchId] = useState(null);
+  const [explanations, setExplanations] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -60,10 +70,11 @@ const CaseDetailScreen = ({ navigation, route }) => {
       setLoading(true);
       setError(null);
 
-      // Fetch case and visual DNA in parallel
-      const [caseResponse, dnaResponse] = await Promise.all([
+      // Fetch case, visual DNA and matches in parallel (matches are only shown to the case owner)
+      const [caseResponse, dnaResponse, matchesResponse] = await Promise.all([
         caseAPI.getCaseById(caseId).catch(() => null),
         visualDnaAPI.getCaseVisualDNA(caseId).catch(() => null),
+        matchAPI.getMatchesForCase(caseId).catch(() => null),
       ]);
 
       if (caseResponse?.data) {
@@ -75,6 +86,8 @@ const CaseDetailScreen = ({ navigation, route }) => {
       if (dnaResponse?.data?.records?.length > 0) {
         setVisualDNA(dnaResponse.data.records[0]); // Use first photo's DNA
       }
+
+      setMatches(matchesResponse?.data?.matches || []);
     } catch (err) {
       console.error('Error fetching case data:', err);
       setError('Failed to load case details');
@@ -218,6 +231,152 @@ const CaseDetailScreen = ({ navigation, route }) => {
     );
   };
 
+  const toggleExplanation = async (matchId) => {
+    if (expandedMatchId === matchId) {
+      setExpandedMatchId(null);
+      return;
+    }
+
+    setExpandedMatchId(matchId);
+    if (explanations[matchId]) return;
+
+    try {
+      const response = await matchAPI.getMatchExplanation(matchId);
+      setExplanations(prev => ({ ...prev, [matchId]: response.data.explanation }));
+    } catch (err) {
+      console.error('Error fetching match explanation:', err);
+      setExplanations(prev => ({ ...prev, [matchId]: { error: 'Could not load the explanation' } }));
+    }
+  };
+
+  const renderHighlightedText = (ocr) => {
+    if (!ocr?.text) return <Text style={styles.mutedText}>No text detected</Text>;
+
+    return (
+      <Text style={styles.ocrText}>
+        {ocr.segments.map((segment, index) => (
+          <Text key={index} style={segment.match && styles.ocrMatch}>{segment.text}</Text>
+        ))}
+      </Text>
+    );
+  };
+
+  const renderSwatches = (swatches) => (
+    <View style={styles.colorRow}>
+      {swatches.length === 0 && <Text style={styles.mutedText}>No colors</Text>}
+      {swatches.map((swatch, index) => (
+        <View
+          key={index}
+          style={[styles.swatch, { backgroundColor: swatch.hex }, swatch.shared && styles.swatchShared]}
+        />
+      ))}
+    </View>
+  );
+
+  const renderExplanation = (matchId) => {
+    const explanation = explanations[matchId];
+
+    if (!explanation) {
+      return <ActivityIndicator style={styles.explanationLoading} color={colors.primary} />;
+    }
+    if (explanation.error) {
+      return <Text style={styles.mutedText}>{explanation.error}</Text>;
+    }
+
+    const maxPoints = Math.max(1, ...explanation.signals.map(s => s.points));
+    const identifiers = [
+      ...explanation.identifiers.license_plates,
+      ...explanation.identifiers.serial_numbers,
+    ];
+
+    return (
+      <View style={styles.explanation}>
+        {explanation.comparison_image_url && (
+          <Image
+            source={{ uri: assetUrl(explanation.comparison_image_url) }}
+            style={styles.comparisonImage}
+            resizeMode="contain"
+          />
+        )}
+
+        <Text style={styles.componentLabel}>Score breakdown</Text>
+        {explanation.approximate && (
+          <Text style={styles.mutedText}>Estimated for an older match</Text>
+        )}
+        {explanation.signals.map(signal => (
+          <View key={signal.signal} style={styles.signalRow}>
+            <Text style={styles.signalLabel}>{signal.label}</Text>
+            <ProgressBar
+              progress={signal.points / maxPoints}
+              color={colors.primary}
+              style={styles.signalBar}
+            />
+            <Text style={styles.signalPoints}>+{signal.points}</Text>
+          </View>
+        ))}
+        {explanation.location && (
+          <Text style={styles.mutedText}>
+            {explanation.location.distance_text}: +{explanation.location.boost} pts
+          </Text>
+        )}
+
+        {identifiers.length > 0 && (
+          <View style={styles.explanationSection}>
+            <Text style={styles.componentLabel}>Matched identifiers</Text>
+            {identifiers.map((identifier, index) => (
+              <Chip key={index} icon="check-decagram" style={styles.identifierChip}>
+                {identifier.source}
+              </Chip>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.explanationSection}>
+          <Text style={styles.componentLabel}>Text</Text>
+          <View style={styles.sideBySide}>
+            <View style={styles.side}>{renderHighlightedText(explanation.ocr.source)}</View>
+            <View style={styles.side}>{renderHighlightedText(explanation.ocr.target)}</View>
+          </View>
+        </View>
+
+        <View style={styles.explanationSection}>
+          <Text style={styles.componentLabel}>Colors</Text>
+          <View style={styles.sideBySide}>
+            <View style={styles.side}>{renderSwatches(explanation.colors.source)}</View>
+            <View style={styles.side}>{renderSwatches(explanation.colors.target)}</View>
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  const renderMatches = () => {
+    if (matches.length === 0) return null;
+
+    return (
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Possible Matches</Title>
+          {matches.map(match => (
+            <View key={match.id} style={styles.matchItem}>
+              <TouchableOpacity style={styles.matchRow} onPress={() => toggleExplanation(match.id)}>
+                <Image source={{ uri: assetUrl(match.matched_photo.image_url) }} style={styles.matchThumb} />
+                <View style={styles.matchInfo}>
+                  <Text style={styles.matchTitle} numberOfLines={1}>{match.matched_case.title}</Text>
+                  <Text style={styles.mutedText}>
+                    {expandedMatchId === match.id ? 'Hide details' : 'Why this match?'}
+                  </Text>
+                </View>
+                <Chip mode="flat" style={styles.scoreChip}>{match.overall_score}%</Chip>
+              </TouchableOpacity>
+              {expandedMatchId === match.id && renderExplanation(match.id)}
+            </View>
+          ))}
+        </Card.Content>
+      </Card>
+    );
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -303,6 +462,8 @@ const CaseDetailScreen = ({ navigation, route }) => {
         </Card.Content>
       </Card>
 
+      {renderMatches()}
+
       <View style={styles.buttonContainer}>
         <Button
           mode="contained"
@@ -488,6 +649,104 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#6B7280',
   },
+  // Match Styles
+  matchItem: {
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+    paddingVertical: 8,
+  },
+  matchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  matchThumb: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    marginRight: 12,
+  },
+  matchInfo: {
+    flex: 1,
+  },
+  matchTitle: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  scoreChip: {
+    backgroundColor: colors.primary + '20',
+  },
+  mutedText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  explanation: {
+    marginTop: 12,
+  },
+  explanationLoading: {
+    marginVertical: 12,
+  },
+  explanationSection: {
+    marginTop: 12,
+  },
+  comparisonImage: {
+    width: '100%',
+    aspectRatio: 816 / 432,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  signalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  signalLabel: {
+    width: 110,
+    fontSize: 12,
+    color: '#374151',
+  },
+  signalBar: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+  },
+  signalPoints: {
+    width: 44,
+    textAlign: 'right',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  identifierChip: {
+    alignSelf: 'flex-start',
+    marginTop: 4,
+    backgroundColor: '#D1FAE5',
+  },
+  sideBySide: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  side: {
+    flex: 1,
+  },
+  ocrText: {
+    fontFamily: 'monospace',
+    fontSize: 12,
+    color: '#374151',
+  },
+  ocrMatch: {
+    backgroundColor: '#FEF08A',
+    fontWeight: 'bold',
+  },
+  swatch: {
+    width: 20,
+    height: 20,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  swatchShared: {
+    borderWidth: 2,
+    borderColor: '#1F2937',
+  },
   // Case Card Styles
   card: {
     margin: 16,
@@ -97,6 +97,14 @@ const ProfileScreen = ({ navigation }) => {
             onPress={() => {}}
           />
           <Divider />
+          <List.Item
+            title="Signed-in Devices"
+            description="See and sign out your sessions"
+            left={props => <List.Icon {...props} icon="cellphone-link" />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+            onPress={() => navigation.navigate('Sessions')}
+          />
+          <Divider />
           <List.Item
             title="Settings"
             description="App preferences and notifications"
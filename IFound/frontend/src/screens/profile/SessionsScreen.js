@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Card, Title, Paragraph, Button, Chip, ActivityIndicator } from 'react-native-paper';
+import { authAPI } from '../../services/api';
+import { colors } from '../../config/theme';
+
+const SessionsScreen = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not load signed-in devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = (session) => {
+    Alert.alert(
+      'Sign out device',
+      `Sign out ${session.device_name || 'this device'}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await authAPI.revokeSession(session.id);
+              setSessions(sessions.filter(s => s.id !== session.id));
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Could not sign out device');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      await authAPI.revokeOtherSessions();
+      setSessions(sessions.filter(s => s.current));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not sign out other devices');
+    }
+  };
+
+  const renderSession = ({ item }) => (
+    <Card style={styles.card}>
+      <Card.Content>
+        <View style={styles.header}>
+          <Title style={styles.title}>{item.device_name || 'Unknown device'}</Title>
+          {item.current && (
+            <Chip mode="outlined" style={styles.currentChip}>This device</Chip>
+          )}
+        </View>
+        <Paragraph style={styles.detail}>
+          Last active {new Date(item.last_used_at).toLocaleString()}
+        </Paragraph>
+        {item.ip_address && (
+          <Paragraph style={styles.detail}>IP {item.ip_address}</Paragraph>
+        )}
+      </Card.Content>
+      {!item.current && (
+        <Card.Actions>
+          <Button textColor={colors.error} onPress={() => handleRevoke(item)}>
+            Sign out
+          </Button>
+        </Card.Actions>
+      )}
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={sessions}
+        renderItem={renderSession}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.list}
+      />
+
+      {sessions.length > 1 && (
+        <Button
+          mode="outlined"
+          onPress={handleRevokeOthers}
+          style={styles.revokeAllButton}
+          textColor={colors.error}
+        >
+          Sign out all other devices
+        </Button>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 18,
+    flex: 1,
+  },
+  currentChip: {
+    marginLeft: 8,
+  },
+  detail: {
+    fontSize: 14,
+    color: colors.placeholder,
+  },
+  revokeAllButton: {
+    margin: 16,
+  },
+});
+
+export default SessionsScreen;
@@ -24,13 +24,53 @@ api.interceptors.request.use(
   }
 );
 
+// Exchange the stored refresh token for a new pair. Refresh tokens are single
+// use, so concurrent requests share one refresh instead of racing (a second
+// use of the same token would sign this device out).
+let refreshPromise = null;
+
+const refreshSession = async () => {
+  const refreshToken = await AsyncStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+  const { token, refreshToken: nextRefreshToken } = response.data.data;
+
+  await AsyncStorage.setItem('token', token);
+  await AsyncStorage.setItem('refreshToken', nextRefreshToken);
+
+  return token;
+};
+
 // Response interceptor - handle errors
 api.interceptors.response.use(
   (response) => response.data,
   async (error) => {
+    const { config } = error;
+
+    // Access token expired: refresh once and retry
+    if (error.response?.status === 403 && error.response.data?.message === 'Token expired' && !config._retried) {
+      config._retried = true;
+      refreshPromise = refreshPromise || refreshSession().finally(() => { refreshPromise = null; });
+
+      try {
+        const token = await refreshPromise;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        await AsyncStorage.removeItem('token');
+        await AsyncStorage.removeItem('refreshToken');
+        await AsyncStorage.removeItem('user');
+        return Promise.reject(error.response.data);
+      }
+    }
+
     if (error.response?.status === 401) {
       // Token expired or invalid
       await AsyncStorage.removeItem('token');
+      await AsyncStorage.removeItem('refreshToken');
       await AsyncStorage.removeItem('user');
       // Navigate to login (handled by AuthContext)
     }
@@ -46,6 +86,14 @@ export const authAPI = {
   updateProfile: (data) => api.put('/auth/profile', data),
   changePassword: (data) => api.put('/auth/change-password', data),
   refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', email ? { email } : {}),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, newPassword) => api.post('/auth/reset-password', { token, newPassword }),
 };
 
 // Case endpoints
@@ -56,6 +104,7 @@ export const caseAPI = {
   updateCase: (id, data) => api.put(`/cases/${id}`, data),
   deleteCase: (id) => api.delete(`/cases/${id}`),
   getMyCases: (params) => api.get('/cases/my/cases', { params }),
+  renewCase: (id) => api.post(`/cases/${id}/renew`),
 };
 
 // Submission endpoints
@@ -89,6 +138,15 @@ export const visualDnaAPI = {
   comparePhotos: (data) => api.post('/visual-dna/compare', data),
 };
 
+// Match endpoints
+export const matchAPI = {
+  getMatchesForCase: (caseId) => api.get(`/matches/case/${caseId}`),
+  getMyMatches: (params) => api.get('/matches/my-matches', { params }),
+  getMatchById: (id) => api.get(`/matches/${id}`),
+  getMatchExplanation: (id) => api.get(`/matches/${id}/explanation`),
+  submitFeedback: (id, data) => api.post(`/matches/${id}/feedback`, data),
+};
+
 // Payment endpoints
 export const paymentAPI = {
   createBountyPayment: (data) => api.post('/payments/bounty', data),
@@ -96,8 +154,27 @@ export const paymentAPI = {
   refundPayment: (transactionId, data) => api.post(`/payments/refund/${transactionId}`, data),
   getTransactionHistory: (params) => api.get('/payments/history', { params }),
   getUserBalance: () => api.get('/payments/balance'),
-  getEarningsSummary: () => api.get('/payments/earnings'),
+  getEarningsSummary: (params) => api.get('/payments/earnings', { params }),
   requestWithdrawal: (data) => api.post('/payments/withdraw', data),
+  getCurrencies: () => api.get('/payments/currencies'),
+};
+
+// Notification endpoints
+export const notificationAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markAsRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllAsRead: () => api.put('/notifications/read-all'),
+  registerDevice: (data) => api.post('/notifications/devices', data),
+  unregisterDevice: (token) => api.delete(`/notifications/devices/${encodeURIComponent(token)}`),
+};
+
+// Saved search / new case alert endpoints
+export const savedSearchAPI = {
+  getSavedSearches: () => api.get('/saved-searches'),
+  createSavedSearch: (data) => api.post('/saved-searches', data),
+  updateSavedSearch: (id, data) => api.put(`/saved-searches/${id}`, data),
+  deleteSavedSearch: (id) => api.delete(`/saved-searches/${id}`),
 };
 
 // Admin endpoints
@@ -0,0 +1,67 @@
+import { Platform } from 'react-native';
+import messaging from '@react-native-firebase/messaging';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { notificationAPI } from './api';
+
+const PUSH_TOKEN_KEY = 'pushToken';
+
+let tokenRefreshUnsubscribe = null;
+
+const registerToken = async (token) => {
+  await notificationAPI.registerDevice({
+    token,
+    platform: Platform.OS === 'ios' ? 'ios' : 'android',
+    provider: 'fcm',
+  });
+  await AsyncStorage.setItem(PUSH_TOKEN_KEY, token);
+};
+
+// Ask for permission, then register this device's FCM token with the backend.
+// Failures are logged only: push is optional and must never block sign-in.
+export const registerForPushNotifications = async () => {
+  try {
+    const authStatus = await messaging().requestPermission();
+    const enabled =
+      authStatus === messaging.AuthorizationStatus.AUTHORIZED ||
+      authStatus === messaging.AuthorizationStatus.PROVISIONAL;
+
+    if (!enabled) {
+      return false;
+    }
+
+    const token = await messaging().getToken();
+    await registerToken(token);
+
+    // FCM may rotate the token while the app is running
+    if (!tokenRefreshUnsubscribe) {
+      tokenRefreshUnsubscribe = messaging().onTokenRefresh((newToken) => {
+        registerToken(newToken).catch((error) => {
+          console.error('Failed to refresh push token:', error);
+        });
+      });
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Failed to register for push notifications:', error);
+    return false;
+  }
+};
+
+// Remove this device from the signed-in account (call before clearing the auth token)
+export const unregisterFromPushNotifications = async () => {
+  try {
+    if (tokenRefreshUnsubscribe) {
+      tokenRefreshUnsubscribe();
+      tokenRefreshUnsubscribe = null;
+    }
+
+    const token = await AsyncStorage.getItem(PUSH_TOKEN_KEY);
+    if (token) {
+      await notificationAPI.unregisterDevice(token);
+      await AsyncStorage.removeItem(PUSH_TOKEN_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to unregister push notifications:', error);
+  }
+};